@@ -0,0 +1,15 @@
+import crypto from 'crypto';
+import 'dotenv/config';
+
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+let JWT_SECRET = process.env.JWT_SECRET;
+
+if (!JWT_SECRET) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('Missing JWT_SECRET environment variable');
+  }
+  console.error('Warning: JWT_SECRET not set, using a random secret. Sessions will not survive a restart.');
+  JWT_SECRET = crypto.randomBytes(32).toString('hex');
+}
+
+export { JWT_SECRET, JWT_EXPIRES_IN };
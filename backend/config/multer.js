@@ -1,14 +1,12 @@
 import multer from 'multer';
 import 'dotenv/config';
+import documentParserService, { SUPPORTED_MIME_TYPES } from '../services/documentParser.js';
+import fileTypeService from '../services/fileTypeService.js';
 
 const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
 const MAX_FILES_PER_UPLOAD = 10;
-const ALLOWED_FILE_TYPES = [
-  'application/pdf',
-  'application/msword',
-  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-  'text/plain'
-];
+const MAX_BUNDLE_SIZE = parseInt(process.env.MAX_BUNDLE_SIZE) || 100 * 1024 * 1024;
+const BUNDLE_MIME_TYPES = ['application/zip', 'application/x-zip-compressed'];
 
 const storage = multer.memoryStorage();
 
@@ -18,12 +16,57 @@ const upload = multer({
     fileSize: MAX_FILE_SIZE
   },
   fileFilter: function (req, file, cb) {
-    if (ALLOWED_FILE_TYPES.includes(file.mimetype)) {
+    // Normalised in place so the upload routes see the type the parser expects
+    file.mimetype = documentParserService.resolveMimeType(file.mimetype, file.originalname);
+
+    if (SUPPORTED_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only PDF, DOC, DOCX, ODT, RTF, TXT, Markdown, HTML, EML, PNG, JPEG, and TIFF files are allowed.'));
+    }
+  }
+});
+
+// Case bundles hold every document of a case, so they get their own,
+// larger limit
+const bundleUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: MAX_BUNDLE_SIZE
+  },
+  fileFilter: function (req, file, cb) {
+    if (BUNDLE_MIME_TYPES.includes(file.mimetype) || file.originalname.toLowerCase().endsWith('.zip')) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only PDF, DOC, DOCX, and TXT files are allowed.'));
+      cb(new Error('Invalid file type. Case bundles must be .zip files.'));
     }
   }
 });
 
-export { upload, MAX_FILES_PER_UPLOAD };
+// The fileFilter only sees the reported type, so once the files are in
+// memory their content is checked against it
+function verifyFileTypes(req, res, next) {
+  const files = req.files || (req.file ? [req.file] : []);
+
+  const results = files.map(file => ({ file, ...fileTypeService.verifyFileType(file.buffer, file.mimetype) }));
+  const mismatched = results
+    .filter(result => !result.matches)
+    .map(({ file, detected }) => ({
+      filename: file.originalname,
+      declaredType: file.mimetype,
+      detectedType: detected
+    }));
+
+  if (mismatched.length > 0) {
+    return res.status(400).json({
+      error: 'File contents do not match their type',
+      files: mismatched
+    });
+  }
+
+  // e.g. a .doc holding .docx content is parsed as .docx
+  results.forEach(({ file, mimeType }) => { file.mimetype = mimeType; });
+  next();
+}
+
+export { upload, bundleUpload, verifyFileTypes, MAX_FILES_PER_UPLOAD };
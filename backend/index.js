@@ -9,7 +9,14 @@ import connectDB from './config/database.js';
 import uploadRoutes from './routes/upload.js';
 import caseRoutes from './routes/case.js';
 import casesRoutes from './routes/cases.js';
+import authRoutes from './routes/auth.js';
+import fileRoutes from './routes/files.js';
 import caseService from './services/caseService.js';
+import authService from './services/authService.js';
+import membershipService from './services/membershipService.js';
+import jobQueue from './services/jobQueue.js';
+import { registerJobHandlers } from './services/jobs/index.js';
+import { requireAuth } from './middleware/auth.js';
 
 const PORT = process.env.PORT || 3001;
 
@@ -24,6 +31,9 @@ const io = new Server(server, {
 
 connectDB();
 
+registerJobHandlers();
+jobQueue.start(io);
+
 app.set('io', io);
 
 app.use(cors());
@@ -34,14 +44,17 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', message: 'AI Judge Server is running' });
 });
 
+app.use('/api/auth', authRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/case', caseRoutes);
 app.use('/api/cases', casesRoutes);
+app.use('/api/files', fileRoutes);
 
 // Stats endpoint
-app.get('/api/stats', async (req, res) => {
+app.get('/api/stats', requireAuth, async (req, res) => {
   try {
-    const stats = await caseService.getCaseStatistics();
+    const caseIds = await membershipService.getCaseIdsForUser(req.user.id);
+    const stats = await caseService.getCaseStatistics({ caseIds });
     res.json(stats);
   } catch (error) {
     console.error('Get stats error:', error);
@@ -49,9 +62,28 @@ app.get('/api/stats', async (req, res) => {
   }
 });
 
+io.use((socket, next) => {
+  try {
+    socket.data.user = authService.verifyToken(socket.handshake.auth?.token);
+    next();
+  } catch (error) {
+    next(new Error('Authentication required'));
+  }
+});
+
 io.on('connection', (socket) => {
-  socket.on('joinCase', (caseId) => {
-    socket.join(caseId);
+  socket.on('joinCase', async (caseId) => {
+    try {
+      const caseData = await caseService.getCaseOwner(caseId);
+      const membership = await membershipService.getMembership(caseId, socket.data.user.id);
+      const isOwner = caseData?.createdBy?.toString() === socket.data.user.id;
+
+      if (caseData && (membership || isOwner)) {
+        socket.join(caseId);
+      }
+    } catch (error) {
+      console.error('Join case error:', error);
+    }
   });
   
   socket.on('leaveCase', (caseId) => {
@@ -61,9 +93,12 @@ io.on('connection', (socket) => {
   socket.on('disconnect', () => {});
 });
 
-app.use((error, req, res, next) => {
+app.use((error, req, res, _next) => {
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
+      if (error.field === 'bundle') {
+        return res.status(400).json({ error: 'Bundle too large. Maximum size is 100MB.' });
+      }
       return res.status(400).json({ error: 'File too large. Maximum size is 10MB.' });
     }
     if (error.code === 'LIMIT_FILE_COUNT') {
@@ -0,0 +1,49 @@
+import auditService from '../services/auditService.js';
+import integrityService from '../services/integrityService.js';
+
+// Records the request in the case's audit log once it has succeeded. Place
+// it before the route's other middleware so every outcome passes through it.
+// The digest covers the request body and, for uploads, each file's name,
+// size and SHA-256, so the log shows exactly what was submitted without
+// keeping it.
+function auditAction(action) {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+    let responseBody = null;
+
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      if (res.statusCode >= 400) return;
+
+      // New cases only have an id once the response names it
+      const caseId = req.params.caseId || req.body?.caseId || responseBody?.caseId || responseBody?.case?.caseId;
+      if (!caseId) return;
+
+      const { caseId: _caseId, ...params } = req.params;
+      const files = req.files || (req.file ? [req.file] : []);
+
+      auditService.record({
+        caseId,
+        actor: req.user?.id,
+        action,
+        target: responseBody?.jobId ? { ...params, jobId: responseBody.jobId } : params,
+        payload: {
+          body: req.body || {},
+          files: files.map(file => ({
+            filename: file.originalname,
+            size: file.size,
+            sha256: integrityService.hashBuffer(file.buffer)
+          }))
+        }
+      }).catch(error => console.error(`Audit log error (${action}):`, error));
+    });
+
+    next();
+  };
+}
+
+export { auditAction };
@@ -0,0 +1,67 @@
+import authService from '../services/authService.js';
+import caseService from '../services/caseService.js';
+import membershipService from '../services/membershipService.js';
+
+function requireAuth(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    req.user = authService.verifyToken(token);
+    next();
+  } catch (error) {
+    res.status(401).json({ error: 'Invalid or expired session' });
+  }
+}
+
+// Loads the requester's relationship to the case named by the route param or
+// form field `caseId` into req.caseAccess. With `roles` given, only members
+// holding one of them pass; the pseudo-role 'owner' matches the case creator,
+// who presides as judge. A creator who acts as counsel, as cases created
+// before the two were kept apart allowed, does not preside. Party members
+// also get the id of the party they act for.
+function requireCaseRole(...roles) {
+  return async (req, res, next) => {
+    try {
+      const caseId = req.params.caseId || req.body?.caseId;
+
+      if (!caseId) {
+        return res.status(400).json({ error: 'Case ID is required' });
+      }
+
+      const caseData = await caseService.getCaseOwner(caseId);
+      if (!caseData) {
+        return res.status(404).json({ error: 'Case not found' });
+      }
+
+      const membership = await membershipService.getMembership(caseId, req.user.id);
+      const isCreator = caseData.createdBy?.toString() === req.user.id;
+
+      if (!membership && !isCreator) {
+        return res.status(403).json({ error: 'You do not have access to this case' });
+      }
+
+      const role = membership?.role || null;
+      const isOwner = isCreator && role !== 'party';
+      const allowed = roles.length === 0 ||
+        roles.includes(role) ||
+        (isOwner && roles.includes('owner'));
+
+      if (!allowed) {
+        return res.status(403).json({ error: 'You are not permitted to perform this action on this case' });
+      }
+
+      req.caseAccess = { role, partyId: membership?.partyId || null, isOwner };
+      next();
+    } catch (error) {
+      console.error('Case access check error:', error);
+      res.status(500).json({ error: 'Failed to verify case access' });
+    }
+  };
+}
+
+export { requireAuth, requireCaseRole };
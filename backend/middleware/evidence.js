@@ -0,0 +1,55 @@
+import caseService from '../services/caseService.js';
+import jobQueue from '../services/jobQueue.js';
+
+// Runs after requireCaseRole. Resolves the party whose evidence the request
+// changes, either req.params.partyId or the party of the document in
+// req.params.documentId (stored as req.document), and rejects the request
+// unless the member acts for that party and its evidence is open to change.
+function requireEvidenceOpen() {
+  return async (req, res, next) => {
+    try {
+      const caseId = req.params.caseId || req.body?.caseId;
+      const { documentId } = req.params;
+      let partyId = req.params.partyId;
+
+      if (documentId) {
+        req.document = await caseService.findDocument(caseId, documentId);
+        if (!req.document) {
+          return res.status(404).json({ error: 'Document not found' });
+        }
+        partyId = req.document.party;
+      }
+
+      const caseData = await caseService.getCase(caseId);
+      const party = caseService.getParty(caseData, partyId);
+      if (!party) {
+        return res.status(404).json({ error: `Party ${partyId} is not part of this case` });
+      }
+
+      if (req.caseAccess.role !== 'party' || req.caseAccess.partyId !== partyId) {
+        return res.status(403).json({ error: `Only counsel for Party ${partyId} can change its evidence` });
+      }
+
+      const activeJob = await jobQueue.findActiveJob(caseId, 'generate_verdict');
+      if (activeJob) {
+        return res.status(409).json({
+          error: 'Evidence cannot change while a verdict is being generated',
+          jobId: activeJob.jobId
+        });
+      }
+
+      const lock = caseService.getEvidenceLock(caseData, partyId);
+      if (lock) {
+        return res.status(409).json({ error: lock });
+      }
+
+      req.party = party;
+      next();
+    } catch (error) {
+      console.error('Evidence lock check error:', error);
+      res.status(500).json({ error: 'Failed to verify that evidence can be changed' });
+    }
+  };
+}
+
+export { requireEvidenceOpen };
@@ -0,0 +1,47 @@
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Checks the request against the zod schemas given for its params, query
+// and body, and rejects it with 400 and every problem found. The parsed
+// query and body replace the originals, so handlers see trimmed text,
+// defaults and converted numbers, dates and lists. Place it after any multer
+// middleware, which is what fills req.body for multipart requests.
+function validateRequest(schemas) {
+  return (req, res, next) => {
+    const issues = [];
+    const parsed = {};
+
+    for (const location of LOCATIONS) {
+      if (!schemas[location]) continue;
+
+      const result = schemas[location].safeParse(req[location] ?? {});
+      if (result.success) {
+        parsed[location] = result.data;
+      } else {
+        issues.push(...result.error.issues.map(issue => ({
+          location,
+          path: issue.path.join('.'),
+          message: issue.message
+        })));
+      }
+    }
+
+    if (issues.length > 0) {
+      return res.status(400).json({
+        error: issues.map(issue => issue.path ? `${issue.path}: ${issue.message}` : issue.message).join('; '),
+        issues
+      });
+    }
+
+    if (parsed.body) {
+      req.body = parsed.body;
+    }
+    // req.query is a getter in Express 5
+    if (parsed.query) {
+      Object.defineProperty(req, 'query', { value: parsed.query, writable: true, configurable: true, enumerable: true });
+    }
+
+    next();
+  };
+}
+
+export { validateRequest };
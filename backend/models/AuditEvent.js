@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// One entry in a case's audit log. The log is append-only: events are never
+// changed or removed, so update and delete queries on it are rejected.
+const auditEventSchema = new mongoose.Schema({
+  caseId: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  // Route parameters naming what was acted on, e.g. documentId, and the id
+  // of any job the action queued
+  target: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  payloadDigest: String,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  minimize: false,
+  versionKey: false
+});
+
+auditEventSchema.index({ caseId: 1, timestamp: -1, _id: -1 });
+
+function rejectChange() {
+  throw new Error('Audit events are append-only');
+}
+
+auditEventSchema.pre([
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+], rejectChange);
+
+auditEventSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+auditEventSchema.pre('save', function () {
+  if (!this.isNew) rejectChange();
+});
+
+export default mongoose.model('AuditEvent', auditEventSchema);
@@ -1,18 +1,89 @@
 import mongoose from 'mongoose';
 
+const PARTY_ROLES = ['plaintiff', 'defendant', 'intervenor', 'amicus'];
+const CASE_TYPES = ['civil', 'criminal', 'constitutional', 'intellectual_property', 'family', 'corporate', 'labor', 'administrative'];
+const CASE_STATUSES = ['created', 'awaiting_documents', 'ready_for_judgment', 'verdict_rendered', 'arguments_phase', 'closed', 'appealed'];
+
+const ocrSchema = new mongoose.Schema({
+  engine: String,
+  language: String,
+  pageCount: Number,
+  averageConfidence: Number,
+  pages: [{
+    _id: false,
+    page: Number,
+    confidence: Number,
+    textLength: Number
+  }]
+}, { _id: false });
+
+const scanSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['not_scanned', 'clean', 'quarantined', 'cleared']
+  },
+  engine: String,
+  signature: String,
+  scannedAt: Date,
+  clearedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  clearedAt: Date,
+  clearanceNote: String
+}, { _id: false });
+
+// Layout and retrieval index are kept apart, in DocumentDetail
 const documentSchema = new mongoose.Schema({
+  id: String,
   filename: String,
   originalName: String,
   path: String,
   fileUrl: String,
   storagePath: String,
+  storageDriver: String,
   mimetype: String,
   size: Number,
+  sha256: String,
   extractedText: String,
+  ocr: { type: ocrSchema, default: null },
+  scan: { type: scanSchema, default: null },
+  description: String,
+  uploadedAt: Date,
+  replacedAt: Date,
   uploadedToCloud: { type: Boolean, default: false }
 }, { _id: false });
 
-const sideSchema = new mongoose.Schema({
+const evidenceLeaveSchema = new mongoose.Schema({
+  party: String,
+  reason: String,
+  grantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  grantedAt: Date
+}, { _id: false });
+
+const statusTransitionSchema = new mongoose.Schema({
+  from: String,
+  to: String,
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: String,
+  at: Date
+}, { _id: false });
+
+// Parties are identified by a letter (A, B, C, ...) assigned in the order
+// they join the case; exhibit labels such as C2 are built from it
+const partySchema = new mongoose.Schema({
+  id: String,
+  name: String,
+  role: {
+    type: String,
+    enum: PARTY_ROLES
+  },
   description: String,
   documents: [documentSchema],
   uploadedAt: Date
@@ -20,18 +91,67 @@ const sideSchema = new mongoose.Schema({
 
 const argumentSchema = new mongoose.Schema({
   id: String,
-  side: {
-    type: String,
-    enum: ['A', 'B']
-  },
+  party: String,
   argument: String,
   aiResponse: mongoose.Schema.Types.Mixed,
   timestamp: Date,
   argumentNumber: Number
 }, { _id: false });
 
+const citationSchema = new mongoose.Schema({
+  finding: String,
+  sources: [{
+    _id: false,
+    ref: String,
+    party: String,
+    documentIndex: Number,
+    filename: String,
+    chunkIndex: Number,
+    page: Number,
+    paragraph: Number,
+    endPage: Number,
+    endParagraph: Number
+  }]
+}, { _id: false });
+
+// One judge's opinion when a panel decides the case. The author of the
+// opinion of the court is 'majority'; the rest concur or dissent.
+const panelOpinionSchema = new mongoose.Schema({
+  judge: Number,
+  persona: String,
+  temperature: Number,
+  role: {
+    type: String,
+    enum: ['majority', 'concurring', 'dissenting']
+  },
+  decision: String,
+  prevailingParties: [String],
+  reasoning: String,
+  keyFindings: [String],
+  legalPrinciples: [String],
+  damages: String,
+  confidence: Number,
+  citations: [citationSchema]
+}, { _id: false });
+
+const panelSchema = new mongoose.Schema({
+  size: Number,
+  unanimous: Boolean,
+  // False when the largest group of judges is only a plurality
+  majority: Boolean,
+  agreement: Number,
+  votes: [{
+    _id: false,
+    decision: String,
+    prevailingParties: [String],
+    judges: [Number]
+  }],
+  opinions: [panelOpinionSchema]
+}, { _id: false });
+
 const verdictSchema = new mongoose.Schema({
   decision: String,
+  prevailingParties: [String],
   reasoning: String,
   keyFindings: [String],
   legalPrinciples: [String],
@@ -39,16 +159,64 @@ const verdictSchema = new mongoose.Schema({
   notes: String,
   confidence: Number,
   openToReconsideration: Boolean,
+  citations: [citationSchema],
   timestamp: Date,
   caseId: String,
   country: String,
-  caseType: String
+  caseType: String,
+  revision: Number,
+  // Only present when a panel rendered the verdict
+  panel: panelSchema,
+  trigger: {
+    type: { type: String, enum: ['initial', 'argument'] },
+    argumentId: String,
+    party: String,
+    verdictChange: String
+  }
+}, { _id: false });
+
+// The appellate court's decision, kept apart from the trial verdict it reviews
+const appealDecisionSchema = new mongoose.Schema({
+  outcome: {
+    type: String,
+    enum: ['affirm', 'reverse', 'remand']
+  },
+  court: String,
+  standardOfReview: String,
+  reasoning: String,
+  groundsAssessment: [{
+    _id: false,
+    ground: String,
+    finding: { type: String, enum: ['upheld', 'rejected'] },
+    reasoning: String
+  }],
+  prevailingParties: [String],
+  remandInstructions: String,
+  confidence: Number,
+  timestamp: Date
+}, { _id: false });
+
+const appealSchema = new mongoose.Schema({
+  party: String,
+  grounds: String,
+  filedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  filedAt: Date,
+  // The verdict revision under appeal
+  verdictRevision: Number,
+  status: {
+    type: String,
+    enum: ['pending', 'decided', 'failed']
+  },
+  error: String,
+  decision: appealDecisionSchema
 }, { _id: false });
 
 const metadataSchema = new mongoose.Schema({
   totalArguments: { type: Number, default: 0 },
-  sideAArguments: { type: Number, default: 0 },
-  sideBArguments: { type: Number, default: 0 },
+  partyArguments: { type: Map, of: Number, default: {} },
   lastActivity: Date
 }, { _id: false });
 
@@ -73,38 +241,41 @@ const caseSchema = new mongoose.Schema({
   },
   caseType: {
     type: String,
-    enum: ['civil', 'criminal', 'constitutional', 'intellectual_property', 'family', 'corporate', 'labor', 'administrative'],
+    enum: CASE_TYPES,
     default: 'civil'
   },
   status: {
     type: String,
-    enum: ['created', 'awaiting_documents', 'ready_for_judgment', 'verdict_rendered', 'arguments_phase'],
+    enum: CASE_STATUSES,
     default: 'created'
   },
-  sideA: {
-    type: sideSchema,
-    default: {
-      description: null,
-      documents: [],
-      uploadedAt: null
-    }
-  },
-  sideB: {
-    type: sideSchema,
-    default: {
-      description: null,
-      documents: [],
-      uploadedAt: null
-    }
+  statusHistory: [statusTransitionSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   },
+  parties: [partySchema],
+  evidenceLeave: [evidenceLeaveSchema],
   verdict: verdictSchema,
+  verdictHistory: [verdictSchema],
   arguments: [argumentSchema],
+  appeal: {
+    type: appealSchema,
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   metadata: {
     type: metadataSchema,
     default: {
       totalArguments: 0,
-      sideAArguments: 0,
-      sideBArguments: 0,
+      partyArguments: {},
       lastActivity: new Date()
     }
   }
@@ -112,10 +283,46 @@ const caseSchema = new mongoose.Schema({
   timestamps: true
 });
 
-caseSchema.index({ title: 'text', description: 'text' });
+// The only text index a collection may have. Search ranks matches by these
+// weights (services/searchService.js); `npm run migrate:search` replaces the
+// earlier title and description index.
+caseSchema.index({
+  title: 'text',
+  description: 'text',
+  'verdict.reasoning': 'text',
+  'verdict.keyFindings': 'text',
+  'arguments.argument': 'text',
+  'arguments.aiResponse.response': 'text',
+  'parties.documents.extractedText': 'text'
+}, {
+  name: 'case_search',
+  weights: {
+    title: 10,
+    description: 5,
+    'verdict.reasoning': 3,
+    'verdict.keyFindings': 3,
+    'arguments.argument': 2,
+    'arguments.aiResponse.response': 2,
+    'parties.documents.extractedText': 1
+  }
+});
 caseSchema.index({ status: 1 });
 caseSchema.index({ country: 1 });
 caseSchema.index({ caseType: 1 });
-caseSchema.index({ 'metadata.lastActivity': -1 });
+caseSchema.index({ 'metadata.lastActivity': -1, caseId: -1 });
+caseSchema.index({ createdAt: -1, caseId: -1 });
+caseSchema.index({ title: 1, caseId: 1 });
+
+// Deleted cases are kept and can be restored. They are left out of every
+// query unless it passes { includeDeleted: true } in its options.
+caseSchema.pre([
+  'find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete', 'findOneAndReplace',
+  'countDocuments', 'updateOne', 'updateMany', 'replaceOne', 'deleteOne', 'deleteMany'
+], function () {
+  if (!this.getOptions().includeDeleted) {
+    this.where({ deletedAt: null });
+  }
+});
 
+export { PARTY_ROLES, CASE_STATUSES, CASE_TYPES };
 export default mongoose.model('Case', caseSchema);
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+const chunkSchema = new mongoose.Schema({
+  index: Number,
+  text: String,
+  start: Number,
+  end: Number,
+  tokenCount: Number,
+  termFrequencies: { type: Map, of: Number },
+  page: Number,
+  paragraph: Number,
+  endPage: Number,
+  endParagraph: Number
+}, { _id: false });
+
+const blockSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['heading', 'paragraph', 'table']
+  },
+  text: String,
+  level: Number,
+  rows: [[String]],
+  paragraph: Number,
+  start: Number,
+  end: Number
+}, { _id: false });
+
+const structureSchema = new mongoose.Schema({
+  pageCount: Number,
+  pages: [{
+    _id: false,
+    number: Number,
+    blocks: [blockSchema]
+  }]
+}, { _id: false });
+
+// A document's layout and retrieval index, kept out of the case record so
+// cases stay small and are loaded without them. Only verdict, argument and
+// appeal jobs and the document viewer read them.
+const documentDetailSchema = new mongoose.Schema({
+  caseId: {
+    type: String,
+    required: true
+  },
+  documentId: {
+    type: String,
+    required: true
+  },
+  party: String,
+  structure: { type: structureSchema, default: null },
+  chunks: [chunkSchema]
+}, {
+  timestamps: true
+});
+
+documentDetailSchema.index({ caseId: 1, documentId: 1 }, { unique: true });
+
+export default mongoose.model('DocumentDetail', documentDetailSchema);
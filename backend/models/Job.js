@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+const JOB_TYPES = ['parse_documents', 'store_document', 'parse_cleared_document', 'generate_verdict', 'respond_to_argument', 'review_appeal'];
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: JOB_TYPES,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued'
+  },
+  caseId: {
+    type: String,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  result: mongoose.Schema.Types.Mixed,
+  progress: {
+    stage: String,
+    current: Number,
+    total: Number,
+    message: String
+  },
+  error: String,
+  errorDetails: [String],
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lockedBy: String,
+  completedAt: Date
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+
+export { JOB_TYPES, JOB_STATUSES };
+export default mongoose.model('Job', jobSchema);
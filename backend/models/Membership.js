@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// Party members act for the party named by partyId; observers follow the case
+const MEMBERSHIP_ROLES = ['party', 'observer'];
+
+const membershipSchema = new mongoose.Schema({
+  caseId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  role: {
+    type: String,
+    enum: MEMBERSHIP_ROLES,
+    required: true
+  },
+  partyId: String,
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+membershipSchema.index({ caseId: 1, userId: 1 }, { unique: true });
+
+export { MEMBERSHIP_ROLES };
+export default mongoose.model('Membership', membershipSchema);
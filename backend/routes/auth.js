@@ -0,0 +1,64 @@
+import express from 'express';
+import authService from '../services/authService.js';
+import { requireAuth } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validate.js';
+import { authRequests } from '../services/requestSchemas.js';
+
+const router = express.Router();
+
+router.post('/register', validateRequest(authRequests.register), async (req, res) => {
+  try {
+    const { email, name, password } = req.body;
+
+    const existingUser = await authService.findUserByEmail(email);
+    if (existingUser) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    const session = await authService.register({ email, name, password });
+
+    res.status(201).json({
+      message: 'Account created successfully',
+      ...session
+    });
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({ error: 'Failed to create account' });
+  }
+});
+
+router.post('/login', validateRequest(authRequests.login), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const session = await authService.login(email, password);
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    res.json({
+      message: 'Logged in successfully',
+      ...session
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+router.get('/me', requireAuth, async (req, res) => {
+  try {
+    const user = await authService.getUserById(req.user.id);
+
+    if (!user) {
+      return res.status(401).json({ error: 'Account no longer exists' });
+    }
+
+    res.json({ user });
+  } catch (error) {
+    console.error('Get current user error:', error);
+    res.status(500).json({ error: 'Failed to retrieve account' });
+  }
+});
+
+export default router;
@@ -1,24 +1,59 @@
 import express from 'express';
-import caseService from '../services/caseService.js';
-import geminiService from '../services/geminiService.js';
+import caseService, { MAX_PARTIES, MAX_ARGUMENTS_PER_PARTY, InvalidTransitionError } from '../services/caseService.js';
+import authService from '../services/authService.js';
+import membershipService from '../services/membershipService.js';
+import jobQueue from '../services/jobQueue.js';
+import storageService from '../services/storageService.js';
+import { requireAuth, requireCaseRole } from '../middleware/auth.js';
+import { requireEvidenceOpen } from '../middleware/evidence.js';
+import { auditAction } from '../middleware/audit.js';
+import { validateRequest } from '../middleware/validate.js';
+import { upload, verifyFileTypes } from '../config/multer.js';
+import { queueDocumentParsing, queueClearedDocumentParsing } from '../services/jobs/documentJobs.js';
+import integrityService from '../services/integrityService.js';
+import scanService from '../services/scanService.js';
+import auditService, { InvalidAuditCursorError } from '../services/auditService.js';
+import exportService from '../services/export/index.js';
+import bundleService from '../services/bundleService.js';
+import { caseRequests } from '../services/requestSchemas.js';
 
 const router = express.Router();
 
-const MAX_ARGUMENTS_PER_SIDE = 5;
+router.use(requireAuth);
 
-router.post('/create', async (req, res) => {
+const VERDICT_MAX_ATTEMPTS = 2;
+const ARGUMENT_MAX_ATTEMPTS = 2;
+const APPEAL_MAX_ATTEMPTS = 2;
+const QUARANTINE_ERROR = 'This document failed the malware scan and is quarantined until the judge clears it';
+const DOWNLOAD_URL_TTL_SECONDS = parseInt(process.env.DOWNLOAD_URL_TTL_SECONDS) || 300;
+
+// Request shapes are checked by validateRequest (services/requestSchemas.js);
+// handlers check what depends on the case itself
+
+// Membership roles name the party a 'party' member acts for
+function validateMemberRole(caseData, role, partyId) {
+  if (role === 'party' && !caseService.getParty(caseData, partyId)) {
+    return 'partyId must name one of the case\'s parties';
+  }
+
+  return null;
+}
+
+router.post('/create', auditAction('case.created'), validateRequest(caseRequests.create), async (req, res) => {
   try {
-    const { title, description, country, caseType } = req.body;
-    
-    if (!title || !description || !country) {
-      return res.status(400).json({ error: 'Title, description, and country are required' });
+    const { title, description, country, caseType, parties } = req.body;
+
+    if (parties && (!parties.some(party => party.role === 'plaintiff') || !parties.some(party => party.role === 'defendant'))) {
+      return res.status(400).json({ error: 'A case needs at least one plaintiff and one defendant' });
     }
 
     const newCase = await caseService.createCase({
       title,
       description,
       country,
-      caseType: caseType || 'civil'
+      caseType,
+      parties,
+      createdBy: req.user.id
     });
 
     res.json({
@@ -32,7 +67,7 @@ router.post('/create', async (req, res) => {
   }
 });
 
-router.get('/:caseId', async (req, res) => {
+router.get('/:caseId', validateRequest(caseRequests.getCase), requireCaseRole(), async (req, res) => {
   try {
     const { caseId } = req.params;
     const caseData = await caseService.getCase(caseId);
@@ -41,56 +76,316 @@ router.get('/:caseId', async (req, res) => {
       return res.status(404).json({ error: 'Case not found' });
     }
 
-    res.json(caseData);
+    res.json({
+      ...caseData,
+      allowedTransitions: caseService.getAllowedTransitions(caseData),
+      argumentLimit: MAX_ARGUMENTS_PER_PARTY,
+      access: req.caseAccess
+    });
   } catch (error) {
     console.error('Get case error:', error);
     res.status(500).json({ error: 'Failed to retrieve case' });
   }
 });
 
-router.post('/:caseId/judge', async (req, res) => {
+// Re-hashes every stored exhibit and compares it with the hash recorded at
+// upload
+router.get('/:caseId/documents/integrity', validateRequest(caseRequests.verifyDocuments), requireCaseRole(), async (req, res) => {
+  try {
+    const report = await integrityService.verifyCase(req.params.caseId);
+    res.json(report);
+  } catch (error) {
+    console.error('Verify documents error:', error);
+    res.status(500).json({ error: 'Failed to verify document integrity' });
+  }
+});
+
+// Returns a short-lived signed URL for the original file, or with
+// ?stream=true sends the file itself
+router.get('/:caseId/documents/:documentId/download', validateRequest(caseRequests.downloadDocument), requireCaseRole(), async (req, res) => {
+  try {
+    const { caseId, documentId } = req.params;
+    const document = await caseService.findDocument(caseId, documentId);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (scanService.isQuarantined(document) && !req.caseAccess.isOwner) {
+      return res.status(403).json({ error: QUARANTINE_ERROR });
+    }
+
+    if (!document.uploadedToCloud || !(document.storagePath || document.path)) {
+      return res.status(409).json({ error: 'The document is still being stored. Try again shortly.' });
+    }
+
+    const filename = document.originalName || document.filename;
+
+    if (req.query.stream === 'true') {
+      const buffer = await storageService.downloadDocument(document);
+      res.type(document.mimetype || 'application/octet-stream');
+      res.attachment(filename);
+      return res.send(buffer);
+    }
+
+    const url = await storageService.getDownloadUrl(document, DOWNLOAD_URL_TTL_SECONDS);
+
+    res.json({
+      url,
+      filename,
+      expiresAt: new Date(Date.now() + DOWNLOAD_URL_TTL_SECONDS * 1000)
+    });
+  } catch (error) {
+    console.error('Document download error:', error);
+    res.status(500).json({ error: 'Failed to retrieve document file' });
+  }
+});
+
+router.get('/:caseId/documents/:partyId/:documentIndex', validateRequest(caseRequests.getDocument), requireCaseRole(), async (req, res) => {
+  try {
+    const { caseId, partyId } = req.params;
+    const documentIndex = parseInt(req.params.documentIndex);
+    const document = await caseService.getDocument(caseId, partyId, documentIndex);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (scanService.isQuarantined(document) && !req.caseAccess.isOwner) {
+      return res.status(403).json({ error: QUARANTINE_ERROR });
+    }
+
+    res.json(document);
+  } catch (error) {
+    console.error('Get document error:', error);
+    res.status(500).json({ error: 'Failed to retrieve document' });
+  }
+});
+
+router.delete('/:caseId/documents/:documentId', auditAction('document.deleted'), validateRequest(caseRequests.deleteDocument), requireCaseRole('party'), requireEvidenceOpen(), async (req, res) => {
+  try {
+    const { caseId, documentId } = req.params;
+    const { party } = req.document;
+
+    const removed = await caseService.removeDocument(caseId, party, documentId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    await storageService.discardDocument(removed);
+
+    const io = req.app.get('io');
+    io.to(caseId).emit('documentsUpdated', { caseId, party, action: 'deleted', documentId });
+
+    res.json({ message: 'Document deleted', caseId, party, documentId });
+  } catch (error) {
+    console.error('Delete document error:', error);
+    res.status(500).json({ error: 'Failed to delete document' });
+  }
+});
+
+// Queues the uploaded file to replace the document in place; the old file is
+// deleted from storage once the new one has been parsed
+router.put('/:caseId/documents/:documentId', auditAction('document.replaced'), requireCaseRole('party'), requireEvidenceOpen(), upload.single('document'), verifyFileTypes, validateRequest(caseRequests.replaceDocument), async (req, res) => {
+  try {
+    const { caseId, documentId } = req.params;
+    const { party } = req.document;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const { hashes, rejected, crossParty } = await integrityService.checkUpload(caseId, party, [req.file], {
+      replaceDocumentId: documentId
+    });
+    if (rejected.length > 0) {
+      return res.status(409).json({
+        error: 'The file duplicates a document that has already been filed',
+        duplicates: rejected
+      });
+    }
+
+    const job = await queueDocumentParsing([req.file], {
+      caseId,
+      party,
+      description: req.body.description || req.document.description,
+      hashes,
+      replaceDocumentId: documentId,
+      createdBy: req.user.id
+    });
+
+    res.status(202).json({
+      message: 'Replacement document queued for processing',
+      caseId,
+      documentId,
+      jobId: job.jobId,
+      job,
+      crossPartyDuplicates: crossParty
+    });
+  } catch (error) {
+    console.error('Replace document error:', error);
+    res.status(500).json({ error: 'Failed to queue replacement document' });
+  }
+});
+
+// The case owner presides and may release a quarantined document after
+// reviewing it, which returns it to the viewer and downloads. Quarantined
+// files are not read at upload, so a job then parses the document for
+// prompts and search.
+router.post('/:caseId/documents/:documentId/clear-quarantine', auditAction('document.quarantine_cleared'), validateRequest(caseRequests.clearQuarantine), requireCaseRole('owner'), async (req, res) => {
+  try {
+    const { caseId, documentId } = req.params;
+    const document = await caseService.findDocument(caseId, documentId);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (!scanService.isQuarantined(document)) {
+      return res.status(409).json({ error: 'The document is not quarantined' });
+    }
+
+    await caseService.clearQuarantine(caseId, document.party, documentId, {
+      clearedBy: req.user.id,
+      note: req.body.note
+    });
+    const job = await queueClearedDocumentParsing(caseId, document, { createdBy: req.user.id });
+
+    const io = req.app.get('io');
+    io.to(caseId).emit('documentsUpdated', { caseId, party: document.party, action: 'cleared', documentId });
+
+    res.json({ message: 'Document released from quarantine', caseId, documentId, jobId: job.jobId, job });
+  } catch (error) {
+    console.error('Clear quarantine error:', error);
+    res.status(500).json({ error: 'Failed to release document from quarantine' });
+  }
+});
+
+// The case owner presides and may let a party introduce new evidence after
+// the verdict
+router.post('/:caseId/evidence-leave', auditAction('evidence_leave.granted'), validateRequest(caseRequests.grantEvidenceLeave), requireCaseRole('owner'), async (req, res) => {
+  try {
+    const { caseId } = req.params;
+    const { party, reason } = req.body;
+
+    const caseData = await caseService.getCase(caseId);
+    if (!caseService.getParty(caseData, party)) {
+      return res.status(400).json({ error: 'party must name one of the case\'s parties' });
+    }
+
+    if (caseService.isConcluded(caseData)) {
+      return res.status(409).json({ error: `Leave cannot be granted once the case is ${caseData.status}`, status: caseData.status });
+    }
+
+    const updatedCase = await caseService.grantEvidenceLeave(caseId, party, {
+      reason,
+      grantedBy: req.user.id
+    });
+
+    res.json({
+      message: `Party ${party} has been granted leave to introduce new evidence`,
+      caseId,
+      evidenceLeave: updatedCase.evidenceLeave
+    });
+  } catch (error) {
+    console.error('Grant evidence leave error:', error);
+    res.status(500).json({ error: 'Failed to grant leave' });
+  }
+});
+
+router.delete('/:caseId/evidence-leave/:partyId', auditAction('evidence_leave.revoked'), validateRequest(caseRequests.revokeEvidenceLeave), requireCaseRole('owner'), async (req, res) => {
+  try {
+    const { caseId, partyId } = req.params;
+    const updatedCase = await caseService.revokeEvidenceLeave(caseId, partyId);
+
+    res.json({
+      message: `Leave for Party ${partyId} to introduce new evidence has been revoked`,
+      caseId,
+      evidenceLeave: updatedCase.evidenceLeave
+    });
+  } catch (error) {
+    console.error('Revoke evidence leave error:', error);
+    res.status(500).json({ error: 'Failed to revoke leave' });
+  }
+});
+
+// Counsel for any party, or the owner presiding over the case, may call for
+// the verdict. `panelSize` (3 or 5) has a panel of judges decide instead of
+// a single judge.
+router.post('/:caseId/judge', auditAction('verdict.requested'), validateRequest(caseRequests.requestVerdict), requireCaseRole('party', 'owner'), async (req, res) => {
   try {
     const { caseId } = req.params;
+    const panelSize = req.body.panelSize ?? null;
+
     const caseData = await caseService.getCase(caseId);
     
     if (!caseData) {
       return res.status(404).json({ error: 'Case not found' });
     }
 
-    if (!caseData.sideA?.documents || !caseData.sideB?.documents) {
+    if (!caseService.hasEvidenceFromOpposingParties(caseData)) {
       return res.status(400).json({ 
-        error: 'Both sides must submit documents before judgment can be rendered' 
+        error: 'A plaintiff and a defendant must each submit documents that are not quarantined before judgment can be rendered' 
       });
     }
 
-    const verdict = await geminiService.generateVerdict(caseData);
-    const updatedCase = await caseService.setVerdict(caseId, verdict);
-    
-    req.app.get('io').emit('verdictRendered', { caseId, verdict });
+    // A verdict can only be rendered once, while the case is ready for judgment
+    const transitionError = caseService.checkTransition(caseData, 'verdict_rendered');
+    if (transitionError) {
+      return res.status(409).json({ error: transitionError, status: caseData.status });
+    }
 
-    res.json({
-      message: 'AI Judge has rendered a verdict',
+    const activeJob = await jobQueue.findActiveJob(caseId, 'generate_verdict');
+    if (activeJob) {
+      return res.status(409).json({
+        error: 'A verdict is already being generated for this case',
+        jobId: activeJob.jobId,
+        jobType: activeJob.type
+      });
+    }
+
+    // Judgment waits for uploads still being processed, so the verdict is
+    // rendered on the evidence the parties filed
+    const parseJob = await jobQueue.findActiveJob(caseId, 'parse_documents');
+    if (parseJob) {
+      return res.status(409).json({
+        error: 'Documents are still being processed for this case',
+        jobId: parseJob.jobId,
+        jobType: parseJob.type
+      });
+    }
+
+    const job = await jobQueue.enqueue('generate_verdict', { panelSize }, {
+      caseId,
+      createdBy: req.user.id,
+      maxAttempts: VERDICT_MAX_ATTEMPTS
+    });
+
+    res.status(202).json({
+      message: panelSize ? `Verdict generation by a panel of ${panelSize} queued` : 'Verdict generation queued',
       caseId,
-      verdict
+      jobId: job.jobId,
+      job
     });
 
   } catch (error) {
     console.error('Judgment error:', error);
-    res.status(500).json({ error: 'Failed to generate verdict' });
+    res.status(500).json({ error: 'Failed to queue verdict generation' });
   }
 });
 
-router.post('/:caseId/argue', async (req, res) => {
+// Arguments are made for the party the member acts for; `party` in the body
+// is optional and must match it. The court's response, and any revision of
+// the verdict it leads to, come from a background job and arrive over the
+// newArgument and verdictRevised events. One argument is heard at a time.
+router.post('/:caseId/argue', auditAction('argument.submitted'), validateRequest(caseRequests.submitArgument), requireCaseRole('party'), async (req, res) => {
   try {
     const { caseId } = req.params;
-    const { side, argument } = req.body;
-    
-    if (!side || !argument) {
-      return res.status(400).json({ error: 'Side and argument are required' });
-    }
+    const { argument } = req.body;
+    const party = req.body.party || req.caseAccess.partyId;
 
-    if (side !== 'A' && side !== 'B') {
-      return res.status(400).json({ error: 'Side must be either A or B' });
+    if (party !== req.caseAccess.partyId) {
+      return res.status(403).json({ error: `Only counsel for Party ${party} can argue for it` });
     }
 
     const caseData = await caseService.getCase(caseId);
@@ -102,53 +397,186 @@ router.post('/:caseId/argue', async (req, res) => {
       return res.status(400).json({ error: 'Initial verdict must be rendered before arguments can be submitted' });
     }
 
-    const currentArguments = caseData.arguments || [];
-    const sideArguments = currentArguments.filter(arg => arg.side === side);
-    
-    if (sideArguments.length >= MAX_ARGUMENTS_PER_SIDE) {
+    const transitionError = caseService.checkTransition(caseData, 'arguments_phase');
+    if (transitionError) {
+      return res.status(409).json({ error: transitionError, status: caseData.status });
+    }
+
+    if (!caseService.getParty(caseData, party)) {
+      return res.status(404).json({ error: `Party ${party} is not part of this case` });
+    }
+
+    const partyArguments = (caseData.arguments || []).filter(arg => arg.party === party);
+    if (partyArguments.length >= MAX_ARGUMENTS_PER_PARTY) {
       return res.status(400).json({ 
-        error: `Maximum number of arguments (${MAX_ARGUMENTS_PER_SIDE}) reached for this side` 
+        error: `Maximum number of arguments (${MAX_ARGUMENTS_PER_PARTY}) reached for this party` 
       });
     }
 
-    const aiResponse = await geminiService.respondToArgument(caseData, side, argument);
-    
-    const updatedCase = await caseService.addArgument(caseId, {
-      side,
+    const activeJob = await jobQueue.findActiveJob(caseId, 'respond_to_argument');
+    if (activeJob) {
+      return res.status(409).json({
+        error: 'The court is still considering an earlier argument',
+        jobId: activeJob.jobId
+      });
+    }
+
+    const argumentId = caseService.generateArgumentId();
+    const job = await jobQueue.enqueue('respond_to_argument', {
+      argumentId,
+      party,
       argument,
-      aiResponse,
-      timestamp: new Date().toISOString(),
-      argumentNumber: sideArguments.length + 1
+      submittedAt: new Date()
+    }, {
+      caseId,
+      createdBy: req.user.id,
+      maxAttempts: ARGUMENT_MAX_ATTEMPTS
     });
 
-    req.app.get('io').emit('newArgument', { 
-      caseId, 
-      side, 
-      argument, 
-      aiResponse,
-      argumentNumber: sideArguments.length + 1
+    res.status(202).json({
+      message: 'Argument submitted; the court is considering it',
+      caseId,
+      party,
+      argumentId,
+      argumentNumber: partyArguments.length + 1,
+      jobId: job.jobId,
+      job
     });
 
-    res.json({
-      message: 'Argument submitted and AI has responded',
+  } catch (error) {
+    console.error('Argument submission error:', error);
+    res.status(500).json({ error: 'Failed to submit argument' });
+  }
+});
+
+// Closing ends the proceedings: evidence, arguments and verdicts can no
+// longer change
+router.post('/:caseId/close', auditAction('case.closed'), validateRequest(caseRequests.closeCase), requireCaseRole('owner'), async (req, res) => {
+  try {
+    const { caseId } = req.params;
+    const { reason } = req.body;
+
+    const updatedCase = await caseService.closeCase(caseId, { by: req.user.id, reason });
+    const transition = updatedCase.statusHistory[updatedCase.statusHistory.length - 1];
+
+    const io = req.app.get('io');
+    io.to(caseId).emit('caseStatusChanged', { caseId, status: updatedCase.status, transition });
+
+    res.json({ message: 'Case closed', caseId, status: updatedCase.status, transition });
+  } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(409).json({ error: error.message, status: error.from });
+    }
+    console.error('Close case error:', error);
+    res.status(500).json({ error: 'Failed to close case' });
+  }
+});
+
+// Either party may appeal the current verdict once. Filing moves the case to
+// `appealed` and queues the appellate review, whose decision is stored in
+// `appeal.decision` alongside, not in place of, the trial verdict.
+router.post('/:caseId/appeal', auditAction('appeal.filed'), validateRequest(caseRequests.fileAppeal), requireCaseRole('party'), async (req, res) => {
+  try {
+    const { caseId } = req.params;
+    const { grounds } = req.body;
+    const party = req.caseAccess.partyId;
+
+    const caseData = await caseService.getCase(caseId);
+    if (!caseData) {
+      return res.status(404).json({ error: 'Case not found' });
+    }
+
+    const transitionError = caseService.checkTransition(caseData, 'appealed');
+    if (transitionError) {
+      return res.status(409).json({ error: transitionError, status: caseData.status });
+    }
+
+    const updatedCase = await caseService.fileAppeal(caseId, {
+      party,
+      grounds,
+      filedBy: req.user.id,
+      verdictRevision: caseData.verdict.revision || 1
+    });
+    const transition = updatedCase.statusHistory[updatedCase.statusHistory.length - 1];
+
+    const job = await jobQueue.enqueue('review_appeal', {}, {
       caseId,
-      side,
-      argumentNumber: sideArguments.length + 1,
-      argument,
-      aiResponse,
-      remainingArguments: MAX_ARGUMENTS_PER_SIDE - (sideArguments.length + 1)
+      createdBy: req.user.id,
+      maxAttempts: APPEAL_MAX_ATTEMPTS
     });
 
+    const io = req.app.get('io');
+    io.to(caseId).emit('caseStatusChanged', { caseId, status: updatedCase.status, transition, appeal: updatedCase.appeal });
+
+    res.status(202).json({
+      message: `Appeal filed by Party ${party}; appellate review queued`,
+      caseId,
+      appeal: updatedCase.appeal,
+      jobId: job.jobId,
+      job
+    });
   } catch (error) {
-    console.error('Argument submission error:', error);
-    res.status(500).json({ error: 'Failed to process argument' });
+    if (error instanceof InvalidTransitionError) {
+      return res.status(409).json({ error: error.message, status: error.from });
+    }
+    console.error('Appeal filing error:', error);
+    res.status(500).json({ error: 'Failed to file appeal' });
+  }
+});
+
+// Queues the appellate review again after it failed, or when it was never
+// queued because filing was interrupted
+router.post('/:caseId/appeal/review', auditAction('appeal.review_requested'), validateRequest(caseRequests.requestAppealReview), requireCaseRole('party', 'owner'), async (req, res) => {
+  try {
+    const { caseId } = req.params;
+    const caseData = await caseService.getCase(caseId);
+
+    if (!caseData) {
+      return res.status(404).json({ error: 'Case not found' });
+    }
+
+    if (caseData.status !== 'appealed' || !caseData.appeal) {
+      return res.status(409).json({ error: 'The case has no pending appeal', status: caseData.status });
+    }
+
+    if (caseData.appeal.status === 'decided') {
+      return res.status(409).json({ error: 'The appeal has already been decided' });
+    }
+
+    const activeJob = await jobQueue.findActiveJob(caseId, 'review_appeal');
+    if (activeJob) {
+      return res.status(409).json({
+        error: 'The appeal is already being reviewed',
+        jobId: activeJob.jobId
+      });
+    }
+
+    if (caseData.appeal.status === 'failed' && !await caseService.retryAppealReview(caseId)) {
+      return res.status(409).json({ error: 'The appeal is no longer awaiting review' });
+    }
+
+    const job = await jobQueue.enqueue('review_appeal', {}, {
+      caseId,
+      createdBy: req.user.id,
+      maxAttempts: APPEAL_MAX_ATTEMPTS
+    });
+
+    res.status(202).json({
+      message: 'Appellate review queued',
+      caseId,
+      jobId: job.jobId,
+      job
+    });
+  } catch (error) {
+    console.error('Appeal review error:', error);
+    res.status(500).json({ error: 'Failed to queue appellate review' });
   }
 });
 
-router.delete('/:caseId', async (req, res) => {
+router.delete('/:caseId', auditAction('case.deleted'), validateRequest(caseRequests.deleteCase), requireCaseRole('owner'), async (req, res) => {
   try {
     const { caseId } = req.params;
-    const deleted = await caseService.deleteCase(caseId);
+    const deleted = await caseService.deleteCase(caseId, { deletedBy: req.user.id });
     
     if (!deleted) {
       return res.status(404).json({ error: 'Case not found' });
@@ -161,4 +589,227 @@ router.delete('/:caseId', async (req, res) => {
   }
 });
 
+// Deleted cases are hidden from requireCaseRole, so the creator is checked
+// here
+router.post('/:caseId/restore', auditAction('case.restored'), validateRequest(caseRequests.restoreCase), async (req, res) => {
+  try {
+    const { caseId } = req.params;
+    const deletedCase = await caseService.getDeletedCase(caseId);
+
+    if (!deletedCase) {
+      return res.status(404).json({ error: 'No deleted case with this ID' });
+    }
+
+    if (deletedCase.createdBy?.toString() !== req.user.id) {
+      return res.status(403).json({ error: 'Only the case owner can restore it' });
+    }
+
+    const restoredCase = await caseService.restoreCase(caseId);
+    if (!restoredCase) {
+      return res.status(409).json({ error: 'The case has already been restored' });
+    }
+
+    res.json({ message: 'Case restored', caseId, case: restoredCase });
+  } catch (error) {
+    console.error('Restore case error:', error);
+    res.status(500).json({ error: 'Failed to restore case' });
+  }
+});
+
+// Newest first; page with ?cursor=<nextCursor of the previous page>
+router.get('/:caseId/audit', validateRequest(caseRequests.auditLog), requireCaseRole(), async (req, res) => {
+  try {
+    const { caseId } = req.params;
+    const { limit, cursor } = req.query;
+
+    const { events, nextCursor } = await auditService.listEvents(caseId, { limit, cursor });
+    res.json({ caseId, events, nextCursor });
+  } catch (error) {
+    if (error instanceof InvalidAuditCursorError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: 'Failed to retrieve audit log' });
+  }
+});
+
+// The case as a written judgment (pdf, docx, md or json), rendered on the
+// server without external services
+router.get('/:caseId/export', auditAction('case.exported'), validateRequest(caseRequests.exportCase), requireCaseRole(), async (req, res) => {
+  try {
+    const { caseId } = req.params;
+    const { format } = req.query;
+
+    const caseData = await caseService.getCase(caseId);
+    if (!caseData) {
+      return res.status(404).json({ error: 'Case not found' });
+    }
+
+    const { buffer, contentType, filename } = await exportService.exportCase(caseData, format);
+
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': buffer.length
+    });
+    res.send(buffer);
+  } catch (error) {
+    console.error('Export case error:', error);
+    res.status(500).json({ error: 'Failed to export case' });
+  }
+});
+
+// A portable copy of the whole case, its files and audit trail, which
+// POST /cases/import or `npm run bundle:import` loads into another environment
+router.get('/:caseId/bundle', auditAction('case.bundle_exported'), validateRequest(caseRequests.exportBundle), requireCaseRole('owner'), async (req, res) => {
+  try {
+    const { caseId } = req.params;
+    const bundle = await bundleService.createBundle(caseId);
+
+    if (!bundle) {
+      return res.status(404).json({ error: 'Case not found' });
+    }
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="case-${caseId}.zip"`,
+      'Content-Length': bundle.length
+    });
+    res.send(bundle);
+  } catch (error) {
+    console.error('Export bundle error:', error);
+    res.status(500).json({ error: 'Failed to export case bundle' });
+  }
+});
+
+router.get('/:caseId/jobs', validateRequest(caseRequests.listJobs), requireCaseRole(), async (req, res) => {
+  try {
+    const jobs = await jobQueue.listJobs(req.params.caseId, { active: req.query.active === 'true' });
+    res.json(jobs);
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({ error: 'Failed to retrieve jobs' });
+  }
+});
+
+router.get('/:caseId/jobs/:jobId', validateRequest(caseRequests.getJob), requireCaseRole(), async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.jobId);
+
+    if (!job || job.caseId !== req.params.caseId) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({ error: 'Failed to retrieve job' });
+  }
+});
+
+// The case owner adds co-parties, intervenors and amici as the case
+// develops. Parties cannot be removed, so exhibit labels stay stable.
+router.post('/:caseId/parties', auditAction('party.added'), validateRequest(caseRequests.addParty), requireCaseRole('owner'), async (req, res) => {
+  try {
+    const { caseId } = req.params;
+    const { name, role, description } = req.body;
+
+    const updatedCase = await caseService.addParty(caseId, { name, role, description });
+    if (!updatedCase) {
+      return res.status(409).json({ error: `The case already has the maximum of ${MAX_PARTIES} parties, or another party was just added. Reload and try again.` });
+    }
+
+    const party = updatedCase.parties[updatedCase.parties.length - 1];
+
+    const io = req.app.get('io');
+    io.to(caseId).emit('partiesUpdated', { caseId, parties: updatedCase.parties });
+
+    res.status(201).json({ message: `Party ${party.id} added to the case`, caseId, party });
+  } catch (error) {
+    console.error('Add party error:', error);
+    res.status(500).json({ error: 'Failed to add party' });
+  }
+});
+
+router.patch('/:caseId/parties/:partyId', auditAction('party.updated'), validateRequest(caseRequests.updateParty), requireCaseRole('owner'), async (req, res) => {
+  try {
+    const { caseId, partyId } = req.params;
+    const { name, role, description } = req.body;
+
+    const updatedCase = await caseService.updateParty(caseId, partyId, { name, role, description });
+    if (!updatedCase) {
+      return res.status(404).json({ error: 'Party not found' });
+    }
+
+    const io = req.app.get('io');
+    io.to(caseId).emit('partiesUpdated', { caseId, parties: updatedCase.parties });
+
+    res.json({
+      message: `Party ${partyId} updated`,
+      caseId,
+      party: caseService.getParty(updatedCase, partyId)
+    });
+  } catch (error) {
+    console.error('Update party error:', error);
+    res.status(500).json({ error: 'Failed to update party' });
+  }
+});
+
+router.get('/:caseId/members', validateRequest(caseRequests.listMembers), requireCaseRole(), async (req, res) => {
+  try {
+    const members = await membershipService.listMembers(req.params.caseId);
+    res.json(members);
+  } catch (error) {
+    console.error('Get members error:', error);
+    res.status(500).json({ error: 'Failed to retrieve case members' });
+  }
+});
+
+router.post('/:caseId/members', auditAction('member.added'), validateRequest(caseRequests.addMember), requireCaseRole('owner'), async (req, res) => {
+  try {
+    const { caseId } = req.params;
+    const { email, role, partyId } = req.body;
+
+    const caseData = await caseService.getCase(caseId);
+    const roleError = validateMemberRole(caseData, role, partyId);
+    if (roleError) {
+      return res.status(400).json({ error: roleError });
+    }
+
+    const user = await authService.findUserByEmail(email);
+    if (!user) {
+      return res.status(404).json({ error: 'No account exists with this email' });
+    }
+
+    // The judge cannot also act as counsel
+    if (role === 'party' && user._id.toString() === caseData.createdBy?.toString()) {
+      return res.status(400).json({ error: 'The case owner presides as judge and cannot act for a party' });
+    }
+
+    await membershipService.addMember(caseId, user._id, role, req.user.id, partyId);
+    const members = await membershipService.listMembers(caseId);
+
+    res.json({ message: 'Member added to case', caseId, members });
+  } catch (error) {
+    console.error('Add member error:', error);
+    res.status(500).json({ error: 'Failed to add case member' });
+  }
+});
+
+router.delete('/:caseId/members/:userId', auditAction('member.removed'), validateRequest(caseRequests.removeMember), requireCaseRole('owner'), async (req, res) => {
+  try {
+    const { caseId, userId } = req.params;
+    const removed = await membershipService.removeMember(caseId, userId);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    res.json({ message: 'Member removed from case', caseId, userId });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({ error: 'Failed to remove case member' });
+  }
+});
+
 export default router;
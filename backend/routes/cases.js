@@ -1,32 +1,108 @@
 import express from 'express';
-import caseService from '../services/caseService.js';
+import caseService, { InvalidCaseQueryError } from '../services/caseService.js';
+import membershipService from '../services/membershipService.js';
+import searchService from '../services/searchService.js';
+import bundleService, { BundleError, BundleConflictError } from '../services/bundleService.js';
+import { casesRequests } from '../services/requestSchemas.js';
+import { requireAuth } from '../middleware/auth.js';
+import { auditAction } from '../middleware/audit.js';
+import { validateRequest } from '../middleware/validate.js';
+import { bundleUpload } from '../config/multer.js';
 
 const router = express.Router();
 
-router.get('/', async (req, res) => {
+router.use(requireAuth);
+
+// Splits the query string into listing filters and the page to return
+function listingQuery(query) {
+  const { sort, order, limit, cursor, ...criteria } = query;
+  return { criteria, page: { sort, order, limit, cursor } };
+}
+
+router.get('/', validateRequest(casesRequests.list), async (req, res) => {
   try {
-    const cases = await caseService.getAllCases();
+    const { criteria, page } = listingQuery(req.query);
+    const caseIds = await membershipService.getCaseIdsForUser(req.user.id);
+    const cases = await caseService.getAllCases(criteria, { caseIds, ...page });
     res.json(cases);
   } catch (error) {
+    if (error instanceof InvalidCaseQueryError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Get cases error:', error);
     res.status(500).json({ error: 'Failed to retrieve cases' });
   }
 });
 
-router.get('/search', async (req, res) => {
+// Cases the user created and deleted, which they can still restore
+router.get('/deleted', validateRequest(casesRequests.deleted), async (req, res) => {
   try {
-    const criteria = req.query;
-    const cases = await caseService.searchCases(criteria);
+    const cases = await caseService.listDeletedCases(req.user.id);
     res.json(cases);
   } catch (error) {
+    console.error('Get deleted cases error:', error);
+    res.status(500).json({ error: 'Failed to retrieve deleted cases' });
+  }
+});
+
+router.get('/search', validateRequest(casesRequests.search), async (req, res) => {
+  try {
+    const { criteria, page } = listingQuery(req.query);
+    const caseIds = await membershipService.getCaseIdsForUser(req.user.id);
+    const cases = await caseService.searchCases(criteria, { caseIds, ...page });
+    res.json(cases);
+  } catch (error) {
+    if (error instanceof InvalidCaseQueryError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Search cases error:', error);
     res.status(500).json({ error: 'Failed to search cases' });
   }
 });
 
-router.get('/stats', async (req, res) => {
+// Imports a bundle from GET /case/:caseId/bundle with the user as its owner.
+// `conflict` decides what happens when the case id is already taken.
+router.post('/import', auditAction('case.imported'), bundleUpload.single('bundle'), validateRequest(casesRequests.importBundle), async (req, res) => {
+  try {
+    const conflict = req.body.conflict || req.query.conflict || 'skip';
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No bundle uploaded' });
+    }
+
+    const result = await bundleService.importBundle(req.file.buffer, { conflict, ownerId: req.user.id });
+
+    res.status(result.status === 'skipped' ? 200 : 201).json(result);
+  } catch (error) {
+    if (error instanceof BundleError) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    if (error instanceof BundleConflictError) {
+      return res.status(409).json({ error: error.message, caseId: error.caseId });
+    }
+    console.error('Import bundle error:', error);
+    res.status(500).json({ error: 'Failed to import case bundle' });
+  }
+});
+
+// Ranked full-text search over titles, descriptions, document text, verdict
+// reasoning and arguments, with a highlighted snippet of each matching field
+router.get('/fulltext', validateRequest(casesRequests.fulltext), async (req, res) => {
+  try {
+    const { q: query, limit } = req.query;
+    const caseIds = await membershipService.getCaseIdsForUser(req.user.id);
+    const results = await searchService.searchCaseText(query, { caseIds, limit });
+    res.json(results);
+  } catch (error) {
+    console.error('Full-text search error:', error);
+    res.status(500).json({ error: 'Failed to search cases' });
+  }
+});
+
+router.get('/stats', validateRequest(casesRequests.stats), async (req, res) => {
   try {
-    const stats = await caseService.getCaseStatistics();
+    const caseIds = await membershipService.getCaseIdsForUser(req.user.id);
+    const stats = await caseService.getCaseStatistics({ caseIds });
     res.json(stats);
   } catch (error) {
     console.error('Get stats error:', error);
@@ -0,0 +1,39 @@
+import express from 'express';
+import path from 'path';
+import { getStorage } from '../services/storage/index.js';
+
+const router = express.Router();
+
+// Serves files of the local storage driver through the signed URLs it
+// issues; other drivers sign URLs on their own servers
+router.get('/*key', async (req, res) => {
+  try {
+    const storage = getStorage();
+    if (!storage.verifySignature) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const key = req.params.key.join('/');
+    const { expires, signature, filename } = req.query;
+
+    if (!storage.verifySignature(key, expires, signature, filename)) {
+      return res.status(403).json({ error: 'Invalid or expired file link' });
+    }
+
+    const buffer = await storage.get(key);
+
+    res.type(path.extname(key) || 'application/octet-stream');
+    if (filename) {
+      res.attachment(String(filename));
+    }
+    res.send(buffer);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    console.error('File download error:', error);
+    res.status(500).json({ error: 'Failed to retrieve file' });
+  }
+});
+
+export default router;
@@ -1,94 +1,23 @@
 import express from 'express';
-import { upload, MAX_FILES_PER_UPLOAD } from '../config/multer.js';
-import { supabase } from '../config/supabase.js';
-import documentParserService from '../services/documentParser.js';
-import caseService from '../services/caseService.js';
+import { upload, verifyFileTypes, MAX_FILES_PER_UPLOAD } from '../config/multer.js';
+import { queueDocumentParsing } from '../services/jobs/documentJobs.js';
+import integrityService from '../services/integrityService.js';
+import { requireAuth, requireCaseRole } from '../middleware/auth.js';
+import { requireEvidenceOpen } from '../middleware/evidence.js';
+import { auditAction } from '../middleware/audit.js';
+import { validateRequest } from '../middleware/validate.js';
+import { uploadRequests } from '../services/requestSchemas.js';
 
 const router = express.Router();
 
-const STORAGE_BUCKET = process.env.STORAGE_BUCKET || 'pdfbucket';
+// Holds the files for the background parse job and responds with 202; the
+// job's progress is reported over jobUpdated events and GET /case/:caseId/jobs.
+// New documents are appended to the party's existing exhibits; files this
+// party has already filed are rejected, and files other parties filed are
+// reported.
+router.post('/:partyId', auditAction('document.uploaded'), requireAuth, upload.array('documents', MAX_FILES_PER_UPLOAD), verifyFileTypes, validateRequest(uploadRequests.uploadDocuments), requireCaseRole('party'), requireEvidenceOpen(), async (req, res) => {
+  const { partyId } = req.params;
 
-async function uploadToSupabase(fileBuffer, originalName, mimetype, caseId, side) {
-  const fileName = `${Date.now()}-${originalName}`;
-  const filePath = `cases/${caseId}/${side}/${fileName}`;
-  
-  const { error: uploadError } = await supabase.storage
-    .from(STORAGE_BUCKET)
-    .upload(filePath, fileBuffer, {
-      contentType: mimetype,
-      upsert: false
-    });
-
-  if (uploadError) {
-    throw new Error(`Failed to upload file: ${uploadError.message}`);
-  }
-
-  const { data: urlData } = supabase.storage
-    .from(STORAGE_BUCKET)
-    .getPublicUrl(filePath);
-
-  if (!urlData || !urlData.publicUrl) {
-    throw new Error('Error retrieving file URL from Supabase');
-  }
-
-  return {
-    fileUrl: urlData.publicUrl,
-    storagePath: filePath
-  };
-}
-
-router.post('/side-a', upload.array('documents', MAX_FILES_PER_UPLOAD), async (req, res) => {
-  try {
-    const { caseId, description } = req.body;
-    const files = req.files;
-
-    if (!files || files.length === 0) {
-      return res.status(400).json({ error: 'No files uploaded' });
-    }
-
-    const parsedDocuments = [];
-    
-    for (const file of files) {
-      const extractedText = await documentParserService.parseDocumentFromBuffer(file.buffer, file.mimetype);
-      const cloudUpload = await uploadToSupabase(
-        file.buffer,
-        file.originalname,
-        file.mimetype,
-        caseId,
-        'side-a'
-      );
-      
-      parsedDocuments.push({
-        filename: file.originalname,
-        mimetype: file.mimetype,
-        size: file.size,
-        extractedText: extractedText,
-        fileUrl: cloudUpload.fileUrl,
-        path: cloudUpload.storagePath
-      });
-    }
-
-    const caseData = await caseService.addDocumentsToSide(caseId, 'A', {
-      description,
-      documents: parsedDocuments
-    });
-
-    res.json({
-      message: 'Documents uploaded and processed for Side A',
-      caseId: caseData.caseId,
-      documentsProcessed: parsedDocuments.length,
-      documents: parsedDocuments.map(doc => ({
-        filename: doc.filename,
-        size: doc.size,
-        textLength: doc.extractedText.length
-      }))
-    });
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to process uploaded documents' });
-  }
-});
-
-router.post('/side-b', upload.array('documents', MAX_FILES_PER_UPLOAD), async (req, res) => {
   try {
     const { caseId, description } = req.body;
     const files = req.files;
@@ -97,45 +26,34 @@ router.post('/side-b', upload.array('documents', MAX_FILES_PER_UPLOAD), async (r
       return res.status(400).json({ error: 'No files uploaded' });
     }
 
-    const parsedDocuments = [];
-    
-    for (const file of files) {
-      const extractedText = await documentParserService.parseDocumentFromBuffer(file.buffer, file.mimetype);
-      const cloudUpload = await uploadToSupabase(
-        file.buffer,
-        file.originalname,
-        file.mimetype,
-        caseId,
-        'side-b'
-      );
-      
-      parsedDocuments.push({
-        filename: file.originalname,
-        mimetype: file.mimetype,
-        size: file.size,
-        extractedText: extractedText,
-        fileUrl: cloudUpload.fileUrl,
-        path: cloudUpload.storagePath
+    const { hashes, rejected, crossParty } = await integrityService.checkUpload(caseId, partyId, files);
+    if (rejected.length > 0) {
+      return res.status(409).json({
+        error: 'Some files duplicate documents that have already been filed',
+        duplicates: rejected
       });
     }
 
-    const caseData = await caseService.addDocumentsToSide(caseId, 'B', {
+    const job = await queueDocumentParsing(files, {
+      caseId,
+      party: partyId,
       description,
-      documents: parsedDocuments
+      hashes,
+      createdBy: req.user.id
     });
 
-    res.json({
-      message: 'Documents uploaded and processed for Side B',
-      caseId: caseData.caseId,
-      documentsProcessed: parsedDocuments.length,
-      documents: parsedDocuments.map(doc => ({
-        filename: doc.filename,
-        size: doc.size,
-        textLength: doc.extractedText.length
-      }))
+    res.status(202).json({
+      message: `Documents queued for processing for Party ${partyId}`,
+      caseId,
+      party: partyId,
+      jobId: job.jobId,
+      job,
+      documentsQueued: files.length,
+      crossPartyDuplicates: crossParty
     });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to process uploaded documents' });
+    console.error(`Party ${partyId} upload error:`, error);
+    res.status(500).json({ error: 'Failed to queue uploaded documents' });
   }
 });
 
@@ -0,0 +1,47 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import fs from 'fs/promises';
+import path from 'path';
+import bundleService from '../services/bundleService.js';
+import auditService from '../services/auditService.js';
+
+const MONGO_URI = process.env.MONGO_URI;
+
+// Usage: npm run bundle:export -- <caseId> [output.zip] [--include-deleted]
+async function exportBundle() {
+  const args = process.argv.slice(2);
+  const includeDeleted = args.includes('--include-deleted');
+  const [caseId, output] = args.filter(arg => !arg.startsWith('--'));
+
+  if (!caseId) {
+    console.error('Usage: npm run bundle:export -- <caseId> [output.zip] [--include-deleted]');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const bundle = await bundleService.createBundle(caseId, { includeDeleted });
+    if (!bundle) {
+      console.error(`❌ Case ${caseId} not found`);
+      await mongoose.connection.close();
+      process.exit(1);
+    }
+
+    const outputPath = path.resolve(output || `case-${caseId}.zip`);
+    await fs.writeFile(outputPath, bundle);
+    await auditService.record({ caseId, action: 'case.bundle_exported', payload: { source: 'cli' } });
+
+    console.log(`📦 Wrote ${caseId} to ${outputPath} (${(bundle.length / 1024).toFixed(1)} KB)`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Export error:', error);
+    process.exit(1);
+  }
+}
+
+exportBundle();
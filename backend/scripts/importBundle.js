@@ -0,0 +1,77 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import fs from 'fs/promises';
+import User from '../models/User.js';
+import bundleService, { CONFLICT_MODES, BundleError } from '../services/bundleService.js';
+import auditService from '../services/auditService.js';
+
+const MONGO_URI = process.env.MONGO_URI;
+
+const USAGE = `Usage: npm run bundle:import -- <bundle.zip> [--conflict ${CONFLICT_MODES.join('|')}] [--owner <email>]`;
+
+function option(args, name) {
+  const index = args.indexOf(name);
+  return index === -1 ? null : args[index + 1];
+}
+
+// Without --owner the case keeps its original creator, matched by email;
+// overwriting is then allowed whoever owns the existing case
+async function importBundle() {
+  const args = process.argv.slice(2);
+  const file = args[0];
+  const conflict = option(args, '--conflict') || 'skip';
+  const ownerEmail = option(args, '--owner');
+
+  if (!file || file.startsWith('--') || !CONFLICT_MODES.includes(conflict)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    let ownerId = null;
+    if (ownerEmail) {
+      const owner = await User.findOne({ email: ownerEmail.toLowerCase() }).select('_id').lean();
+      if (!owner) {
+        console.error(`❌ No user with email ${ownerEmail}`);
+        await mongoose.connection.close();
+        process.exit(1);
+      }
+      ownerId = owner._id.toString();
+    }
+
+    const buffer = await fs.readFile(file);
+    const result = await bundleService.importBundle(buffer, { conflict, ownerId });
+
+    if (result.status === 'skipped') {
+      console.log(`⏭️  Skipping ${result.sourceCaseId} - already exists (use --conflict overwrite or rekey)`);
+    } else {
+      await auditService.record({
+        caseId: result.caseId,
+        actor: ownerId,
+        action: 'case.imported',
+        payload: { source: 'cli', conflict }
+      });
+
+      console.log(`✅ Imported ${result.sourceCaseId} as ${result.caseId} (${result.status})`);
+      console.log(`   📄 Documents stored: ${result.documents}`);
+      result.missingFiles.forEach(missing => {
+        console.log(`   ⚠️  ${missing.filename} (party ${missing.party}) had no file in the bundle: ${missing.reason}`);
+      });
+    }
+
+    await mongoose.connection.close();
+    process.exit(0);
+
+  } catch (error) {
+    console.error(`❌ Import error: ${error.message}`);
+    if (error instanceof BundleError) {
+      error.details.forEach(detail => console.error(`   - ${detail}`));
+    }
+    process.exit(1);
+  }
+}
+
+importBundle();
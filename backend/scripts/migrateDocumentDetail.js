@@ -0,0 +1,71 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import Case from '../models/Case.js';
+import documentDetailService from '../services/documentDetailService.js';
+
+const MONGO_URI = process.env.MONGO_URI;
+
+// Moves each document's layout and chunks out of the case record into the
+// documentdetails collection. Safe to run again; cases whose documents no
+// longer carry them are left alone.
+async function migrateDocumentDetail() {
+  try {
+    console.log('🔄 Moving document layout and chunks out of cases...\n');
+
+    await mongoose.connect(MONGO_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    // The raw collection is used because the schema no longer knows the
+    // embedded fields, and deleted cases must be migrated too
+    const cursor = Case.collection.find(
+      { $or: [{ 'parties.documents.chunks': { $exists: true } }, { 'parties.documents.structure': { $exists: true } }] },
+      { projection: { caseId: 1, title: 1, 'parties.id': 1, 'parties.documents.id': 1, 'parties.documents.structure': 1, 'parties.documents.chunks': 1 } }
+    );
+
+    let migratedCases = 0;
+    let migratedDocuments = 0;
+    let errorCases = 0;
+
+    for await (const caseData of cursor) {
+      try {
+        for (const party of caseData.parties || []) {
+          for (const doc of party.documents || []) {
+            if (!doc.chunks && !doc.structure) continue;
+
+            await documentDetailService.saveDetail(caseData.caseId, doc.id, {
+              party: party.id,
+              structure: doc.structure,
+              chunks: doc.chunks
+            });
+            migratedDocuments++;
+          }
+        }
+
+        await Case.collection.updateOne(
+          { _id: caseData._id },
+          { $unset: { 'parties.$[].documents.$[].chunks': '', 'parties.$[].documents.$[].structure': '' } }
+        );
+        console.log(`   ✅ ${caseData.caseId} - ${caseData.title}`);
+        migratedCases++;
+      } catch (error) {
+        console.error(`   ❌ ${caseData.caseId}: ${error.message}`);
+        errorCases++;
+      }
+    }
+
+    console.log('\n📊 Migration Summary:');
+    console.log(`   ✅ Cases migrated: ${migratedCases}`);
+    console.log(`   📄 Documents migrated: ${migratedDocuments}`);
+    console.log(`   ❌ Case errors: ${errorCases}`);
+
+    await mongoose.connection.close();
+    console.log('\n🎉 Migration completed!');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    process.exit(1);
+  }
+}
+
+migrateDocumentDetail();
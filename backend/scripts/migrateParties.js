@@ -0,0 +1,66 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import Case from '../models/Case.js';
+import Membership from '../models/Membership.js';
+import caseService from '../services/caseService.js';
+
+const MONGO_URI = process.env.MONGO_URI;
+
+const LEGACY_ROLES = { side_a: 'A', side_b: 'B' };
+
+// Moves cases from the two-sided layout (sideA/sideB) to parties A and B and
+// turns side_a/side_b memberships into party memberships. Safe to run again;
+// converted cases and memberships are left alone.
+async function migrateParties() {
+  try {
+    console.log('🔄 Starting migration of cases to parties...\n');
+
+    await mongoose.connect(MONGO_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    // The raw collection is used because the schema no longer knows sideA/sideB
+    const legacyCases = await Case.collection.find({
+      'parties.0': { $exists: false },
+      $or: [{ sideA: { $exists: true } }, { sideB: { $exists: true } }]
+    }).toArray();
+    console.log(`📂 Found ${legacyCases.length} cases to convert\n`);
+
+    let convertedCases = 0;
+    let errorCases = 0;
+
+    for (const caseData of legacyCases) {
+      try {
+        await Case.collection.replaceOne({ _id: caseData._id }, caseService.convertLegacySides(caseData));
+        console.log(`   ✅ ${caseData.caseId} - ${caseData.title}`);
+        convertedCases++;
+      } catch (error) {
+        console.error(`   ❌ ${caseData.caseId}: ${error.message}`);
+        errorCases++;
+      }
+    }
+
+    let convertedMembers = 0;
+    for (const [role, partyId] of Object.entries(LEGACY_ROLES)) {
+      const result = await Membership.collection.updateMany(
+        { role },
+        { $set: { role: 'party', partyId } }
+      );
+      convertedMembers += result.modifiedCount;
+    }
+
+    console.log('\n📊 Migration Summary:');
+    console.log(`   ✅ Cases converted: ${convertedCases}`);
+    console.log(`   ❌ Case errors: ${errorCases}`);
+    console.log(`   👥 Memberships converted: ${convertedMembers}`);
+
+    await mongoose.connection.close();
+    console.log('\n🎉 Migration completed!');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    process.exit(1);
+  }
+}
+
+migrateParties();
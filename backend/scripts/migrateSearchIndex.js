@@ -0,0 +1,43 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import Case from '../models/Case.js';
+import searchService from '../services/searchService.js';
+
+const MONGO_URI = process.env.MONGO_URI;
+
+// A collection can only have one text index, so the server cannot build the
+// case search index while the earlier title/description one exists.
+// syncIndexes drops indexes the Case model no longer declares and builds the
+// missing ones. Text of quarantined documents is removed so the index does
+// not match it. Safe to run again.
+async function migrateSearchIndex() {
+  try {
+    console.log('🔄 Rebuilding case search index...\n');
+
+    await mongoose.connect(MONGO_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    const dropped = await Case.syncIndexes();
+    dropped.forEach(name => console.log(`   🗑️  Dropped ${name}`));
+
+    const cleared = await searchService.clearQuarantinedText();
+
+    const indexes = await Case.collection.indexes();
+    const searchIndex = indexes.find(index => index.name === 'case_search');
+
+    console.log('\n📊 Migration Summary:');
+    console.log(`   🗑️  Indexes dropped: ${dropped.length}`);
+    console.log(`   🔒 Cases with quarantined text removed: ${cleared}`);
+    console.log(`   🔎 Search index: ${searchIndex ? 'ready' : 'missing'}`);
+
+    await mongoose.connection.close();
+    console.log('\n🎉 Migration completed!');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    process.exit(1);
+  }
+}
+
+migrateSearchIndex();
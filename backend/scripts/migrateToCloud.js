@@ -1,7 +1,8 @@
 import 'dotenv/config';
 import mongoose from 'mongoose';
 import Case from '../models/Case.js';
-import { supabase } from '../config/supabase.js';
+import { getStorage } from '../services/storage/index.js';
+import storageService from '../services/storageService.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -10,17 +11,32 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const MONGO_URI = process.env.MONGO_URI;
-const STORAGE_BUCKET = process.env.STORAGE_BUCKET || 'pdfbucket';
 
+async function readLocalFile(doc) {
+  // Try multiple path variations
+  for (const candidate of [doc.path, doc.path.replace(/\\/g, '/')]) {
+    try {
+      return await fs.readFile(path.join(__dirname, '..', candidate));
+    } catch (err) {
+      // Try the next variation
+    }
+  }
+  return null;
+}
+
+// Copies every document into the configured storage driver: legacy files
+// on local disk and files kept by a previously configured driver. Cases from
+// before multi-party support must be converted with migrate:parties first.
 async function migrateDocumentsToCloud() {
   try {
-    console.log('🔄 Starting migration of case documents to Supabase...');
-    console.log(`📦 Storage Bucket: ${STORAGE_BUCKET}\n`);
+    const storage = getStorage();
+    console.log(`🔄 Starting migration of case documents to ${storage.name} storage...\n`);
     
     await mongoose.connect(MONGO_URI);
     console.log('✅ Connected to MongoDB\n');
 
-    const cases = await Case.find({});
+    // Deleted cases keep their files and can be restored, so they are migrated too
+    const cases = await Case.find({}, null, { includeDeleted: true });
     console.log(`📂 Found ${cases.length} cases to process\n`);
 
     let totalDocuments = 0;
@@ -37,90 +53,76 @@ async function migrateDocumentsToCloud() {
       
       let updated = false;
 
-      for (const side of ['sideA', 'sideB']) {
-        const sideLabel = side === 'sideA' ? 'Side A' : 'Side B';
+      for (const party of caseData.parties || []) {
+        const partyLabel = `Party ${party.id} (${party.name})`;
         
-        if (caseData[side] && caseData[side].documents && caseData[side].documents.length > 0) {
-          console.log(`\n   📑 ${sideLabel}: ${caseData[side].documents.length} document(s)`);
+        if (party.documents && party.documents.length > 0) {
+          console.log(`\n   📑 ${partyLabel}: ${party.documents.length} document(s)`);
           
-          for (let i = 0; i < caseData[side].documents.length; i++) {
-            const doc = caseData[side].documents[i];
+          for (let i = 0; i < party.documents.length; i++) {
+            const doc = party.documents[i];
             totalDocuments++;
 
             console.log(`\n      📄 ${doc.filename}`);
 
-            // Check if already in cloud
-            if (doc.fileUrl && doc.fileUrl.includes('supabase')) {
-              console.log(`      ✓ Already in cloud: ${doc.fileUrl}`);
-              skippedDocuments++;
-              continue;
-            }
+            const currentDriver = storageService.storedDriver(doc);
 
-            if (doc.storagePath && doc.uploadedToCloud) {
-              console.log(`      ✓ Already marked as uploaded`);
+            if (currentDriver === storage.name && (doc.storagePath || doc.uploadedToCloud)) {
+              console.log(`      ✓ Already in ${storage.name} storage`);
+              if (doc.fileUrl) {
+                // Public links are no longer used; files are served through signed URLs
+                party.documents[i].fileUrl = undefined;
+                party.documents[i].storageDriver = currentDriver;
+                updated = true;
+              }
               skippedDocuments++;
               continue;
             }
 
             try {
-              // Try multiple path variations
-              let localPath = path.join(__dirname, '..', doc.path);
-              let fileExists = false;
-
-              try {
-                await fs.access(localPath);
-                fileExists = true;
-              } catch (err) {
-                // Try normalized path (replace backslashes)
-                localPath = path.join(__dirname, '..', doc.path.replace(/\\/g, '/'));
-                try {
-                  await fs.access(localPath);
-                  fileExists = true;
-                } catch (err2) {
-                  console.log(`      ⚠️  File not found at: ${doc.path}`);
-                  missingFiles++;
+              let fileBuffer = null;
+
+              if (currentDriver && doc.uploadedToCloud) {
+                console.log(`      ☁️  Copying from ${currentDriver} storage...`);
+                fileBuffer = await storageService.downloadDocument(doc);
+              } else if (doc.path) {
+                fileBuffer = await readLocalFile(doc);
+                if (fileBuffer) {
+                  console.log(`      📂 Found local file, uploading...`);
                 }
               }
 
-              if (fileExists) {
-                console.log(`      📂 Found local file, uploading...`);
-                const fileBuffer = await fs.readFile(localPath);
-                const fileName = `${Date.now()}-${doc.filename}`;
-                const filePath = `cases/${caseData.caseId}/${side}/${fileName}`;
-
-                const { error: uploadError } = await supabase.storage
-                  .from(STORAGE_BUCKET)
-                  .upload(filePath, fileBuffer, {
-                    contentType: doc.mimetype || 'application/pdf',
-                    upsert: false
-                  });
-
-                if (uploadError) {
-                  console.error(`      ❌ Upload error: ${uploadError.message}`);
-                  errorDocuments++;
-                  continue;
-                }
-
-                const { data: urlData } = supabase.storage
-                  .from(STORAGE_BUCKET)
-                  .getPublicUrl(filePath);
-
-                caseData[side].documents[i].fileUrl = urlData.publicUrl;
-                caseData[side].documents[i].storagePath = filePath;
-                caseData[side].documents[i].uploadedToCloud = true;
-
-                console.log(`      ✅ Uploaded successfully`);
-                console.log(`      🔗 URL: ${urlData.publicUrl}`);
-                uploadedDocuments++;
-                updated = true;
+              if (!fileBuffer) {
+                console.log(`      ⚠️  File not found at: ${doc.path}`);
+                missingFiles++;
+                continue;
               }
+
+              const stored = await storageService.uploadDocument(
+                fileBuffer,
+                doc.filename,
+                doc.mimetype || 'application/pdf',
+                caseData.caseId,
+                `party-${party.id.toLowerCase()}`
+              );
+
+              party.documents[i].fileUrl = undefined;
+              party.documents[i].path = stored.storagePath;
+              party.documents[i].storagePath = stored.storagePath;
+              party.documents[i].storageDriver = stored.storageDriver;
+              party.documents[i].uploadedToCloud = true;
+
+              console.log(`      ✅ Uploaded successfully`);
+              console.log(`      🔗 Key: ${stored.storagePath}`);
+              uploadedDocuments++;
+              updated = true;
             } catch (error) {
               console.error(`      ❌ Error: ${error.message}`);
               errorDocuments++;
             }
           }
         } else {
-          console.log(`\n   📑 ${sideLabel}: No documents`);
+          console.log(`\n   📑 ${partyLabel}: No documents`);
         }
       }
 
@@ -133,8 +135,8 @@ async function migrateDocumentsToCloud() {
     console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.log('\n📊 Migration Summary:');
     console.log(`   📄 Total documents found: ${totalDocuments}`);
-    console.log(`   ✅ Uploaded to cloud: ${uploadedDocuments}`);
-    console.log(`   ⏭️  Already in cloud (skipped): ${skippedDocuments}`);
+    console.log(`   ✅ Uploaded to storage: ${uploadedDocuments}`);
+    console.log(`   ⏭️  Already in storage (skipped): ${skippedDocuments}`);
     console.log(`   📂 Missing local files: ${missingFiles}`);
     console.log(`   ❌ Upload errors: ${errorDocuments}`);
 
@@ -4,6 +4,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import Case from '../models/Case.js';
+import caseService from '../services/caseService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -34,9 +35,9 @@ async function seedDatabase() {
       try {
         const filePath = path.join(DATA_DIR, file);
         const fileContent = await fs.readFile(filePath, 'utf8');
-        const caseData = JSON.parse(fileContent);
+        const caseData = caseService.convertLegacySides(JSON.parse(fileContent));
 
-        const existingCase = await Case.findOne({ caseId: caseData.caseId });
+        const existingCase = await Case.findOne({ caseId: caseData.caseId }, null, { includeDeleted: true });
         
         if (existingCase) {
           console.log(`⏭️  Skipping ${caseData.caseId} - already exists`);
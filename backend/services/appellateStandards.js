@@ -0,0 +1,60 @@
+// The court that hears an appeal from a first-instance judgment in each
+// jurisdiction offered when creating a case, and the standard it reviews
+// that judgment by. The appellate review prompt takes its persona from these.
+const APPELLATE_STANDARDS = {
+  'United States': {
+    court: 'a United States Court of Appeals',
+    standard: 'Questions of law are reviewed de novo, findings of fact for clear error, and discretionary rulings for abuse of discretion. An error that did not affect the outcome is harmless and does not warrant reversal.'
+  },
+  'United Kingdom': {
+    court: 'the Court of Appeal of England and Wales',
+    standard: 'The appeal is a review, not a rehearing. It is allowed only where the decision was wrong, or unjust because of a serious procedural or other irregularity (CPR 52.21). Findings of fact are disturbed only where the judge was plainly wrong.'
+  },
+  'Canada': {
+    court: 'a provincial Court of Appeal',
+    standard: 'Questions of law are reviewed for correctness. Findings of fact, inferences drawn from them, and questions of mixed fact and law without an extricable legal error are reviewed only for palpable and overriding error (Housen v. Nikolaisen).'
+  },
+  'Australia': {
+    court: 'the Full Court of the Federal Court of Australia',
+    standard: 'The appeal is by way of rehearing, but error must be shown. Due weight is given to the advantage the trial judge had in seeing the witnesses (Warren v Coombes; Fox v Percy), and discretionary decisions are disturbed only on House v The King principles.'
+  },
+  'Germany': {
+    court: 'an Oberlandesgericht hearing a Berufung',
+    standard: 'The court examines whether the judgment rests on a violation of law, and is bound by the facts found at first instance unless concrete indications raise doubts about their correctness or completeness (§§ 513 and 529 ZPO).'
+  },
+  'France': {
+    court: "a cour d'appel",
+    standard: "Through the devolutive effect of the appeal the court rules afresh on the facts and the law, within the limits of the parts of the judgment challenged (articles 561 and 562 of the Code de procédure civile)."
+  },
+  'India': {
+    court: 'a High Court hearing a first appeal',
+    standard: 'A first appeal under section 96 and Order XLI of the Code of Civil Procedure is a rehearing on fact and law. Weight is given to the trial court\'s appreciation of oral evidence, but the court must give its own reasons on each point for determination.'
+  },
+  'Japan': {
+    court: 'a High Court hearing a kōso appeal',
+    standard: 'The kōso appeal continues the first-instance proceedings: the court reviews both facts and law on the record, together with any new material the parties properly submit, and reaches its own conclusion on the claims.'
+  },
+  'Brazil': {
+    court: 'a Tribunal de Justiça hearing an apelação',
+    standard: 'The apelação devolves the matters challenged to the court for full review of fact and law (article 1.013 of the Código de Processo Civil). Where the case is ready for judgment the court may decide the merits itself instead of remanding.'
+  },
+  'South Africa': {
+    court: 'the Supreme Court of Appeal',
+    standard: 'Questions of law are decided afresh. Findings of fact are interfered with only where the trial court was clearly wrong, bearing in mind its advantage in seeing and hearing the witnesses.'
+  }
+};
+
+const DEFAULT_STANDARD = 'Questions of law are decided afresh. Findings of fact are disturbed only where they are plainly wrong or unsupported by the evidence, and errors that did not affect the outcome do not warrant interference.';
+
+function getAppellateStandard(country) {
+  return APPELLATE_STANDARDS[country] || {
+    court: `the appellate court of ${country}`,
+    standard: DEFAULT_STANDARD
+  };
+}
+
+const appellateStandards = {
+  getAppellateStandard
+};
+
+export default appellateStandards;
@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import AuditEvent from '../models/AuditEvent.js';
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+class InvalidAuditCursorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidAuditCursorError';
+  }
+}
+
+// JSON with object keys sorted, so equal payloads always give the same digest
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value ?? null);
+}
+
+function digestPayload(payload) {
+  return crypto.createHash('sha256').update(canonicalJson(payload)).digest('hex');
+}
+
+// The payload itself is not stored, only its digest
+async function record({ caseId, actor, action, target = {}, payload = {} }) {
+  const event = await AuditEvent.create({
+    caseId,
+    actor: actor || null,
+    action,
+    target,
+    payloadDigest: digestPayload(payload)
+  });
+
+  return event.toObject();
+}
+
+// Cursors are opaque to clients: the timestamp and id of the last event on
+// the previous page. Events sharing a timestamp are told apart by their id,
+// so none are skipped between pages.
+function encodeCursor(event) {
+  return Buffer.from(JSON.stringify([event.timestamp, event._id.toString()])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [timestamp, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const at = new Date(timestamp);
+    if (typeof timestamp !== 'string' || isNaN(at) || typeof id !== 'string' || !mongoose.isValidObjectId(id)) {
+      throw new Error('malformed cursor');
+    }
+
+    return { timestamp: at, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    throw new InvalidAuditCursorError('cursor is not valid for this audit log');
+  }
+}
+
+// Newest first; pass `nextCursor` back as `cursor` for the next page, which
+// is null on the last page
+async function listEvents(caseId, { limit = DEFAULT_PAGE_SIZE, cursor } = {}) {
+  const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+  const query = { caseId };
+  if (cursor) {
+    const { timestamp, id } = decodeCursor(cursor);
+    query.$or = [{ timestamp: { $lt: timestamp } }, { timestamp, _id: { $lt: id } }];
+  }
+
+  const events = await AuditEvent.find(query)
+    .sort({ timestamp: -1, _id: -1 })
+    .limit(pageSize + 1)
+    .populate('actor', 'email name')
+    .lean();
+
+  const page = events.slice(0, pageSize);
+
+  return {
+    events: page.map(serializeEvent),
+    nextCursor: events.length > pageSize ? encodeCursor(page[page.length - 1]) : null
+  };
+}
+
+function serializeEvent(event) {
+  return {
+    id: event._id.toString(),
+    caseId: event.caseId,
+    action: event.action,
+    actor: event.actor
+      ? { id: event.actor._id.toString(), email: event.actor.email, name: event.actor.name }
+      : null,
+    target: event.target,
+    payloadDigest: event.payloadDigest,
+    timestamp: event.timestamp
+  };
+}
+
+const auditService = {
+  digestPayload,
+  record,
+  listEvents
+};
+
+export { InvalidAuditCursorError };
+export default auditService;
@@ -0,0 +1,90 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { JWT_SECRET, JWT_EXPIRES_IN } from '../config/auth.js';
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derivedKey = await scrypt(password, salt, KEY_LENGTH);
+  return `${salt}:${derivedKey.toString('hex')}`;
+}
+
+async function verifyPassword(password, passwordHash) {
+  const [salt, key] = passwordHash.split(':');
+  if (!salt || !key) return false;
+
+  const storedKey = Buffer.from(key, 'hex');
+  const derivedKey = await scrypt(password, salt, storedKey.length);
+  return crypto.timingSafeEqual(storedKey, derivedKey);
+}
+
+function toPublicUser(user) {
+  return {
+    id: user._id.toString(),
+    email: user.email,
+    name: user.name
+  };
+}
+
+function issueToken(user) {
+  return jwt.sign(
+    { sub: user._id.toString(), email: user.email, name: user.name },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+}
+
+function verifyToken(token) {
+  const payload = jwt.verify(token, JWT_SECRET);
+  return {
+    id: payload.sub,
+    email: payload.email,
+    name: payload.name
+  };
+}
+
+async function findUserByEmail(email) {
+  return await User.findOne({ email: email.toLowerCase().trim() }).lean();
+}
+
+async function getUserById(userId) {
+  const user = await User.findById(userId).lean();
+  return user ? toPublicUser(user) : null;
+}
+
+async function register({ email, name, password }) {
+  const passwordHash = await hashPassword(password);
+  const user = new User({ email, name, passwordHash });
+  await user.save();
+
+  return {
+    user: toPublicUser(user),
+    token: issueToken(user)
+  };
+}
+
+async function login(email, password) {
+  const user = await findUserByEmail(email);
+  if (!user || !(await verifyPassword(password, user.passwordHash))) {
+    return null;
+  }
+
+  return {
+    user: toPublicUser(user),
+    token: issueToken(user)
+  };
+}
+
+const authService = {
+  register,
+  login,
+  verifyToken,
+  findUserByEmail,
+  getUserById
+};
+
+export default authService;
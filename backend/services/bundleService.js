@@ -0,0 +1,526 @@
+import JSZip from 'jszip';
+import mongoose from 'mongoose';
+import Case from '../models/Case.js';
+import AuditEvent from '../models/AuditEvent.js';
+import Membership from '../models/Membership.js';
+import User from '../models/User.js';
+import caseService from './caseService.js';
+import documentDetailService from './documentDetailService.js';
+import retrievalService from './retrievalService.js';
+import membershipService from './membershipService.js';
+import storageService from './storageService.js';
+import integrityService from './integrityService.js';
+import fileTypeService from './fileTypeService.js';
+import scanService from './scanService.js';
+
+const BUNDLE_FORMAT = 'ai-judge-case-bundle';
+const BUNDLE_VERSION = 1;
+const CONFLICT_MODES = ['skip', 'overwrite', 'rekey'];
+const MAX_UNCOMPRESSED_SIZE = parseInt(process.env.MAX_BUNDLE_UNCOMPRESSED_SIZE) || 500 * 1024 * 1024;
+const MAX_ENTRIES = parseInt(process.env.MAX_BUNDLE_ENTRIES) || 10000;
+
+// Where a file is stored only makes sense in the environment it came from
+const STORAGE_FIELDS = ['path', 'storagePath', 'storageDriver', 'fileUrl', 'uploadedToCloud'];
+
+// Fields of the case and its members that hold user ids
+const USER_ID_FIELDS = ['createdBy', 'deletedBy', 'by', 'grantedBy', 'clearedBy', 'filedBy', 'userId'];
+
+class BundleError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'BundleError';
+    this.details = details;
+  }
+}
+
+// The case already exists and the conflict mode does not allow replacing it
+class BundleConflictError extends Error {
+  constructor(message, caseId) {
+    super(message);
+    this.name = 'BundleConflictError';
+    this.caseId = caseId;
+  }
+}
+
+function omit(object, keys) {
+  return Object.fromEntries(Object.entries(object).filter(([key]) => !keys.includes(key)));
+}
+
+function documentEntryName(partyId, index, filename) {
+  return `documents/${partyId}/${index + 1}-${filename.replace(/[/\\]/g, '_')}`;
+}
+
+function collectObjectIds(value, ids = new Set()) {
+  if (value instanceof mongoose.Types.ObjectId) {
+    ids.add(value.toString());
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectObjectIds(item, ids));
+  } else if (value && typeof value === 'object' && !(value instanceof Date) && !Buffer.isBuffer(value)) {
+    Object.values(value).forEach(item => collectObjectIds(item, ids));
+  }
+  return ids;
+}
+
+// Replaces the user ids of the source environment with the matching local
+// user's id, or null when that user does not exist here. Only the fields
+// known to hold user ids are touched.
+function remapUserIds(value, userIds, field = null) {
+  if (USER_ID_FIELDS.includes(field) && value !== null && typeof value !== 'object') {
+    return userIds.get(String(value)) || null;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => remapUserIds(item, userIds));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, remapUserIds(item, userIds, key)]));
+  }
+  return value;
+}
+
+// A zip holding manifest.json (format, version, source case id, referenced
+// users and the SHA-256 of every other entry), case.json (the full case,
+// including each document's extracted text and layout), members.json,
+// audit.json and each document's original file under documents/. Files that
+// cannot be read from storage are listed in the manifest's missingFiles.
+async function createBundle(caseId, { includeDeleted = false } = {}) {
+  const stored = await Case.findOne({ caseId }, null, { includeDeleted }).lean();
+  if (!stored) return null;
+
+  const caseData = await documentDetailService.attachDetails(caseService.convertLegacySides(stored));
+
+  const zip = new JSZip();
+  const files = {};
+  const missingFiles = [];
+
+  const addEntry = (name, content) => {
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    zip.file(name, buffer);
+    files[name] = integrityService.hashBuffer(buffer);
+  };
+
+  const parties = [];
+  for (const party of caseData.parties || []) {
+    const documents = [];
+
+    for (const [index, doc] of (party.documents || []).entries()) {
+      // Chunks are rebuilt from the text and layout on import
+      const entry = { ...omit(doc, [...STORAGE_FIELDS, 'chunks']), bundlePath: null };
+
+      if (doc.uploadedToCloud && (doc.storagePath || doc.path)) {
+        try {
+          const name = documentEntryName(party.id, index, doc.filename);
+          addEntry(name, await storageService.downloadDocument(doc));
+          entry.bundlePath = name;
+        } catch (error) {
+          missingFiles.push({ party: party.id, documentId: doc.id, filename: doc.filename, reason: error.message });
+        }
+      } else {
+        missingFiles.push({ party: party.id, documentId: doc.id, filename: doc.filename, reason: 'The file was never stored' });
+      }
+
+      documents.push(entry);
+    }
+
+    parties.push({ ...party, documents });
+  }
+
+  const memberships = await Membership.find({ caseId }).lean();
+  const events = await AuditEvent.find({ caseId }).sort({ timestamp: 1, _id: 1 }).lean();
+
+  const userIds = collectObjectIds([caseData, memberships.map(member => member.userId), events.map(event => event.actor)]);
+  const users = await User.find({ _id: { $in: [...userIds] } }).select('email name').lean();
+
+  addEntry('case.json', JSON.stringify({ ...omit(caseData, ['_id', '__v']), parties }, null, 2));
+  addEntry('members.json', JSON.stringify(memberships.map(member => ({
+    userId: member.userId,
+    role: member.role,
+    partyId: member.partyId || null
+  })), null, 2));
+  addEntry('audit.json', JSON.stringify(events.map(event => ({
+    action: event.action,
+    actor: event.actor || null,
+    target: event.target,
+    payloadDigest: event.payloadDigest,
+    timestamp: event.timestamp
+  })), null, 2));
+
+  zip.file('manifest.json', JSON.stringify({
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    caseId,
+    title: caseData.title,
+    exportedAt: new Date(),
+    users: users.map(user => ({ id: user._id.toString(), email: user.email, name: user.name })),
+    files,
+    missingFiles
+  }, null, 2));
+
+  return await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+function parseJsonEntry(name, content) {
+  try {
+    return JSON.parse(content.toString('utf8'));
+  } catch (error) {
+    throw new BundleError(`${name} is not valid JSON`, [error.message]);
+  }
+}
+
+// Rejects bundles whose entries declare more than `maxSize` bytes in all
+// before any of them is inflated
+function checkDeclaredSizes(zip, maxSize) {
+  const files = Object.values(zip.files).filter(file => !file.dir);
+
+  if (files.length > MAX_ENTRIES) {
+    throw new BundleError(`The bundle has more than ${MAX_ENTRIES} entries`);
+  }
+
+  const declared = files.reduce((total, file) => total + (file._data?.uncompressedSize || 0), 0);
+  if (declared > maxSize) {
+    throw new BundleError(`The bundle unpacks to more than ${maxSize} bytes`);
+  }
+}
+
+// The declared sizes come from the zip's headers and may be false, so
+// inflating stops as soon as the bundle's entries exceed `budget.remaining`
+function inflateEntry(file, budget) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = file.internalStream('uint8array');
+
+    stream
+      .on('data', chunk => {
+        budget.remaining -= chunk.length;
+        if (budget.remaining < 0) {
+          stream.pause();
+          reject(new BundleError(`The bundle unpacks to more than ${budget.maxSize} bytes`));
+          return;
+        }
+        chunks.push(chunk);
+      })
+      .on('error', error => reject(new BundleError(`${file.name} could not be unpacked`, [error.message])))
+      .on('end', () => resolve(Buffer.concat(chunks)))
+      .resume();
+  });
+}
+
+// Opens the bundle and checks every entry against the manifest's hashes
+// before anything is imported. Bundles unpacking to more than `maxSize`
+// bytes (MAX_BUNDLE_UNCOMPRESSED_SIZE) are rejected.
+async function readBundle(buffer, { maxSize = MAX_UNCOMPRESSED_SIZE } = {}) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw new BundleError('The bundle is not a valid zip file', [error.message]);
+  }
+
+  if (!zip.file('manifest.json')) {
+    throw new BundleError('The bundle has no manifest.json');
+  }
+
+  checkDeclaredSizes(zip, maxSize);
+  const budget = { maxSize, remaining: maxSize };
+
+  const manifest = parseJsonEntry('manifest.json', await inflateEntry(zip.file('manifest.json'), budget));
+  if (manifest.format !== BUNDLE_FORMAT) {
+    throw new BundleError(`The bundle is not an ${BUNDLE_FORMAT}`);
+  }
+  if (manifest.version !== BUNDLE_VERSION) {
+    throw new BundleError(`Bundle version ${manifest.version} is not supported; expected ${BUNDLE_VERSION}`);
+  }
+
+  const problems = [];
+  const entries = new Map();
+
+  for (const [name, sha256] of Object.entries(manifest.files || {})) {
+    const file = zip.file(name);
+    if (!file) {
+      problems.push(`${name}: listed in the manifest but missing`);
+      continue;
+    }
+
+    const content = await inflateEntry(file, budget);
+    if (integrityService.hashBuffer(content) !== sha256) {
+      problems.push(`${name}: SHA-256 does not match the manifest`);
+      continue;
+    }
+    entries.set(name, content);
+  }
+
+  for (const name of ['case.json', 'members.json', 'audit.json']) {
+    if (!entries.has(name) && !problems.some(problem => problem.startsWith(`${name}:`))) {
+      problems.push(`${name}: missing from the manifest`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new BundleError('The bundle failed its integrity check', problems);
+  }
+
+  const caseData = parseJsonEntry('case.json', entries.get('case.json'));
+
+  (caseData.parties || []).forEach(party => {
+    (party.documents || []).forEach(doc => {
+      if (!doc.bundlePath) return;
+      const content = entries.get(doc.bundlePath);
+
+      if (!content) {
+        problems.push(`${doc.bundlePath}: file of document ${doc.id} is missing`);
+      } else if (doc.sha256 && integrityService.hashBuffer(content) !== doc.sha256) {
+        problems.push(`${doc.bundlePath}: does not match the SHA-256 recorded for document ${doc.id}`);
+      }
+    });
+  });
+
+  if (problems.length > 0) {
+    throw new BundleError('The bundle failed its integrity check', problems);
+  }
+
+  return { manifest, caseData, members: parseJsonEntry('members.json', entries.get('members.json')), entries };
+}
+
+// Maps the bundle's user ids to local users with the same email
+async function matchUsers(manifest) {
+  const users = manifest.users || [];
+  const local = await User.find({ email: { $in: users.map(user => user.email) } }).select('email').lean();
+  const byEmail = new Map(local.map(user => [user.email, user._id.toString()]));
+
+  return new Map(users.map(user => [user.id, byEmail.get(user.email) || null]));
+}
+
+function rekeyCase(caseData, caseId) {
+  const withId = verdict => verdict ? { ...verdict, caseId } : verdict;
+
+  return {
+    ...caseData,
+    caseId,
+    verdict: withId(caseData.verdict),
+    verdictHistory: (caseData.verdictHistory || []).map(withId)
+  };
+}
+
+function validateCase(caseData) {
+  const document = new Case(caseData);
+  const error = document.validateSync();
+
+  if (error) {
+    throw new BundleError(
+      'case.json does not match the Case schema',
+      Object.values(error.errors).map(issue => `${issue.path}: ${issue.message}`)
+    );
+  }
+
+  return document;
+}
+
+// Removes each document's layout from the case, to be stored apart with the
+// document's chunks rebuilt from its text. Bundles made before the layout
+// was stored apart may also carry chunks, which are rebuilt all the same.
+function takeDocumentDetails(caseData) {
+  const details = [];
+
+  for (const party of caseData.parties || []) {
+    for (const doc of party.documents || []) {
+      const structure = doc.structure || null;
+      delete doc.structure;
+      delete doc.chunks;
+
+      details.push({
+        documentId: doc.id,
+        party: party.id,
+        structure,
+        chunks: retrievalService.chunkDocument(doc.extractedText, structure)
+      });
+    }
+  }
+
+  return details;
+}
+
+// Checks each bundled file's content against its document's type and scans
+// it, as uploads are. The bundle's own scan results are not trusted, and a
+// quarantined file is left unread until the judge clears it.
+async function checkDocuments(caseData, entries) {
+  const mismatched = [];
+
+  for (const party of caseData.parties || []) {
+    for (const doc of party.documents || []) {
+      const content = doc.bundlePath && entries.get(doc.bundlePath);
+
+      if (!content) {
+        doc.scan = { status: 'not_scanned', engine: null, signature: null, scannedAt: null };
+        continue;
+      }
+
+      const { matches, detected, mimeType } = fileTypeService.verifyFileType(content, doc.mimetype);
+      if (!matches) {
+        mismatched.push(`${doc.bundlePath}: content is ${detected || 'unrecognised'}, not ${doc.mimetype}`);
+        continue;
+      }
+      doc.mimetype = mimeType;
+
+      doc.scan = await scanService.scanBuffer(content);
+      if (scanService.isQuarantined(doc)) {
+        doc.extractedText = '';
+        doc.structure = null;
+        doc.ocr = null;
+      }
+    }
+  }
+
+  if (mismatched.length > 0) {
+    throw new BundleError('Bundled files do not match their type', mismatched);
+  }
+}
+
+// Stores each bundled file under the imported case and points its document
+// at it. Documents whose file was missing from the bundle keep their text
+// and index but have no stored file.
+async function storeDocuments(caseData, entries) {
+  const stored = [];
+
+  try {
+    for (const party of caseData.parties || []) {
+      for (const doc of party.documents || []) {
+        const { bundlePath } = doc;
+        delete doc.bundlePath;
+
+        if (!bundlePath) {
+          doc.uploadedToCloud = false;
+          continue;
+        }
+
+        const upload = await storageService.uploadDocument(
+          entries.get(bundlePath),
+          doc.filename,
+          doc.mimetype,
+          caseData.caseId,
+          `party-${party.id.toLowerCase()}`
+        );
+
+        Object.assign(doc, {
+          path: upload.storagePath,
+          storagePath: upload.storagePath,
+          storageDriver: upload.storageDriver,
+          uploadedToCloud: true
+        });
+        stored.push(doc);
+      }
+    }
+  } catch (error) {
+    await Promise.all(stored.map(doc => storageService.discardDocument(doc)));
+    throw error;
+  }
+
+  return stored;
+}
+
+// Imports a bundle created by createBundle. When the case id is already
+// taken, `conflict` decides: skip leaves the existing case alone, overwrite
+// replaces it (only its owner may, when `ownerId` is given) and rekey imports
+// the bundle as a new case with a fresh id. `ownerId` becomes the imported
+// case's creator; without it the original creator is kept if they exist
+// here. Members are restored for users that exist here, replacing those of
+// an overwritten case. The bundle's audit trail is not imported: the caller
+// records the import itself.
+async function importBundle(buffer, { conflict = 'skip', ownerId = null } = {}) {
+  if (!CONFLICT_MODES.includes(conflict)) {
+    throw new BundleError(`conflict must be one of ${CONFLICT_MODES.join(', ')}`);
+  }
+
+  const { manifest, caseData: bundled, members, entries } = await readBundle(buffer);
+  const userIds = await matchUsers(manifest);
+  const sourceCaseId = bundled.caseId;
+
+  const existing = await Case.findOne({ caseId: sourceCaseId }, null, { includeDeleted: true }).lean();
+  let caseId = sourceCaseId;
+  let status = 'imported';
+
+  if (existing) {
+    if (conflict === 'skip') {
+      return { status: 'skipped', caseId: null, sourceCaseId };
+    }
+
+    if (conflict === 'overwrite') {
+      if (ownerId && existing.createdBy?.toString() !== ownerId) {
+        throw new BundleConflictError(`Case ${sourceCaseId} already exists and belongs to another user; import it with conflict=rekey instead`, sourceCaseId);
+      }
+      status = 'overwritten';
+    } else {
+      caseId = caseService.generateCaseId();
+      status = 'rekeyed';
+    }
+  }
+
+  const caseData = remapUserIds(rekeyCase(bundled, caseId), userIds);
+  caseData.createdBy = ownerId || caseData.createdBy;
+  // An imported case is live even if it had been deleted where it came from
+  caseData.deletedAt = null;
+  caseData.deletedBy = null;
+
+  if (!caseData.createdBy) {
+    throw new BundleError('The case creator does not exist here; pass an owner for the imported case');
+  }
+
+  validateCase(caseData);
+  await checkDocuments(caseData, entries);
+  const details = takeDocumentDetails(caseData);
+  const stored = await storeDocuments(caseData, entries);
+
+  try {
+    const document = new Case(caseData);
+
+    if (status === 'overwritten') {
+      // Replacing the case in one write means a failed import leaves the
+      // existing case as it was
+      await Case.replaceOne({ caseId }, omit(document.toObject(), ['_id']), { includeDeleted: true });
+    } else {
+      await document.save();
+    }
+  } catch (error) {
+    await Promise.all(stored.map(doc => storageService.discardDocument(doc)));
+    throw error;
+  }
+
+  for (const detail of details) {
+    await documentDetailService.saveDetail(caseId, detail.documentId, detail);
+  }
+  await documentDetailService.deleteOtherDetails(caseId, details.map(detail => detail.documentId));
+
+  if (status === 'overwritten') {
+    const oldDocuments = (existing.parties || []).flatMap(party => party.documents || []);
+    await Promise.all(oldDocuments.map(doc => storageService.discardDocument(doc)));
+  }
+
+  // The replaced case's members have no say over the imported one
+  if (status === 'overwritten') {
+    await membershipService.removeAllMembers(caseId);
+  }
+
+  const partyIds = (caseData.parties || []).map(party => party.id);
+  for (const member of remapUserIds(members, userIds)) {
+    if (!member.userId || (member.role === 'party' && !partyIds.includes(member.partyId))) continue;
+    await membershipService.addMember(caseId, member.userId, member.role, caseData.createdBy, member.partyId);
+  }
+  if (!await membershipService.getMembership(caseId, caseData.createdBy.toString())) {
+    await membershipService.addMember(caseId, caseData.createdBy, 'observer', caseData.createdBy);
+  }
+
+  return {
+    status,
+    caseId,
+    sourceCaseId,
+    documents: stored.length,
+    missingFiles: manifest.missingFiles || []
+  };
+}
+
+const bundleService = {
+  createBundle,
+  readBundle,
+  importBundle
+};
+
+export { BUNDLE_FORMAT, BUNDLE_VERSION, CONFLICT_MODES, BundleError, BundleConflictError };
+export default bundleService;
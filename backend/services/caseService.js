@@ -1,12 +1,146 @@
 import crypto from 'crypto';
 import Case from '../models/Case.js';
+import membershipService from './membershipService.js';
+import documentDetailService from './documentDetailService.js';
+import { escapeRegex } from '../utils/regex.js';
+import scanService from './scanService.js';
+
+const MAX_PARTIES = 26;
+const MAX_ARGUMENTS_PER_PARTY = parseInt(process.env.MAX_ARGUMENTS_PER_PARTY) || 5;
+const DEFAULT_PARTIES = [
+  { name: 'Plaintiff', role: 'plaintiff' },
+  { name: 'Defendant', role: 'defendant' }
+];
+
+// Cases stored before multi-party support kept their evidence under sideA
+// and sideB
+const LEGACY_SIDES = [
+  { key: 'sideA', id: 'A', name: 'Plaintiff', role: 'plaintiff' },
+  { key: 'sideB', id: 'B', name: 'Defendant', role: 'defendant' }
+];
+const LEGACY_DECISIONS = { favor_side_a: ['A'], favor_side_b: ['B'] };
+
+// Document layout and chunks stored on the case before they moved to their
+// own collection, and legacy public file URLs, are never loaded
+const CASE_PROJECTION = '-parties.documents.chunks -parties.documents.structure -parties.documents.fileUrl';
+
+// Case lifecycle: the statuses each status may move to. A case stays in
+// arguments_phase while further arguments are heard; closed is final. An
+// appealed case waits for the appellate decision, which closes it or remands
+// it to the trial judge.
+const CASE_TRANSITIONS = {
+  created: ['awaiting_documents', 'ready_for_judgment', 'closed'],
+  awaiting_documents: ['ready_for_judgment', 'closed'],
+  ready_for_judgment: ['awaiting_documents', 'verdict_rendered', 'closed'],
+  verdict_rendered: ['arguments_phase', 'closed', 'appealed'],
+  arguments_phase: ['arguments_phase', 'closed', 'appealed'],
+  closed: [],
+  appealed: ['ready_for_judgment', 'arguments_phase', 'closed']
+};
+const PRE_JUDGMENT_STATUSES = ['created', 'awaiting_documents', 'ready_for_judgment'];
+const FINAL_STATUSES = ['closed', 'appealed'];
+
+// Fields the case list can be sorted by, with the order used when none is
+// given. Ties are broken by caseId so every case has a stable position.
+const CASE_SORTS = {
+  lastActivity: { field: 'metadata.lastActivity', order: 'desc' },
+  createdAt: { field: 'createdAt', order: 'desc' },
+  title: { field: 'title', order: 'asc' }
+};
+const DEFAULT_CASE_PAGE_SIZE = 20;
+const MAX_CASE_PAGE_SIZE = 100;
+
+// A listing parameter (filter, sort, limit or cursor) that cannot be used
+class InvalidCaseQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidCaseQueryError';
+  }
+}
+
+class InvalidTransitionError extends Error {
+  constructor(message, from, to) {
+    super(message);
+    this.name = 'InvalidTransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
 
 function generateCaseId() {
   return 'case_' + crypto.randomBytes(8).toString('hex') + '_' + Date.now();
 }
 
+function generateDocumentId() {
+  return 'doc_' + crypto.randomBytes(8).toString('hex');
+}
+
+function generateArgumentId() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+// Parties are lettered in the order they join: A, B, C, ...
+function partyIdAt(index) {
+  return String.fromCharCode(65 + index);
+}
+
+function buildParty(index, { name, role, description }) {
+  return {
+    id: partyIdAt(index),
+    name: name?.trim() || `Party ${partyIdAt(index)}`,
+    role,
+    description: description || null,
+    documents: [],
+    uploadedAt: null
+  };
+}
+
+function getParty(caseData, partyId) {
+  return (caseData?.parties || []).find(party => party.id === partyId) || null;
+}
+
+// Array filters addressing one party's document in positional updates
+function documentFilters(partyId, documentId) {
+  return [{ 'party.id': partyId }, { 'doc.id': documentId }];
+}
+
+// Converts a raw case document in the two-sided layout to parties A
+// (plaintiff) and B (defendant); cases that already have parties are
+// returned unchanged
+function convertLegacySides(caseData) {
+  if (caseData.parties?.length > 0 || (!caseData.sideA && !caseData.sideB)) return caseData;
+
+  const { sideA, sideB, metadata = {}, ...rest } = caseData;
+  const { sideAArguments, sideBArguments, ...metadataRest } = metadata;
+  const withParty = ({ side, ...entry }) => ({ ...entry, party: side });
+  const convertVerdict = verdict => verdict && {
+    ...verdict,
+    decision: LEGACY_DECISIONS[verdict.decision] ? 'favor_parties' : verdict.decision,
+    prevailingParties: LEGACY_DECISIONS[verdict.decision] || [],
+    citations: (verdict.citations || []).map(citation => ({ ...citation, sources: citation.sources.map(withParty) })),
+    trigger: verdict.trigger && withParty(verdict.trigger)
+  };
+
+  return {
+    ...rest,
+    parties: LEGACY_SIDES.map(({ key, ...party }) => ({
+      ...party,
+      description: caseData[key]?.description || null,
+      documents: caseData[key]?.documents || [],
+      uploadedAt: caseData[key]?.uploadedAt || null
+    })),
+    arguments: (caseData.arguments || []).map(withParty),
+    evidenceLeave: (caseData.evidenceLeave || []).map(withParty),
+    verdict: convertVerdict(caseData.verdict),
+    verdictHistory: (caseData.verdictHistory || []).map(convertVerdict),
+    metadata: { ...metadataRest, partyArguments: { A: sideAArguments || 0, B: sideBArguments || 0 } }
+  };
+}
+
 async function createCase(caseInfo) {
   const caseId = generateCaseId();
+  const parties = (caseInfo.parties?.length > 0 ? caseInfo.parties : DEFAULT_PARTIES)
+    .map((party, index) => buildParty(index, party));
   
   const newCase = new Case({
     caseId,
@@ -15,39 +149,93 @@ async function createCase(caseInfo) {
     country: caseInfo.country,
     caseType: caseInfo.caseType || 'civil',
     status: 'created',
-    sideA: {
-      description: null,
-      documents: [],
-      uploadedAt: null
-    },
-    sideB: {
-      description: null,
-      documents: [],
-      uploadedAt: null
-    },
+    createdBy: caseInfo.createdBy,
+    parties,
     verdict: null,
+    verdictHistory: [],
     arguments: [],
     metadata: {
       totalArguments: 0,
-      sideAArguments: 0,
-      sideBArguments: 0,
+      partyArguments: {},
       lastActivity: new Date()
     }
   });
 
   await newCase.save();
+
+  // The creator presides over the case, so joins it as an observer rather
+  // than as counsel
+  if (caseInfo.createdBy) {
+    await membershipService.addMember(caseId, caseInfo.createdBy, 'observer', caseInfo.createdBy);
+  }
+
   return newCase.toObject();
 }
 
-async function getCase(caseId) {
+// Documents are loaded without their layout and retrieval index; pass
+// { includeDocumentDetail: true } where retrieval needs them. Files are
+// served through signed URLs, never stored public ones.
+async function getCase(caseId, options = {}) {
   try {
-    const caseData = await Case.findOne({ caseId }).lean();
-    return caseData;
+    const caseData = await Case.findOne({ caseId }, CASE_PROJECTION).lean();
+    return options.includeDocumentDetail ? await documentDetailService.attachDetails(caseData) : caseData;
   } catch (error) {
     throw new Error(`Error loading case ${caseId}: ${error.message}`);
   }
 }
 
+// Just enough of the case to check who may access it
+async function getCaseOwner(caseId) {
+  try {
+    return await Case.findOne({ caseId }, 'caseId createdBy').lean();
+  } catch (error) {
+    throw new Error(`Error loading case ${caseId}: ${error.message}`);
+  }
+}
+
+// One uploaded document with its layout, without the retrieval index
+async function getDocument(caseId, partyId, documentIndex) {
+  try {
+    const caseData = await Case.findOne({ caseId }, CASE_PROJECTION).lean();
+    const doc = getParty(caseData, partyId)?.documents?.[documentIndex];
+
+    if (!doc) return null;
+
+    const detail = await documentDetailService.getDetail(caseId, doc.id);
+    return {
+      ...doc,
+      structure: detail?.structure || null,
+      party: partyId,
+      documentIndex,
+      chunkCount: detail?.chunks?.length || 0
+    };
+  } catch (error) {
+    throw new Error(`Error loading document ${partyId}${documentIndex + 1} of case ${caseId}: ${error.message}`);
+  }
+}
+
+// Storage record of a document looked up by its id, whichever party filed it
+async function findDocument(caseId, documentId) {
+  try {
+    const caseData = await Case.findOne(
+      { caseId },
+      '-parties.documents.chunks -parties.documents.structure -parties.documents.extractedText'
+    ).lean();
+
+    for (const party of caseData?.parties || []) {
+      const documentIndex = (party.documents || []).findIndex(doc => doc.id === documentId);
+
+      if (documentIndex !== -1) {
+        return { ...party.documents[documentIndex], party: party.id, documentIndex };
+      }
+    }
+
+    return null;
+  } catch (error) {
+    throw new Error(`Error loading document ${documentId} of case ${caseId}: ${error.message}`);
+  }
+}
+
 async function saveCase(caseData) {
   try {
     caseData.updatedAt = new Date();
@@ -61,62 +249,360 @@ async function saveCase(caseData) {
   }
 }
 
-async function addDocumentsToSide(caseId, side, documentData) {
-  let caseData = await getCase(caseId);
-  
+// Adds a party under the next free letter. Resolves to null when the case
+// already has the maximum number of parties or another party was added at
+// the same time.
+async function addParty(caseId, partyData) {
+  const caseData = await Case.findOne({ caseId }, 'parties.id').lean();
+
   if (!caseData) {
-    caseData = await createCase({
-      title: `Case ${caseId}`,
-      description: 'Auto-created case from document upload',
-      country: 'United States',
-      caseType: 'civil'
-    });
-    caseData.caseId = caseId;
+    throw new Error('Case not found');
   }
 
-  const sideKey = side === 'A' ? 'sideA' : 'sideB';
-  const updateData = {
-    [`${sideKey}.description`]: documentData.description,
-    [`${sideKey}.documents`]: documentData.documents,
-    [`${sideKey}.uploadedAt`]: new Date(),
-    'metadata.lastActivity': new Date()
-  };
+  const count = caseData.parties?.length || 0;
+  if (count >= MAX_PARTIES) return null;
+
+  return await Case.findOneAndUpdate(
+    { caseId, parties: { $size: count } },
+    {
+      $push: { parties: buildParty(count, partyData) },
+      $set: { 'metadata.lastActivity': new Date() }
+    },
+    { new: true, projection: CASE_PROJECTION }
+  ).lean();
+}
+
+async function updateParty(caseId, partyId, updates) {
+  const setFields = Object.fromEntries(
+    ['name', 'role', 'description']
+      .filter(field => updates[field] !== undefined)
+      .map(field => [`parties.$.${field}`, updates[field]])
+  );
+
+  return await Case.findOneAndUpdate(
+    { caseId, 'parties.id': partyId },
+    { $set: { ...setFields, 'metadata.lastActivity': new Date() } },
+    { new: true, projection: CASE_PROJECTION }
+  ).lean();
+}
+
+// Judgment needs evidence from at least one plaintiff and one defendant;
+// intervenors and amici may file but are not required to. Quarantined
+// documents count unless `excludeQuarantined` is set.
+function hasOpposingEvidence(caseData, { excludeQuarantined = false } = {}) {
+  return ['plaintiff', 'defendant'].every(role =>
+    (caseData?.parties || [])
+      .filter(party => party.role === role)
+      .some(party => (party.documents || []).some(doc => !excludeQuarantined || !scanService.isQuarantined(doc)))
+  );
+}
+
+// Conditions a case must meet to enter a status, beyond the transition
+// being allowed; each resolves to the reason it is not met, or null
+const TRANSITION_GUARDS = {
+  ready_for_judgment: caseData => hasOpposingEvidence(caseData)
+    ? null
+    : 'A plaintiff and a defendant must each file documents first',
+  verdict_rendered: caseData => hasEvidenceFromOpposingParties(caseData)
+    ? null
+    : 'A plaintiff and a defendant must each submit documents that are not quarantined before judgment can be rendered',
+  arguments_phase: caseData => caseData.verdict
+    ? null
+    : 'Initial verdict must be rendered before arguments can be submitted',
+  // A remanded case keeps its decided appeal and cannot be appealed again
+  appealed: caseData => {
+    if (!caseData.verdict) return 'Only a case with a verdict can be appealed';
+    return caseData.appeal ? 'The case has already been appealed' : null;
+  }
+};
+
+function getAllowedTransitions(caseData) {
+  return CASE_TRANSITIONS[caseData?.status] || [];
+}
+
+// Resolves to the reason the case cannot move to `to`, or null
+function checkTransition(caseData, to) {
+  if (!getAllowedTransitions(caseData).includes(to)) {
+    return caseData.status === to
+      ? `The case is already "${to}"`
+      : `Cannot move the case from "${caseData.status}" to "${to}"`;
+  }
+
+  return TRANSITION_GUARDS[to]?.(caseData) || null;
+}
+
+function isConcluded(caseData) {
+  return FINAL_STATUSES.includes(caseData?.status);
+}
 
-  const hasBothSides = side === 'A' 
-    ? (caseData.sideB?.documents?.length > 0 && documentData.documents.length > 0)
-    : (caseData.sideA?.documents?.length > 0 && documentData.documents.length > 0);
+// Moves the case to `to` and records the transition in statusHistory,
+// applying the `$set` and `$push` of `update` in the same write. The write
+// only succeeds while the case is still in the status the check was made
+// against; otherwise, or when the transition is not allowed, it throws an
+// InvalidTransitionError.
+async function transitionStatus(caseId, to, { by = null, reason = null, update = {} } = {}) {
+  const caseData = await getCase(caseId);
+
+  if (!caseData) {
+    throw new Error('Case not found');
+  }
 
-  updateData.status = hasBothSides ? 'ready_for_judgment' : 'awaiting_documents';
+  const problem = checkTransition(caseData, to);
+  if (problem) {
+    throw new InvalidTransitionError(problem, caseData.status, to);
+  }
+
+  const push = { ...update.$push };
+  if (caseData.status !== to) {
+    push.statusHistory = { from: caseData.status, to, by, reason, at: new Date() };
+  }
 
   const updatedCase = await Case.findOneAndUpdate(
-    { caseId },
-    { $set: updateData },
+    { caseId, status: caseData.status },
+    {
+      $set: { ...update.$set, status: to, 'metadata.lastActivity': new Date() },
+      ...(Object.keys(push).length > 0 && { $push: push })
+    },
     { new: true }
   ).lean();
 
+  if (!updatedCase) {
+    throw new InvalidTransitionError('The case status changed at the same time. Reload and try again.', caseData.status, to);
+  }
+
   return updatedCase;
 }
 
-async function setVerdict(caseId, verdict) {
+// Before the verdict the status follows which parties have filed evidence;
+// afterwards changes to the evidence leave it alone
+async function refreshDocumentStatus(caseData) {
+  if (!caseData || !PRE_JUDGMENT_STATUSES.includes(caseData.status)) return caseData;
+
+  const status = hasOpposingEvidence(caseData) ? 'ready_for_judgment' : 'awaiting_documents';
+
+  if (caseData.status === status) return caseData;
+
+  try {
+    return await transitionStatus(caseData.caseId, status, {
+      reason: status === 'ready_for_judgment' ? 'Evidence filed by a plaintiff and a defendant' : 'Awaiting evidence'
+    });
+  } catch (error) {
+    // Another request moved the case on first
+    if (error instanceof InvalidTransitionError) return await getCase(caseData.caseId);
+    throw error;
+  }
+}
+
+// Appends the documents to the party's exhibits; earlier exhibits keep their
+// numbers
+async function addDocumentsToParty(caseId, partyId, documentData) {
+  const setFields = {
+    'parties.$.uploadedAt': new Date(),
+    'metadata.lastActivity': new Date()
+  };
+
+  if (documentData.description) {
+    setFields['parties.$.description'] = documentData.description;
+  }
+
   const updatedCase = await Case.findOneAndUpdate(
+    { caseId, 'parties.id': partyId },
+    {
+      $set: setFields,
+      $push: { 'parties.$.documents': { $each: documentData.documents } }
+    },
+    { new: true }
+  ).lean();
+
+  if (!updatedCase) {
+    throw new Error('Case or party not found');
+  }
+
+  return await refreshDocumentStatus(updatedCase);
+}
+
+// Judgment needs evidence that is not quarantined from both sides of the
+// dispute
+function hasEvidenceFromOpposingParties(caseData) {
+  return hasOpposingEvidence(caseData, { excludeQuarantined: true });
+}
+
+async function clearQuarantine(caseId, partyId, documentId, { clearedBy, note }) {
+  return await Case.findOneAndUpdate(
     { caseId },
-    { 
-      $set: { 
-        verdict,
-        status: 'verdict_rendered',
+    {
+      $set: {
+        'parties.$[party].documents.$[doc].scan.status': 'cleared',
+        'parties.$[party].documents.$[doc].scan.clearedBy': clearedBy,
+        'parties.$[party].documents.$[doc].scan.clearedAt': new Date(),
+        'parties.$[party].documents.$[doc].scan.clearanceNote': note || null
+      }
+    },
+    {
+      new: true,
+      arrayFilters: documentFilters(partyId, documentId),
+      projection: 'parties.id parties.documents.id parties.documents.scan'
+    }
+  ).lean();
+}
+
+// Fields needed to find and delete a document's stored file
+function storedFileProjection() {
+  return ['id', 'filename', 'path', 'storagePath', 'storageDriver', 'fileUrl', 'uploadedToCloud']
+    .map(field => `parties.documents.${field}`)
+    .concat('parties.id')
+    .join(' ');
+}
+
+function findStoredDocument(caseData, partyId, documentId) {
+  return getParty(caseData, partyId)?.documents?.find(doc => doc.id === documentId) || null;
+}
+
+// Removes one document and resolves to the removed document, or null when
+// it does not exist
+async function removeDocument(caseId, partyId, documentId) {
+  const previousCase = await Case.findOneAndUpdate(
+    { caseId, parties: { $elemMatch: { id: partyId, 'documents.id': documentId } } },
+    {
+      $pull: { 'parties.$[party].documents': { id: documentId } },
+      $set: { 'metadata.lastActivity': new Date() }
+    },
+    { arrayFilters: [{ 'party.id': partyId }], projection: storedFileProjection() }
+  ).lean();
+
+  if (!previousCase) return null;
+
+  await documentDetailService.deleteDetails(caseId, [documentId]);
+  await refreshDocumentStatus(await getCase(caseId));
+  return findStoredDocument(previousCase, partyId, documentId);
+}
+
+// Puts `document` in the place of an existing one, keeping its exhibit
+// number, and resolves to the replaced document (null when it is gone)
+async function replaceDocument(caseId, partyId, documentId, document) {
+  const previousCase = await Case.findOneAndUpdate(
+    { caseId, parties: { $elemMatch: { id: partyId, 'documents.id': documentId } } },
+    {
+      $set: {
+        'parties.$[party].documents.$[doc]': document,
+        'parties.$[party].uploadedAt': new Date(),
         'metadata.lastActivity': new Date()
       }
     },
+    { arrayFilters: documentFilters(partyId, documentId), projection: storedFileProjection() }
+  ).lean();
+
+  if (!previousCase) return null;
+
+  await documentDetailService.deleteDetails(caseId, [documentId]);
+  return findStoredDocument(previousCase, partyId, documentId);
+}
+
+// Once a verdict is rendered a party's evidence may only change with the
+// judge's leave, and not at all once the case is closed or appealed;
+// resolves to the reason it is locked, or null
+function getEvidenceLock(caseData, partyId) {
+  if (isConcluded(caseData)) {
+    return `Evidence cannot change once the case is ${caseData.status}`;
+  }
+
+  if (!caseData.verdict) return null;
+
+  const leave = (caseData.evidenceLeave || []).find(entry => entry.party === partyId);
+  return leave ? null : 'Evidence is locked once the verdict is rendered. The judge must grant leave to introduce new evidence.';
+}
+
+// Replaces the party's leave when it has one and adds it otherwise. The add
+// only applies while the party has no leave, so concurrent grants cannot
+// record it twice; a grant that loses the race replaces the winner's.
+async function grantEvidenceLeave(caseId, partyId, { reason, grantedBy }) {
+  const leave = { party: partyId, reason, grantedBy, grantedAt: new Date() };
+  const replaceLeave = () => Case.findOneAndUpdate(
+    { caseId, 'evidenceLeave.party': partyId },
+    { $set: { 'evidenceLeave.$': leave } },
     { new: true }
   ).lean();
-  
-  if (!updatedCase) {
+
+  const replaced = await replaceLeave();
+  if (replaced) return replaced;
+
+  const added = await Case.findOneAndUpdate(
+    { caseId, 'evidenceLeave.party': { $ne: partyId } },
+    { $push: { evidenceLeave: leave } },
+    { new: true }
+  ).lean();
+
+  return added || await replaceLeave();
+}
+
+async function revokeEvidenceLeave(caseId, partyId) {
+  return await Case.findOneAndUpdate(
+    { caseId },
+    { $pull: { evidenceLeave: { party: partyId } } },
+    { new: true }
+  ).lean();
+}
+
+async function documentExists(caseId, partyId, documentId) {
+  return !!(await Case.exists({ caseId, parties: { $elemMatch: { id: partyId, 'documents.id': documentId } } }));
+}
+
+// Applies `updates` to the fields of one document; resolves to null when the
+// document no longer exists (e.g. it was replaced by a later upload)
+async function updateDocument(caseId, partyId, documentId, updates) {
+  const setFields = Object.fromEntries(
+    Object.entries(updates).map(([field, value]) => [`parties.$[party].documents.$[doc].${field}`, value])
+  );
+
+  return await Case.findOneAndUpdate(
+    { caseId, parties: { $elemMatch: { id: partyId, 'documents.id': documentId } } },
+    { $set: setFields },
+    { new: true, arrayFilters: documentFilters(partyId, documentId) }
+  ).lean();
+}
+
+// Only a case that is ready for judgment can receive its initial verdict,
+// so a rendered verdict is never overwritten
+async function setVerdict(caseId, verdict, { by = null } = {}) {
+  return await recordVerdictRevision(caseId, verdict, { type: 'initial' }, 'verdict_rendered', by);
+}
+
+async function reviseVerdict(caseId, verdict, trigger) {
+  return await recordVerdictRevision(caseId, verdict, { type: 'argument', ...trigger }, 'arguments_phase');
+}
+
+// Makes `verdict` the current verdict and appends it to verdictHistory as the
+// next revision, moving the case to `status`. Cases decided before history
+// was kept get their existing verdict backfilled as revision 1 first.
+async function recordVerdictRevision(caseId, verdict, trigger, status, by = null) {
+  const caseData = await getCase(caseId);
+
+  if (!caseData) {
     throw new Error('Case not found');
   }
 
-  return updatedCase;
+  const history = caseData.verdictHistory || [];
+  const backfill = history.length === 0 && caseData.verdict
+    ? [{ ...caseData.verdict, revision: 1, trigger: { type: 'initial' } }]
+    : [];
+
+  const revision = {
+    ...verdict,
+    revision: history.length + backfill.length + 1,
+    trigger
+  };
+
+  return await transitionStatus(caseId, status, {
+    by,
+    reason: trigger.type === 'initial' ? 'Initial verdict rendered' : null,
+    update: {
+      $set: { verdict: revision },
+      $push: { verdictHistory: { $each: [...backfill, revision] } }
+    }
+  });
 }
 
+// `argumentData.id` may be assigned beforehand with generateArgumentId
 async function addArgument(caseId, argumentData) {
   const caseData = await getCase(caseId);
   
@@ -126,39 +612,114 @@ async function addArgument(caseId, argumentData) {
 
   const argumentWithId = {
     ...argumentData,
-    id: crypto.randomBytes(4).toString('hex'),
+    id: argumentData.id || generateArgumentId(),
     timestamp: argumentData.timestamp || new Date()
   };
 
   const currentArguments = caseData.arguments || [];
-  const sideACount = currentArguments.filter(arg => arg.side === 'A').length + (argumentData.side === 'A' ? 1 : 0);
-  const sideBCount = currentArguments.filter(arg => arg.side === 'B').length + (argumentData.side === 'B' ? 1 : 0);
+  const partyCount = currentArguments.filter(arg => arg.party === argumentData.party).length + 1;
 
-  const updatedCase = await Case.findOneAndUpdate(
-    { caseId },
-    { 
+  return await transitionStatus(caseId, 'arguments_phase', {
+    reason: caseData.status === 'verdict_rendered' ? `First argument, from Party ${argumentData.party}` : null,
+    update: {
       $push: { arguments: argumentWithId },
       $set: {
-        status: 'arguments_phase',
         'metadata.totalArguments': currentArguments.length + 1,
-        'metadata.sideAArguments': sideACount,
-        'metadata.sideBArguments': sideBCount,
-        'metadata.lastActivity': new Date()
+        [`metadata.partyArguments.${argumentData.party}`]: partyCount
       }
-    },
+    }
+  });
+}
+
+// An appealed case is closed by the appellate decision, not by the owner
+async function closeCase(caseId, { by, reason }) {
+  const caseData = await getCase(caseId);
+  if (caseData?.status === 'appealed') {
+    throw new InvalidTransitionError('An appealed case is closed by the appellate decision', 'appealed', 'closed');
+  }
+
+  return await transitionStatus(caseId, 'closed', { by, reason: reason || null });
+}
+
+// Files the appeal against the current verdict and moves the case to
+// `appealed`; the appellate review itself runs as a background job
+async function fileAppeal(caseId, { party, grounds, filedBy, verdictRevision }) {
+  return await transitionStatus(caseId, 'appealed', {
+    by: filedBy,
+    reason: `Appeal filed by Party ${party}`,
+    update: {
+      $set: {
+        appeal: {
+          party,
+          grounds,
+          filedBy,
+          filedAt: new Date(),
+          verdictRevision,
+          status: 'pending',
+          error: null,
+          decision: null
+        }
+      }
+    }
+  });
+}
+
+const APPEAL_OUTCOME_REASONS = {
+  affirm: 'Judgment affirmed on appeal',
+  reverse: 'Judgment reversed on appeal',
+  remand: 'Remanded to the trial judge on appeal'
+};
+
+// An affirmed or reversed judgment ends the case. A remand returns it to the
+// stage it was appealed from: further arguments if it was already in
+// arguments_phase, otherwise a fresh judgment.
+function appealOutcomeStatus(caseData, decision) {
+  if (decision.outcome !== 'remand') return 'closed';
+
+  const filing = [...(caseData.statusHistory || [])].reverse().find(entry => entry.to === 'appealed');
+  return filing?.from === 'arguments_phase' ? 'arguments_phase' : 'ready_for_judgment';
+}
+
+// Records the decision and moves the case on accordingly; returns null when
+// the appeal has already been decided
+async function recordAppealDecision(caseId, decision) {
+  const caseData = await getCase(caseId);
+  if (caseData?.status !== 'appealed' || caseData.appeal?.status === 'decided') {
+    return null;
+  }
+
+  return await transitionStatus(caseId, appealOutcomeStatus(caseData, decision), {
+    reason: APPEAL_OUTCOME_REASONS[decision.outcome],
+    update: {
+      $set: {
+        'appeal.status': 'decided',
+        'appeal.decision': decision,
+        'appeal.error': null
+      }
+    }
+  });
+}
+
+async function markAppealFailed(caseId, error) {
+  return await Case.findOneAndUpdate(
+    { caseId, 'appeal.status': 'pending' },
+    { $set: { 'appeal.status': 'failed', 'appeal.error': error } },
     { new: true }
   ).lean();
+}
 
-  return updatedCase;
+// Puts a failed review back to pending so it can be queued again; returns
+// null unless the last review failed
+async function retryAppealReview(caseId) {
+  return await Case.findOneAndUpdate(
+    { caseId, status: 'appealed', 'appeal.status': 'failed' },
+    { $set: { 'appeal.status': 'pending', 'appeal.error': null } },
+    { new: true }
+  ).lean();
 }
 
-async function getAllCases() {
-  const cases = await Case.find()
-    .select('caseId title status country caseType createdAt updatedAt verdict metadata')
-    .sort({ 'metadata.lastActivity': -1 })
-    .lean();
-  
-  return cases.map(caseData => ({
+function caseSummary(caseData) {
+  return {
     caseId: caseData.caseId,
     title: caseData.title,
     status: caseData.status,
@@ -169,21 +730,200 @@ async function getAllCases() {
     hasVerdict: !!caseData.verdict,
     totalArguments: caseData.metadata?.totalArguments || 0,
     lastActivity: caseData.metadata?.lastActivity || caseData.updatedAt
-  }));
+  };
+}
+
+function dateRange(from, to) {
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return Object.keys(range).length > 0 ? range : null;
 }
 
-async function deleteCase(caseId) {
+// Builds the Mongo filter for the case list from criteria parsed by
+// casesRequests.list (services/requestSchemas.js): `status` and `caseType`
+// are arrays, `hasVerdict` a boolean and the date bounds Dates, inclusive.
+// Country and title match as literal, case-insensitive substrings.
+function caseFilter(criteria = {}, { caseIds } = {}) {
+  const query = {};
+
+  if (caseIds) {
+    query.caseId = { $in: caseIds };
+  }
+
+  if (criteria.status?.length) {
+    query.status = { $in: criteria.status };
+  }
+
+  if (criteria.country) {
+    query.country = { $regex: escapeRegex(criteria.country), $options: 'i' };
+  }
+
+  if (criteria.caseType?.length) {
+    query.caseType = { $in: criteria.caseType };
+  }
+
+  if (criteria.title) {
+    query.title = { $regex: escapeRegex(criteria.title), $options: 'i' };
+  }
+
+  if (typeof criteria.hasVerdict === 'boolean') {
+    query.verdict = criteria.hasVerdict ? { $ne: null } : null;
+  }
+
+  const created = dateRange(criteria.createdFrom, criteria.createdTo);
+  if (created) {
+    query.createdAt = created;
+  }
+
+  const active = dateRange(criteria.activeFrom, criteria.activeTo);
+  if (active) {
+    query['metadata.lastActivity'] = active;
+  }
+
+  return query;
+}
+
+// Cursors are opaque to clients: the sort value and caseId of the last case
+// on the previous page
+function encodeCursor(value, caseId) {
+  return Buffer.from(JSON.stringify([value, caseId])).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  try {
+    const [value, caseId] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof caseId !== 'string') throw new Error('missing caseId');
+
+    return { value: value !== null && sort !== 'title' ? new Date(value) : value, caseId };
+  } catch {
+    throw new InvalidCaseQueryError('cursor is not valid for this listing');
+  }
+}
+
+// Cases after the cursor in the listing's order. Mongo sorts missing values
+// before everything else, and `$gt: null` matches nothing, so a null cursor
+// value needs its own condition.
+function afterCursor(field, order, { value, caseId }) {
+  const beyond = order === 'asc' ? '$gt' : '$lt';
+
+  if (value === null) {
+    return order === 'asc'
+      ? { $or: [{ [field]: { $ne: null } }, { [field]: null, caseId: { $gt: caseId } }] }
+      : { [field]: null, caseId: { $lt: caseId } };
+  }
+
+  const conditions = [{ [field]: { [beyond]: value } }, { [field]: value, caseId: { [beyond]: caseId } }];
+  if (order === 'desc') {
+    conditions.push({ [field]: null });
+  }
+  return { $or: conditions };
+}
+
+// One page of case summaries matching `query`, with the number of matching
+// cases and the cursor of the next page (null on the last page)
+async function findCasePage(query, { sort = 'lastActivity', order, limit = DEFAULT_CASE_PAGE_SIZE, cursor } = {}) {
+  if (!CASE_SORTS[sort]) {
+    throw new InvalidCaseQueryError(`sort must be one of ${Object.keys(CASE_SORTS).join(', ')}`);
+  }
+  if (order && !['asc', 'desc'].includes(order)) {
+    throw new InvalidCaseQueryError('order must be asc or desc');
+  }
+  if (!(limit > 0)) {
+    throw new InvalidCaseQueryError('limit must be a positive number');
+  }
+
+  const { field } = CASE_SORTS[sort];
+  const direction = order || CASE_SORTS[sort].order;
+  const pageSize = Math.min(limit, MAX_CASE_PAGE_SIZE);
+  const pageQuery = cursor
+    ? { $and: [query, afterCursor(field, direction, decodeCursor(cursor, sort))] }
+    : query;
+  const sign = direction === 'asc' ? 1 : -1;
+
+  const [cases, total] = await Promise.all([
+    Case.find(pageQuery)
+      .select('caseId title status country caseType createdAt updatedAt verdict.decision metadata')
+      .sort({ [field]: sign, caseId: sign })
+      .limit(pageSize + 1)
+      .lean(),
+    Case.countDocuments(query)
+  ]);
+
+  const page = cases.slice(0, pageSize);
+  const last = page[page.length - 1];
+  const lastValue = sort === 'title' ? last?.title : (sort === 'createdAt' ? last?.createdAt : last?.metadata?.lastActivity);
+
+  return {
+    cases: page.map(caseSummary),
+    total,
+    sort,
+    order: direction,
+    limit: pageSize,
+    nextCursor: cases.length > pageSize ? encodeCursor(lastValue ?? null, last.caseId) : null
+  };
+}
+
+// `options` holds the caseIds the user may see and the page (sort, order,
+// limit, cursor)
+async function getAllCases(criteria = {}, { caseIds, ...page } = {}) {
+  return await findCasePage(caseFilter({ ...criteria, title: undefined }, { caseIds }), page);
+}
+
+// Cases are soft-deleted: the case, its members and its files are kept so the
+// owner can restore it
+async function deleteCase(caseId, { deletedBy = null } = {}) {
   try {
-    const result = await Case.findOneAndDelete({ caseId });
+    const result = await Case.findOneAndUpdate(
+      { caseId },
+      { $set: { deletedAt: new Date(), deletedBy } },
+      { projection: 'caseId' }
+    ).lean();
     return !!result;
   } catch (error) {
     throw new Error(`Error deleting case ${caseId}: ${error.message}`);
   }
 }
 
-async function getCaseStatistics() {
-  const cases = await getAllCases();
-  
+async function getDeletedCase(caseId) {
+  return await Case.findOne(
+    { caseId, deletedAt: { $ne: null } },
+    'caseId title createdBy deletedAt deletedBy',
+    { includeDeleted: true }
+  ).lean();
+}
+
+async function restoreCase(caseId) {
+  return await Case.findOneAndUpdate(
+    { caseId, deletedAt: { $ne: null } },
+    { $set: { deletedAt: null, deletedBy: null } },
+    { new: true, includeDeleted: true, projection: 'caseId title status' }
+  ).lean();
+}
+
+// Deleted cases the user created, most recently deleted first
+async function listDeletedCases(userId) {
+  const cases = await Case.find(
+    { createdBy: userId, deletedAt: { $ne: null } },
+    'caseId title status deletedAt',
+    { includeDeleted: true }
+  ).sort({ deletedAt: -1 }).lean();
+
+  return cases.map(caseData => ({
+    caseId: caseData.caseId,
+    title: caseData.title,
+    status: caseData.status,
+    deletedAt: caseData.deletedAt
+  }));
+}
+
+async function getCaseStatistics(options = {}) {
+  const query = caseFilter({}, options);
+  const [cases, recent] = await Promise.all([
+    Case.find(query).select('status country caseType verdict.decision metadata.totalArguments').lean(),
+    findCasePage(query, { limit: 5 })
+  ]);
+
   const stats = {
     totalCases: cases.length,
     statusBreakdown: {},
@@ -191,20 +931,26 @@ async function getCaseStatistics() {
     typeBreakdown: {},
     averageArgumentsPerCase: 0,
     casesWithVerdict: 0,
-    recentActivity: cases.slice(0, 5)
+    casesWithArguments: 0,
+    recentActivity: recent.cases
   };
 
   let totalArguments = 0;
 
   cases.forEach(caseData => {
+    const caseArguments = caseData.metadata?.totalArguments || 0;
+
     stats.statusBreakdown[caseData.status] = (stats.statusBreakdown[caseData.status] || 0) + 1;
     stats.countryBreakdown[caseData.country] = (stats.countryBreakdown[caseData.country] || 0) + 1;
     stats.typeBreakdown[caseData.caseType] = (stats.typeBreakdown[caseData.caseType] || 0) + 1;
-    totalArguments += caseData.totalArguments || 0;
+    totalArguments += caseArguments;
     
-    if (caseData.hasVerdict) {
+    if (caseData.verdict) {
       stats.casesWithVerdict++;
     }
+    if (caseArguments > 0) {
+      stats.casesWithArguments++;
+    }
   });
 
   if (cases.length > 0) {
@@ -214,59 +960,56 @@ async function getCaseStatistics() {
   return stats;
 }
 
-async function searchCases(criteria = {}) {
-  const query = {};
-
-  if (criteria.status) {
-    query.status = criteria.status;
-  }
-
-  if (criteria.country) {
-    query.country = { $regex: criteria.country, $options: 'i' };
-  }
-
-  if (criteria.caseType) {
-    query.caseType = criteria.caseType;
-  }
-
-  if (criteria.title) {
-    query.title = { $regex: criteria.title, $options: 'i' };
-  }
-
-  if (criteria.hasVerdict !== undefined) {
-    query.verdict = criteria.hasVerdict === 'true' ? { $ne: null } : null;
-  }
-
-  const cases = await Case.find(query)
-    .select('caseId title status country caseType createdAt updatedAt verdict metadata')
-    .sort({ 'metadata.lastActivity': -1 })
-    .lean();
-
-  return cases.map(caseData => ({
-    caseId: caseData.caseId,
-    title: caseData.title,
-    status: caseData.status,
-    country: caseData.country,
-    caseType: caseData.caseType,
-    createdAt: caseData.createdAt,
-    updatedAt: caseData.updatedAt,
-    hasVerdict: !!caseData.verdict,
-    totalArguments: caseData.metadata?.totalArguments || 0,
-    lastActivity: caseData.metadata?.lastActivity || caseData.updatedAt
-  }));
+// Like getAllCases, but also matches on `title`
+async function searchCases(criteria = {}, { caseIds, ...page } = {}) {
+  return await findCasePage(caseFilter(criteria, { caseIds }), page);
 }
 
 const caseService = {
   createCase,
   getCase,
+  getCaseOwner,
+  getDocument,
+  findDocument,
+  generateCaseId,
+  generateDocumentId,
+  generateArgumentId,
+  documentExists,
+  updateDocument,
   saveCase,
-  addDocumentsToSide,
+  convertLegacySides,
+  partyIdAt,
+  getParty,
+  addParty,
+  updateParty,
+  addDocumentsToParty,
+  removeDocument,
+  replaceDocument,
+  getEvidenceLock,
+  hasEvidenceFromOpposingParties,
+  clearQuarantine,
+  grantEvidenceLeave,
+  revokeEvidenceLeave,
+  getAllowedTransitions,
+  checkTransition,
+  isConcluded,
+  transitionStatus,
   setVerdict,
+  reviseVerdict,
   addArgument,
+  closeCase,
+  fileAppeal,
+  recordAppealDecision,
+  markAppealFailed,
+  retryAppealReview,
   getAllCases,
   deleteCase,
+  getDeletedCase,
+  restoreCase,
+  listDeletedCases,
   getCaseStatistics,
   searchCases
 };
 
+export { MAX_PARTIES, MAX_ARGUMENTS_PER_PARTY, CASE_SORTS, InvalidTransitionError, InvalidCaseQueryError };
 export default caseService;
\ No newline at end of file
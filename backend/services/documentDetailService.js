@@ -0,0 +1,61 @@
+import DocumentDetail from '../models/DocumentDetail.js';
+
+// Documents' layout and retrieval index, stored one record per document
+// apart from the case (see models/DocumentDetail.js)
+
+async function saveDetail(caseId, documentId, { party, structure, chunks }) {
+  await DocumentDetail.findOneAndUpdate(
+    { caseId, documentId },
+    { $set: { party, structure: structure || null, chunks: chunks || [] } },
+    { upsert: true }
+  );
+}
+
+async function getDetail(caseId, documentId) {
+  return await DocumentDetail.findOne({ caseId, documentId }).lean();
+}
+
+// A copy of the case with each document's structure and chunks attached, as
+// retrieval expects them. Documents without stored detail are left as they
+// are and chunked on the fly.
+async function attachDetails(caseData) {
+  if (!caseData) return caseData;
+
+  const details = await DocumentDetail.find({ caseId: caseData.caseId }).lean();
+  const byDocument = new Map(details.map(detail => [detail.documentId, detail]));
+
+  return {
+    ...caseData,
+    parties: (caseData.parties || []).map(party => ({
+      ...party,
+      documents: (party.documents || []).map(doc => {
+        const detail = byDocument.get(doc.id);
+        return detail ? { ...doc, structure: detail.structure, chunks: detail.chunks } : doc;
+      })
+    }))
+  };
+}
+
+async function deleteDetails(caseId, documentIds) {
+  await DocumentDetail.deleteMany({ caseId, documentId: { $in: documentIds } });
+}
+
+// Removes the detail of every document of the case not in `documentIds`
+async function deleteOtherDetails(caseId, documentIds) {
+  await DocumentDetail.deleteMany({ caseId, documentId: { $nin: documentIds } });
+}
+
+async function deleteCaseDetails(caseId) {
+  await DocumentDetail.deleteMany({ caseId });
+}
+
+const documentDetailService = {
+  saveDetail,
+  getDetail,
+  attachDetails,
+  deleteDetails,
+  deleteOtherDetails,
+  deleteCaseDetails
+};
+
+export default documentDetailService;
@@ -1,55 +1,426 @@
 // Import internal entry to avoid package debug code reading test files
 import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+import path from 'path';
 import mammoth from 'mammoth';
+import WordExtractor from 'word-extractor';
+import JSZip from 'jszip';
+import { Parser } from 'htmlparser2';
+import { marked } from 'marked';
+import { simpleParser } from 'mailparser';
+import ocrService from './ocrService.js';
+import rtfParser from './rtfParser.js';
+import documentStructure from './documentStructure.js';
 
+// PDFs averaging fewer extractable characters per page than this are treated
+// as scans without a usable text layer
+const MIN_TEXT_CHARS_PER_PAGE = 20;
+
+// Attached emails are parsed recursively up to this depth
+const MAX_EMAIL_DEPTH = 5;
+
+const MIME_TYPES_BY_EXTENSION = {
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+  '.rtf': 'application/rtf',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.markdown': 'text/markdown',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.eml': 'message/rfc822',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff'
+};
+
+// Alternative types browsers and mail clients report for the same formats
+const MIME_TYPE_ALIASES = {
+  'text/rtf': 'application/rtf',
+  'text/x-markdown': 'text/markdown',
+  'image/jpg': 'image/jpeg'
+};
+
+const SUPPORTED_MIME_TYPES = [...new Set(Object.values(MIME_TYPES_BY_EXTENSION))];
+
+// Maps a reported MIME type to the one the parser handles, falling back to the
+// file extension when the client sends a generic or missing type
+function resolveMimeType(mimeType, filename) {
+  const normalized = MIME_TYPE_ALIASES[mimeType] || mimeType;
+  if (SUPPORTED_MIME_TYPES.includes(normalized)) {
+    return normalized;
+  }
+
+  const extension = path.extname(filename || '').toLowerCase();
+  return MIME_TYPES_BY_EXTENSION[extension] || normalized;
+}
+
+// Resolves to { text, structure, ocr }: `structure` holds the pages,
+// headings, paragraphs and tables the text was rendered from, and `ocr` holds
+// per-page recognition confidence when OCR was used (null otherwise)
 async function parseDocumentFromBuffer(buffer, mimeType) {
+  const { pages, ocr } = await extractPages(buffer, mimeType);
+  const { text, structure } = documentStructure.buildStructure(pages);
+
+  if (!text) {
+    throw new Error('No text content found in document');
+  }
+
+  return { text, structure, ocr };
+}
+
+// Each parser returns an array of pages, each an array of blocks
+async function extractPages(buffer, mimeType, depth = 0) {
   switch (mimeType) {
     case 'application/pdf':
       return await parsePDFFromBuffer(buffer);
     case 'application/msword':
+      return { pages: await parseLegacyWordFromBuffer(buffer), ocr: null };
     case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
-      return await parseWordFromBuffer(buffer);
+      return { pages: await parseWordFromBuffer(buffer), ocr: null };
+    case 'application/vnd.oasis.opendocument.text':
+      return { pages: await parseODTFromBuffer(buffer), ocr: null };
+    case 'application/rtf':
+      return { pages: parseRTFFromBuffer(buffer), ocr: null };
     case 'text/plain':
-      return cleanExtractedText(buffer.toString('utf8'));
+      return { pages: [documentStructure.textToBlocks(buffer.toString('utf8'))], ocr: null };
+    case 'text/markdown':
+      return { pages: parseMarkdownFromBuffer(buffer), ocr: null };
+    case 'text/html':
+      return { pages: parseHTMLFromBuffer(buffer), ocr: null };
+    case 'message/rfc822':
+      return { pages: await parseEmailFromBuffer(buffer, depth), ocr: null };
+    case 'image/png':
+    case 'image/jpeg':
+    case 'image/tiff':
+      return await parseImageFromBuffer(buffer, mimeType);
     default:
       throw new Error(`Unsupported file type: ${mimeType}`);
   }
 }
 
 async function parsePDFFromBuffer(dataBuffer) {
-  const data = await pdfParse(dataBuffer);
-  
-  if (!data.text || data.text.trim().length === 0) {
-    throw new Error('No text content found in PDF');
+  const pages = [];
+  let textLength = 0;
+
+  // pdf-parse renders pages in order; the layout is collected here and the
+  // plain text it returns is ignored
+  await pdfParse(dataBuffer, {
+    pagerender: async pageData => {
+      const content = await pageData.getTextContent({
+        normalizeWhitespace: false,
+        disableCombineTextItems: false
+      });
+      const blocks = layoutPdfPage(content.items);
+      textLength += blocks.reduce((sum, block) => sum + block.text.length, 0);
+      pages.push(blocks);
+      return '';
+    }
+  });
+
+  if (textLength / Math.max(pages.length, 1) >= MIN_TEXT_CHARS_PER_PAGE) {
+    return { pages, ocr: null };
+  }
+
+  const result = await ocrService.ocrPdf(dataBuffer);
+
+  if (!result.text.trim()) {
+    throw new Error('No text content found in PDF, including by OCR');
+  }
+
+  return { pages: ocrParagraphsToPages(result.pages), ocr: result.ocr };
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function joinLines(lines) {
+  return lines.reduce((text, line) => {
+    if (!text) return line;
+    // Rejoin words hyphenated across a line break
+    return /\p{L}-$/u.test(text) ? text.slice(0, -1) + line : `${text} ${line}`;
+  }, '');
+}
+
+// Groups a page's text items into lines by baseline, then lines into
+// paragraphs at wider than usual vertical gaps. Lines set noticeably larger
+// than the page's body text become headings.
+function layoutPdfPage(items) {
+  const lines = [];
+  let current = null;
+
+  for (const item of items) {
+    if (!item.str) continue;
+
+    const [a, b, c, d, x, y] = item.transform;
+    const size = Math.hypot(c, d) || Math.hypot(a, b) || item.height || 0;
+
+    if (!current || Math.abs(y - current.y) > Math.max(size, current.size) * 0.5) {
+      current = { y, size, end: x, parts: [] };
+      lines.push(current);
+    } else if (x - current.end > size * 0.15 && !/\s$/.test(current.parts.at(-1)) && !/^\s/.test(item.str)) {
+      current.parts.push(' ');
+    }
+
+    current.parts.push(item.str);
+    current.size = Math.max(current.size, size);
+    current.end = x + (item.width || 0);
+  }
+
+  const textLines = lines
+    .map(line => ({ ...line, text: documentStructure.normalizeWhitespace(line.parts.join('')) }))
+    .filter(line => line.text);
+
+  const lineSpacing = median(textLines.slice(1)
+    .map((line, i) => textLines[i].y - line.y)
+    .filter(gap => gap > 0));
+  const bodySize = median(textLines.map(line => line.size));
+
+  const groups = [];
+  let group = null;
+
+  textLines.forEach((line, i) => {
+    const isHeading = bodySize > 0 && line.size >= bodySize * 1.2 && line.text.length <= 200;
+    const gap = i > 0 ? textLines[i - 1].y - line.y : 0;
+    // Larger type is set with proportionally wider line spacing
+    const maxGap = lineSpacing * 1.4 * Math.max(1, line.size / bodySize);
+    const startsParagraph = !group ||
+      group.isHeading !== isHeading ||
+      gap <= 0 ||
+      (lineSpacing > 0 && gap > maxGap);
+
+    if (startsParagraph) {
+      group = { isHeading, lines: [] };
+      groups.push(group);
+    }
+    group.lines.push(line.text);
+  });
+
+  return groups.map(({ isHeading, lines: groupLines }) => isHeading
+    ? documentStructure.heading(joinLines(groupLines), 1)
+    : documentStructure.paragraph(joinLines(groupLines)));
+}
+
+function ocrParagraphsToPages(pages) {
+  return pages.map(paragraphs => paragraphs.map(text => documentStructure.paragraph(text)));
+}
+
+async function parseImageFromBuffer(buffer, mimeType) {
+  const result = await ocrService.ocrImage(buffer, mimeType);
+
+  if (!result.text.trim()) {
+    throw new Error('No readable text found in image');
   }
-  
-  return cleanExtractedText(data.text);
+
+  return { pages: ocrParagraphsToPages(result.pages), ocr: result.ocr };
 }
 
 async function parseWordFromBuffer(buffer) {
-  const result = await mammoth.extractRawText({ buffer: buffer });
-  
-  if (!result.value || result.value.trim().length === 0) {
-    throw new Error('No text content found in Word document');
+  const result = await mammoth.convertToHtml({ buffer: buffer });
+  return [documentStructure.htmlToBlocks(result.value)];
+}
+
+// .doc files that are really .docx (renamed or mislabelled) are zip archives
+async function parseLegacyWordFromBuffer(buffer) {
+  if (buffer.subarray(0, 2).toString('latin1') === 'PK') {
+    return await parseWordFromBuffer(buffer);
+  }
+
+  const document = await new WordExtractor().extract(buffer);
+  const blocks = documentStructure.linesToBlocks(document.getBody());
+
+  for (const [title, notes] of [['Footnotes', document.getFootnotes()], ['Endnotes', document.getEndnotes()]]) {
+    if (notes && notes.trim()) {
+      blocks.push(documentStructure.heading(title, 2), ...documentStructure.linesToBlocks(notes));
+    }
   }
 
-  return cleanExtractedText(result.value);
+  return [blocks];
 }
 
-function cleanExtractedText(text) {
-  if (!text) return '';
-  
-  return text
-    .replace(/\s+/g, ' ')
-    .replace(/\n\s*\n\s*\n/g, '\n\n')
-    .trim();
+async function parseODTFromBuffer(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const content = zip.file('content.xml');
+
+  if (!content) {
+    throw new Error('Invalid ODT document: content.xml not found');
+  }
+
+  const xml = await content.async('string');
+  const blocks = [];
+  let parts = [];
+  let level = null;
+  let annotationDepth = 0;
+  let tableDepth = 0;
+  let rows = null;
+  let row = null;
+  let cell = null;
+
+  const target = () => (tableDepth > 0 ? cell : parts);
+
+  const parser = new Parser({
+    onopentag(name, attributes) {
+      if (name === 'office:annotation') annotationDepth++;
+      if (annotationDepth > 0) return;
+
+      if (name === 'table:table') {
+        tableDepth++;
+        if (tableDepth === 1) rows = [];
+        return;
+      }
+
+      if (tableDepth === 1 && name === 'table:table-row') row = [];
+      if (tableDepth === 1 && name === 'table:table-cell') cell = [];
+
+      if (tableDepth === 0 && (name === 'text:p' || name === 'text:h')) {
+        parts = [];
+        level = name === 'text:h' ? parseInt(attributes['text:outline-level']) || 1 : null;
+      }
+
+      const text = target();
+      if (!text) return;
+      if (name === 'text:tab') text.push('\t');
+      if (name === 'text:line-break') text.push('\n');
+      if (name === 'text:s') text.push(' '.repeat(parseInt(attributes['text:c']) || 1));
+    },
+    ontext(value) {
+      if (annotationDepth > 0) return;
+      const text = target();
+      if (text) text.push(value);
+    },
+    onclosetag(name) {
+      if (name === 'office:annotation') {
+        annotationDepth--;
+        return;
+      }
+      if (annotationDepth > 0) return;
+
+      if (name === 'table:table') {
+        tableDepth--;
+        if (tableDepth === 0) {
+          blocks.push(documentStructure.table(rows));
+          rows = null;
+        }
+        return;
+      }
+
+      if (tableDepth > 0) {
+        if (name === 'text:p' && cell) cell.push(' ');
+        if (tableDepth === 1 && name === 'table:table-cell' && row) {
+          row.push(cell.join(''));
+          cell = null;
+        }
+        if (tableDepth === 1 && name === 'table:table-row' && rows) {
+          rows.push(row);
+          row = null;
+        }
+        return;
+      }
+
+      if (name === 'text:p' || name === 'text:h') {
+        const text = parts.join('');
+        blocks.push(level ? documentStructure.heading(text, level) : documentStructure.paragraph(text));
+        parts = [];
+        level = null;
+      }
+    }
+  }, { xmlMode: true });
+
+  parser.write(xml);
+  parser.end();
+
+  return [blocks];
+}
+
+function parseRTFFromBuffer(buffer) {
+  return [documentStructure.linesToBlocks(rtfParser.extractText(buffer))];
+}
+
+function parseHTMLFromBuffer(buffer) {
+  return [documentStructure.htmlToBlocks(buffer.toString('utf8'))];
+}
+
+function parseMarkdownFromBuffer(buffer) {
+  return [documentStructure.htmlToBlocks(marked.parse(buffer.toString('utf8')))];
+}
+
+// Lays out the subject, headers and body of an email followed by the content
+// of each attachment, parsing attached emails recursively. The whole email is
+// treated as a single page.
+async function parseEmailFromBuffer(buffer, depth = 0) {
+  const mail = await simpleParser(buffer);
+  const blocks = [];
+
+  if (mail.subject) {
+    blocks.push(documentStructure.heading(mail.subject, 1));
+  }
+
+  const headers = [
+    ['From', mail.from?.text],
+    ['To', mail.to?.text],
+    ['Cc', mail.cc?.text],
+    ['Date', mail.date?.toISOString()],
+    ['Subject', mail.subject]
+  ].filter(([, value]) => value);
+
+  blocks.push(...headers.map(([name, value]) => documentStructure.paragraph(`${name}: ${value}`)));
+
+  if (mail.html) {
+    blocks.push(...documentStructure.htmlToBlocks(mail.html));
+  } else if (mail.text) {
+    blocks.push(...documentStructure.textToBlocks(mail.text));
+  }
+
+  for (const attachment of mail.attachments || []) {
+    if (attachment.related) continue;
+
+    const name = attachment.filename || 'unnamed attachment';
+    const mimeType = resolveMimeType(attachment.contentType, attachment.filename);
+    blocks.push(
+      documentStructure.heading(`Attachment: ${name}`, 2),
+      ...await parseAttachment(attachment.content, mimeType, depth)
+    );
+  }
+
+  return [blocks];
+}
+
+async function parseAttachment(buffer, mimeType, depth) {
+  if (!SUPPORTED_MIME_TYPES.includes(mimeType)) {
+    return [documentStructure.paragraph(`(not parsed: unsupported type ${mimeType})`)];
+  }
+
+  if (mimeType === 'message/rfc822' && depth + 1 >= MAX_EMAIL_DEPTH) {
+    return [documentStructure.paragraph('(not parsed: attached emails nested too deeply)')];
+  }
+
+  try {
+    const { pages } = await extractPages(buffer, mimeType, depth + 1);
+    return pages.flat();
+  } catch (error) {
+    return [documentStructure.paragraph(`(not parsed: ${error.message})`)];
+  }
 }
 
 const documentParserService = {
   parseDocumentFromBuffer,
   parsePDFFromBuffer,
   parseWordFromBuffer,
-  cleanExtractedText
+  parseLegacyWordFromBuffer,
+  parseODTFromBuffer,
+  parseRTFFromBuffer,
+  parseHTMLFromBuffer,
+  parseMarkdownFromBuffer,
+  parseEmailFromBuffer,
+  parseImageFromBuffer,
+  resolveMimeType
 };
 
-export default documentParserService;
\ No newline at end of file
+export { SUPPORTED_MIME_TYPES };
+export default documentParserService;
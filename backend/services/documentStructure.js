@@ -0,0 +1,262 @@
+import { Parser } from 'htmlparser2';
+
+// Structured form of an extracted document: numbered pages holding headings,
+// paragraphs and tables. The document's extractedText is rendered from this
+// structure and every block records its offsets in that text, so excerpts can
+// be traced back to a page and paragraph ("p. 12, ¶4"). Paragraphs and tables
+// are numbered per page; headings are not.
+
+const BLOCK_SEPARATOR = '\n\n';
+
+const HTML_HEADINGS = { h1: 1, h2: 2, h3: 3, h4: 4, h5: 5, h6: 6 };
+const HTML_SKIPPED = new Set(['head', 'script', 'style', 'noscript', 'template', 'title']);
+const HTML_BLOCKS = new Set([
+  'p', 'div', 'li', 'blockquote', 'pre', 'dt', 'dd', 'section', 'article',
+  'header', 'footer', 'aside', 'address', 'figcaption', 'ul', 'ol', 'dl', 'hr', 'body'
+]);
+
+function normalizeWhitespace(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function heading(text, level = 1) {
+  return { type: 'heading', text, level };
+}
+
+function paragraph(text) {
+  return { type: 'paragraph', text };
+}
+
+function table(rows) {
+  return { type: 'table', rows };
+}
+
+// Plain text with blank-line separated paragraphs; text without any blank
+// lines is treated as one paragraph per line
+function textToBlocks(text) {
+  const normalized = (text || '').replace(/\r\n?/g, '\n');
+  const parts = /\n[^\S\n]*\n/.test(normalized)
+    ? normalized.split(/\n[^\S\n]*\n/)
+    : normalized.split('\n');
+
+  return parts.map(part => paragraph(part));
+}
+
+// Text where every line break ends a paragraph (RTF \par, legacy Word)
+function linesToBlocks(text) {
+  return (text || '').replace(/\r\n?/g, '\n').split('\n').map(line => paragraph(line));
+}
+
+function htmlToBlocks(html) {
+  const blocks = [];
+  let buffer = [];
+  let headingLevel = null;
+  let skipDepth = 0;
+  let tableDepth = 0;
+  let rows = null;
+  let row = null;
+  let cell = null;
+
+  const flush = () => {
+    const text = buffer.join('');
+    buffer = [];
+    if (!normalizeWhitespace(text)) return;
+    blocks.push(headingLevel ? heading(text, headingLevel) : paragraph(text));
+  };
+
+  const parser = new Parser({
+    onopentag(name) {
+      if (HTML_SKIPPED.has(name)) skipDepth++;
+      if (skipDepth > 0) return;
+
+      if (name === 'table') {
+        tableDepth++;
+        if (tableDepth === 1) {
+          flush();
+          rows = [];
+        }
+        return;
+      }
+
+      // Nested tables are flattened into the enclosing cell
+      if (tableDepth > 1) return;
+
+      if (tableDepth === 1) {
+        if (name === 'tr') row = [];
+        if (name === 'td' || name === 'th') cell = [];
+        return;
+      }
+
+      if (name in HTML_HEADINGS) {
+        flush();
+        headingLevel = HTML_HEADINGS[name];
+      } else if (HTML_BLOCKS.has(name)) {
+        flush();
+        if (name === 'li') buffer.push('• ');
+      } else if (name === 'br') {
+        buffer.push(' ');
+      }
+    },
+    ontext(text) {
+      if (skipDepth > 0) return;
+      if (tableDepth > 0) {
+        if (cell) cell.push(text);
+        return;
+      }
+      buffer.push(text);
+    },
+    onclosetag(name) {
+      if (HTML_SKIPPED.has(name)) {
+        skipDepth--;
+        return;
+      }
+      if (skipDepth > 0) return;
+
+      if (name === 'table') {
+        tableDepth--;
+        if (tableDepth === 0) {
+          if (rows.length > 0) blocks.push(table(rows));
+          rows = null;
+        }
+        return;
+      }
+
+      if (tableDepth > 1) {
+        if (cell) cell.push(' ');
+        return;
+      }
+
+      if (tableDepth === 1) {
+        if ((name === 'td' || name === 'th') && cell && row) {
+          row.push(cell.join(''));
+          cell = null;
+        }
+        if (name === 'tr' && row) {
+          rows.push(row);
+          row = null;
+        }
+        return;
+      }
+
+      if (name in HTML_HEADINGS) {
+        flush();
+        headingLevel = null;
+      } else if (HTML_BLOCKS.has(name)) {
+        flush();
+      }
+    }
+  });
+
+  parser.write(html || '');
+  parser.end();
+  flush();
+
+  return blocks;
+}
+
+function normalizeBlock(block) {
+  if (block.type === 'table') {
+    const rows = (block.rows || [])
+      .map(row => row.map(normalizeWhitespace))
+      .filter(row => row.some(cellText => cellText));
+
+    if (rows.length === 0) return null;
+    return { type: 'table', rows, text: rows.map(row => row.join(' | ')).join('\n') };
+  }
+
+  const text = normalizeWhitespace(block.text);
+  if (!text) return null;
+
+  return block.type === 'heading'
+    ? { type: 'heading', level: block.level || 1, text }
+    : { type: 'paragraph', text };
+}
+
+// Takes an array of pages, each an array of blocks, and returns the rendered
+// text together with the stored structure. Empty pages are kept so page
+// numbers match the source document.
+function buildStructure(pages) {
+  const parts = [];
+  let offset = 0;
+
+  const structurePages = pages.map((blocks, pageIndex) => {
+    let paragraphNumber = 0;
+
+    const pageBlocks = blocks.map(normalizeBlock).filter(Boolean).map(block => {
+      if (parts.length > 0) {
+        parts.push(BLOCK_SEPARATOR);
+        offset += BLOCK_SEPARATOR.length;
+      }
+
+      const start = offset;
+      parts.push(block.text);
+      offset += block.text.length;
+
+      return {
+        ...block,
+        paragraph: block.type === 'heading' ? null : ++paragraphNumber,
+        start,
+        end: offset
+      };
+    });
+
+    return { number: pageIndex + 1, blocks: pageBlocks };
+  });
+
+  return {
+    text: parts.join(''),
+    structure: {
+      pageCount: structurePages.length,
+      pages: structurePages
+    }
+  };
+}
+
+// Page and paragraph of the block at (or, between blocks, just after) the
+// given offset. A heading resolves to the first paragraph that follows it on
+// the same page.
+function locate(structure, offset) {
+  if (!structure?.pages) return null;
+
+  for (const page of structure.pages) {
+    const blocks = page.blocks || [];
+
+    for (let i = 0; i < blocks.length; i++) {
+      if (blocks[i].end <= offset) continue;
+
+      const numbered = blocks.slice(i).find(block => block.paragraph);
+      return { page: page.number, paragraph: numbered ? numbered.paragraph : null };
+    }
+  }
+
+  return null;
+}
+
+function formatLocation({ page, paragraph, endPage, endParagraph } = {}) {
+  if (!page) return '';
+
+  if (endPage && endPage !== page) {
+    return `pp. ${page}–${endPage}`;
+  }
+
+  if (!paragraph) return `p. ${page}`;
+
+  return endParagraph && endParagraph !== paragraph
+    ? `p. ${page}, ¶${paragraph}–${endParagraph}`
+    : `p. ${page}, ¶${paragraph}`;
+}
+
+const documentStructure = {
+  heading,
+  paragraph,
+  table,
+  textToBlocks,
+  linesToBlocks,
+  htmlToBlocks,
+  buildStructure,
+  locate,
+  formatLocation,
+  normalizeWhitespace
+};
+
+export default documentStructure;
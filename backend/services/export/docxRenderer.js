@@ -0,0 +1,87 @@
+import { AlignmentType, BorderStyle, Document, HeadingLevel, LevelFormat, Packer, Paragraph, TextRun } from 'docx';
+
+const FONT = 'Times New Roman';
+const NUMBERING_REFERENCE = 'judgment-numbered';
+
+function paragraphsFor(block, listIndex) {
+  switch (block.type) {
+    case 'title':
+      return [new Paragraph({
+        alignment: AlignmentType.CENTER,
+        spacing: { before: 240, after: 120 },
+        children: [new TextRun({ text: block.text, bold: true, size: 36 })]
+      })];
+    case 'center':
+      return [new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun(block.text)] })];
+    case 'heading':
+      return [new Paragraph({ heading: HeadingLevel.HEADING_1, spacing: { before: 360, after: 120 }, text: block.text.toUpperCase() })];
+    case 'subheading':
+      return [new Paragraph({ heading: HeadingLevel.HEADING_2, spacing: { before: 240, after: 80 }, text: block.text })];
+    case 'paragraph':
+      return [new Paragraph({ alignment: AlignmentType.JUSTIFIED, spacing: { after: 160 }, children: [new TextRun(block.text)] })];
+    case 'quote':
+      return block.text.split('\n').map(line => new Paragraph({
+        indent: { left: 720, right: 720 },
+        spacing: { after: 80 },
+        children: [new TextRun({ text: line, italics: true })]
+      }));
+    case 'field':
+      return [new Paragraph({
+        spacing: { after: 120 },
+        children: [new TextRun({ text: `${block.label}: `, bold: true }), new TextRun(block.value)]
+      })];
+    case 'list':
+      return block.items.map(item => new Paragraph({
+        ...(block.ordered
+          ? { numbering: { reference: NUMBERING_REFERENCE, level: 0, instance: listIndex } }
+          : { bullet: { level: 0 } }),
+        spacing: { after: 60 },
+        children: [new TextRun(item)]
+      }));
+    case 'rule':
+      return [new Paragraph({
+        border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: '000000', space: 1 } },
+        spacing: { after: 120 }
+      })];
+    default:
+      return [];
+  }
+}
+
+// Renders judgment blocks as a Word document. Each ordered list restarts its
+// numbering from 1.
+async function renderDocx(blocks, { title } = {}) {
+  let listIndex = 0;
+  const children = blocks.flatMap(block => {
+    if (block.type === 'list' && block.ordered) listIndex++;
+    return paragraphsFor(block, listIndex);
+  });
+
+  const doc = new Document({
+    title: title || 'Judgment',
+    creator: 'AI Judge System',
+    styles: {
+      default: {
+        document: { run: { font: FONT, size: 22 } },
+        heading1: { run: { font: FONT, size: 26, bold: true, color: '000000' } },
+        heading2: { run: { font: FONT, size: 22, bold: true, color: '000000' } }
+      }
+    },
+    numbering: {
+      config: [{
+        reference: NUMBERING_REFERENCE,
+        levels: [{ level: 0, format: LevelFormat.DECIMAL, text: '%1.', alignment: AlignmentType.START }]
+      }]
+    },
+    sections: [{
+      properties: {
+        page: { margin: { top: 1440, bottom: 1440, left: 1440, right: 1440 } }
+      },
+      children
+    }]
+  });
+
+  return await Packer.toBuffer(doc);
+}
+
+export { renderDocx };
@@ -0,0 +1,47 @@
+import { buildJudgment, judgmentBlocks } from './judgment.js';
+import { renderMarkdown } from './markdownRenderer.js';
+import { renderPdf } from './pdfRenderer.js';
+import { renderDocx } from './docxRenderer.js';
+
+// Each format renders the same judgment; JSON is the structured judgment
+// itself. Everything is generated in-process.
+const EXPORT_FORMATS = {
+  pdf: {
+    contentType: 'application/pdf',
+    render: (judgment) => renderPdf(judgmentBlocks(judgment), { title: judgment.title })
+  },
+  docx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    render: (judgment) => renderDocx(judgmentBlocks(judgment), { title: judgment.title })
+  },
+  md: {
+    contentType: 'text/markdown; charset=utf-8',
+    render: async (judgment) => Buffer.from(renderMarkdown(judgmentBlocks(judgment)), 'utf8')
+  },
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    render: async (judgment) => Buffer.from(JSON.stringify(judgment, null, 2), 'utf8')
+  }
+};
+
+async function exportCase(caseData, format) {
+  const exporter = EXPORT_FORMATS[format];
+  if (!exporter) {
+    throw new Error(`Unsupported export format "${format}"`);
+  }
+
+  const judgment = buildJudgment(caseData);
+
+  return {
+    buffer: await exporter.render(judgment),
+    contentType: exporter.contentType,
+    filename: `judgment-${caseData.caseId}.${format}`
+  };
+}
+
+const exportService = {
+  formats: Object.keys(EXPORT_FORMATS),
+  exportCase
+};
+
+export default exportService;
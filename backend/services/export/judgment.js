@@ -0,0 +1,391 @@
+import documentStructure from '../documentStructure.js';
+
+const COURT_NAME = 'AI Judge Tribunal';
+
+const ROLE_LABELS = {
+  plaintiff: 'Plaintiff',
+  defendant: 'Defendant',
+  intervenor: 'Intervenor',
+  amicus: 'Amicus Curiae'
+};
+
+const STATUS_LABELS = {
+  created: 'created',
+  awaiting_documents: 'awaiting documents',
+  ready_for_judgment: 'ready for judgment',
+  verdict_rendered: 'verdict rendered',
+  arguments_phase: 'in the arguments phase',
+  closed: 'closed',
+  appealed: 'appealed'
+};
+
+const VERDICT_CHANGE_LABELS = {
+  none: 'verdict maintained',
+  minor_modification: 'minor modification',
+  significant_change: 'significant change',
+  reversal: 'reversal'
+};
+
+const APPEAL_OUTCOME_LABELS = {
+  affirm: 'Judgment affirmed',
+  reverse: 'Judgment reversed',
+  remand: 'Remanded to the trial judge'
+};
+
+function describeParty(caseData, partyId) {
+  const party = (caseData.parties || []).find(entry => entry.id === partyId);
+  return party ? `Party ${party.id} - ${party.name}` : `Party ${partyId}`;
+}
+
+function formatDecision(caseData, verdict) {
+  if (!verdict?.decision) return 'Not yet decided';
+  if (verdict.decision === 'split_decision') return 'Split decision';
+  if (verdict.decision === 'insufficient_evidence') return 'Dismissed for insufficient evidence';
+
+  const prevailing = (verdict.prevailingParties || []).map(partyId => describeParty(caseData, partyId));
+  return `Judgment for ${prevailing.join(', ')}`;
+}
+
+function formatSource(source) {
+  const location = documentStructure.formatLocation(source);
+  return `Exhibit ${source.party}${source.documentIndex + 1} (${source.filename})${location ? `, ${location}` : ''}`;
+}
+
+function toDate(value) {
+  return value ? new Date(value) : null;
+}
+
+function buildExhibits(party) {
+  return (party.documents || []).map((document, index) => ({
+    label: `${party.id}${index + 1}`,
+    filename: document.filename,
+    filedAt: toDate(document.uploadedAt),
+    sha256: document.sha256 || null,
+    quarantined: document.scan?.status === 'quarantined'
+  }));
+}
+
+// Dated events from filing to the latest step, oldest first. Status changes
+// already described by a verdict, argument or appeal event are left out.
+function buildProceduralHistory(caseData) {
+  const events = [];
+  const add = (date, event) => {
+    if (date) events.push({ date: toDate(date), event });
+  };
+
+  add(caseData.createdAt, 'Case filed');
+
+  (caseData.parties || []).forEach(party => {
+    buildExhibits(party).forEach(exhibit => {
+      add(exhibit.filedAt, `${describeParty(caseData, party.id)} filed Exhibit ${exhibit.label} (${exhibit.filename})`);
+    });
+  });
+
+  (caseData.statusHistory || [])
+    .filter(transition => ['awaiting_documents', 'ready_for_judgment', 'closed'].includes(transition.to))
+    .forEach(transition => {
+      add(transition.at, `Case ${STATUS_LABELS[transition.to]}${transition.reason ? `: ${transition.reason}` : ''}`);
+    });
+
+  (caseData.evidenceLeave || []).forEach(leave => {
+    add(leave.grantedAt, `Leave to introduce new evidence granted to ${describeParty(caseData, leave.party)}${leave.reason ? `: ${leave.reason}` : ''}`);
+  });
+
+  const history = caseData.verdictHistory?.length > 0
+    ? caseData.verdictHistory
+    : (caseData.verdict ? [caseData.verdict] : []);
+
+  history.forEach(revision => {
+    const by = revision.panel ? ` by a panel of ${revision.panel.size}` : '';
+    const event = revision.trigger?.type === 'argument'
+      ? `Verdict revised (revision ${revision.revision}) after argument from ${describeParty(caseData, revision.trigger.party)}`
+      : `Initial verdict rendered${by}`;
+    add(revision.timestamp, event);
+  });
+
+  (caseData.arguments || []).forEach(argument => {
+    add(argument.timestamp, `${describeParty(caseData, argument.party)} submitted argument ${argument.argumentNumber || ''}`.trim());
+  });
+
+  if (caseData.appeal) {
+    add(caseData.appeal.filedAt, `Appeal filed by ${describeParty(caseData, caseData.appeal.party)}`);
+    if (caseData.appeal.decision) {
+      add(caseData.appeal.decision.timestamp, `Appeal decided: ${APPEAL_OUTCOME_LABELS[caseData.appeal.decision.outcome] || caseData.appeal.decision.outcome}`);
+    }
+  }
+
+  return events.sort((a, b) => a.date - b.date);
+}
+
+function buildVerdict(caseData, verdict) {
+  if (!verdict) return null;
+
+  const citations = verdict.citations || [];
+
+  return {
+    revision: verdict.revision || 1,
+    renderedAt: toDate(verdict.timestamp),
+    decision: verdict.decision,
+    decisionText: formatDecision(caseData, verdict),
+    prevailingParties: verdict.prevailingParties || [],
+    reasoning: verdict.reasoning || '',
+    findings: (verdict.keyFindings || []).map(finding => ({
+      finding,
+      sources: (citations.find(citation => citation.finding === finding)?.sources || []).map(formatSource)
+    })),
+    legalPrinciples: verdict.legalPrinciples || [],
+    damages: verdict.damages || null,
+    notes: verdict.notes || null,
+    confidence: verdict.confidence ?? null,
+    panel: verdict.panel
+      ? {
+          size: verdict.panel.size,
+          unanimous: verdict.panel.unanimous,
+          majority: verdict.panel.majority,
+          split: verdict.panel.votes.map(vote => vote.judges.length).join('-'),
+          opinions: verdict.panel.opinions.map(opinion => ({
+            judge: opinion.judge,
+            persona: opinion.persona,
+            role: opinion.role,
+            decisionText: formatDecision(caseData, opinion),
+            reasoning: opinion.reasoning
+          }))
+        }
+      : null
+  };
+}
+
+function buildAppeal(caseData) {
+  const { appeal } = caseData;
+  if (!appeal) return null;
+
+  const { decision } = appeal;
+
+  return {
+    appellant: describeParty(caseData, appeal.party),
+    grounds: appeal.grounds,
+    filedAt: toDate(appeal.filedAt),
+    verdictRevision: appeal.verdictRevision || 1,
+    status: appeal.status,
+    decision: decision
+      ? {
+          court: decision.court,
+          outcome: decision.outcome,
+          outcomeText: APPEAL_OUTCOME_LABELS[decision.outcome] || decision.outcome,
+          standardOfReview: decision.standardOfReview,
+          reasoning: decision.reasoning,
+          grounds: (decision.groundsAssessment || []).map(({ ground, finding, reasoning }) => ({ ground, finding, reasoning })),
+          prevailingParties: (decision.prevailingParties || []).map(partyId => describeParty(caseData, partyId)),
+          remandInstructions: decision.remandInstructions || null,
+          decidedAt: toDate(decision.timestamp)
+        }
+      : null
+  };
+}
+
+// The case as a written judgment, independent of output format; this is also
+// the body of the JSON export
+function buildJudgment(caseData, { exportedAt = new Date() } = {}) {
+  return {
+    court: COURT_NAME,
+    caseId: caseData.caseId,
+    title: caseData.title,
+    jurisdiction: caseData.country,
+    caseType: caseData.caseType,
+    status: caseData.status,
+    description: caseData.description,
+    exportedAt,
+    parties: (caseData.parties || []).map(party => ({
+      id: party.id,
+      name: party.name,
+      role: party.role,
+      roleLabel: ROLE_LABELS[party.role] || party.role,
+      description: party.description || null,
+      exhibits: buildExhibits(party)
+    })),
+    proceduralHistory: buildProceduralHistory(caseData),
+    verdict: buildVerdict(caseData, caseData.verdict),
+    arguments: (caseData.arguments || []).map(argument => ({
+      party: describeParty(caseData, argument.party),
+      argumentNumber: argument.argumentNumber,
+      submittedAt: toDate(argument.timestamp),
+      argument: argument.argument,
+      response: argument.aiResponse?.response || null,
+      verdictChange: argument.aiResponse?.verdictChange || null
+    })),
+    appeal: buildAppeal(caseData)
+  };
+}
+
+function formatDate(date) {
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : 'undated';
+}
+
+// Parties on each side of the caption: claimants above the "v.", the rest
+// below
+function captionLines(judgment) {
+  const side = roles => judgment.parties
+    .filter(party => roles.includes(party.role))
+    .map(party => `${party.name}, ${party.roleLabel}`);
+
+  return {
+    claimants: side(['plaintiff']),
+    respondents: side(['defendant']),
+    others: side(['intervenor', 'amicus'])
+  };
+}
+
+// The judgment as a flat list of blocks that each renderer lays out in its
+// own format: title, center, heading, subheading, paragraph, quote, field,
+// list and rule
+function judgmentBlocks(judgment) {
+  const blocks = [];
+  const { claimants, respondents, others } = captionLines(judgment);
+  const { verdict, appeal } = judgment;
+
+  blocks.push({ type: 'center', text: `IN THE ${judgment.court.toUpperCase()}` });
+  blocks.push({ type: 'center', text: `Applying the law of ${judgment.jurisdiction}` });
+  blocks.push({ type: 'center', text: `Case No. ${judgment.caseId}` });
+  blocks.push({ type: 'rule' });
+  claimants.forEach(text => blocks.push({ type: 'center', text }));
+  blocks.push({ type: 'center', text: 'v.' });
+  respondents.forEach(text => blocks.push({ type: 'center', text }));
+  if (others.length > 0) {
+    blocks.push({ type: 'center', text: 'with' });
+    others.forEach(text => blocks.push({ type: 'center', text }));
+  }
+  blocks.push({ type: 'rule' });
+  blocks.push({ type: 'title', text: 'JUDGMENT' });
+  blocks.push({ type: 'center', text: `${judgment.title} · ${judgment.caseType} case` });
+
+  blocks.push({ type: 'heading', text: 'Parties' });
+  judgment.parties.forEach(party => {
+    blocks.push({ type: 'subheading', text: `Party ${party.id} - ${party.name} (${party.roleLabel})` });
+    if (party.description) blocks.push({ type: 'paragraph', text: party.description });
+    if (party.exhibits.length > 0) {
+      blocks.push({
+        type: 'list',
+        items: party.exhibits.map(exhibit => [
+          `Exhibit ${exhibit.label}: ${exhibit.filename}`,
+          exhibit.filedAt && `filed ${formatDate(exhibit.filedAt)}`,
+          exhibit.quarantined && 'quarantined and not considered'
+        ].filter(Boolean).join(', '))
+      });
+    }
+  });
+
+  blocks.push({ type: 'heading', text: 'Nature of the Case' });
+  blocks.push({ type: 'paragraph', text: judgment.description || 'No description provided.' });
+
+  blocks.push({ type: 'heading', text: 'Procedural History' });
+  blocks.push({
+    type: 'list',
+    items: judgment.proceduralHistory.map(entry => `${formatDate(entry.date)}: ${entry.event}`)
+  });
+
+  if (!verdict) {
+    blocks.push({ type: 'heading', text: 'Decision' });
+    blocks.push({ type: 'paragraph', text: 'Judgment has not yet been rendered in this case.' });
+  } else {
+    blocks.push({ type: 'heading', text: 'Findings of Fact' });
+    if (verdict.findings.length > 0) {
+      blocks.push({
+        type: 'list',
+        ordered: true,
+        items: verdict.findings.map(({ finding, sources }) =>
+          sources.length > 0 ? `${finding} (${sources.join('; ')})` : finding
+        )
+      });
+    } else {
+      blocks.push({ type: 'paragraph', text: 'No findings were recorded.' });
+    }
+
+    if (verdict.legalPrinciples.length > 0) {
+      blocks.push({ type: 'heading', text: 'Legal Principles' });
+      blocks.push({ type: 'list', items: verdict.legalPrinciples });
+    }
+
+    blocks.push({ type: 'heading', text: 'Reasons' });
+    blocks.push({ type: 'paragraph', text: verdict.reasoning });
+
+    blocks.push({ type: 'heading', text: 'Decision' });
+    blocks.push({ type: 'field', label: 'Decision', value: verdict.decisionText });
+    blocks.push({ type: 'field', label: 'Damages and remedies', value: verdict.damages || 'None awarded' });
+    if (verdict.notes) blocks.push({ type: 'field', label: 'Notes', value: verdict.notes });
+    if (verdict.confidence !== null) {
+      blocks.push({ type: 'field', label: 'Confidence', value: `${Math.round(verdict.confidence * 100)}%` });
+    }
+    blocks.push({ type: 'field', label: 'Revision', value: `${verdict.revision}, rendered ${formatDate(verdict.renderedAt)}` });
+
+    if (verdict.panel) {
+      const { panel } = verdict;
+      blocks.push({ type: 'heading', text: 'Opinions of the Panel' });
+      blocks.push({
+        type: 'paragraph',
+        text: panel.unanimous
+          ? `Decided unanimously by a panel of ${panel.size}.`
+          : `Decided ${panel.split} by a panel of ${panel.size}${panel.majority ? '' : ', by plurality without a majority'}.`
+      });
+      panel.opinions.forEach(opinion => {
+        const role = { majority: 'Opinion of the court', concurring: 'Concurring', dissenting: 'Dissenting' }[opinion.role] || opinion.role;
+        blocks.push({ type: 'subheading', text: `Judge ${opinion.judge} (${opinion.persona}) - ${role}: ${opinion.decisionText}` });
+        blocks.push({ type: 'paragraph', text: opinion.reasoning });
+      });
+    }
+  }
+
+  blocks.push({ type: 'heading', text: 'Record of Arguments' });
+  if (judgment.arguments.length === 0) {
+    blocks.push({ type: 'paragraph', text: 'No follow-up arguments were submitted.' });
+  }
+  judgment.arguments.forEach(argument => {
+    blocks.push({ type: 'subheading', text: `${argument.party}, argument ${argument.argumentNumber} (${formatDate(argument.submittedAt)})` });
+    blocks.push({ type: 'quote', text: argument.argument });
+    if (argument.response) {
+      blocks.push({ type: 'field', label: 'Response of the court', value: argument.response });
+    }
+    if (argument.verdictChange) {
+      blocks.push({ type: 'field', label: 'Effect on the verdict', value: VERDICT_CHANGE_LABELS[argument.verdictChange] || argument.verdictChange });
+    }
+  });
+
+  if (appeal) {
+    blocks.push({ type: 'heading', text: 'Appeal' });
+    blocks.push({ type: 'field', label: 'Appellant', value: appeal.appellant });
+    blocks.push({ type: 'field', label: 'Filed', value: `${formatDate(appeal.filedAt)}, against revision ${appeal.verdictRevision}` });
+    blocks.push({ type: 'subheading', text: 'Grounds of appeal' });
+    blocks.push({ type: 'quote', text: appeal.grounds });
+
+    if (appeal.decision) {
+      const { decision } = appeal;
+      blocks.push({ type: 'subheading', text: `Decision of ${decision.court}` });
+      blocks.push({ type: 'field', label: 'Outcome', value: decision.outcomeText });
+      if (decision.prevailingParties.length > 0) {
+        blocks.push({ type: 'field', label: 'Prevailing on appeal', value: decision.prevailingParties.join(', ') });
+      }
+      blocks.push({ type: 'field', label: 'Standard of review', value: decision.standardOfReview });
+      blocks.push({ type: 'paragraph', text: decision.reasoning });
+      if (decision.grounds.length > 0) {
+        blocks.push({
+          type: 'list',
+          items: decision.grounds.map(ground => `${ground.finding === 'upheld' ? 'Upheld' : 'Rejected'}: ${ground.ground}${ground.reasoning ? ` - ${ground.reasoning}` : ''}`)
+        });
+      }
+      if (decision.remandInstructions) {
+        blocks.push({ type: 'field', label: 'Instructions on remand', value: decision.remandInstructions });
+      }
+    } else {
+      blocks.push({ type: 'paragraph', text: 'The appeal has not yet been decided.' });
+    }
+  }
+
+  blocks.push({ type: 'rule' });
+  blocks.push({
+    type: 'paragraph',
+    text: `Issued by the ${judgment.court}, an AI-generated judgment for educational and simulation purposes, without legal effect. Exported ${formatDate(judgment.exportedAt)}.`
+  });
+
+  return blocks;
+}
+
+export { buildJudgment, judgmentBlocks };
@@ -0,0 +1,40 @@
+// Renders judgment blocks as Markdown
+function renderMarkdown(blocks) {
+  const lines = [];
+
+  blocks.forEach(block => {
+    switch (block.type) {
+      case 'title':
+        lines.push(`# ${block.text}`, '');
+        break;
+      case 'center':
+        lines.push(`**${block.text}**  `);
+        break;
+      case 'heading':
+        lines.push('', `## ${block.text}`, '');
+        break;
+      case 'subheading':
+        lines.push('', `### ${block.text}`, '');
+        break;
+      case 'paragraph':
+        lines.push(block.text, '');
+        break;
+      case 'quote':
+        lines.push(...block.text.split('\n').map(line => `> ${line}`), '');
+        break;
+      case 'field':
+        lines.push(`**${block.label}:** ${block.value}`, '');
+        break;
+      case 'list':
+        lines.push(...block.items.map((item, index) => `${block.ordered ? `${index + 1}.` : '-'} ${item}`), '');
+        break;
+      case 'rule':
+        lines.push('', '---', '');
+        break;
+    }
+  });
+
+  return `${lines.join('\n').replace(/\n{3,}/g, '\n\n').trim()}\n`;
+}
+
+export { renderMarkdown };
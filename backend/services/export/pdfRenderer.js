@@ -0,0 +1,85 @@
+import PDFDocument from 'pdfkit';
+
+const FONTS = { regular: 'Times-Roman', bold: 'Times-Bold', italic: 'Times-Italic' };
+
+// Characters above Latin-1 that the standard PDF fonts can still draw
+const WIN_ANSI_EXTRAS = new Set('€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ');
+
+// The built-in fonts only cover WinAnsi, so accented letters outside it are
+// reduced to their base letter (ō → o) and anything else becomes "?"
+function toWinAnsi(text) {
+  return [...String(text ?? '')].map(char => {
+    if (char.charCodeAt(0) <= 0xff || WIN_ANSI_EXTRAS.has(char)) return char;
+
+    const base = char.normalize('NFKD').replace(/[̀-ͯ]/g, '');
+    return [...base].every(part => part.charCodeAt(0) <= 0xff) ? base : '?';
+  }).join('');
+}
+
+// Renders judgment blocks as an A4 PDF using the standard Times fonts, so no
+// font files are needed
+function renderPdf(blocks, { title } = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margins: { top: 72, bottom: 72, left: 72, right: 72 },
+      info: { Title: toWinAnsi(title || 'Judgment'), Producer: 'AI Judge System' }
+    });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    blocks.forEach(block => {
+      switch (block.type) {
+        case 'title':
+          doc.moveDown(0.5).font(FONTS.bold).fontSize(18).text(toWinAnsi(block.text), { align: 'center' }).moveDown(0.3);
+          break;
+        case 'center':
+          doc.font(FONTS.regular).fontSize(12).text(toWinAnsi(block.text), { align: 'center' });
+          break;
+        case 'heading':
+          doc.moveDown(1).font(FONTS.bold).fontSize(13).text(toWinAnsi(block.text.toUpperCase())).moveDown(0.4);
+          break;
+        case 'subheading':
+          doc.moveDown(0.5).font(FONTS.bold).fontSize(11).text(toWinAnsi(block.text)).moveDown(0.2);
+          break;
+        case 'paragraph':
+          doc.font(FONTS.regular).fontSize(11).text(toWinAnsi(block.text), { align: 'justify' }).moveDown(0.5);
+          break;
+        case 'quote':
+          doc.font(FONTS.italic).fontSize(11)
+            .text(toWinAnsi(block.text), doc.page.margins.left + 24, doc.y, { width: width - 48 })
+            .moveDown(0.5);
+          doc.x = doc.page.margins.left;
+          break;
+        case 'field':
+          doc.font(FONTS.bold).fontSize(11).text(`${toWinAnsi(block.label)}: `, { continued: true })
+            .font(FONTS.regular).text(toWinAnsi(block.value)).moveDown(0.3);
+          break;
+        case 'list':
+          block.items.forEach((item, index) => {
+            const marker = block.ordered ? `${index + 1}.` : '•';
+            doc.font(FONTS.regular).fontSize(11)
+              .text(`${marker} ${toWinAnsi(item)}`, doc.page.margins.left + 12, doc.y, { width: width - 12 })
+              .moveDown(0.2);
+          });
+          doc.x = doc.page.margins.left;
+          doc.moveDown(0.3);
+          break;
+        case 'rule':
+          doc.moveDown(0.5);
+          doc.moveTo(doc.page.margins.left, doc.y).lineTo(doc.page.margins.left + width, doc.y).lineWidth(0.5).stroke();
+          doc.moveDown(0.5);
+          break;
+      }
+    });
+
+    doc.end();
+  });
+}
+
+export { renderPdf };
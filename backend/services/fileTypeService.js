@@ -0,0 +1,103 @@
+// Identifies uploads by their leading bytes ("magic numbers") instead of the
+// type the client reported, so a renamed executable cannot pass as a PDF.
+
+const TEXT_MIME_TYPES = ['text/plain', 'text/markdown', 'text/html', 'message/rfc822'];
+const TEXT_SAMPLE_SIZE = 8192;
+
+// PDF readers accept a header anywhere in the first 1024 bytes
+const PDF_HEADER_WINDOW = 1024;
+
+const SIGNATURES = [
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { mimeType: 'image/tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { mimeType: 'application/msword', bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] },
+  { mimeType: 'application/rtf', bytes: [0x7b, 0x5c, 0x72, 0x74, 0x66] },
+  { mimeType: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { mimeType: 'application/x-msdownload', bytes: [0x4d, 0x5a] },
+  { mimeType: 'application/x-elf', bytes: [0x7f, 0x45, 0x4c, 0x46] },
+  { mimeType: 'application/gzip', bytes: [0x1f, 0x8b] },
+  { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] }
+];
+
+// Content a declared type may also hold: Word saves .docx content under a
+// .doc name when asked to, so a .doc may be either format
+const COMPATIBLE_TYPES = {
+  'application/msword': ['application/vnd.openxmlformats-officedocument.wordprocessingml.document']
+};
+
+function startsWith(buffer, bytes) {
+  return buffer.length >= bytes.length && bytes.every((byte, index) => buffer[index] === byte);
+}
+
+// ODT stores an uncompressed "mimetype" entry first; DOCX lists word/ parts
+function sniffZipContainer(buffer) {
+  const header = buffer.subarray(30, 120).toString('latin1');
+  if (header.startsWith('mimetypeapplication/vnd.oasis.opendocument.text')) {
+    return 'application/vnd.oasis.opendocument.text';
+  }
+
+  const contents = buffer.toString('latin1');
+  if (contents.includes('[Content_Types].xml') && contents.includes('word/')) {
+    return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+  }
+
+  return 'application/zip';
+}
+
+// Text has no NUL bytes and few control characters; UTF-16 needs its BOM
+function looksLikeText(buffer) {
+  const sample = buffer.subarray(0, TEXT_SAMPLE_SIZE);
+  if (startsWith(sample, [0xff, 0xfe]) || startsWith(sample, [0xfe, 0xff])) return true;
+
+  let controlCharacters = 0;
+  for (const byte of sample) {
+    if (byte === 0) return false;
+    if (byte < 0x20 && ![0x09, 0x0a, 0x0c, 0x0d, 0x1b].includes(byte)) controlCharacters++;
+  }
+
+  return controlCharacters <= sample.length * 0.05;
+}
+
+// Resolves to the detected MIME type, 'text' for plain text of any kind, or
+// null when the content is not recognised
+function sniffMimeType(buffer) {
+  if (!buffer || buffer.length === 0) return null;
+
+  if (buffer.subarray(0, PDF_HEADER_WINDOW).includes('%PDF-')) {
+    return 'application/pdf';
+  }
+
+  const signature = SIGNATURES.find(entry => startsWith(buffer, entry.bytes));
+  if (signature) {
+    return signature.mimeType === 'application/zip' ? sniffZipContainer(buffer) : signature.mimeType;
+  }
+
+  return looksLikeText(buffer) ? 'text' : null;
+}
+
+// Checks the content against the declared (already normalised) MIME type;
+// text formats only need to be text. `mimeType` is the type the file should
+// be read as, which is the detected one when the declared type is compatible
+// with it rather than the same.
+function verifyFileType(buffer, declaredMimeType) {
+  const detected = sniffMimeType(buffer);
+
+  if (TEXT_MIME_TYPES.includes(declaredMimeType)) {
+    return { matches: detected === 'text', detected, mimeType: declaredMimeType };
+  }
+
+  if (COMPATIBLE_TYPES[declaredMimeType]?.includes(detected)) {
+    return { matches: true, detected, mimeType: detected };
+  }
+
+  return { matches: detected === declaredMimeType, detected, mimeType: declaredMimeType };
+}
+
+const fileTypeService = {
+  sniffMimeType,
+  verifyFileType
+};
+
+export default fileTypeService;
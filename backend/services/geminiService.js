@@ -1,36 +1,72 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
-
-let genAI = null;
-let model = null;
-
-if (!process.env.GEMINI_API_KEY) {
-  console.error('Warning: GEMINI_API_KEY not found in environment variables');
-} else {
-  genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-  model = genAI.getGenerativeModel({ 
-    model: "gemini-2.5-flash",
-    generationConfig: {
-      temperature: 0.7,
-      topP: 0.8,
-      maxOutputTokens: 8192,
-    },
-  });
-}
-
-async function generateVerdict(caseData) {
-  if (!model) {
-    throw new Error('Gemini API not configured. Please set GEMINI_API_KEY environment variable.');
+import { getProvider } from './llm/index.js';
+import { verdictResponseSchema, argumentResponseSchema, appealDecisionResponseSchema, withKnownSources, withKnownParties, formatIssues } from './responseSchemas.js';
+import retrievalService from './retrievalService.js';
+import appellateStandards from './appellateStandards.js';
+import panelService from './panelService.js';
+import documentStructure from './documentStructure.js';
+
+const MAX_REPAIR_ATTEMPTS = parseInt(process.env.LLM_MAX_REPAIR_ATTEMPTS) || 2;
+
+const VERDICT_JSON_FORMAT = `{
+  "decision": "favor_parties" | "split_decision" | "insufficient_evidence",
+  "prevailingParties": ["Letters of the parties the decision favours, e.g. A; empty unless the decision is favor_parties"],
+  "reasoning": "Detailed explanation of your legal reasoning and analysis",
+  "keyFindings": ["List of key factual findings that influenced your decision"],
+  "legalPrinciples": ["Relevant laws, statutes, or legal principles applied"],
+  "damages": "If applicable, any damages or remedies awarded",
+  "notes": "Any additional judicial notes or considerations",
+  "confidence": 0.0-1.0,
+  "openToReconsideration": true/false,
+  "citations": [{ "finding": "Exact text of a key finding", "sources": ["Excerpt labels supporting it, e.g. A1.3"] }]
+}`;
+
+const CITATION_INSTRUCTIONS = `Evidence is given as excerpts labelled [A1.3], meaning Party A, document 1, excerpt 3, followed where known by the page and paragraph the excerpt comes from (e.g. p. 12, ¶4). For every key finding, add an entry to "citations" listing the labels of the excerpts it relies on. Only use labels that appear above.`;
+
+const PARTY_GUIDANCE = `Each party is identified by a letter. Plaintiffs bring the claim and defendants answer it; intervenors join to protect their own interest and amici curiae advise the court without being bound by the outcome. Where there are co-plaintiffs or co-defendants, decide for each of them separately. Use "favor_parties" with the letters of every prevailing party in "prevailingParties", or "split_decision" where liability or relief is divided.`;
+
+// Panel judges differ in judicial outlook and sampling temperature so their
+// opinions are independent rather than repeated runs of the same judge
+const PANEL_JUDGES = [
+  {
+    persona: 'textualist',
+    outlook: 'You read statutes, contracts and other instruments strictly by their words, and give little weight to arguments from purpose or fairness that the text does not support.',
+    temperature: 0.3
+  },
+  {
+    persona: 'purposive',
+    outlook: 'You read the law in light of its purpose, and give weight to the practical consequences and fairness of the outcome for the parties.',
+    temperature: 0.8
+  },
+  {
+    persona: 'precedent-focused',
+    outlook: 'You decide by precedent and established doctrine, and are reluctant to depart from how comparable cases have been decided.',
+    temperature: 0.5
+  },
+  {
+    persona: 'evidence-focused',
+    outlook: 'You scrutinise the evidence closely and hold each party strictly to its burden and standard of proof.',
+    temperature: 0.4
+  },
+  {
+    persona: 'remedial',
+    outlook: 'You look for the remedy that best restores the parties, and weigh the conduct of each party throughout the dispute.',
+    temperature: 0.9
+  }
+];
+
+class ResponseValidationError extends Error {
+  constructor(message, issues, rawResponse) {
+    super(message);
+    this.name = 'ResponseValidationError';
+    this.issues = issues;
+    this.rawResponse = rawResponse;
   }
+}
 
+async function generateVerdict(caseData, options = {}) {
   try {
-    const prompt = buildVerdictPrompt(caseData);
-    
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const verdictText = response.text();
-
-    // Parse the structured response
-    const verdict = parseVerdictResponse(verdictText);
+    const evidence = retrievalService.selectEvidence(caseData, buildVerdictQuery(caseData));
+    const verdict = await generateOpinion(caseData, evidence, { onProgress: options.onProgress });
     
     return {
       ...verdict,
@@ -40,41 +76,168 @@ async function generateVerdict(caseData) {
       caseType: caseData.caseType
     };
   } catch (error) {
+    if (error instanceof ResponseValidationError) {
+      throw error;
+    }
     throw new Error(`Failed to generate AI verdict: ${error.message}`);
   }
 }
 
-async function respondToArgument(caseData, side, argument) {
-  if (!model) {
-    throw new Error('Gemini API not configured. Please set GEMINI_API_KEY environment variable.');
+// Has `panelSize` judges decide the case independently and records the
+// majority decision with the concurring and dissenting opinions. Judges run
+// one after another, so progress reports carry the `judge` being heard.
+async function generatePanelVerdict(caseData, options = {}) {
+  try {
+    const evidence = retrievalService.selectEvidence(caseData, buildVerdictQuery(caseData));
+    const judges = PANEL_JUDGES.slice(0, options.panelSize);
+    const opinions = [];
+
+    for (const [index, judge] of judges.entries()) {
+      const seat = { ...judge, number: index + 1, panelSize: judges.length };
+      const opinion = await generateOpinion(caseData, evidence, {
+        judge: seat,
+        onProgress: options.onProgress && (progress => options.onProgress({ ...progress, judge: seat.number, panelSize: seat.panelSize }))
+      });
+      opinions.push({ ...opinion, judge: seat.number, persona: judge.persona, temperature: judge.temperature });
+    }
+
+    return {
+      ...panelService.combineOpinions(opinions),
+      timestamp: new Date().toISOString(),
+      caseId: caseData.caseId,
+      country: caseData.country,
+      caseType: caseData.caseType
+    };
+  } catch (error) {
+    if (error instanceof ResponseValidationError) {
+      throw error;
+    }
+    throw new Error(`Failed to generate panel verdict: ${error.message}`);
   }
+}
+
+async function generateOpinion(caseData, evidence, { judge, onProgress } = {}) {
+  const prompt = buildVerdictPrompt(caseData, evidence, judge);
+  const verdict = await generateStructured(prompt, verdictSchemaFor(caseData, evidence), 'verdict', {
+    onProgress,
+    progressField: 'reasoning',
+    temperature: judge?.temperature
+  });
 
+  return {
+    ...verdict,
+    citations: resolveCitations(verdict.citations, evidence.refs)
+  };
+}
+
+// Produces a complete replacement verdict after an argument response signalled
+// that the current decision should change.
+async function reconsiderVerdict(caseData, argumentRecord) {
   try {
-    const prompt = buildArgumentResponsePrompt(caseData, side, argument);
-    
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const responseText = response.text();
+    const query = [argumentRecord.argument, argumentRecord.aiResponse?.newReasoning].join(' ');
+    const evidence = retrievalService.selectEvidence(caseData, query);
+    const prompt = buildReconsiderationPrompt(caseData, argumentRecord, evidence);
+    const verdict = await generateStructured(prompt, verdictSchemaFor(caseData, evidence), 'reconsideration');
+
+    return {
+      ...verdict,
+      citations: resolveCitations(verdict.citations, evidence.refs),
+      timestamp: new Date().toISOString(),
+      caseId: caseData.caseId,
+      country: caseData.country,
+      caseType: caseData.caseType
+    };
+  } catch (error) {
+    if (error instanceof ResponseValidationError) {
+      throw error;
+    }
+    throw new Error(`Failed to reconsider AI verdict: ${error.message}`);
+  }
+}
 
-    // Parse the structured response
-    const aiResponse = parseArgumentResponse(responseText);
+async function respondToArgument(caseData, partyId, argument) {
+  try {
+    const query = [argument, caseData.verdict?.reasoning].join(' ');
+    const evidence = retrievalService.selectEvidence(caseData, query);
+    const prompt = buildArgumentResponsePrompt(caseData, partyId, argument, evidence);
+    const aiResponse = await generateStructured(prompt, argumentResponseSchema, 'argument');
     
     return {
       ...aiResponse,
       timestamp: new Date().toISOString(),
       originalArgument: argument,
-      side: side
+      party: partyId
     };
   } catch (error) {
+    if (error instanceof ResponseValidationError) {
+      throw error;
+    }
     throw new Error(`Failed to generate AI response: ${error.message}`);
   }
 }
 
-function buildVerdictPrompt(caseData) {
-  const sideADocs = formatDocuments(caseData.sideA?.documents || []);
-  const sideBDocs = formatDocuments(caseData.sideB?.documents || []);
+// Reviews the current verdict against the grounds of the pending appeal.
+// The appellate court is a separate persona from the trial judge and applies
+// its jurisdiction's standard of review rather than deciding the case afresh.
+async function reviewAppeal(caseData, options = {}) {
+  try {
+    const query = [caseData.appeal?.grounds, caseData.verdict?.reasoning].join(' ');
+    const evidence = retrievalService.selectEvidence(caseData, query);
+    const { court } = appellateStandards.getAppellateStandard(caseData.country);
+    const prompt = buildAppealPrompt(caseData, evidence);
+    const partyIds = (caseData.parties || []).map(party => party.id);
+    const decision = await generateStructured(prompt, withKnownParties(appealDecisionResponseSchema, partyIds), 'appeal', {
+      onProgress: options.onProgress,
+      progressField: 'reasoning'
+    });
+
+    return {
+      ...decision,
+      court,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    if (error instanceof ResponseValidationError) {
+      throw error;
+    }
+    throw new Error(`Failed to review appeal: ${error.message}`);
+  }
+}
+
+// Citations must name excerpts from the prompt and prevailing parties must
+// be parties to the case
+function verdictSchemaFor(caseData, evidence) {
+  const partyIds = (caseData.parties || []).map(party => party.id);
+  return withKnownParties(withKnownSources(verdictResponseSchema, evidence.refs), partyIds);
+}
 
-  return `You are an experienced AI Judge trained on the legal system of ${caseData.country}. You are presiding over a ${caseData.caseType} case: "${caseData.title}".
+function buildVerdictQuery(caseData) {
+  return [
+    caseData.title,
+    caseData.description,
+    ...(caseData.parties || []).map(party => party.description)
+  ].filter(Boolean).join(' ');
+}
+
+function describeParty(caseData, partyId) {
+  const party = (caseData.parties || []).find(entry => entry.id === partyId);
+  return party ? `Party ${party.id} - ${party.name} (${party.role})` : `Party ${partyId}`;
+}
+
+// One block per party with its description and selected excerpts
+function formatSubmissions(caseData, evidence) {
+  return (caseData.parties || []).map(party => `${describeParty(caseData, party.id).toUpperCase()} SUBMISSIONS:
+Description: ${party.description || 'No description provided'}
+Relevant Evidence Excerpts:
+${formatEvidence(evidence.byParty[party.id])}`).join('\n\n');
+}
+
+function buildVerdictPrompt(caseData, evidence, judge) {
+  const seat = judge
+    ? `\n\nYou sit as Judge ${judge.number} of a panel of ${judge.panelSize}. Decide the case independently; the other judges' opinions are not known to you. ${judge.outlook}`
+    : '';
+
+  return `You are an experienced AI Judge trained on the legal system of ${caseData.country}. You are presiding over a ${caseData.caseType} case: "${caseData.title}".${seat}
 
 CASE DESCRIPTION:
 ${caseData.description}
@@ -82,54 +245,45 @@ ${caseData.description}
 CASE TYPE: ${caseData.caseType}
 JURISDICTION: ${caseData.country}
 
-PLAINTIFF/SIDE A SUBMISSIONS:
-Description: ${caseData.sideA?.description || 'No description provided'}
-Documents and Evidence:
-${sideADocs}
-
-DEFENDANT/SIDE B SUBMISSIONS:
-Description: ${caseData.sideB?.description || 'No description provided'}
-Documents and Evidence:
-${sideBDocs}
+${formatSubmissions(caseData, evidence)}
 
 INSTRUCTIONS:
 As an AI Judge, you must:
-1. Analyze all evidence and arguments from both sides objectively
+1. Analyze all evidence and arguments from every party objectively
 2. Apply the relevant laws and legal principles of ${caseData.country}
 3. Consider precedents and established legal doctrines
 4. Provide a fair and reasoned judgment
 5. Explain your legal reasoning clearly
 6. Be open to reconsideration if compelling new arguments are presented
 
+${PARTY_GUIDANCE}
+
+${CITATION_INSTRUCTIONS}
+
 Please provide your initial verdict in the following JSON format:
-{
-  "decision": "favor_side_a" | "favor_side_b" | "split_decision" | "insufficient_evidence",
-  "reasoning": "Detailed explanation of your legal reasoning and analysis",
-  "keyFindings": ["List of key factual findings that influenced your decision"],
-  "legalPrinciples": ["Relevant laws, statutes, or legal principles applied"],
-  "damages": "If applicable, any damages or remedies awarded",
-  "notes": "Any additional judicial notes or considerations",
-  "confidence": 0.0-1.0,
-  "openToReconsideration": true/false
-}
+${VERDICT_JSON_FORMAT}
 
 Render your verdict based on the evidence presented, applying ${caseData.country} law and legal standards.`;
 }
 
-function buildArgumentResponsePrompt(caseData, side, argument) {
-  const previousArguments = formatPreviousArguments(caseData.arguments || []);
-  const sideName = side === 'A' ? 'Plaintiff' : 'Defendant';
+function buildArgumentResponsePrompt(caseData, partyId, argument, evidence) {
+  const previousArguments = formatPreviousArguments(caseData, caseData.arguments || []);
+  const evidenceByParty = (caseData.parties || []).map(party => `${describeParty(caseData, party.id)}:
+${formatEvidence(evidence.byParty[party.id])}`).join('\n\n');
 
   return `You are the AI Judge in the case: "${caseData.title}"
 
 CURRENT VERDICT SUMMARY:
-Decision: ${caseData.verdict?.decision || 'Not yet decided'}
+Decision: ${formatDecision(caseData, caseData.verdict)}
 Reasoning: ${caseData.verdict?.reasoning || 'No initial reasoning available'}
 
+EVIDENCE EXCERPTS RELEVANT TO THIS ARGUMENT:
+${evidenceByParty}
+
 PREVIOUS ARGUMENTS IN THIS CASE:
 ${previousArguments}
 
-NEW ARGUMENT FROM ${sideName.toUpperCase()} (SIDE ${side}):
+NEW ARGUMENT FROM ${describeParty(caseData, partyId).toUpperCase()}:
 "${argument}"
 
 INSTRUCTIONS:
@@ -149,32 +303,159 @@ Please respond in the following JSON format:
   "remainingConcerns": ["Any concerns or questions still outstanding"],
   "legalCitations": ["Any relevant laws, cases, or precedents referenced"],
   "confidence": 0.0-1.0,
-  "requestsClarification": "Any clarification needed from either side"
+  "requestsClarification": "Any clarification needed from any party"
 }
 
 Judge this argument fairly and thoroughly, demonstrating the careful consideration expected in ${caseData.country} courts.`;
 }
 
-function formatDocuments(documents) {
-  if (!documents || documents.length === 0) {
+function buildReconsiderationPrompt(caseData, argumentRecord, evidence) {
+  const previousArguments = formatPreviousArguments(caseData, caseData.arguments || []);
+  const aiResponse = argumentRecord.aiResponse || {};
+
+  return `You are the AI Judge in the ${caseData.caseType} case "${caseData.title}", applying the law of ${caseData.country}. After hearing a further argument you have indicated that your verdict should change. You must now issue the complete revised verdict.
+
+CASE DESCRIPTION:
+${caseData.description}
+
+${formatSubmissions(caseData, evidence)}
+
+CURRENT VERDICT (REVISION ${caseData.verdict?.revision || 1}):
+${JSON.stringify(stripVerdictMetadata(caseData.verdict), null, 2)}
+
+ARGUMENTS HEARD SO FAR:
+${previousArguments}
+
+ARGUMENT PROMPTING RECONSIDERATION, FROM ${describeParty(caseData, argumentRecord.party).toUpperCase()}:
+"${argumentRecord.argument}"
+
+YOUR RESPONSE TO THAT ARGUMENT:
+${aiResponse.response || 'No response recorded'}
+Indicated change: ${aiResponse.verdictChange}
+New reasoning: ${aiResponse.newReasoning || 'None given'}
+
+INSTRUCTIONS:
+1. Issue the full revised verdict, not just the changes
+2. The revision must be consistent with the change you indicated (${aiResponse.verdictChange})
+3. Carry forward findings and principles from the current verdict that still stand
+4. Explain in the reasoning how the argument altered your analysis
+
+${PARTY_GUIDANCE}
+
+${CITATION_INSTRUCTIONS}
+
+Provide the revised verdict in the following JSON format:
+${VERDICT_JSON_FORMAT}`;
+}
+
+function buildAppealPrompt(caseData, evidence) {
+  const { court, standard } = appellateStandards.getAppellateStandard(caseData.country);
+  const appeal = caseData.appeal || {};
+
+  return `You are ${court}, hearing an appeal against the judgment of the trial judge (an AI Judge) in the ${caseData.caseType} case "${caseData.title}". You are not the trial judge: your task is to review that judgment for error under the law of ${caseData.country}, not to try the case again.
+
+STANDARD OF REVIEW:
+${standard}
+
+CASE DESCRIPTION:
+${caseData.description}
+
+${formatSubmissions(caseData, evidence)}
+
+JUDGMENT UNDER APPEAL (REVISION ${appeal.verdictRevision || caseData.verdict?.revision || 1}):
+${JSON.stringify(stripVerdictMetadata(caseData.verdict), null, 2)}
+
+ARGUMENTS HEARD AT TRIAL:
+${formatPreviousArguments(caseData, caseData.arguments || [])}
+
+APPELLANT: ${describeParty(caseData, appeal.party)}
+
+GROUNDS OF APPEAL:
+"${appeal.grounds}"
+
+INSTRUCTIONS:
+1. Identify each distinct ground of appeal and decide whether it is upheld or rejected
+2. Apply the standard of review above to each ground, deferring to the trial judge where it requires you to
+3. Affirm the judgment if no ground is upheld, or if the errors found did not affect the outcome
+4. Reverse the judgment where the record allows you to decide the matter yourself, naming in "prevailingParties" the letters of every party who prevails once it is reversed
+5. Remand the case where the errors found require the trial judge to reconsider, stating in "remandInstructions" what must be reconsidered and how
+
+Provide your decision in the following JSON format:
+{
+  "outcome": "affirm" | "reverse" | "remand",
+  "standardOfReview": "The standard of review you applied, in one or two sentences",
+  "reasoning": "Your reasoned appellate judgment",
+  "groundsAssessment": [{ "ground": "A ground of appeal", "finding": "upheld" | "rejected", "reasoning": "Why" }],
+  "prevailingParties": ["Letters of the parties who prevail if the judgment is reversed; otherwise empty"],
+  "remandInstructions": "If remanded, what the trial judge must reconsider",
+  "confidence": 0.0-1.0
+}`;
+}
+
+function stripVerdictMetadata(verdict) {
+  if (!verdict) return null;
+
+  const { decision, prevailingParties, reasoning, keyFindings, legalPrinciples, damages, notes, confidence } = verdict;
+  return { decision, prevailingParties, reasoning, keyFindings, legalPrinciples, damages, notes, confidence };
+}
+
+function formatDecision(caseData, verdict) {
+  if (!verdict?.decision) return 'Not yet decided';
+  if (verdict.decision !== 'favor_parties') return verdict.decision;
+
+  const prevailing = (verdict.prevailingParties || []).map(partyId => describeParty(caseData, partyId));
+  return `In favour of ${prevailing.join(', ')}`;
+}
+
+// Groups the selected excerpts under their source document
+function formatEvidence(entries) {
+  if (!entries || entries.length === 0) {
     return "No documents submitted.";
   }
 
-  return documents.map((doc, index) => {
-    return `Document ${index + 1}: ${doc.filename}
-Content Preview: ${truncateText(doc.extractedText, 2000)}
+  const byDocument = new Map();
+  for (const entry of entries) {
+    if (!byDocument.has(entry.documentIndex)) {
+      byDocument.set(entry.documentIndex, { filename: entry.filename, excerpts: [] });
+    }
+    const location = documentStructure.formatLocation(entry.chunk);
+    byDocument.get(entry.documentIndex).excerpts.push(`[${entry.ref}]${location ? ` (${location})` : ''} ${entry.chunk.text}`);
+  }
+
+  return [...byDocument.entries()].map(([documentIndex, doc]) => {
+    return `Document ${documentIndex + 1}: ${doc.filename}
+${doc.excerpts.join('\n\n')}
 ---`;
   }).join('\n\n');
 }
 
-function formatPreviousArguments(argumentsList) {
+function resolveCitations(citations = [], refs) {
+  return citations.map(citation => ({
+    finding: citation.finding,
+    sources: citation.sources.map(ref => {
+      const entry = refs.get(ref);
+      return {
+        ref,
+        party: entry.party,
+        documentIndex: entry.documentIndex,
+        filename: entry.filename,
+        chunkIndex: entry.chunk.index,
+        page: entry.chunk.page,
+        paragraph: entry.chunk.paragraph,
+        endPage: entry.chunk.endPage,
+        endParagraph: entry.chunk.endParagraph
+      };
+    })
+  }));
+}
+
+function formatPreviousArguments(caseData, argumentsList) {
   if (!argumentsList || argumentsList.length === 0) {
     return "No previous arguments in this case.";
   }
 
   return argumentsList.map((arg, index) => {
-    const sideName = arg.side === 'A' ? 'Plaintiff' : 'Defendant';
-    return `Argument ${index + 1} - ${sideName}:
+    return `Argument ${index + 1} - ${describeParty(caseData, arg.party)}:
 "${arg.argument}"
 
 AI Judge Response:
@@ -183,66 +464,145 @@ ${arg.aiResponse?.response || 'No response recorded'}
   }).join('\n\n');
 }
 
-function parseVerdictResponse(response) {
-  try {
-    const jsonMatch = response.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
+// Asks the model for JSON matching `schema`, feeding validation errors back
+// for up to MAX_REPAIR_ATTEMPTS re-prompts before giving up. When an
+// `onProgress` callback is given the response is streamed and the partial
+// value of `progressField` is reported as it arrives. `temperature`, when
+// set, overrides the provider's default.
+async function generateStructured(prompt, schema, task, options = {}) {
+  const provider = getProvider();
+  let currentPrompt = prompt;
+  let issues = [];
+  let responseText = '';
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    responseText = options.onProgress && provider.stream
+      ? await streamResponse(provider, currentPrompt, task, attempt, options)
+      : await provider.generate(currentPrompt, { task, temperature: options.temperature });
+
+    const result = validateResponse(responseText, schema);
+    if (result.success) {
+      return result.data;
     }
-  } catch (error) {}
 
-  return {
-    decision: "insufficient_evidence",
-    reasoning: response,
-    keyFindings: [],
-    legalPrinciples: [],
-    damages: null,
-    notes: "Response could not be parsed into structured format",
-    confidence: 0.5,
-    openToReconsideration: true
-  };
+    issues = result.issues;
+    currentPrompt = buildRepairPrompt(prompt, responseText, issues);
+  }
+
+  throw new ResponseValidationError(
+    `AI response failed schema validation after ${MAX_REPAIR_ATTEMPTS + 1} attempts`,
+    issues,
+    responseText
+  );
 }
 
-function parseArgumentResponse(response) {
-  try {
-    const jsonMatch = response.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
+async function streamResponse(provider, prompt, task, attempt, { onProgress, progressField, temperature }) {
+  let text = '';
+  let reported = '';
+
+  for await (const chunk of provider.stream(prompt, { task, temperature })) {
+    text += chunk;
+
+    const partial = extractPartialString(text, progressField);
+    if (partial !== null && partial.length > reported.length) {
+      onProgress({
+        attempt: attempt + 1,
+        delta: partial.slice(reported.length),
+        text: partial
+      });
+      reported = partial;
     }
-  } catch (error) {}
+  }
 
-  return {
-    response: response,
-    verdictChange: "none",
-    newReasoning: null,
-    addressedPoints: [],
-    remainingConcerns: [],
-    legalCitations: [],
-    confidence: 0.5,
-    requestsClarification: null
-  };
+  return text;
+}
+
+// Reads the (possibly unterminated) string value of `field` from a partial
+// JSON document, decoding escapes that have fully arrived.
+function extractPartialString(text, field) {
+  const match = new RegExp(`"${field}"\\s*:\\s*"`).exec(text);
+  if (!match) return null;
+
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '"': '"', '\\': '\\', '/': '/' };
+  let value = '';
+  let i = match.index + match[0].length;
+
+  while (i < text.length) {
+    const char = text[i];
+    if (char === '"') break;
+
+    if (char !== '\\') {
+      value += char;
+      i++;
+      continue;
+    }
+
+    const next = text[i + 1];
+    if (next === undefined) break;
+
+    if (next === 'u') {
+      const hex = text.slice(i + 2, i + 6);
+      if (!/^[0-9a-fA-F]{4}$/.test(hex)) break;
+      value += String.fromCharCode(parseInt(hex, 16));
+      i += 6;
+    } else {
+      value += escapes[next] ?? next;
+      i += 2;
+    }
+  }
+
+  return value;
 }
 
-function truncateText(text, maxLength = 1000) {
-  if (!text || text.length <= maxLength) {
-    return text || '';
+function validateResponse(responseText, schema) {
+  const jsonText = extractJson(responseText);
+  if (!jsonText) {
+    return { success: false, issues: ['(root): response did not contain a JSON object'] };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonText);
+  } catch (error) {
+    return { success: false, issues: [`(root): invalid JSON - ${error.message}`] };
   }
 
-  const truncated = text.substring(0, maxLength);
-  const lastSpace = truncated.lastIndexOf(' ');
-  
-  if (lastSpace > maxLength * 0.8) {
-    return truncated.substring(0, lastSpace) + '... [truncated]';
+  const result = schema.safeParse(parsed);
+  if (!result.success) {
+    return { success: false, issues: formatIssues(result.error) };
   }
-  
-  return truncated + '... [truncated]';
+
+  return { success: true, data: result.data };
 }
 
-async function generateCaseSummary(caseData) {
-  if (!model) {
-    throw new Error('Gemini API not configured.');
+function extractJson(text) {
+  if (!text) return null;
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+
+  if (start === -1 || end <= start) {
+    return null;
   }
 
+  return candidate.slice(start, end + 1);
+}
+
+function buildRepairPrompt(originalPrompt, previousResponse, issues) {
+  return `${originalPrompt}
+
+YOUR PREVIOUS RESPONSE:
+${previousResponse}
+
+That response did not match the required JSON format. Validation errors:
+${issues.map(issue => `- ${issue}`).join('\n')}
+
+Respond again with ONLY a single JSON object in the required format, correcting every error listed above. Do not include any text outside the JSON object.`;
+}
+
+async function generateCaseSummary(caseData) {
   const prompt = `Provide a concise legal summary of this case:
 
 Case: ${caseData.title}
@@ -254,9 +614,8 @@ Description: ${caseData.description}
 Summarize in 2-3 sentences the core legal issues and disputes involved.`;
 
   try {
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    return response.text();
+    const summary = await getProvider().generate(prompt, { task: 'summary' });
+    return summary.trim();
   } catch (error) {
     return 'Case summary generation failed.';
   }
@@ -264,8 +623,12 @@ Summarize in 2-3 sentences the core legal issues and disputes involved.`;
 
 const geminiService = {
   generateVerdict,
+  generatePanelVerdict,
+  reconsiderVerdict,
   respondToArgument,
+  reviewAppeal,
   generateCaseSummary
 };
 
+export { ResponseValidationError };
 export default geminiService;
\ No newline at end of file
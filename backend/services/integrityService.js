@@ -0,0 +1,144 @@
+import crypto from 'crypto';
+import caseService from './caseService.js';
+import storageService from './storageService.js';
+
+// SHA-256 fingerprints of uploaded evidence. Hashes are taken from the bytes
+// received by the upload routes and stored on each document, so the stored
+// objects can later be re-hashed to show they were not altered, and the same
+// exhibit filed twice can be spotted.
+
+function hashBuffer(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function caseDocuments(caseData) {
+  return (caseData?.parties || []).flatMap(party =>
+    (party.documents || []).map((doc, documentIndex) => ({
+      ...doc,
+      party: party.id,
+      documentIndex
+    }))
+  );
+}
+
+function documentReference(doc) {
+  return {
+    party: doc.party,
+    documentId: doc.id || null,
+    exhibit: `${doc.party}${doc.documentIndex + 1}`,
+    filename: doc.filename
+  };
+}
+
+// Hashes the uploaded files and sorts out duplicates. Files repeated within
+// the upload or already filed by the same party are `rejected`; files other
+// parties have already filed are allowed and reported in `crossParty`.
+// `replaceDocumentId` is left out of the comparison.
+async function checkUpload(caseId, partyId, files, { replaceDocumentId } = {}) {
+  const caseData = await caseService.getCase(caseId);
+  const existing = caseDocuments(caseData).filter(doc => doc.sha256 && doc.id !== replaceDocumentId);
+
+  const hashes = files.map(file => hashBuffer(file.buffer));
+  const rejected = [];
+  const crossParty = [];
+
+  hashes.forEach((sha256, index) => {
+    const filename = files[index].originalname;
+    const repeatedAt = hashes.indexOf(sha256);
+
+    if (repeatedAt < index) {
+      rejected.push({ filename, sha256, reason: `Same content as ${files[repeatedAt].originalname} in this upload` });
+      return;
+    }
+
+    const sameParty = existing.find(doc => doc.sha256 === sha256 && doc.party === partyId);
+    if (sameParty) {
+      rejected.push({
+        filename,
+        sha256,
+        reason: `Already filed as Exhibit ${sameParty.party}${sameParty.documentIndex + 1} (${sameParty.filename})`,
+        duplicateOf: documentReference(sameParty)
+      });
+      return;
+    }
+
+    const otherParty = existing.find(doc => doc.sha256 === sha256 && doc.party !== partyId);
+    if (otherParty) {
+      crossParty.push({ filename, sha256, duplicateOf: documentReference(otherParty) });
+    }
+  });
+
+  return { hashes, rejected, crossParty };
+}
+
+// Groups of documents in the case that share the same content
+function findDuplicateGroups(caseData) {
+  const groups = new Map();
+
+  for (const doc of caseDocuments(caseData)) {
+    if (!doc.sha256) continue;
+    if (!groups.has(doc.sha256)) groups.set(doc.sha256, []);
+    groups.get(doc.sha256).push(documentReference(doc));
+  }
+
+  return [...groups.entries()]
+    .filter(([, documents]) => documents.length > 1)
+    .map(([sha256, documents]) => ({ sha256, documents }));
+}
+
+async function verifyDocument(doc) {
+  const report = {
+    ...documentReference(doc),
+    sha256: doc.sha256 || null,
+    actualSha256: null
+  };
+
+  if (!doc.uploadedToCloud || !(doc.storagePath || doc.path)) {
+    return { ...report, status: 'pending' };
+  }
+
+  let buffer;
+  try {
+    buffer = await storageService.downloadDocument(doc);
+  } catch (error) {
+    return { ...report, status: 'missing', error: error.message };
+  }
+
+  report.actualSha256 = hashBuffer(buffer);
+
+  if (!doc.sha256) {
+    return { ...report, status: 'unhashed' };
+  }
+
+  return { ...report, status: report.actualSha256 === doc.sha256 ? 'verified' : 'mismatch' };
+}
+
+// Re-hashes every stored exhibit of the case. Each document is `verified`,
+// `mismatch` (the stored object differs from what was uploaded), `missing`,
+// `pending` (not yet copied to storage) or `unhashed` (uploaded before
+// hashes were recorded).
+async function verifyCase(caseId) {
+  const caseData = await caseService.getCase(caseId);
+  const documents = [];
+
+  for (const doc of caseDocuments(caseData)) {
+    documents.push(await verifyDocument(doc));
+  }
+
+  return {
+    caseId,
+    verifiedAt: new Date(),
+    intact: documents.every(doc => doc.status !== 'mismatch' && doc.status !== 'missing'),
+    documents,
+    duplicates: findDuplicateGroups(caseData)
+  };
+}
+
+const integrityService = {
+  hashBuffer,
+  checkUpload,
+  findDuplicateGroups,
+  verifyCase
+};
+
+export default integrityService;
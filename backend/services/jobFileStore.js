@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// Uploaded files are held in GridFS between the upload request and the jobs
+// that parse and store them, since a 10 MB file per upload slot would quickly
+// exceed MongoDB's 16 MB document limit if kept on the job itself.
+const BUCKET_NAME = 'jobFiles';
+
+function getBucket() {
+  return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+}
+
+function toObjectId(fileId) {
+  return typeof fileId === 'string' ? new mongoose.Types.ObjectId(fileId) : fileId;
+}
+
+async function saveFile(buffer, filename, metadata = {}) {
+  return await new Promise((resolve, reject) => {
+    const stream = getBucket().openUploadStream(filename, { metadata });
+    stream.once('finish', () => resolve(stream.id.toString()));
+    stream.once('error', reject);
+    stream.end(buffer);
+  });
+}
+
+async function readFile(fileId) {
+  const chunks = [];
+  for await (const chunk of getBucket().openDownloadStream(toObjectId(fileId))) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+async function deleteFile(fileId) {
+  try {
+    await getBucket().delete(toObjectId(fileId));
+  } catch (error) {
+    // Already removed, e.g. by an earlier attempt of the same job
+    if (!/file not found/i.test(error.message)) {
+      throw error;
+    }
+  }
+}
+
+const jobFileStore = {
+  saveFile,
+  readFile,
+  deleteFile
+};
+
+export default jobFileStore;
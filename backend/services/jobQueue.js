@@ -0,0 +1,279 @@
+import os from 'os';
+import mongoose from 'mongoose';
+import Job from '../models/Job.js';
+
+// MongoDB-backed job queue. Workers in this process poll for due jobs and
+// claim them atomically, so several server processes can share one queue.
+// Failed attempts are retried with exponential backoff. A running job's lock
+// is refreshed while it runs, so only jobs whose worker died mid-run are
+// picked up again once their lock expires.
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000;
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+const RETRY_BASE_MS = parseInt(process.env.JOB_RETRY_BASE_MS) || 5000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+const LOCK_TIMEOUT_MS = parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 10 * 60 * 1000;
+const HEARTBEAT_INTERVAL_MS = Math.floor(LOCK_TIMEOUT_MS / 3);
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+const handlers = new Map();
+let io = null;
+let stopped = true;
+let polling = false;
+let pollRequested = false;
+let timer = null;
+let running = 0;
+
+// Handler errors are retried unless marked with `retryable = false`
+class PermanentJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermanentJobError';
+    this.retryable = false;
+  }
+}
+
+// `handler` is { run(job, context), onFailure?(job, context, error) }; run's
+// return value is stored as the job result and onFailure is called once the
+// job has failed for good
+function registerHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+function serializeJob(job) {
+  return {
+    jobId: job._id.toString(),
+    type: job.type,
+    status: job.status,
+    caseId: job.caseId,
+    party: job.payload?.party || null,
+    progress: job.progress?.stage ? job.progress : null,
+    result: job.result ?? null,
+    error: job.error || null,
+    errorDetails: job.errorDetails?.length > 0 ? job.errorDetails : null,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    runAt: job.runAt,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    completedAt: job.completedAt || null
+  };
+}
+
+function emitUpdate(job) {
+  if (io && job.caseId) {
+    io.to(job.caseId).emit('jobUpdated', serializeJob(job));
+  }
+}
+
+function backoff(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+async function enqueue(type, payload, options = {}) {
+  const job = await Job.create({
+    type,
+    payload,
+    caseId: options.caseId,
+    createdBy: options.createdBy,
+    maxAttempts: options.maxAttempts
+  });
+
+  emitUpdate(job);
+  requestPoll();
+  return serializeJob(job);
+}
+
+async function claimNextJob() {
+  const now = new Date();
+
+  return await Job.findOneAndUpdate(
+    {
+      type: { $in: [...handlers.keys()] },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedAt: now, lockedBy: WORKER_ID },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+async function refreshLock(job) {
+  await Job.updateOne(
+    { _id: job._id, status: 'running', lockedBy: WORKER_ID },
+    { $set: { lockedAt: new Date() } }
+  );
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  const context = {
+    io,
+    reportProgress: async (progress) => {
+      job.progress = progress;
+      await Job.updateOne({ _id: job._id }, { $set: { progress, lockedAt: new Date() } });
+      emitUpdate(job);
+    }
+  };
+
+  const heartbeat = setInterval(() => {
+    refreshLock(job).catch(error => console.error(`Job ${job._id} lock refresh error:`, error));
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  emitUpdate(job);
+
+  try {
+    const result = await handler.run(job, context);
+    job.set({
+      status: 'completed',
+      result: result ?? null,
+      error: null,
+      errorDetails: [],
+      completedAt: new Date(),
+      lockedAt: null,
+      lockedBy: null
+    });
+  } catch (error) {
+    const willRetry = error.retryable !== false && job.attempts < job.maxAttempts;
+    console.error(`Job ${job._id} (${job.type}) attempt ${job.attempts} failed${willRetry ? ', retrying' : ''}:`, error);
+
+    job.set({
+      status: willRetry ? 'queued' : 'failed',
+      error: error.message,
+      errorDetails: Array.isArray(error.issues) ? error.issues.map(String) : [],
+      lockedAt: null,
+      lockedBy: null
+    });
+    if (willRetry) {
+      job.runAt = new Date(Date.now() + backoff(job.attempts));
+    }
+
+    if (!willRetry && handler.onFailure) {
+      try {
+        await handler.onFailure(job, context, error);
+      } catch (hookError) {
+        console.error(`Job ${job._id} failure hook error:`, hookError);
+      }
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  await job.save();
+  emitUpdate(job);
+}
+
+async function poll() {
+  timer = null;
+  polling = true;
+
+  try {
+    if (mongoose.connection.readyState === 1) {
+      while (!stopped && running < CONCURRENCY) {
+        const job = await claimNextJob();
+        if (!job) break;
+
+        running++;
+        runJob(job)
+          .catch(error => console.error(`Job ${job._id} error:`, error))
+          .finally(() => {
+            running--;
+            requestPoll();
+          });
+      }
+    }
+  } catch (error) {
+    console.error('Job queue poll error:', error);
+  } finally {
+    polling = false;
+  }
+
+  if (!stopped) {
+    timer = setTimeout(poll, pollRequested ? 0 : POLL_INTERVAL_MS);
+    pollRequested = false;
+  }
+}
+
+// Polls right away instead of waiting for the next interval
+function requestPoll() {
+  if (stopped) return;
+
+  if (polling) {
+    pollRequested = true;
+    return;
+  }
+
+  clearTimeout(timer);
+  timer = setTimeout(poll, 0);
+}
+
+function start(socketServer) {
+  io = socketServer;
+  stopped = false;
+  requestPoll();
+}
+
+function stop() {
+  stopped = true;
+  clearTimeout(timer);
+  timer = null;
+}
+
+async function getJob(jobId) {
+  if (!mongoose.isValidObjectId(jobId)) return null;
+
+  const job = await Job.findById(jobId);
+  return job ? serializeJob(job) : null;
+}
+
+async function listJobs(caseId, options = {}) {
+  const query = { caseId };
+  if (options.active) {
+    query.status = { $in: ACTIVE_STATUSES };
+  }
+
+  const jobs = await Job.find(query)
+    .sort({ createdAt: -1 })
+    .limit(options.limit || 50);
+
+  return jobs.map(serializeJob);
+}
+
+async function findActiveJob(caseId, type) {
+  const job = await Job.findOne({ caseId, type, status: { $in: ACTIVE_STATUSES } });
+  return job ? serializeJob(job) : null;
+}
+
+// Any job of `type` for the case whose payload has the given field values,
+// whatever its status
+async function findJob(caseId, type, payload = {}) {
+  const query = { caseId, type };
+  for (const [field, value] of Object.entries(payload)) {
+    query[`payload.${field}`] = value;
+  }
+
+  const job = await Job.findOne(query);
+  return job ? serializeJob(job) : null;
+}
+
+const jobQueue = {
+  registerHandler,
+  enqueue,
+  start,
+  stop,
+  getJob,
+  listJobs,
+  findActiveJob,
+  findJob
+};
+
+export { PermanentJobError };
+export default jobQueue;
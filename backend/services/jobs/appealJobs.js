@@ -0,0 +1,67 @@
+import caseService, { InvalidTransitionError } from '../caseService.js';
+import geminiService from '../geminiService.js';
+import { PermanentJobError } from '../jobQueue.js';
+
+// Runs the appellate review of a filed appeal, streaming the appellate
+// court's reasoning to the case room over appealProgress events
+const reviewAppeal = {
+  async run(job, { io, reportProgress }) {
+    const { caseId } = job;
+    const caseData = await caseService.getCase(caseId, { includeDocumentDetail: true });
+
+    if (!caseData) {
+      throw new PermanentJobError('Case no longer exists');
+    }
+
+    if (caseData.status !== 'appealed' || !caseData.appeal) {
+      throw new PermanentJobError('The case has no pending appeal');
+    }
+
+    if (caseData.appeal.status === 'decided') {
+      throw new PermanentJobError('The appeal has already been decided');
+    }
+
+    await reportProgress({ stage: 'reviewing', message: `Attempt ${job.attempts} of ${job.maxAttempts}` });
+    io?.to(caseId).emit('appealProgress', { caseId, stage: 'started', jobId: job._id.toString() });
+
+    const decision = await geminiService.reviewAppeal(caseData, {
+      onProgress: ({ attempt, delta, text }) => {
+        io?.to(caseId).emit('appealProgress', {
+          caseId,
+          stage: 'reasoning',
+          attempt,
+          delta,
+          reasoning: text
+        });
+      }
+    });
+
+    let updatedCase;
+    try {
+      updatedCase = await caseService.recordAppealDecision(caseId, decision);
+    } catch (error) {
+      if (error instanceof InvalidTransitionError) throw new PermanentJobError(error.message);
+      throw error;
+    }
+    if (!updatedCase) {
+      throw new PermanentJobError('The appeal has already been decided');
+    }
+
+    const transition = updatedCase.statusHistory[updatedCase.statusHistory.length - 1];
+    io?.to(caseId).emit('appealDecided', { caseId, appeal: updatedCase.appeal, status: updatedCase.status });
+    io?.to(caseId).emit('caseStatusChanged', { caseId, status: updatedCase.status, transition });
+
+    return { outcome: decision.outcome, status: updatedCase.status };
+  },
+
+  async onFailure(job, { io }, error) {
+    await caseService.markAppealFailed(job.caseId, error.message);
+    io?.to(job.caseId).emit('appealProgress', {
+      caseId: job.caseId,
+      stage: 'failed',
+      error: error.message
+    });
+  }
+};
+
+export { reviewAppeal };
@@ -0,0 +1,95 @@
+import caseService, { InvalidTransitionError, MAX_ARGUMENTS_PER_PARTY } from '../caseService.js';
+import geminiService from '../geminiService.js';
+import { PermanentJobError } from '../jobQueue.js';
+
+// Hears one follow-up argument: the court responds to it and, when the
+// response says the verdict should change, reconsiders the verdict. The
+// argument's id is assigned when it is queued, so a repeated run neither
+// records the argument twice nor revises the verdict again for it.
+const respondToArgument = {
+  async run(job, { io, reportProgress }) {
+    const { caseId } = job;
+    const { argumentId, party, argument, submittedAt } = job.payload;
+    const caseData = await caseService.getCase(caseId, { includeDocumentDetail: true });
+
+    if (!caseData) {
+      throw new PermanentJobError('Case no longer exists');
+    }
+
+    let recorded = (caseData.arguments || []).find(arg => arg.id === argumentId);
+
+    if (!recorded) {
+      const transitionError = caseService.checkTransition(caseData, 'arguments_phase');
+      if (transitionError) {
+        throw new PermanentJobError(transitionError);
+      }
+
+      const partyArguments = (caseData.arguments || []).filter(arg => arg.party === party);
+      if (partyArguments.length >= MAX_ARGUMENTS_PER_PARTY) {
+        throw new PermanentJobError(`Maximum number of arguments (${MAX_ARGUMENTS_PER_PARTY}) reached for this party`);
+      }
+
+      await reportProgress({ stage: 'responding', message: `Attempt ${job.attempts} of ${job.maxAttempts}` });
+      const aiResponse = await geminiService.respondToArgument(caseData, party, argument);
+
+      let updatedCase;
+      try {
+        updatedCase = await caseService.addArgument(caseId, {
+          id: argumentId,
+          party,
+          argument,
+          aiResponse,
+          timestamp: submittedAt,
+          argumentNumber: partyArguments.length + 1
+        });
+      } catch (error) {
+        if (error instanceof InvalidTransitionError) throw new PermanentJobError(error.message);
+        throw error;
+      }
+      recorded = updatedCase.arguments.find(arg => arg.id === argumentId);
+
+      io?.to(caseId).emit('newArgument', {
+        caseId,
+        argumentId,
+        party,
+        argument,
+        aiResponse,
+        argumentNumber: recorded.argumentNumber
+      });
+    }
+
+    const { verdictChange } = recorded.aiResponse;
+    let revision = (caseData.verdictHistory || []).find(verdict => verdict.trigger?.argumentId === argumentId)?.revision || null;
+
+    if (verdictChange !== 'none' && !revision) {
+      await reportProgress({ stage: 'reconsidering', message: `Attempt ${job.attempts} of ${job.maxAttempts}` });
+      const verdict = await geminiService.reconsiderVerdict(caseData, recorded);
+
+      let revisedCase;
+      try {
+        revisedCase = await caseService.reviseVerdict(caseId, verdict, { argumentId, party, verdictChange });
+      } catch (error) {
+        if (error instanceof InvalidTransitionError) throw new PermanentJobError(error.message);
+        throw error;
+      }
+      revision = revisedCase.verdict.revision;
+
+      io?.to(caseId).emit('verdictRevised', {
+        caseId,
+        verdict: revisedCase.verdict,
+        verdictHistory: revisedCase.verdictHistory
+      });
+    }
+
+    return {
+      argumentId,
+      party,
+      argumentNumber: recorded.argumentNumber,
+      verdictChange,
+      revision,
+      remainingArguments: MAX_ARGUMENTS_PER_PARTY - recorded.argumentNumber
+    };
+  }
+};
+
+export { respondToArgument };
@@ -0,0 +1,311 @@
+import documentParserService from '../documentParser.js';
+import retrievalService from '../retrievalService.js';
+import caseService from '../caseService.js';
+import documentDetailService from '../documentDetailService.js';
+import storageService from '../storageService.js';
+import jobFileStore from '../jobFileStore.js';
+import integrityService from '../integrityService.js';
+import scanService from '../scanService.js';
+import jobQueue, { PermanentJobError } from '../jobQueue.js';
+
+const CLEARED_PARSE_MAX_ATTEMPTS = 6;
+
+// The case may have moved on since the upload was accepted, e.g. a verdict
+// was rendered while the job waited in the queue
+async function checkEvidenceOpen(caseId, party) {
+  const caseData = await caseService.getCase(caseId);
+  if (!caseData) {
+    throw new PermanentJobError('Case no longer exists');
+  }
+
+  const lock = caseService.getEvidenceLock(caseData, party);
+  if (lock) {
+    throw new PermanentJobError(lock);
+  }
+}
+
+// Holds uploaded multer files in the job file store and queues their parsing.
+// `hashes` are the files' SHA-256 digests as computed by the upload route.
+// With `replaceDocumentId` the single file replaces that document. Each file's
+// document id is assigned here, so a repeated run of the job recognises the
+// documents an earlier run stored.
+async function queueDocumentParsing(files, { caseId, party, description, hashes, replaceDocumentId, createdBy }) {
+  const storedFiles = [];
+
+  for (let i = 0; i < files.length; i++) {
+    const file = files[i];
+    const fileId = await jobFileStore.saveFile(file.buffer, file.originalname, { caseId, party });
+    storedFiles.push({
+      fileId,
+      documentId: caseService.generateDocumentId(),
+      filename: file.originalname,
+      mimetype: file.mimetype,
+      size: file.size,
+      sha256: hashes[i]
+    });
+  }
+
+  return await jobQueue.enqueue('parse_documents', {
+    party,
+    description,
+    replaceDocumentId: replaceDocumentId || null,
+    files: storedFiles
+  }, { caseId, createdBy });
+}
+
+// Scans and parses every file of one upload and appends the results to the
+// party's documents (or puts the one file in place of `replaceDocumentId`),
+// then queues a storage upload per file. Files are kept in the job file store
+// until their storage job has run. A run that repeats an earlier one, e.g.
+// after its lock expired, skips the documents and storage uploads the earlier
+// run got to. The job fails if the party's evidence is locked before its
+// documents are stored.
+const parseDocuments = {
+  async run(job, { reportProgress }) {
+    const { caseId } = job;
+    const { party, description, replaceDocumentId } = job.payload;
+
+    if (!await caseService.getCase(caseId)) {
+      throw new PermanentJobError('Case no longer exists');
+    }
+
+    // Jobs queued before ids were assigned at upload get theirs now
+    const files = job.payload.files.map(file => ({ ...file, documentId: file.documentId || caseService.generateDocumentId() }));
+    const pending = [];
+    for (const file of files) {
+      if (!await caseService.documentExists(caseId, party, file.documentId)) {
+        pending.push(file);
+      }
+    }
+
+    if (replaceDocumentId && pending.length > 0 && !await caseService.documentExists(caseId, party, replaceDocumentId)) {
+      throw new PermanentJobError('The document to replace no longer exists');
+    }
+
+    if (pending.length > 0) {
+      await checkEvidenceOpen(caseId, party);
+    }
+
+    const documents = [];
+    const details = [];
+
+    for (let i = 0; i < pending.length; i++) {
+      const file = pending[i];
+      await reportProgress({ stage: 'parsing', current: i + 1, total: pending.length, message: file.filename });
+
+      const buffer = await jobFileStore.readFile(file.fileId);
+      const scan = await scanService.scanBuffer(buffer);
+
+      // Infected files are stored for the judge's review but not read until
+      // the judge clears them
+      let parsed = { text: '', structure: null, ocr: null };
+      if (!scanService.isQuarantined({ scan })) {
+        try {
+          parsed = await documentParserService.parseDocumentFromBuffer(buffer, file.mimetype);
+        } catch (error) {
+          throw new PermanentJobError(`Could not read ${file.filename}: ${error.message}`);
+        }
+      }
+
+      details.push({
+        structure: parsed.structure,
+        chunks: retrievalService.chunkDocument(parsed.text, parsed.structure)
+      });
+      documents.push({
+        id: file.documentId,
+        filename: file.filename,
+        mimetype: file.mimetype,
+        size: file.size,
+        sha256: file.sha256,
+        extractedText: parsed.text,
+        ocr: parsed.ocr,
+        scan,
+        description: description || null,
+        uploadedAt: new Date(),
+        uploadedToCloud: false
+      });
+    }
+
+    await reportProgress({ stage: 'saving', current: pending.length, total: pending.length });
+
+    // Parsing takes a while, so the lock is checked again before saving
+    if (documents.length > 0) {
+      await checkEvidenceOpen(caseId, party);
+    }
+
+    // Details are stored first, so every document in the case has them
+    for (let i = 0; i < documents.length; i++) {
+      await documentDetailService.saveDetail(caseId, documents[i].id, { party, ...details[i] });
+    }
+
+    if (documents.length > 0 && replaceDocumentId) {
+      const replaced = await caseService.replaceDocument(caseId, party, replaceDocumentId, {
+        ...documents[0],
+        replacedAt: new Date()
+      });
+      if (!replaced) {
+        throw new PermanentJobError('The document to replace no longer exists');
+      }
+      await storageService.discardDocument(replaced);
+    } else if (documents.length > 0) {
+      await caseService.addDocumentsToParty(caseId, party, { description, documents });
+    }
+
+    for (const file of files) {
+      if (await jobQueue.findJob(caseId, 'store_document', { documentId: file.documentId })) continue;
+
+      await jobQueue.enqueue('store_document', {
+        party,
+        documentId: file.documentId,
+        fileId: file.fileId,
+        filename: file.filename,
+        mimetype: file.mimetype,
+        sha256: file.sha256
+      }, { caseId, createdBy: job.createdBy });
+    }
+
+    return {
+      replacedDocumentId: replaceDocumentId || null,
+      documents: files.map(file => {
+        const index = documents.findIndex(doc => doc.id === file.documentId);
+        if (index === -1) {
+          return { documentId: file.documentId, filename: file.filename, skipped: true };
+        }
+
+        const doc = documents[index];
+        return {
+          documentId: doc.id,
+          filename: doc.filename,
+          size: doc.size,
+          sha256: doc.sha256,
+          textLength: doc.extractedText.length,
+          pageCount: details[index].structure?.pageCount ?? null,
+          chunkCount: details[index].chunks.length,
+          ocrConfidence: doc.ocr ? doc.ocr.averageConfidence : null,
+          scanStatus: doc.scan.status
+        };
+      })
+    };
+  },
+
+  // Details stored for documents that never made it into the case are
+  // removed with the files
+  async onFailure(job) {
+    const { caseId } = job;
+    const { party, files } = job.payload;
+    const orphaned = [];
+
+    for (const file of files) {
+      if (file.documentId && !await caseService.documentExists(caseId, party, file.documentId)) {
+        orphaned.push(file.documentId);
+      }
+    }
+
+    if (orphaned.length > 0) {
+      await documentDetailService.deleteDetails(caseId, orphaned);
+    }
+    await Promise.all(files.map(file => jobFileStore.deleteFile(file.fileId)));
+  }
+};
+
+// Copies one parsed document's original file to storage and records its URL
+const storeDocument = {
+  async run(job, { reportProgress }) {
+    const { caseId } = job;
+    const { party, documentId, fileId, filename, mimetype, sha256 } = job.payload;
+
+    if (!await caseService.documentExists(caseId, party, documentId)) {
+      await jobFileStore.deleteFile(fileId);
+      return { documentId, skipped: true };
+    }
+
+    await reportProgress({ stage: 'uploading', current: 1, total: 1, message: filename });
+
+    const buffer = await jobFileStore.readFile(fileId);
+    if (sha256 && integrityService.hashBuffer(buffer) !== sha256) {
+      throw new PermanentJobError(`${filename} changed after it was uploaded; its SHA-256 hash no longer matches`);
+    }
+
+    const cloudUpload = await storageService.uploadDocument(
+      buffer,
+      filename,
+      mimetype,
+      caseId,
+      `party-${party.toLowerCase()}`
+    );
+
+    await caseService.updateDocument(caseId, party, documentId, {
+      path: cloudUpload.storagePath,
+      storagePath: cloudUpload.storagePath,
+      storageDriver: cloudUpload.storageDriver,
+      uploadedToCloud: true
+    });
+    await jobFileStore.deleteFile(fileId);
+
+    return { documentId, storagePath: cloudUpload.storagePath, storageDriver: cloudUpload.storageDriver };
+  },
+
+  async onFailure(job) {
+    await jobFileStore.deleteFile(job.payload.fileId);
+  }
+};
+
+// Reads a document that was quarantined at upload once the judge has cleared
+// it, so it joins prompts and search like any other document. The file is
+// read back from storage, so until the document's store_document job has run
+// the attempt fails and is retried.
+const parseClearedDocument = {
+  async run(job, { io, reportProgress }) {
+    const { caseId } = job;
+    const { documentId } = job.payload;
+    const document = await caseService.findDocument(caseId, documentId);
+
+    if (!document) {
+      return { documentId, skipped: true };
+    }
+    if (document.scan?.status !== 'cleared') {
+      throw new PermanentJobError(`${document.filename} has not been cleared`);
+    }
+    if (!document.uploadedToCloud) {
+      throw new Error(`${document.filename} is not in storage yet`);
+    }
+
+    await reportProgress({ stage: 'parsing', current: 1, total: 1, message: document.filename });
+
+    const buffer = await storageService.downloadDocument(document);
+    if (document.sha256 && integrityService.hashBuffer(buffer) !== document.sha256) {
+      throw new PermanentJobError(`${document.filename} changed after it was uploaded; its SHA-256 hash no longer matches`);
+    }
+
+    let parsed;
+    try {
+      parsed = await documentParserService.parseDocumentFromBuffer(buffer, document.mimetype);
+    } catch (error) {
+      throw new PermanentJobError(`Could not read ${document.filename}: ${error.message}`);
+    }
+
+    const chunks = retrievalService.chunkDocument(parsed.text, parsed.structure);
+    await documentDetailService.saveDetail(caseId, documentId, { party: document.party, structure: parsed.structure, chunks });
+    await caseService.updateDocument(caseId, document.party, documentId, { extractedText: parsed.text, ocr: parsed.ocr });
+
+    io?.to(caseId).emit('documentsUpdated', { caseId, party: document.party, action: 'parsed', documentId });
+
+    return {
+      documentId,
+      textLength: parsed.text.length,
+      pageCount: parsed.structure.pageCount,
+      chunkCount: chunks.length
+    };
+  }
+};
+
+// A cleared document may still be waiting for its store_document job, so the
+// parse is given a few more attempts than usual
+async function queueClearedDocumentParsing(caseId, document, { createdBy }) {
+  return await jobQueue.enqueue('parse_cleared_document', {
+    party: document.party,
+    documentId: document.id
+  }, { caseId, createdBy, maxAttempts: CLEARED_PARSE_MAX_ATTEMPTS });
+}
+
+export { queueDocumentParsing, queueClearedDocumentParsing, parseDocuments, storeDocument, parseClearedDocument };
@@ -0,0 +1,16 @@
+import jobQueue from '../jobQueue.js';
+import { parseDocuments, storeDocument, parseClearedDocument } from './documentJobs.js';
+import { generateVerdict } from './verdictJobs.js';
+import { respondToArgument } from './argumentJobs.js';
+import { reviewAppeal } from './appealJobs.js';
+
+function registerJobHandlers() {
+  jobQueue.registerHandler('parse_documents', parseDocuments);
+  jobQueue.registerHandler('store_document', storeDocument);
+  jobQueue.registerHandler('parse_cleared_document', parseClearedDocument);
+  jobQueue.registerHandler('generate_verdict', generateVerdict);
+  jobQueue.registerHandler('respond_to_argument', respondToArgument);
+  jobQueue.registerHandler('review_appeal', reviewAppeal);
+}
+
+export { registerJobHandlers };
@@ -0,0 +1,69 @@
+import caseService, { InvalidTransitionError } from '../caseService.js';
+import geminiService from '../geminiService.js';
+import { PermanentJobError } from '../jobQueue.js';
+
+// Generates the initial verdict, streaming the reasoning to the case room
+// over verdictProgress events as it is produced. A `panelSize` in the
+// payload has a panel of judges decide instead of a single judge.
+const generateVerdict = {
+  async run(job, { io, reportProgress }) {
+    const { caseId } = job;
+    const caseData = await caseService.getCase(caseId, { includeDocumentDetail: true });
+
+    if (!caseData) {
+      throw new PermanentJobError('Case no longer exists');
+    }
+
+    // The case must still be ready for judgment, with evidence that is not
+    // quarantined from a plaintiff and a defendant
+    const transitionError = caseService.checkTransition(caseData, 'verdict_rendered');
+    if (transitionError) {
+      throw new PermanentJobError(transitionError);
+    }
+
+    const panelSize = job.payload?.panelSize || null;
+
+    await reportProgress({ stage: 'generating', message: `Attempt ${job.attempts} of ${job.maxAttempts}` });
+    io?.to(caseId).emit('verdictProgress', { caseId, stage: 'started', jobId: job._id.toString(), panelSize });
+
+    const onProgress = ({ attempt, delta, text, judge }) => {
+      io?.to(caseId).emit('verdictProgress', {
+        caseId,
+        stage: 'reasoning',
+        attempt,
+        delta,
+        reasoning: text,
+        ...(panelSize && { judge, panelSize })
+      });
+    };
+
+    const verdict = panelSize
+      ? await geminiService.generatePanelVerdict(caseData, { panelSize, onProgress })
+      : await geminiService.generateVerdict(caseData, { onProgress });
+
+    let updatedCase;
+    try {
+      updatedCase = await caseService.setVerdict(caseId, verdict, { by: job.createdBy });
+    } catch (error) {
+      if (error instanceof InvalidTransitionError) throw new PermanentJobError(error.message);
+      throw error;
+    }
+    io?.to(caseId).emit('verdictRendered', { caseId, verdict: updatedCase.verdict });
+
+    return {
+      decision: verdict.decision,
+      revision: updatedCase.verdict.revision,
+      ...(verdict.panel && { panel: { size: verdict.panel.size, agreement: verdict.panel.agreement } })
+    };
+  },
+
+  async onFailure(job, { io }, error) {
+    io?.to(job.caseId).emit('verdictProgress', {
+      caseId: job.caseId,
+      stage: 'failed',
+      error: error.message
+    });
+  }
+};
+
+export { generateVerdict };
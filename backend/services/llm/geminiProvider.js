@@ -0,0 +1,67 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+
+const baseGenerationConfig = {
+  temperature: 0.7,
+  topP: 0.8,
+  maxOutputTokens: 8192,
+};
+
+function createGeminiProvider(config = {}) {
+  const apiKey = config.apiKey || process.env.GEMINI_API_KEY;
+  const modelName = config.model || process.env.LLM_MODEL || DEFAULT_MODEL;
+
+  let model = null;
+
+  if (!apiKey) {
+    console.error('Warning: GEMINI_API_KEY not found in environment variables');
+  } else {
+    const genAI = new GoogleGenerativeAI(apiKey);
+    model = genAI.getGenerativeModel({
+      model: modelName,
+      generationConfig: baseGenerationConfig,
+    });
+  }
+
+  // A request's generationConfig replaces the model's rather than merging
+  // with it, so a temperature override carries the other settings along
+  function buildRequest(prompt, options) {
+    if (!model) {
+      throw new Error('Gemini API not configured. Please set GEMINI_API_KEY environment variable.');
+    }
+
+    return options.temperature === undefined
+      ? prompt
+      : {
+          contents: [{ role: 'user', parts: [{ text: prompt }] }],
+          generationConfig: { ...baseGenerationConfig, temperature: options.temperature }
+        };
+  }
+
+  async function generate(prompt, options = {}) {
+    const result = await model.generateContent(buildRequest(prompt, options));
+    const response = await result.response;
+    return response.text();
+  }
+
+  async function* stream(prompt, options = {}) {
+    const result = await model.generateContentStream(buildRequest(prompt, options));
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) {
+        yield text;
+      }
+    }
+  }
+
+  return {
+    name: 'gemini',
+    model: modelName,
+    isConfigured: () => !!model,
+    generate,
+    stream
+  };
+}
+
+export default createGeminiProvider;
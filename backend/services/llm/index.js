@@ -0,0 +1,34 @@
+import createGeminiProvider from './geminiProvider.js';
+import createOpenAIProvider from './openaiProvider.js';
+import createMockProvider from './mockProvider.js';
+
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider
+};
+
+function createProvider(name = process.env.LLM_PROVIDER || 'gemini', config = {}) {
+  const factory = PROVIDERS[name.toLowerCase()];
+
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return factory(config);
+}
+
+let activeProvider = null;
+
+function getProvider() {
+  if (!activeProvider) {
+    activeProvider = createProvider();
+  }
+  return activeProvider;
+}
+
+function setProvider(provider) {
+  activeProvider = provider;
+}
+
+export { createProvider, getProvider, setProvider };
@@ -0,0 +1,58 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const STREAM_CHUNK_SIZE = 24;
+
+// Returns canned responses keyed by task so the full case lifecycle can run
+// without network access. Point LLM_FIXTURES_DIR at another directory to
+// override individual fixtures; missing files fall back to the bundled ones.
+function createMockProvider(config = {}) {
+  const fixturesDir = config.fixturesDir || process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+  const cache = new Map();
+
+  function loadFixture(task) {
+    if (cache.has(task)) {
+      return cache.get(task);
+    }
+
+    const candidates = [fixturesDir, DEFAULT_FIXTURES_DIR].flatMap(dir => [
+      path.join(dir, `${task}.json`),
+      path.join(dir, `${task}.txt`)
+    ]);
+
+    const fixturePath = candidates.find(candidate => fs.existsSync(candidate));
+    if (!fixturePath) {
+      throw new Error(`No mock LLM fixture found for task "${task}"`);
+    }
+
+    const content = fs.readFileSync(fixturePath, 'utf8');
+    cache.set(task, content);
+    return content;
+  }
+
+  async function generate(prompt, options = {}) {
+    return loadFixture(options.task || 'default');
+  }
+
+  async function* stream(prompt, options = {}) {
+    const content = loadFixture(options.task || 'default');
+    for (let i = 0; i < content.length; i += STREAM_CHUNK_SIZE) {
+      yield content.slice(i, i + STREAM_CHUNK_SIZE);
+    }
+  }
+
+  return {
+    name: 'mock',
+    model: 'mock',
+    isConfigured: () => true,
+    generate,
+    stream
+  };
+}
+
+export default createMockProvider;
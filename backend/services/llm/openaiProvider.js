@@ -0,0 +1,85 @@
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+const DEFAULT_MODEL = 'llama3.1';
+
+// Talks to any server exposing the OpenAI chat completions API
+// (Ollama, llama.cpp, vLLM, LM Studio or OpenAI itself).
+function createOpenAIProvider(config = {}) {
+  const baseUrl = (config.baseUrl || process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const apiKey = config.apiKey || process.env.OPENAI_API_KEY;
+  const modelName = config.model || process.env.LLM_MODEL || DEFAULT_MODEL;
+
+  async function requestCompletion(prompt, options, streaming) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: modelName,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: options.temperature ?? 0.7,
+        top_p: 0.8,
+        max_tokens: 8192,
+        stream: streaming
+      })
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(`LLM server responded with ${response.status}: ${body || response.statusText}`);
+    }
+
+    return response;
+  }
+
+  async function generate(prompt, options = {}) {
+    const response = await requestCompletion(prompt, options, false);
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content;
+
+    if (typeof content !== 'string') {
+      throw new Error('LLM server returned no completion content');
+    }
+
+    return content;
+  }
+
+  // Parses the server-sent events stream, yielding each content delta.
+  async function* stream(prompt, options = {}) {
+    const response = await requestCompletion(prompt, options, true);
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') return;
+
+        const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+        if (delta) {
+          yield delta;
+        }
+      }
+    }
+  }
+
+  return {
+    name: 'openai',
+    model: modelName,
+    isConfigured: () => true,
+    generate,
+    stream
+  };
+}
+
+export default createOpenAIProvider;
@@ -0,0 +1,61 @@
+import Membership from '../models/Membership.js';
+
+// `partyId` names the party a 'party' member acts for
+async function addMember(caseId, userId, role, addedBy, partyId = null) {
+  const membership = await Membership.findOneAndUpdate(
+    { caseId, userId },
+    { $set: { role, partyId: role === 'party' ? partyId : null, addedBy } },
+    { new: true, upsert: true }
+  ).lean();
+
+  return membership;
+}
+
+async function getMembership(caseId, userId) {
+  return await Membership.findOne({ caseId, userId }).lean();
+}
+
+async function listMembers(caseId) {
+  const memberships = await Membership.find({ caseId })
+    .populate('userId', 'email name')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  return memberships
+    .filter(membership => membership.userId)
+    .map(membership => ({
+      userId: membership.userId._id.toString(),
+      email: membership.userId.email,
+      name: membership.userId.name,
+      role: membership.role,
+      partyId: membership.partyId || null,
+      addedAt: membership.createdAt
+    }));
+}
+
+async function removeMember(caseId, userId) {
+  const result = await Membership.findOneAndDelete({ caseId, userId });
+  return !!result;
+}
+
+// Deleted cases keep their members so restoring one gives them access
+// again; only a case replaced by an imported bundle loses them
+async function removeAllMembers(caseId) {
+  await Membership.deleteMany({ caseId });
+}
+
+async function getCaseIdsForUser(userId) {
+  const memberships = await Membership.find({ userId }).select('caseId').lean();
+  return memberships.map(membership => membership.caseId);
+}
+
+const membershipService = {
+  addMember,
+  getMembership,
+  listMembers,
+  removeMember,
+  removeAllMembers,
+  getCaseIdsForUser
+};
+
+export default membershipService;
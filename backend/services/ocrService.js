@@ -0,0 +1,147 @@
+import { createRequire } from 'module';
+import { createWorker } from 'tesseract.js';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { createCanvas } from '@napi-rs/canvas';
+import UTIF from 'utif';
+
+const require = createRequire(import.meta.url);
+
+const OCR_LANGUAGES = process.env.OCR_LANGUAGES || 'eng';
+const OCR_LANG_PATH = process.env.OCR_LANG_PATH || require('@tesseract.js-data/eng').langPath;
+const OCR_RENDER_SCALE = parseFloat(process.env.OCR_RENDER_SCALE) || 2;
+const OCR_MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES) || 50;
+const STANDARD_FONT_DATA_URL = require.resolve('pdfjs-dist/package.json').replace(/package\.json$/, 'standard_fonts/');
+
+let workerPromise = null;
+
+// One shared worker; tesseract queues recognize() calls internally
+function getWorker() {
+  if (!workerPromise) {
+    workerPromise = createWorker(OCR_LANGUAGES, 1, {
+      langPath: OCR_LANG_PATH,
+      gzip: true,
+      cacheMethod: 'none'
+    }).catch(error => {
+      workerPromise = null;
+      throw error;
+    });
+  }
+  return workerPromise;
+}
+
+async function recognizeImage(imageBuffer) {
+  const worker = await getWorker();
+  const { data } = await worker.recognize(imageBuffer, {}, { text: true, blocks: true });
+
+  const paragraphs = (data.blocks || [])
+    .flatMap(block => block.paragraphs || [])
+    .map(paragraph => paragraph.text)
+    .filter(text => text && text.trim());
+
+  return {
+    text: data.text || '',
+    paragraphs: paragraphs.length > 0 ? paragraphs : [data.text || ''],
+    confidence: Math.round(data.confidence || 0)
+  };
+}
+
+// Resolves to { text, pages, ocr } where `pages` holds the recognised
+// paragraphs of each page
+async function recognizePages(pageImages) {
+  const pages = [];
+  const texts = [];
+  const paragraphsByPage = [];
+
+  for (let i = 0; i < pageImages.length; i++) {
+    const result = await recognizeImage(pageImages[i]);
+    texts.push(result.text);
+    paragraphsByPage.push(result.paragraphs);
+    pages.push({
+      page: i + 1,
+      confidence: result.confidence,
+      textLength: result.text.trim().length
+    });
+  }
+
+  const averageConfidence = pages.length > 0
+    ? Math.round(pages.reduce((sum, page) => sum + page.confidence, 0) / pages.length)
+    : 0;
+
+  return {
+    text: texts.join('\n\n'),
+    pages: paragraphsByPage,
+    ocr: {
+      engine: 'tesseract',
+      language: OCR_LANGUAGES,
+      pageCount: pages.length,
+      averageConfidence,
+      pages
+    }
+  };
+}
+
+async function renderPdfPages(buffer) {
+  const pdf = await getDocument({
+    data: new Uint8Array(buffer),
+    standardFontDataUrl: STANDARD_FONT_DATA_URL,
+    disableFontFace: true
+  }).promise;
+
+  try {
+    const pageCount = Math.min(pdf.numPages, OCR_MAX_PAGES);
+    const images = [];
+
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+      const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+      const context = canvas.getContext('2d');
+
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      await page.render({ canvasContext: context, viewport, canvas }).promise;
+
+      images.push(canvas.toBuffer('image/png'));
+      page.cleanup();
+    }
+
+    return images;
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+// Tesseract cannot read TIFF, so each TIFF page is re-encoded as PNG
+function decodeTiffPages(buffer) {
+  const ifds = UTIF.decode(buffer).slice(0, OCR_MAX_PAGES);
+
+  return ifds.map(ifd => {
+    UTIF.decodeImage(buffer, ifd);
+    const rgba = UTIF.toRGBA8(ifd);
+    const canvas = createCanvas(ifd.width, ifd.height);
+    const context = canvas.getContext('2d');
+    const imageData = context.createImageData(ifd.width, ifd.height);
+
+    imageData.data.set(rgba);
+    context.putImageData(imageData, 0, 0);
+    return canvas.toBuffer('image/png');
+  });
+}
+
+async function ocrPdf(buffer) {
+  const pageImages = await renderPdfPages(buffer);
+  return await recognizePages(pageImages);
+}
+
+async function ocrImage(buffer, mimeType) {
+  const pageImages = mimeType === 'image/tiff' ? decodeTiffPages(buffer) : [buffer];
+  return await recognizePages(pageImages);
+}
+
+const ocrService = {
+  ocrPdf,
+  ocrImage,
+  recognizeImage
+};
+
+export default ocrService;
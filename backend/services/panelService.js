@@ -0,0 +1,83 @@
+// Combines the opinions of a panel of judges into one verdict. Each judge
+// decides independently; judges who reach the same decision (and, for
+// favor_parties, the same prevailing parties) vote together.
+const PANEL_SIZES = [3, 5];
+
+function voteKey(opinion) {
+  if (opinion.decision !== 'favor_parties') return opinion.decision;
+  return `favor_parties:${[...(opinion.prevailingParties || [])].sort().join(',')}`;
+}
+
+function totalConfidence(opinions) {
+  return opinions.reduce((sum, opinion) => sum + (opinion.confidence || 0), 0);
+}
+
+// Groups the opinions by vote, largest first; equal groups are ordered by
+// the judges' combined confidence
+function tallyVotes(opinions) {
+  const groups = new Map();
+
+  opinions.forEach(opinion => {
+    const key = voteKey(opinion);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(opinion);
+  });
+
+  return [...groups.values()].sort((a, b) =>
+    b.length - a.length || totalConfidence(b) - totalConfidence(a)
+  );
+}
+
+// The verdict is the most confident opinion of the largest group, which
+// becomes the opinion of the court; the rest of that group concur and every
+// other judge dissents. `majority` is false when the largest group is only
+// a plurality.
+function combineOpinions(opinions) {
+  const groups = tallyVotes(opinions);
+  const [prevailing] = groups;
+  const lead = [...prevailing].sort((a, b) => (b.confidence || 0) - (a.confidence || 0))[0];
+
+  const roleOf = (opinion) => {
+    if (opinion === lead) return 'majority';
+    return prevailing.includes(opinion) ? 'concurring' : 'dissenting';
+  };
+
+  const { judge, persona, temperature, ...verdict } = lead;
+
+  return {
+    ...verdict,
+    panel: {
+      size: opinions.length,
+      unanimous: groups.length === 1,
+      majority: prevailing.length > opinions.length / 2,
+      agreement: prevailing.length / opinions.length,
+      votes: groups.map(group => ({
+        decision: group[0].decision,
+        prevailingParties: group[0].prevailingParties || [],
+        judges: group.map(opinion => opinion.judge)
+      })),
+      opinions: opinions.map(opinion => ({
+        judge: opinion.judge,
+        persona: opinion.persona,
+        temperature: opinion.temperature,
+        role: roleOf(opinion),
+        decision: opinion.decision,
+        prevailingParties: opinion.prevailingParties || [],
+        reasoning: opinion.reasoning,
+        keyFindings: opinion.keyFindings,
+        legalPrinciples: opinion.legalPrinciples,
+        damages: opinion.damages,
+        confidence: opinion.confidence,
+        citations: opinion.citations
+      }))
+    }
+  };
+}
+
+const panelService = {
+  tallyVotes,
+  combineOpinions
+};
+
+export { PANEL_SIZES };
+export default panelService;
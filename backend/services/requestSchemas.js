@@ -0,0 +1,254 @@
+import { z } from 'zod';
+import { CASE_STATUSES, CASE_TYPES, PARTY_ROLES } from '../models/Case.js';
+import { MEMBERSHIP_ROLES } from '../models/Membership.js';
+import { MAX_PARTIES } from './caseService.js';
+import { PANEL_SIZES } from './panelService.js';
+import { CONFLICT_MODES } from './bundleService.js';
+import exportService from './export/index.js';
+
+// Request shapes for routes/auth.js, routes/case.js, routes/cases.js and
+// routes/upload.js, applied by middleware/validate.js. Enums come from the
+// models so the API accepts exactly what the database stores.
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_NAME_LENGTH = 200;
+const MAX_TEXT_LENGTH = 10000;
+const MAX_NOTE_LENGTH = 2000;
+const MAX_ARGUMENT_LENGTH = 20000;
+const MAX_APPEAL_GROUNDS_LENGTH = 10000;
+const MAX_QUERY_LENGTH = 200;
+const MIN_PASSWORD_LENGTH = 8;
+
+function oneOf(values) {
+  return z.enum(values, { errorMap: () => ({ message: `Must be one of: ${values.join(', ')}` }) });
+}
+
+function text(max) {
+  return z.string({ invalid_type_error: 'Must be text' })
+    .trim()
+    .max(max, `Must be at most ${max} characters`);
+}
+
+function requiredText(max) {
+  return text(max).min(1, 'Required');
+}
+
+function optionalText(max) {
+  return text(max).nullable().optional();
+}
+
+const identifier = z.string().regex(/^[\w-]{1,100}$/, 'Not a valid ID');
+const objectId = z.string().regex(/^[a-f\d]{24}$/i, 'Not a valid ID');
+const partyId = z.string().regex(/^[A-Z]$/, 'Must be a party letter (A-Z)');
+const flag = oneOf(['true', 'false']);
+const email = z.string({ required_error: 'Required', invalid_type_error: 'Must be text' })
+  .trim()
+  .email('Must be an email address');
+
+const positiveInteger = z.coerce.number({ invalid_type_error: 'Must be a number' })
+  .int('Must be a whole number')
+  .positive('Must be a positive number');
+
+// Query values given more than once arrive as arrays; lists are also
+// accepted comma-separated
+function listOf(values) {
+  return z.preprocess(
+    value => (Array.isArray(value) ? value.join(',') : value),
+    z.string().transform((value, ctx) => {
+      const items = value.split(',').map(item => item.trim()).filter(Boolean);
+      const invalid = items.filter(item => !values.includes(item));
+
+      if (invalid.length > 0) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Must be one of: ${values.join(', ')}` });
+        return z.NEVER;
+      }
+      return items;
+    })
+  );
+}
+
+// A bare date as the upper bound of a range includes the whole day
+function dateBound({ end = false } = {}) {
+  return z.string().transform((value, ctx) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Must be a date' });
+      return z.NEVER;
+    }
+    if (end && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      date.setUTCHours(23, 59, 59, 999);
+    }
+    return date;
+  });
+}
+
+const caseParams = z.object({ caseId: identifier });
+const documentParams = caseParams.extend({ documentId: identifier });
+const partyParams = caseParams.extend({ partyId });
+const noBody = z.object({}).strict();
+const noQuery = z.object({}).strict();
+
+const partySchema = z.object({
+  name: requiredText(MAX_NAME_LENGTH),
+  role: oneOf(PARTY_ROLES),
+  description: optionalText(MAX_TEXT_LENGTH)
+}).strict();
+
+// Filters and paging shared by GET /cases and GET /cases/search
+const caseListQuery = z.object({
+  status: listOf(CASE_STATUSES).optional(),
+  caseType: listOf(CASE_TYPES).optional(),
+  country: text(MAX_NAME_LENGTH).optional(),
+  hasVerdict: flag.transform(value => value === 'true').optional(),
+  createdFrom: dateBound().optional(),
+  createdTo: dateBound({ end: true }).optional(),
+  activeFrom: dateBound().optional(),
+  activeTo: dateBound({ end: true }).optional(),
+  sort: oneOf(['lastActivity', 'createdAt', 'title']).optional(),
+  order: oneOf(['asc', 'desc']).optional(),
+  limit: positiveInteger.optional(),
+  cursor: z.string().max(1000).optional()
+}).strict();
+
+const authRequests = {
+  register: {
+    body: z.object({
+      email,
+      name: requiredText(MAX_NAME_LENGTH),
+      password: z.string({ required_error: 'Required', invalid_type_error: 'Must be text' })
+        .min(MIN_PASSWORD_LENGTH, `Must be at least ${MIN_PASSWORD_LENGTH} characters`)
+    }).strict()
+  },
+  login: {
+    body: z.object({
+      email,
+      password: z.string({ required_error: 'Required', invalid_type_error: 'Must be text' }).min(1, 'Required')
+    }).strict()
+  }
+};
+
+const caseRequests = {
+  create: {
+    body: z.object({
+      title: requiredText(MAX_TITLE_LENGTH),
+      description: requiredText(MAX_TEXT_LENGTH),
+      country: requiredText(MAX_NAME_LENGTH),
+      caseType: oneOf(CASE_TYPES).default('civil'),
+      parties: z.array(partySchema)
+        .min(2, `A case needs between 2 and ${MAX_PARTIES} parties`)
+        .max(MAX_PARTIES, `A case needs between 2 and ${MAX_PARTIES} parties`)
+        .optional()
+    }).strict()
+  },
+  getCase: { params: caseParams, query: noQuery },
+  verifyDocuments: { params: caseParams, query: noQuery },
+  downloadDocument: {
+    params: documentParams,
+    query: z.object({ stream: flag.optional() }).strict()
+  },
+  getDocument: {
+    params: partyParams.extend({
+      documentIndex: z.string().regex(/^\d+$/, 'The document index must be a non-negative integer')
+    }),
+    query: noQuery
+  },
+  deleteDocument: { params: documentParams, body: noBody },
+  replaceDocument: {
+    params: documentParams,
+    body: z.object({ description: optionalText(MAX_TEXT_LENGTH) }).strict()
+  },
+  clearQuarantine: {
+    params: documentParams,
+    body: z.object({ note: optionalText(MAX_NOTE_LENGTH) }).strict()
+  },
+  grantEvidenceLeave: {
+    params: caseParams,
+    body: z.object({ party: partyId, reason: optionalText(MAX_NOTE_LENGTH) }).strict()
+  },
+  revokeEvidenceLeave: { params: partyParams, body: noBody },
+  requestVerdict: {
+    params: caseParams,
+    body: z.object({
+      panelSize: z.number().refine(size => PANEL_SIZES.includes(size), `Panel size must be one of ${PANEL_SIZES.join(', ')}`).nullable().optional()
+    }).strict()
+  },
+  submitArgument: {
+    params: caseParams,
+    body: z.object({ argument: requiredText(MAX_ARGUMENT_LENGTH), party: partyId.optional() }).strict()
+  },
+  closeCase: {
+    params: caseParams,
+    body: z.object({ reason: optionalText(MAX_NOTE_LENGTH) }).strict()
+  },
+  fileAppeal: {
+    params: caseParams,
+    body: z.object({ grounds: requiredText(MAX_APPEAL_GROUNDS_LENGTH) }).strict()
+  },
+  requestAppealReview: { params: caseParams, body: noBody },
+  deleteCase: { params: caseParams, body: noBody },
+  restoreCase: { params: caseParams, body: noBody },
+  auditLog: {
+    params: caseParams,
+    query: z.object({
+      limit: positiveInteger.optional(),
+      cursor: z.string().max(1000).optional()
+    }).strict()
+  },
+  exportCase: {
+    params: caseParams,
+    query: z.object({ format: oneOf(exportService.formats).default('pdf') }).strict()
+  },
+  exportBundle: { params: caseParams, query: noQuery },
+  listJobs: {
+    params: caseParams,
+    query: z.object({ active: flag.optional() }).strict()
+  },
+  getJob: { params: caseParams.extend({ jobId: objectId }), query: noQuery },
+  addParty: { params: caseParams, body: partySchema },
+  updateParty: {
+    params: partyParams,
+    body: partySchema.partial().strict().refine(
+      updates => Object.values(updates).some(value => value !== undefined),
+      'Give a name, role or description to update'
+    )
+  },
+  listMembers: { params: caseParams, query: noQuery },
+  addMember: {
+    params: caseParams,
+    body: z.object({
+      email,
+      role: oneOf(MEMBERSHIP_ROLES),
+      partyId: partyId.nullable().optional()
+    }).strict()
+  },
+  removeMember: { params: caseParams.extend({ userId: objectId }), body: noBody }
+};
+
+const casesRequests = {
+  list: { query: caseListQuery },
+  search: { query: caseListQuery.extend({ title: text(MAX_TITLE_LENGTH).optional() }) },
+  fulltext: {
+    query: z.object({
+      q: text(MAX_QUERY_LENGTH).min(2, 'Must be at least 2 characters'),
+      limit: positiveInteger.optional()
+    }).strict()
+  },
+  deleted: { query: noQuery },
+  stats: { query: noQuery },
+  importBundle: {
+    query: z.object({ conflict: oneOf(CONFLICT_MODES).optional() }).strict(),
+    body: z.object({ conflict: oneOf(CONFLICT_MODES).optional() }).strict()
+  }
+};
+
+const uploadRequests = {
+  uploadDocuments: {
+    params: z.object({ partyId }),
+    body: z.object({
+      caseId: identifier,
+      description: optionalText(MAX_TEXT_LENGTH)
+    }).strict()
+  }
+};
+
+export { authRequests, caseRequests, casesRequests, uploadRequests };
@@ -0,0 +1,129 @@
+import { z } from 'zod';
+
+const VERDICT_DECISIONS = ['favor_parties', 'split_decision', 'insufficient_evidence'];
+const VERDICT_CHANGES = ['none', 'minor_modification', 'significant_change', 'reversal'];
+const APPEAL_OUTCOMES = ['affirm', 'reverse', 'remand'];
+const GROUND_FINDINGS = ['upheld', 'rejected'];
+
+const confidence = z.number().min(0).max(1);
+const stringList = z.array(z.string());
+const optionalText = z.string().nullable().optional();
+
+const verdictResponseSchema = z.object({
+  decision: z.enum(VERDICT_DECISIONS),
+  prevailingParties: z.array(z.string()).default([]),
+  reasoning: z.string().trim().min(1),
+  keyFindings: stringList,
+  legalPrinciples: stringList,
+  damages: optionalText,
+  notes: optionalText,
+  confidence,
+  openToReconsideration: z.boolean(),
+  citations: z.array(z.object({
+    finding: z.string(),
+    sources: z.array(z.string()).min(1)
+  })).default([])
+});
+
+const argumentResponseSchema = z.object({
+  response: z.string().trim().min(1),
+  verdictChange: z.enum(VERDICT_CHANGES),
+  newReasoning: optionalText,
+  addressedPoints: stringList,
+  remainingConcerns: stringList,
+  legalCitations: stringList,
+  confidence,
+  requestsClarification: optionalText
+});
+
+// A reversal must name who prevails instead, and a remand must tell the
+// trial court what to reconsider
+const appealDecisionResponseSchema = z.object({
+  outcome: z.enum(APPEAL_OUTCOMES),
+  standardOfReview: z.string().trim().min(1),
+  reasoning: z.string().trim().min(1),
+  groundsAssessment: z.array(z.object({
+    ground: z.string().trim().min(1),
+    finding: z.enum(GROUND_FINDINGS),
+    reasoning: z.string()
+  })).min(1),
+  prevailingParties: z.array(z.string()).default([]),
+  remandInstructions: optionalText,
+  confidence
+}).superRefine((value, ctx) => {
+  if (value.outcome === 'reverse' && value.prevailingParties.length === 0) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['prevailingParties'],
+      message: 'must name at least one party when the outcome is reverse'
+    });
+  }
+
+  if (value.outcome === 'remand' && !value.remandInstructions?.trim()) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['remandInstructions'],
+      message: 'is required when the outcome is remand'
+    });
+  }
+});
+
+// Rejects citations pointing at excerpt labels that were not in the prompt
+function withKnownSources(schema, refs) {
+  return schema.superRefine((value, ctx) => {
+    (value.citations || []).forEach((citation, citationIndex) => {
+      citation.sources.forEach((source, sourceIndex) => {
+        if (!refs.has(source)) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: ['citations', citationIndex, 'sources', sourceIndex],
+            message: `unknown excerpt label "${source}"`
+          });
+        }
+      });
+    });
+  });
+}
+
+// Requires the prevailing parties of a `favor_parties` decision to be named,
+// and only by ids of the case's parties
+function withKnownParties(schema, partyIds) {
+  return schema.superRefine((value, ctx) => {
+    if (value.decision === 'favor_parties' && value.prevailingParties.length === 0) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['prevailingParties'],
+        message: 'must name at least one party when the decision is favor_parties'
+      });
+    }
+
+    value.prevailingParties.forEach((partyId, index) => {
+      if (!partyIds.includes(partyId)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['prevailingParties', index],
+          message: `unknown party "${partyId}"`
+        });
+      }
+    });
+  });
+}
+
+function formatIssues(error) {
+  return error.issues.map(issue => {
+    const field = issue.path.length > 0 ? issue.path.join('.') : '(root)';
+    return `${field}: ${issue.message}`;
+  });
+}
+
+export {
+  VERDICT_DECISIONS,
+  VERDICT_CHANGES,
+  APPEAL_OUTCOMES,
+  verdictResponseSchema,
+  argumentResponseSchema,
+  appealDecisionResponseSchema,
+  withKnownSources,
+  withKnownParties,
+  formatIssues
+};
@@ -0,0 +1,218 @@
+import documentStructure from './documentStructure.js';
+import scanService from './scanService.js';
+
+// BM25 retrieval over document chunks. Chunks and their term frequencies are
+// computed once at upload time and stored on the document record; corpus
+// statistics are derived per case when a prompt is assembled.
+
+const CHUNK_SIZE = parseInt(process.env.CHUNK_SIZE) || 1200;
+const CHUNK_OVERLAP = parseInt(process.env.CHUNK_OVERLAP) || 200;
+const EVIDENCE_TOKEN_BUDGET = parseInt(process.env.LLM_EVIDENCE_TOKEN_BUDGET) || 12000;
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'for', 'from',
+  'had', 'has', 'have', 'he', 'her', 'his', 'i', 'if', 'in', 'into', 'is', 'it',
+  'its', 'of', 'on', 'or', 'our', 'she', 'so', 'such', 'that', 'the', 'their',
+  'them', 'then', 'there', 'these', 'they', 'this', 'to', 'was', 'we', 'were',
+  'which', 'will', 'with', 'would', 'you', 'your'
+]);
+
+function tokenize(text) {
+  if (!text) return [];
+
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(token => token.length > 1 && !STOPWORDS.has(token));
+}
+
+function countTerms(tokens) {
+  const frequencies = {};
+  for (const token of tokens) {
+    frequencies[token] = (frequencies[token] || 0) + 1;
+  }
+  return frequencies;
+}
+
+// Rough token estimate used for prompt budgeting (~4 characters per token)
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function findBreak(window, minBreak) {
+  const paragraph = window.lastIndexOf('\n\n');
+  if (paragraph >= minBreak) return paragraph + 2;
+
+  const sentence = Math.max(window.lastIndexOf('. '), window.lastIndexOf('? '), window.lastIndexOf('! '));
+  if (sentence >= minBreak) return sentence + 2;
+
+  const space = Math.max(window.lastIndexOf(' '), window.lastIndexOf('\n'));
+  if (space >= minBreak) return space + 1;
+
+  return -1;
+}
+
+// Splits text into overlapping windows, preferring to break at a paragraph,
+// sentence or word boundary near the end of each window.
+function chunkText(text, size = CHUNK_SIZE, overlap = CHUNK_OVERLAP) {
+  if (!text) return [];
+
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(start + size, text.length);
+
+    if (end < text.length) {
+      const breakAt = findBreak(text.slice(start, end), Math.floor(size * 0.5));
+      if (breakAt !== -1) {
+        end = start + breakAt;
+      }
+    }
+
+    const chunk = text.slice(start, end).trim();
+    if (chunk) {
+      chunks.push({ text: chunk, start, end });
+    }
+
+    if (end >= text.length) break;
+    start = Math.max(end - overlap, start + 1);
+  }
+
+  return chunks;
+}
+
+// With the document structure, each chunk also records the page and
+// paragraph it starts and ends in
+function chunkDocument(extractedText, structure = null) {
+  return chunkText(extractedText).map((chunk, index) => {
+    const tokens = tokenize(chunk.text);
+    const from = documentStructure.locate(structure, chunk.start);
+    const to = documentStructure.locate(structure, Math.max(chunk.end - 1, chunk.start));
+
+    return {
+      index,
+      text: chunk.text,
+      start: chunk.start,
+      end: chunk.end,
+      tokenCount: tokens.length,
+      termFrequencies: countTerms(tokens),
+      page: from?.page,
+      paragraph: from?.paragraph,
+      endPage: to?.page,
+      endParagraph: to?.paragraph
+    };
+  });
+}
+
+// Documents uploaded before chunking existed are chunked on the fly
+function getDocumentChunks(doc) {
+  if (doc.chunks && doc.chunks.length > 0) {
+    return doc.chunks;
+  }
+  return chunkDocument(doc.extractedText, doc.structure);
+}
+
+function getTermFrequency(chunk, term) {
+  const frequencies = chunk.termFrequencies;
+  if (!frequencies) return 0;
+  return (frequencies instanceof Map ? frequencies.get(term) : frequencies[term]) || 0;
+}
+
+function collectCaseChunks(caseData) {
+  const entries = [];
+
+  for (const party of caseData.parties || []) {
+    (party.documents || []).forEach((doc, docIndex) => {
+      // Exhibit numbers stay the same with quarantined documents left out
+      if (scanService.isQuarantined(doc)) return;
+
+      getDocumentChunks(doc).forEach(chunk => {
+        entries.push({
+          ref: `${party.id}${docIndex + 1}.${chunk.index + 1}`,
+          party: party.id,
+          documentIndex: docIndex,
+          filename: doc.filename,
+          chunk
+        });
+      });
+    });
+  }
+
+  return entries;
+}
+
+function scoreEntries(entries, query) {
+  const queryTerms = [...new Set(tokenize(query))];
+  const totalChunks = entries.length;
+  if (totalChunks === 0) return [];
+
+  const averageLength = entries.reduce((sum, entry) => sum + (entry.chunk.tokenCount || 0), 0) / totalChunks || 1;
+
+  const documentFrequencies = {};
+  for (const term of queryTerms) {
+    documentFrequencies[term] = entries.filter(entry => getTermFrequency(entry.chunk, term) > 0).length;
+  }
+
+  return entries.map(entry => {
+    const length = entry.chunk.tokenCount || 0;
+    let score = 0;
+
+    for (const term of queryTerms) {
+      const frequency = getTermFrequency(entry.chunk, term);
+      if (frequency === 0) continue;
+
+      const df = documentFrequencies[term];
+      const idf = Math.log(1 + (totalChunks - df + 0.5) / (df + 0.5));
+      score += idf * (frequency * (BM25_K1 + 1)) /
+        (frequency + BM25_K1 * (1 - BM25_B + BM25_B * (length / averageLength)));
+    }
+
+    return { ...entry, score };
+  });
+}
+
+// Picks the highest scoring chunks for each party until that party's share
+// of the token budget is spent, then restores document order for
+// readability. The budget is split evenly between the parties that have
+// filed evidence; `byParty` maps each party id to its excerpts.
+function selectEvidence(caseData, query, tokenBudget = EVIDENCE_TOKEN_BUDGET) {
+  const scored = scoreEntries(collectCaseChunks(caseData), query);
+  const partyIds = [...new Set(scored.map(entry => entry.party))];
+  const perPartyBudget = Math.floor(tokenBudget / Math.max(partyIds.length, 1));
+  const byParty = {};
+
+  for (const party of caseData.parties || []) {
+    const ranked = scored
+      .filter(entry => entry.party === party.id)
+      .sort((a, b) => b.score - a.score ||
+        a.documentIndex - b.documentIndex ||
+        a.chunk.index - b.chunk.index);
+
+    const selected = [];
+    let used = 0;
+    for (const entry of ranked) {
+      const cost = estimateTokens(entry.chunk.text);
+      if (used + cost > perPartyBudget) continue;
+      selected.push(entry);
+      used += cost;
+    }
+
+    byParty[party.id] = selected.sort((a, b) => a.documentIndex - b.documentIndex || a.chunk.index - b.chunk.index);
+  }
+
+  return {
+    byParty,
+    refs: new Map(Object.values(byParty).flat().map(entry => [entry.ref, entry]))
+  };
+}
+
+const retrievalService = {
+  chunkDocument,
+  selectEvidence,
+  estimateTokens,
+  tokenize
+};
+
+export default retrievalService;
@@ -0,0 +1,150 @@
+// Minimal RTF reader: walks the control word stream and keeps body text,
+// skipping font/colour tables, embedded pictures and other destinations.
+
+// Destinations that hold metadata or binary data rather than document text
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'fldinst',
+  'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf',
+  'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'xmlnstbl', 'filetbl',
+  'revtbl', 'themedata', 'colorschememapping', 'datastore', 'latentstyles',
+  'pgdsctbl', 'bkmkstart', 'bkmkend'
+]);
+
+const CONTROL_WORD_TEXT = {
+  par: '\n',
+  line: '\n',
+  sect: '\n\n',
+  page: '\n\n',
+  row: '\n',
+  cell: '\t',
+  tab: '\t',
+  emdash: '—',
+  endash: '–',
+  bullet: '•',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”'
+};
+
+const CONTROL_SYMBOL_TEXT = {
+  '\\': '\\',
+  '{': '{',
+  '}': '}',
+  '~': ' ',
+  '_': '-',
+  '-': '',
+  '\n': '\n',
+  '\r': '\n'
+};
+
+const windows1252 = new TextDecoder('windows-1252');
+
+function extractText(buffer) {
+  // latin1 keeps every byte as one character so \binN lengths stay correct
+  const source = Buffer.isBuffer(buffer) ? buffer.toString('latin1') : String(buffer);
+
+  if (!source.startsWith('{\\rtf')) {
+    throw new Error('Not an RTF document');
+  }
+
+  const output = [];
+  const stack = [];
+  let state = { skip: false, unicodeSkip: 1 };
+  let pendingSkip = 0;
+  let i = 0;
+
+  const emit = text => {
+    if (pendingSkip > 0) {
+      pendingSkip--;
+      return;
+    }
+    if (!state.skip) {
+      output.push(text);
+    }
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (char === '{') {
+      stack.push(state);
+      state = { ...state };
+      pendingSkip = 0;
+      i++;
+      continue;
+    }
+
+    if (char === '}') {
+      state = stack.pop() || state;
+      pendingSkip = 0;
+      i++;
+      continue;
+    }
+
+    if (char === '\r' || char === '\n') {
+      i++;
+      continue;
+    }
+
+    if (char !== '\\') {
+      emit(char);
+      i++;
+      continue;
+    }
+
+    const next = source[i + 1];
+
+    if (next === '*') {
+      state.skip = true;
+      i += 2;
+      continue;
+    }
+
+    if (next === '\'') {
+      const byte = parseInt(source.slice(i + 2, i + 4), 16);
+      if (!Number.isNaN(byte)) {
+        emit(windows1252.decode(Uint8Array.of(byte)));
+      }
+      i += 4;
+      continue;
+    }
+
+    if (next in CONTROL_SYMBOL_TEXT) {
+      emit(CONTROL_SYMBOL_TEXT[next]);
+      i += 2;
+      continue;
+    }
+
+    const match = /^([a-zA-Z]{1,32})(-?\d{1,10})? ?/.exec(source.slice(i + 1, i + 48));
+    if (!match) {
+      i += 2;
+      continue;
+    }
+
+    const [token, word, rawParam] = match;
+    const param = rawParam !== undefined ? parseInt(rawParam, 10) : null;
+    i += 1 + token.length;
+
+    if (word === 'bin' && param > 0) {
+      i += param;
+    } else if (word === 'uc' && param !== null) {
+      state.unicodeSkip = param;
+    } else if (word === 'u' && param !== null) {
+      emit(String.fromCharCode(param < 0 ? param + 65536 : param));
+      pendingSkip = state.unicodeSkip;
+    } else if (SKIPPED_DESTINATIONS.has(word)) {
+      state.skip = true;
+    } else if (word in CONTROL_WORD_TEXT) {
+      emit(CONTROL_WORD_TEXT[word]);
+    }
+  }
+
+  return output.join('');
+}
+
+const rtfParser = {
+  extractText
+};
+
+export default rtfParser;
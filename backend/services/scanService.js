@@ -0,0 +1,87 @@
+import net from 'net';
+
+// Optional malware scanning through a ClamAV daemon. Set CLAMAV_SOCKET to
+// clamd's unix socket, or CLAMAV_HOST (and CLAMAV_PORT) for its TCP socket;
+// without either, uploads are recorded as not scanned.
+
+const CLAMAV_SOCKET = process.env.CLAMAV_SOCKET;
+const CLAMAV_HOST = process.env.CLAMAV_HOST;
+const CLAMAV_PORT = parseInt(process.env.CLAMAV_PORT) || 3310;
+const CLAMAV_TIMEOUT_MS = parseInt(process.env.CLAMAV_TIMEOUT_MS) || 30000;
+const STREAM_CHUNK_SIZE = 64 * 1024;
+
+function isConfigured() {
+  return !!(CLAMAV_SOCKET || CLAMAV_HOST);
+}
+
+// Sends the buffer with clamd's INSTREAM command and resolves to its reply,
+// e.g. "stream: OK" or "stream: Eicar-Signature FOUND"
+function instream(buffer) {
+  return new Promise((resolve, reject) => {
+    const socket = CLAMAV_SOCKET
+      ? net.createConnection({ path: CLAMAV_SOCKET })
+      : net.createConnection({ host: CLAMAV_HOST, port: CLAMAV_PORT });
+    const reply = [];
+
+    socket.setTimeout(CLAMAV_TIMEOUT_MS, () => {
+      socket.destroy(new Error(`ClamAV did not answer within ${CLAMAV_TIMEOUT_MS}ms`));
+    });
+
+    socket.on('connect', () => {
+      socket.write('zINSTREAM\0');
+
+      for (let offset = 0; offset < buffer.length; offset += STREAM_CHUNK_SIZE) {
+        const chunk = buffer.subarray(offset, offset + STREAM_CHUNK_SIZE);
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(chunk.length);
+        socket.write(length);
+        socket.write(chunk);
+      }
+
+      socket.end(Buffer.alloc(4));
+    });
+
+    socket.on('data', data => reply.push(data));
+    socket.on('error', reject);
+    socket.on('close', hadError => {
+      if (!hadError) {
+        resolve(Buffer.concat(reply).toString('utf8').replace(/\0/g, '').trim());
+      }
+    });
+  });
+}
+
+// Resolves to the document's `scan` record. Errors talking to clamd are
+// thrown, so the upload job retries instead of accepting an unscanned file.
+async function scanBuffer(buffer) {
+  if (!isConfigured()) {
+    return { status: 'not_scanned', engine: null, signature: null, scannedAt: null };
+  }
+
+  const reply = await instream(buffer);
+  const found = /^stream: (.+) FOUND$/.exec(reply);
+
+  if (found) {
+    return { status: 'quarantined', engine: 'clamav', signature: found[1], scannedAt: new Date() };
+  }
+
+  if (reply !== 'stream: OK') {
+    throw new Error(`ClamAV scan failed: ${reply || 'no reply'}`);
+  }
+
+  return { status: 'clean', engine: 'clamav', signature: null, scannedAt: new Date() };
+}
+
+// Quarantined documents are kept for review but left out of prompts, the
+// document viewer and downloads until the judge clears them
+function isQuarantined(doc) {
+  return doc?.scan?.status === 'quarantined';
+}
+
+const scanService = {
+  isConfigured,
+  scanBuffer,
+  isQuarantined
+};
+
+export default scanService;
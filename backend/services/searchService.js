@@ -0,0 +1,226 @@
+import Case from '../models/Case.js';
+import { escapeRegex } from '../utils/regex.js';
+
+const DEFAULT_RESULT_LIMIT = 20;
+const MAX_RESULT_LIMIT = 50;
+const MAX_MATCHES_PER_CASE = 3;
+const SNIPPET_LENGTH = 200;
+
+// Weights of the fields in the case text index (models/Case.js); matches in
+// heavier fields are shown first
+const FIELD_WEIGHTS = {
+  title: 10,
+  description: 5,
+  verdict: 3,
+  finding: 3,
+  argument: 2,
+  response: 2,
+  document: 1
+};
+
+// Words the text index ignores, so they are not highlighted either
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'to', 'was', 'were', 'will', 'with'
+]);
+
+// A rough stand-in for the index's stemming: "contracts" and "contracting"
+// are highlighted for "contract"
+function stem(word) {
+  return word.length > 5 ? word.replace(/(ing|ed|es|s)$/, '') : word.replace(/s$/, '');
+}
+
+// The patterns to highlight for a query in the text index's syntax: quoted
+// phrases match as written, -negated words are skipped
+function queryPatterns(query) {
+  const patterns = [];
+  const phrases = [...query.matchAll(/"([^"]+)"/g)].map(match => match[1].trim()).filter(Boolean);
+
+  phrases.forEach(phrase => {
+    patterns.push(phrase.split(/\s+/).map(escapeRegex).join('\\s+'));
+  });
+
+  query.replace(/"[^"]*"/g, ' ').split(/\s+/)
+    .filter(word => word && !word.startsWith('-'))
+    .map(word => word.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''))
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .forEach(word => patterns.push(`${escapeRegex(stem(word))}[\\p{L}\\p{N}]*`));
+
+  return patterns.length > 0
+    ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${patterns.join('|')})`, 'giu')
+    : null;
+}
+
+// A window of the text around its first match, with the offsets of every
+// match inside the window
+function snippet(text, pattern) {
+  const matches = [...text.matchAll(pattern)];
+  if (matches.length === 0) return null;
+
+  const first = matches[0].index;
+  let start = Math.max(0, first - Math.floor(SNIPPET_LENGTH / 3));
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  // Start and end on word boundaries
+  if (start > 0) {
+    const space = text.lastIndexOf(' ', start);
+    start = space === -1 || first - space > SNIPPET_LENGTH / 2 ? start : space + 1;
+  }
+  if (end < text.length) {
+    const space = text.indexOf(' ', end);
+    end = space === -1 || space - end > 20 ? end : space;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const highlights = matches
+    .filter(match => match.index >= start && match.index + match[0].length <= end)
+    .map(match => [match.index - start + prefix.length, match.index - start + prefix.length + match[0].length]);
+
+  return {
+    snippet: `${prefix}${text.slice(start, end)}${suffix}`,
+    highlights,
+    count: matches.length
+  };
+}
+
+// Extracted text keeps the document's line breaks, which snippets do not
+function normalise(text) {
+  return typeof text === 'string' ? text.replace(/\s+/g, ' ').trim() : '';
+}
+
+// Every searchable text of a case, labelled with where it comes from
+function searchableFields(caseData) {
+  const fields = [
+    { field: 'title', label: 'Title', text: caseData.title },
+    { field: 'description', label: 'Description', text: caseData.description }
+  ];
+
+  (caseData.parties || []).forEach(party => {
+    (party.documents || []).forEach((doc, index) => {
+      // Quarantined files are withheld from the court, and from search results
+      if (doc.scan?.status === 'quarantined') return;
+
+      fields.push({
+        field: 'document',
+        label: `Exhibit ${party.id}${index + 1} (${doc.originalName || doc.filename})`,
+        partyId: party.id,
+        documentId: doc.id,
+        text: doc.extractedText
+      });
+    });
+  });
+
+  if (caseData.verdict) {
+    fields.push({ field: 'verdict', label: 'Verdict reasoning', text: caseData.verdict.reasoning });
+    (caseData.verdict.keyFindings || []).forEach(finding => {
+      fields.push({ field: 'finding', label: 'Key finding', text: finding });
+    });
+  }
+
+  (caseData.arguments || []).forEach(argument => {
+    const number = argument.argumentNumber || '';
+    fields.push({ field: 'argument', label: `Argument ${number} (Party ${argument.party})`, argumentId: argument.id, text: argument.argument });
+    fields.push({ field: 'response', label: `Court's response to argument ${number}`, argumentId: argument.id, text: argument.aiResponse?.response });
+  });
+
+  return fields.map(({ text, ...field }) => ({ ...field, text: normalise(text) })).filter(field => field.text);
+}
+
+// The fields of a case that match the query, best first
+function caseMatches(caseData, pattern) {
+  if (!pattern) return [];
+
+  return searchableFields(caseData)
+    .map(({ text, ...field }) => {
+      const match = snippet(text, pattern);
+      return match && { ...field, ...match };
+    })
+    .filter(Boolean)
+    .sort((a, b) => FIELD_WEIGHTS[b.field] * b.count - FIELD_WEIGHTS[a.field] * a.count)
+    .slice(0, MAX_MATCHES_PER_CASE)
+    .map(({ count, ...match }) => match);
+}
+
+// Ranks the cases in `caseIds` by the text index's relevance score for
+// `query` (MongoDB text search syntax: words, "quoted phrases", -excluded)
+// and returns each with snippets of the fields that matched
+async function searchCaseText(query, { caseIds, limit = DEFAULT_RESULT_LIMIT } = {}) {
+  const filter = { $text: { $search: query } };
+  if (caseIds) {
+    filter.caseId = { $in: caseIds };
+  }
+
+  const [cases, total] = await Promise.all([
+    Case.find(filter)
+      .select({
+        score: { $meta: 'textScore' },
+        caseId: 1,
+        title: 1,
+        description: 1,
+        status: 1,
+        country: 1,
+        caseType: 1,
+        updatedAt: 1,
+        'metadata.lastActivity': 1,
+        'parties.id': 1,
+        'parties.documents.id': 1,
+        'parties.documents.filename': 1,
+        'parties.documents.originalName': 1,
+        'parties.documents.extractedText': 1,
+        'parties.documents.scan.status': 1,
+        'verdict.reasoning': 1,
+        'verdict.keyFindings': 1,
+        'arguments.id': 1,
+        'arguments.party': 1,
+        'arguments.argumentNumber': 1,
+        'arguments.argument': 1,
+        'arguments.aiResponse.response': 1
+      })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(Math.min(Math.max(limit, 1), MAX_RESULT_LIMIT))
+      .lean(),
+    Case.countDocuments(filter)
+  ]);
+
+  const pattern = queryPatterns(query);
+
+  return {
+    query,
+    total,
+    results: cases.map(caseData => ({
+      caseId: caseData.caseId,
+      title: caseData.title,
+      status: caseData.status,
+      country: caseData.country,
+      caseType: caseData.caseType,
+      lastActivity: caseData.metadata?.lastActivity || caseData.updatedAt,
+      score: Math.round(caseData.score * 1000) / 1000,
+      matches: caseMatches(caseData, pattern)
+    }))
+  };
+}
+
+// The text index covers every document's extractedText, so a quarantined
+// document must not have any: its hits would count towards a case's score
+// and the total without a snippet to show for them. Quarantined files are no
+// longer read, but documents quarantined before that may still hold text,
+// which is read again from the stored file once the judge clears them.
+async function clearQuarantinedText() {
+  const result = await Case.updateMany(
+    { 'parties.documents': { $elemMatch: { 'scan.status': 'quarantined', extractedText: { $nin: ['', null] } } } },
+    { $set: { 'parties.$[].documents.$[doc].extractedText': '' } },
+    { arrayFilters: [{ 'doc.scan.status': 'quarantined' }], includeDeleted: true }
+  );
+
+  return result.modifiedCount;
+}
+
+const searchService = {
+  queryPatterns,
+  caseMatches,
+  searchCaseText,
+  clearQuarantinedText
+};
+
+export default searchService;
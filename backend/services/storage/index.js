@@ -0,0 +1,39 @@
+import createSupabaseStorage from './supabaseStorage.js';
+import createLocalStorage from './localStorage.js';
+
+// Every driver implements put(key, buffer, { contentType }), get(key),
+// delete(key) and getSignedUrl(key, { expiresIn, filename })
+const DRIVERS = {
+  supabase: createSupabaseStorage,
+  local: createLocalStorage
+};
+
+// Defaults to Supabase when it is configured and to local disk otherwise
+function defaultDriver() {
+  return process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY ? 'supabase' : 'local';
+}
+
+function createStorage(name = process.env.STORAGE_DRIVER || defaultDriver(), config = {}) {
+  const factory = DRIVERS[name.toLowerCase()];
+
+  if (!factory) {
+    throw new Error(`Unknown storage driver "${name}". Expected one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+
+  return factory(config);
+}
+
+let activeStorage = null;
+
+function getStorage() {
+  if (!activeStorage) {
+    activeStorage = createStorage();
+  }
+  return activeStorage;
+}
+
+function setStorage(storage) {
+  activeStorage = storage;
+}
+
+export { createStorage, getStorage, setStorage };
@@ -0,0 +1,80 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JWT_SECRET } from '../../config/auth.js';
+
+const BACKEND_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const DEFAULT_ROOT = path.join(BACKEND_DIR, 'uploads');
+
+// Stores objects as files under a root directory. Signed URLs point at the
+// server's /api/files route, which checks the HMAC signature and expiry
+// before streaming the file.
+function createLocalStorage(config = {}) {
+  const root = path.resolve(BACKEND_DIR, config.root || process.env.STORAGE_LOCAL_DIR || DEFAULT_ROOT);
+  const secret = config.signingSecret || process.env.STORAGE_SIGNING_SECRET || JWT_SECRET;
+  const baseUrl = (config.baseUrl || process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 3001}`)
+    .replace(/\/+$/, '');
+
+  function resolveKey(key) {
+    const filePath = path.resolve(root, key);
+
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  }
+
+  // The download name is signed too, so a link cannot be altered to serve
+  // the file under another name or extension
+  function sign(key, expires, filename) {
+    return crypto.createHmac('sha256', secret).update(JSON.stringify([key, String(expires), filename || ''])).digest('hex');
+  }
+
+  async function put(key, buffer) {
+    const filePath = resolveKey(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer, { flag: 'wx' });
+  }
+
+  async function get(key) {
+    return await fs.readFile(resolveKey(key));
+  }
+
+  async function remove(key) {
+    await fs.rm(resolveKey(key), { force: true });
+  }
+
+  async function getSignedUrl(key, options = {}) {
+    const expires = Math.floor(Date.now() / 1000) + (options.expiresIn || 300);
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    const query = new URLSearchParams({ expires: String(expires), signature: sign(key, expires, options.filename) });
+
+    if (options.filename) {
+      query.set('filename', options.filename);
+    }
+
+    return `${baseUrl}/api/files/${encodedKey}?${query}`;
+  }
+
+  function verifySignature(key, expires, signature, filename) {
+    const expected = Buffer.from(sign(key, expires, filename));
+    const actual = Buffer.from(String(signature || ''));
+
+    return Number(expires) * 1000 > Date.now() &&
+      expected.length === actual.length &&
+      crypto.timingSafeEqual(expected, actual);
+  }
+
+  return {
+    name: 'local',
+    root,
+    put,
+    get,
+    delete: remove,
+    getSignedUrl,
+    verifySignature
+  };
+}
+
+export default createLocalStorage;
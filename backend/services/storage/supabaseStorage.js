@@ -0,0 +1,62 @@
+import { getSupabaseClient } from '../../config/supabase.js';
+
+const DEFAULT_BUCKET = 'pdfbucket';
+
+function createSupabaseStorage(config = {}) {
+  const bucketName = config.bucket || process.env.STORAGE_BUCKET || DEFAULT_BUCKET;
+
+  function bucket() {
+    return getSupabaseClient().storage.from(bucketName);
+  }
+
+  async function put(key, buffer, options = {}) {
+    const { error } = await bucket().upload(key, buffer, {
+      contentType: options.contentType,
+      upsert: false
+    });
+
+    if (error) {
+      throw new Error(`Failed to upload file: ${error.message}`);
+    }
+  }
+
+  async function get(key) {
+    const { data, error } = await bucket().download(key);
+
+    if (error) {
+      throw new Error(`Failed to download file: ${error.message}`);
+    }
+
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  async function remove(key) {
+    const { error } = await bucket().remove([key]);
+
+    if (error) {
+      throw new Error(`Failed to delete file: ${error.message}`);
+    }
+  }
+
+  async function getSignedUrl(key, options = {}) {
+    const { data, error } = await bucket().createSignedUrl(key, options.expiresIn || 300, {
+      download: options.filename || false
+    });
+
+    if (error || !data?.signedUrl) {
+      throw new Error(`Failed to sign file URL: ${error?.message || 'no URL returned'}`);
+    }
+
+    return data.signedUrl;
+  }
+
+  return {
+    name: 'supabase',
+    put,
+    get,
+    delete: remove,
+    getSignedUrl
+  };
+}
+
+export default createSupabaseStorage;
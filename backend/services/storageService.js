@@ -0,0 +1,83 @@
+import { createStorage, getStorage } from './storage/index.js';
+
+const driverCache = new Map();
+
+// Documents stored before drivers were recorded were all kept on Supabase
+function storedDriver(doc) {
+  if (doc?.storageDriver) return doc.storageDriver;
+  return doc?.fileUrl && doc.fileUrl.includes('supabase') ? 'supabase' : null;
+}
+
+// Documents remember the driver they were stored with, so switching
+// STORAGE_DRIVER does not orphan files kept by the previous one
+function storageFor(doc) {
+  const active = getStorage();
+  const name = storedDriver(doc);
+
+  if (!name || name === active.name) return active;
+
+  if (!driverCache.has(name)) {
+    driverCache.set(name, createStorage(name));
+  }
+  return driverCache.get(name);
+}
+
+function documentKey(doc) {
+  const key = doc?.storagePath || doc?.path;
+  if (!key) {
+    throw new Error('Document has no stored file');
+  }
+  return key;
+}
+
+async function uploadDocument(fileBuffer, originalName, mimetype, caseId, folder) {
+  const storage = getStorage();
+  const fileName = `${Date.now()}-${originalName.replace(/[/\\]/g, '_')}`;
+  const filePath = `cases/${caseId}/${folder}/${fileName}`;
+
+  await storage.put(filePath, fileBuffer, { contentType: mimetype });
+
+  return {
+    storagePath: filePath,
+    storageDriver: storage.name
+  };
+}
+
+async function downloadDocument(doc) {
+  return await storageFor(doc).get(documentKey(doc));
+}
+
+async function deleteDocument(doc) {
+  await storageFor(doc).delete(documentKey(doc));
+}
+
+// Deletes the file of a document that was removed or replaced. Documents
+// still waiting for their store_document job have no file yet, and a failed
+// delete only leaves an orphaned file, so errors are logged rather than thrown.
+async function discardDocument(doc) {
+  if (!doc?.uploadedToCloud || !(doc.storagePath || doc.path)) return;
+
+  try {
+    await deleteDocument(doc);
+  } catch (error) {
+    console.error(`Failed to delete stored file of document ${doc.id}:`, error);
+  }
+}
+
+async function getDownloadUrl(doc, expiresIn) {
+  return await storageFor(doc).getSignedUrl(documentKey(doc), {
+    expiresIn,
+    filename: doc.originalName || doc.filename
+  });
+}
+
+const storageService = {
+  storedDriver,
+  uploadDocument,
+  downloadDocument,
+  deleteDocument,
+  discardDocument,
+  getDownloadUrl
+};
+
+export default storageService;
@@ -0,0 +1,83 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import Case from '../models/Case.js';
+import DocumentDetail from '../models/DocumentDetail.js';
+import geminiService from '../services/geminiService.js';
+import { PermanentJobError } from '../services/jobQueue.js';
+import { createProvider, setProvider } from '../services/llm/index.js';
+import { generateVerdict } from '../services/jobs/verdictJobs.js';
+import { respondToArgument } from '../services/jobs/argumentJobs.js';
+import { useMemoryModel } from './helpers/memoryModel.js';
+import { buildCase, buildDetails, buildJob, buildContext } from './helpers/fixtures.js';
+
+before(() => {
+  setProvider(createProvider('mock'));
+});
+
+async function useJudgedCase(t) {
+  const caseData = buildCase();
+  useMemoryModel(t, DocumentDetail, buildDetails(caseData));
+  const [stored] = useMemoryModel(t, Case, [caseData]);
+  await generateVerdict.run(buildJob(stored.caseId), buildContext());
+  return stored;
+}
+
+function argue(payload = {}) {
+  return buildJob('case_test', {
+    argumentId: 'arg_1',
+    party: 'B',
+    argument: 'The goods were damaged on delivery.',
+    submittedAt: new Date('2025-02-01T00:00:00Z'),
+    ...payload
+  });
+}
+
+test('the court responds to an argument once however often the job runs', async (t) => {
+  const stored = await useJudgedCase(t);
+
+  const context = buildContext();
+  const result = await respondToArgument.run(argue(), context);
+  const repeated = await respondToArgument.run(argue(), buildContext());
+
+  assert.equal(stored.status, 'arguments_phase');
+  assert.deepEqual(stored.arguments.map(arg => arg.id), ['arg_1']);
+  assert.equal(stored.arguments[0].aiResponse.verdictChange, 'none');
+  assert.deepEqual(result, {
+    argumentId: 'arg_1',
+    party: 'B',
+    argumentNumber: 1,
+    verdictChange: 'none',
+    revision: null,
+    remainingArguments: 4
+  });
+  assert.deepEqual(repeated, result);
+  assert.deepEqual(context.events.map(({ event }) => event), ['newArgument']);
+  assert.equal(stored.verdictHistory.length, 1);
+});
+
+test('an argument that changes the verdict revises it once', async (t) => {
+  const stored = await useJudgedCase(t);
+  const respond = geminiService.respondToArgument;
+  t.mock.method(geminiService, 'respondToArgument', async (...args) => ({
+    ...await respond(...args),
+    verdictChange: 'partial'
+  }));
+
+  const context = buildContext();
+  const result = await respondToArgument.run(argue(), context);
+  await respondToArgument.run(argue(), buildContext());
+
+  assert.equal(result.revision, 2);
+  assert.equal(stored.verdictHistory.length, 2);
+  assert.deepEqual(stored.verdict.trigger, { type: 'argument', argumentId: 'arg_1', party: 'B', verdictChange: 'partial' });
+  assert.deepEqual(context.events.map(({ event }) => event), ['newArgument', 'verdictRevised']);
+  assert.equal(geminiService.respondToArgument.mock.callCount(), 1);
+});
+
+test('arguments against a concluded case fail for good', async (t) => {
+  const stored = await useJudgedCase(t);
+  stored.status = 'closed';
+
+  await assert.rejects(respondToArgument.run(argue(), buildContext()), PermanentJobError);
+  assert.equal(stored.arguments.length, 0);
+});
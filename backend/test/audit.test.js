@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import AuditEvent from '../models/AuditEvent.js';
+import auditService, { InvalidAuditCursorError } from '../services/auditService.js';
+import { useMemoryModel } from './helpers/memoryModel.js';
+
+// Events recorded within the same millisecond share a timestamp
+function useEvents(t, count) {
+  const timestamp = new Date('2025-11-12T14:40:00Z');
+  return useMemoryModel(t, AuditEvent, Array.from({ length: count }, (_, index) => ({
+    caseId: 'case_test',
+    actor: null,
+    action: `document.uploaded.${index}`,
+    target: {},
+    payloadDigest: null,
+    timestamp: index < 3 ? timestamp : new Date(timestamp.getTime() + index * 1000)
+  })));
+}
+
+async function readAll(limit) {
+  const actions = [];
+  let cursor;
+
+  do {
+    const page = await auditService.listEvents('case_test', { limit, cursor });
+    actions.push(...page.events.map(event => event.action));
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return actions;
+}
+
+test('paging through the audit log returns every event once', async (t) => {
+  useEvents(t, 5);
+
+  const actions = await readAll(2);
+
+  assert.equal(actions.length, 5);
+  assert.equal(new Set(actions).size, 5);
+  assert.deepEqual(actions.slice(0, 2), ['document.uploaded.4', 'document.uploaded.3']);
+});
+
+test('events sharing a timestamp are not skipped between pages', async (t) => {
+  useEvents(t, 3);
+
+  const first = await auditService.listEvents('case_test', { limit: 1 });
+  const actions = await readAll(1);
+
+  assert.ok(first.nextCursor);
+  assert.deepEqual(actions.sort(), ['document.uploaded.0', 'document.uploaded.1', 'document.uploaded.2']);
+});
+
+test('the last page has no next cursor', async (t) => {
+  useEvents(t, 2);
+
+  const page = await auditService.listEvents('case_test', { limit: 2 });
+
+  assert.equal(page.events.length, 2);
+  assert.equal(page.nextCursor, null);
+});
+
+test('unreadable cursors are rejected', async (t) => {
+  useEvents(t, 1);
+
+  await assert.rejects(auditService.listEvents('case_test', { cursor: 'not-a-cursor' }), InvalidAuditCursorError);
+  await assert.rejects(
+    auditService.listEvents('case_test', { cursor: Buffer.from('["2025-11-12", 7]').toString('base64url') }),
+    InvalidAuditCursorError
+  );
+});
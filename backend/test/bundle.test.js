@@ -0,0 +1,219 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import AuditEvent from '../models/AuditEvent.js';
+import Case from '../models/Case.js';
+import DocumentDetail from '../models/DocumentDetail.js';
+import Membership from '../models/Membership.js';
+import User from '../models/User.js';
+import bundleService, { BUNDLE_FORMAT, BUNDLE_VERSION, BundleError } from '../services/bundleService.js';
+import integrityService from '../services/integrityService.js';
+import membershipService from '../services/membershipService.js';
+import scanService from '../services/scanService.js';
+import storageService from '../services/storageService.js';
+import { useMemoryModel } from './helpers/memoryModel.js';
+import { buildCase } from './helpers/fixtures.js';
+
+const SOURCE_OWNER = 'aaaaaaaaaaaaaaaaaaaaaaaa';
+const SOURCE_STRANGER = 'dddddddddddddddddddddddd';
+const LOCAL_OWNER = 'cccccccccccccccccccccccc';
+
+// The fixture case as exported, each document naming its file in the bundle
+function bundledCase(overrides = {}) {
+  const caseData = buildCase(overrides);
+  caseData.parties.forEach(party => party.documents.forEach((doc, index) => {
+    doc.bundlePath = `documents/${party.id}/${index + 1}-${doc.filename}`;
+  }));
+  return caseData;
+}
+
+async function buildBundle(caseData, { members = [], files = {} } = {}) {
+  const zip = new JSZip();
+  const hashes = {};
+  const addEntry = (name, content) => {
+    const buffer = Buffer.from(content);
+    zip.file(name, buffer);
+    hashes[name] = integrityService.hashBuffer(buffer);
+  };
+
+  caseData.parties.forEach(party => party.documents.forEach(doc => {
+    addEntry(doc.bundlePath, files[doc.id] ?? doc.extractedText);
+  }));
+  addEntry('case.json', JSON.stringify(caseData));
+  addEntry('members.json', JSON.stringify(members));
+  addEntry('audit.json', JSON.stringify([
+    { action: 'case.created', actor: SOURCE_STRANGER, target: {}, payloadDigest: null, timestamp: new Date() }
+  ]));
+
+  zip.file('manifest.json', JSON.stringify({
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    caseId: caseData.caseId,
+    users: [
+      { id: SOURCE_OWNER, email: 'owner@example.com', name: 'Owner' },
+      { id: SOURCE_STRANGER, email: 'stranger@example.com', name: 'Stranger' }
+    ],
+    files: hashes,
+    missingFiles: []
+  }));
+
+  return await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+// Only the bundle's owner has an account here
+function useImport(t, existingCases = []) {
+  const cases = useMemoryModel(t, Case, existingCases);
+  const details = useMemoryModel(t, DocumentDetail);
+  const members = useMemoryModel(t, Membership);
+  const events = useMemoryModel(t, AuditEvent);
+  useMemoryModel(t, User, [{ _id: LOCAL_OWNER, email: 'owner@example.com', name: 'Owner' }]);
+
+  t.mock.method(Case.prototype, 'save', async function () {
+    cases.push(this.toObject());
+    return this;
+  });
+
+  const uploaded = [];
+  const discarded = [];
+  t.mock.method(storageService, 'uploadDocument', async (buffer, filename, mimetype, caseId) => {
+    uploaded.push(filename);
+    return { storagePath: `${caseId}/new-${filename}`, storageDriver: 'local' };
+  });
+  t.mock.method(storageService, 'discardDocument', async (doc) => { discarded.push(doc.storagePath); });
+
+  return { cases, details, members, events, uploaded, discarded };
+}
+
+function documentsOf(caseData) {
+  return Object.fromEntries(caseData.parties.flatMap(party => party.documents.map(doc => [doc.id, doc])));
+}
+
+test('bundles declaring more than the size limit are rejected before unpacking', async () => {
+  const buffer = await buildBundle(bundledCase(), { files: { doc_a1: Buffer.alloc(50000) } });
+
+  await assert.rejects(bundleService.readBundle(buffer, { maxSize: 10000 }), /unpacks to more than 10000 bytes/);
+});
+
+test('entries larger than their headers declare stop unpacking at the size limit', async () => {
+  const buffer = await buildBundle(bundledCase(), { files: { doc_a1: Buffer.alloc(50000) } });
+
+  // The central directory record declares the entry's size at offset 24,
+  // ahead of its name at offset 46
+  const record = buffer.indexOf('documents/A/1-agreement.txt', buffer.indexOf('PK\x01\x02')) - 46;
+  buffer.writeUInt32LE(1, record + 24);
+
+  await assert.rejects(bundleService.readBundle(buffer, { maxSize: 10000 }), (error) => {
+    assert.ok(error instanceof BundleError);
+    assert.match(error.message, /unpacks to more than 10000 bytes/);
+    return true;
+  });
+});
+
+test('imported files are scanned again whatever the bundle says', async (t) => {
+  const { cases, details } = useImport(t);
+  const caseData = bundledCase();
+  documentsOf(caseData).doc_b1.scan = { status: 'cleared', engine: 'clamav', signature: 'Eicar-Test', scannedAt: new Date() };
+  t.mock.method(scanService, 'scanBuffer', async (buffer) => (buffer.toString().includes('damaged')
+    ? { status: 'quarantined', engine: 'clamav', signature: 'Eicar-Test', scannedAt: new Date() }
+    : { status: 'clean', engine: 'clamav', signature: null, scannedAt: new Date() }));
+
+  const result = await bundleService.importBundle(await buildBundle(caseData), { ownerId: LOCAL_OWNER });
+
+  const documents = documentsOf(cases[0]);
+  assert.equal(result.documents, 2);
+  assert.equal(documents.doc_a1.scan.status, 'clean');
+  assert.equal(documents.doc_b1.scan.status, 'quarantined');
+  assert.equal(documents.doc_b1.extractedText, '');
+  assert.deepEqual(details.find(detail => detail.documentId === 'doc_b1').chunks, []);
+  assert.ok(details.find(detail => detail.documentId === 'doc_a1').chunks.length > 0);
+});
+
+test('files whose content does not match their type are not imported', async (t) => {
+  const { cases, uploaded } = useImport(t);
+  const caseData = bundledCase();
+  documentsOf(caseData).doc_a1.mimetype = 'application/pdf';
+
+  await assert.rejects(
+    bundleService.importBundle(await buildBundle(caseData), { ownerId: LOCAL_OWNER }),
+    (error) => {
+      assert.ok(error instanceof BundleError);
+      assert.deepEqual(error.details, ['documents/A/1-agreement.txt: content is text, not application/pdf']);
+      return true;
+    }
+  );
+  assert.equal(cases.length, 0);
+  assert.deepEqual(uploaded, []);
+});
+
+test('users without an account here are dropped and the bundled audit trail is not imported', async (t) => {
+  const { cases, members, events } = useImport(t);
+  const caseData = bundledCase({
+    description: `Filed by ${SOURCE_STRANGER}`,
+    statusHistory: [
+      { from: 'draft', to: 'ready_for_judgment', by: SOURCE_STRANGER, at: new Date() },
+      { from: 'ready_for_judgment', to: 'ready_for_judgment', by: SOURCE_OWNER, at: new Date() }
+    ]
+  });
+  caseData.parties[0].name = SOURCE_STRANGER;
+
+  const result = await bundleService.importBundle(await buildBundle(caseData, {
+    members: [
+      { userId: SOURCE_OWNER, role: 'observer', partyId: null },
+      { userId: SOURCE_STRANGER, role: 'party', partyId: 'B' }
+    ]
+  }));
+
+  const [imported] = cases;
+  assert.equal(result.status, 'imported');
+  assert.equal(String(imported.createdBy), LOCAL_OWNER);
+  assert.deepEqual(imported.statusHistory.map(entry => entry.by && String(entry.by)), [null, LOCAL_OWNER]);
+  assert.equal(imported.description, `Filed by ${SOURCE_STRANGER}`);
+  assert.equal(imported.parties[0].name, SOURCE_STRANGER);
+  assert.deepEqual(members.map(member => String(member.userId)), [LOCAL_OWNER]);
+  assert.equal(events.length, 0);
+  assert.equal('auditEvents' in result, false);
+});
+
+test('overwriting replaces the case only once the new one is written', async (t) => {
+  const existing = buildCase({ title: 'Old title', createdBy: LOCAL_OWNER });
+  existing.parties.forEach(party => party.documents.forEach(doc => {
+    Object.assign(doc, { uploadedToCloud: true, storagePath: `old/${doc.filename}` });
+  }));
+  const { cases, discarded } = useImport(t, [existing]);
+  const [{ _id: existingId }] = cases;
+  const buffer = await buildBundle(bundledCase({ title: 'New title' }));
+
+  const replaceOne = Case.replaceOne;
+  t.mock.method(Case, 'replaceOne', () => { throw new Error('write conflict'); });
+
+  await assert.rejects(bundleService.importBundle(buffer, { conflict: 'overwrite', ownerId: LOCAL_OWNER }), /write conflict/);
+  assert.equal(cases.length, 1);
+  assert.equal(cases[0].title, 'Old title');
+  assert.deepEqual(discarded.sort(), ['case_test/new-agreement.txt', 'case_test/new-rejection.txt']);
+
+  Case.replaceOne.mock.mockImplementation(replaceOne);
+  discarded.length = 0;
+
+  const result = await bundleService.importBundle(buffer, { conflict: 'overwrite', ownerId: LOCAL_OWNER });
+
+  assert.equal(result.status, 'overwritten');
+  assert.equal(cases.length, 1);
+  assert.equal(cases[0]._id, existingId);
+  assert.equal(cases[0].title, 'New title');
+  assert.deepEqual(discarded.sort(), ['old/agreement.txt', 'old/rejection.txt']);
+});
+
+test('members of an overwritten case lose access to the imported one', async (t) => {
+  const { members } = useImport(t, [buildCase({ createdBy: LOCAL_OWNER })]);
+  members.push(
+    { caseId: 'case_test', userId: LOCAL_OWNER, role: 'observer', partyId: null },
+    { caseId: 'case_test', userId: SOURCE_STRANGER, role: 'party', partyId: 'C' }
+  );
+
+  await bundleService.importBundle(await buildBundle(bundledCase(), {
+    members: [{ userId: SOURCE_OWNER, role: 'observer', partyId: null }]
+  }), { conflict: 'overwrite', ownerId: LOCAL_OWNER });
+
+  assert.equal(await membershipService.getMembership('case_test', SOURCE_STRANGER), null);
+  assert.deepEqual(members.map(member => [String(member.userId), member.role]), [[LOCAL_OWNER, 'observer']]);
+});
@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import Case from '../models/Case.js';
+import Membership from '../models/Membership.js';
+import { requireCaseRole } from '../middleware/auth.js';
+import caseService from '../services/caseService.js';
+import authService from '../services/authService.js';
+import caseRoutes from '../routes/case.js';
+import { useMemoryModel } from './helpers/memoryModel.js';
+import { buildCase } from './helpers/fixtures.js';
+
+const OWNER = 'aaaaaaaaaaaaaaaaaaaaaaaa';
+const COUNSEL = 'bbbbbbbbbbbbbbbbbbbbbbbb';
+const STRANGER = 'cccccccccccccccccccccccc';
+
+// Runs the middleware and reports whether it passed the request on, and the
+// error response it sent if not
+async function checkAccess(middleware, userId) {
+  const req = { params: { caseId: 'case_test' }, user: { id: userId } };
+  const response = {};
+  const res = {
+    status(code) { response.status = code; return this; },
+    json(body) { response.body = body; return this; }
+  };
+  let passed = false;
+
+  await middleware(req, res, () => { passed = true; });
+  return { passed, response, caseAccess: req.caseAccess };
+}
+
+function useCase(t, memberships = []) {
+  useMemoryModel(t, Case, [buildCase({ createdBy: OWNER })]);
+  return useMemoryModel(t, Membership, [{ caseId: 'case_test', userId: COUNSEL, role: 'party', partyId: 'B' }, ...memberships]);
+}
+
+test('case access only loads who owns the case', async (t) => {
+  useCase(t);
+
+  await checkAccess(requireCaseRole(), OWNER);
+
+  const [filter, projection] = Case.findOne.mock.calls[0].arguments;
+  assert.deepEqual(filter, { caseId: 'case_test' });
+  assert.equal(projection, 'caseId createdBy');
+});
+
+test('members pass with their role and party', async (t) => {
+  useCase(t);
+
+  const { passed, caseAccess } = await checkAccess(requireCaseRole('party'), COUNSEL);
+
+  assert.ok(passed);
+  assert.deepEqual(caseAccess, { role: 'party', partyId: 'B', isOwner: false });
+});
+
+test('owner-only actions turn members away', async (t) => {
+  useCase(t);
+
+  const owner = await checkAccess(requireCaseRole('owner'), OWNER);
+  const counsel = await checkAccess(requireCaseRole('owner'), COUNSEL);
+
+  assert.ok(owner.passed);
+  assert.equal(counsel.passed, false);
+  assert.equal(counsel.response.status, 403);
+});
+
+test('strangers and missing cases are refused', async (t) => {
+  useCase(t);
+
+  const stranger = await checkAccess(requireCaseRole(), STRANGER);
+  assert.equal(stranger.response.status, 403);
+
+  Case.findOne.mock.mockImplementation(() => ({ lean: async () => null }));
+  const missing = await checkAccess(requireCaseRole(), OWNER);
+  assert.equal(missing.response.status, 404);
+});
+
+test('an owner who acts as counsel does not preside', async (t) => {
+  useCase(t, [{ caseId: 'case_test', userId: OWNER, role: 'party', partyId: 'A' }]);
+
+  const presiding = await checkAccess(requireCaseRole('owner'), OWNER);
+  const counsel = await checkAccess(requireCaseRole('party'), OWNER);
+
+  assert.equal(presiding.passed, false);
+  assert.equal(presiding.response.status, 403);
+  assert.deepEqual(counsel.caseAccess, { role: 'party', partyId: 'A', isOwner: false });
+});
+
+test('the creator of a case joins it as an observer', async (t) => {
+  t.mock.method(Case.prototype, 'save', async function () { return this; });
+  const memberships = useMemoryModel(t, Membership, []);
+
+  const created = await caseService.createCase({
+    title: 'ABC Corp v XYZ Inc',
+    description: 'Unpaid invoice for delivered goods',
+    country: 'United States',
+    createdBy: OWNER
+  });
+
+  assert.deepEqual(
+    memberships.map(({ caseId, userId, role, partyId }) => ({ caseId, userId: userId.toString(), role, partyId })),
+    [{ caseId: created.caseId, userId: OWNER, role: 'observer', partyId: null }]
+  );
+});
+
+// Sends a request through the case routes, with the bearer token standing
+// for the user id
+async function requestAs(t, userId, method, path, body) {
+  t.mock.method(authService, 'verifyToken', token => ({ id: token }));
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/case', caseRoutes);
+
+  const server = app.listen(0);
+  t.after(() => server.close());
+  await new Promise(resolve => server.once('listening', resolve));
+
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/api/case${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${userId}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('the presiding owner and counsel may call for the verdict, observers may not', async (t) => {
+  useCase(t, [
+    { caseId: 'case_test', userId: OWNER, role: 'observer', partyId: null },
+    { caseId: 'case_test', userId: STRANGER, role: 'observer', partyId: null }
+  ]);
+  // Past the access check the route looks the case up, which ends the request
+  t.mock.method(caseService, 'getCase', async () => null);
+
+  const owner = await requestAs(t, OWNER, 'POST', '/case_test/judge', {});
+  const counsel = await requestAs(t, COUNSEL, 'POST', '/case_test/judge', {});
+  const observer = await requestAs(t, STRANGER, 'POST', '/case_test/judge', {});
+
+  assert.deepEqual(owner, { status: 404, body: { error: 'Case not found' } });
+  assert.equal(counsel.status, 404);
+  assert.equal(observer.status, 403);
+});
+
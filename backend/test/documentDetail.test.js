@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Case from '../models/Case.js';
+import DocumentDetail from '../models/DocumentDetail.js';
+import Job from '../models/Job.js';
+import caseService from '../services/caseService.js';
+import jobFileStore from '../services/jobFileStore.js';
+import { parseDocuments } from '../services/jobs/documentJobs.js';
+import { useMemoryModel } from './helpers/memoryModel.js';
+import { buildCase, buildDetails, buildJob, buildContext } from './helpers/fixtures.js';
+
+function useCase(t, caseData = buildCase()) {
+  const details = useMemoryModel(t, DocumentDetail, buildDetails(caseData));
+  const [stored] = useMemoryModel(t, Case, [caseData]);
+  return { stored, details };
+}
+
+test('cases load without document layout and chunks unless asked', async (t) => {
+  useCase(t);
+
+  const plain = await caseService.getCase('case_test');
+  assert.equal(plain.parties[0].documents[0].chunks, undefined);
+
+  const detailed = await caseService.getCase('case_test', { includeDocumentDetail: true });
+  assert.ok(detailed.parties[0].documents[0].chunks.length > 0);
+  assert.equal(detailed.parties[1].documents[0].chunks[0].text.slice(0, 13), 'XYZ Inc rejec');
+});
+
+test('the document viewer gets the layout and chunk count', async (t) => {
+  useCase(t);
+
+  const document = await caseService.getDocument('case_test', 'A', 0);
+
+  assert.equal(document.id, 'doc_a1');
+  assert.equal(document.structure, null);
+  assert.ok(document.chunkCount > 0);
+  assert.equal(document.chunks, undefined);
+});
+
+test('parsed documents keep their chunks apart from the case', async (t) => {
+  const { stored, details } = useCase(t);
+  const text = 'Delivery note signed by the defendant on 1 April 2024.';
+
+  t.mock.method(jobFileStore, 'readFile', async () => Buffer.from(text));
+  const jobs = useMemoryModel(t, Job, []);
+
+  const result = await parseDocuments.run(buildJob('case_test', {
+    party: 'A',
+    description: null,
+    replaceDocumentId: null,
+    files: [{ fileId: 'file_1', documentId: 'doc_new1', filename: 'note.txt', mimetype: 'text/plain', size: text.length, sha256: null }]
+  }), buildContext());
+
+  const [{ documentId, chunkCount }] = result.documents;
+  const added = stored.parties[0].documents.find(doc => doc.id === documentId);
+  const detail = details.find(entry => entry.documentId === documentId);
+
+  assert.equal(added.extractedText.trim(), text);
+  assert.equal(added.chunks, undefined);
+  assert.equal(added.structure, undefined);
+  assert.equal(detail.party, 'A');
+  assert.equal(detail.chunks.length, chunkCount);
+  assert.deepEqual(jobs.map(job => [job.type, job.payload.documentId]), [['store_document', documentId]]);
+});
+
+test('removing a document removes its detail', async (t) => {
+  const { details } = useCase(t);
+
+  await caseService.removeDocument('case_test', 'B', 'doc_b1');
+
+  assert.deepEqual(details.map(detail => detail.documentId), ['doc_a1']);
+});
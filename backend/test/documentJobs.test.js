@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Case from '../models/Case.js';
+import DocumentDetail from '../models/DocumentDetail.js';
+import Job from '../models/Job.js';
+import jobFileStore from '../services/jobFileStore.js';
+import scanService from '../services/scanService.js';
+import storageService from '../services/storageService.js';
+import { PermanentJobError } from '../services/jobQueue.js';
+import { parseDocuments, parseClearedDocument } from '../services/jobs/documentJobs.js';
+import { useMemoryModel } from './helpers/memoryModel.js';
+import { buildCase, buildDetails, buildJob, buildContext } from './helpers/fixtures.js';
+
+const FILES = {
+  file_1: 'Delivery note signed by the defendant on 1 April 2024.',
+  file_2: 'Warehouse log showing the pallets were intact on dispatch.'
+};
+
+function useCase(t, caseData = buildCase()) {
+  const details = useMemoryModel(t, DocumentDetail, buildDetails(caseData));
+  const [stored] = useMemoryModel(t, Case, [caseData]);
+  const jobs = useMemoryModel(t, Job, []);
+  t.mock.method(jobFileStore, 'readFile', async (fileId) => Buffer.from(FILES[fileId]));
+  return { stored, details, jobs };
+}
+
+function upload(payload = {}) {
+  return buildJob('case_test', {
+    party: 'A',
+    description: null,
+    replaceDocumentId: null,
+    files: Object.entries(FILES).map(([fileId, text], index) => ({
+      fileId,
+      documentId: `doc_new${index + 1}`,
+      filename: `${fileId}.txt`,
+      mimetype: 'text/plain',
+      size: text.length,
+      sha256: null
+    })),
+    ...payload
+  });
+}
+
+test('a repeated parse skips the documents an earlier run stored', async (t) => {
+  const { stored, details, jobs } = useCase(t);
+
+  await parseDocuments.run(upload(), buildContext());
+  const repeated = await parseDocuments.run(upload(), buildContext());
+
+  assert.deepEqual(stored.parties[0].documents.map(doc => doc.id), ['doc_a1', 'doc_new1', 'doc_new2']);
+  assert.equal(details.filter(detail => detail.documentId.startsWith('doc_new')).length, 2);
+  assert.deepEqual(jobs.map(job => job.payload.documentId), ['doc_new1', 'doc_new2']);
+  assert.ok(repeated.documents.every(doc => doc.skipped));
+});
+
+test('a parse cut short stores only the documents still missing', async (t) => {
+  const { stored, jobs } = useCase(t);
+
+  // The first run stopped after adding one document and queueing its upload
+  const first = upload({ files: upload().payload.files.slice(0, 1) });
+  await parseDocuments.run(first, buildContext());
+
+  const context = buildContext();
+  const result = await parseDocuments.run(upload(), context);
+
+  assert.deepEqual(stored.parties[0].documents.map(doc => doc.id), ['doc_a1', 'doc_new1', 'doc_new2']);
+  assert.deepEqual(result.documents.map(doc => !!doc.skipped), [true, false]);
+  assert.deepEqual(jobs.map(job => job.payload.documentId), ['doc_new1', 'doc_new2']);
+  assert.equal(context.progress[0].total, 1);
+});
+
+test('a repeated replacement does not fail once the document is replaced', async (t) => {
+  const { stored } = useCase(t);
+  const replacement = upload({
+    replaceDocumentId: 'doc_a1',
+    files: upload().payload.files.slice(0, 1)
+  });
+
+  await parseDocuments.run(replacement, buildContext());
+  const repeated = await parseDocuments.run(replacement, buildContext());
+
+  assert.deepEqual(stored.parties[0].documents.map(doc => doc.id), ['doc_new1']);
+  assert.equal(repeated.documents[0].skipped, true);
+});
+
+test('details of documents that never reached the case are removed on failure', async (t) => {
+  const { details } = useCase(t);
+  t.mock.method(jobFileStore, 'deleteFile', async () => {});
+  details.push({ caseId: 'case_test', documentId: 'doc_new1', party: 'A', chunks: [] });
+
+  await parseDocuments.onFailure(upload());
+
+  assert.deepEqual(details.map(detail => detail.documentId), ['doc_a1', 'doc_b1']);
+  assert.equal(jobFileStore.deleteFile.mock.callCount(), 2);
+});
+
+test('uploads are not stored once the verdict has locked the evidence', async (t) => {
+  const { stored, details, jobs } = useCase(t);
+  stored.status = 'verdict_rendered';
+  stored.verdict = { decision: 'favor_parties', prevailingParties: ['A'] };
+
+  await assert.rejects(parseDocuments.run(upload(), buildContext()), PermanentJobError);
+
+  assert.deepEqual(stored.parties[0].documents.map(doc => doc.id), ['doc_a1']);
+  assert.equal(details.length, 2);
+  assert.equal(jobs.length, 0);
+});
+
+test('infected files are kept unread until the judge clears them', async (t) => {
+  const { stored, details } = useCase(t);
+  t.mock.method(scanService, 'scanBuffer', async () => ({ status: 'quarantined', engine: 'clamav', signature: 'Eicar-Signature', scannedAt: new Date() }));
+  const single = upload({ files: upload().payload.files.slice(0, 1) });
+
+  await parseDocuments.run(single, buildContext());
+
+  const added = stored.parties[0].documents.find(doc => doc.id === 'doc_new1');
+  assert.equal(added.scan.status, 'quarantined');
+  assert.equal(added.extractedText, '');
+  assert.deepEqual(details.find(detail => detail.documentId === 'doc_new1').chunks, []);
+
+  added.scan.status = 'cleared';
+  added.uploadedToCloud = true;
+  added.storagePath = 'cases/case_test/party-a/file_1.txt';
+  t.mock.method(storageService, 'downloadDocument', async () => Buffer.from(FILES.file_1));
+
+  const context = buildContext();
+  const result = await parseClearedDocument.run(buildJob('case_test', { party: 'A', documentId: 'doc_new1' }), context);
+
+  assert.equal(added.extractedText.trim(), FILES.file_1);
+  assert.equal(details.find(detail => detail.documentId === 'doc_new1').chunks.length, result.chunkCount);
+  assert.ok(result.chunkCount > 0);
+  assert.deepEqual(context.events.map(({ event, data }) => [event, data.action]), [['documentsUpdated', 'parsed']]);
+});
+
+test('a cleared document is read once its file is in storage', async (t) => {
+  const { stored } = useCase(t);
+  stored.parties[0].documents[0].scan = { status: 'cleared' };
+  const job = buildJob('case_test', { party: 'A', documentId: 'doc_a1' });
+
+  await assert.rejects(parseClearedDocument.run(job, buildContext()), error => error.retryable !== false);
+
+  stored.parties[0].documents[0].scan = { status: 'quarantined' };
+  await assert.rejects(parseClearedDocument.run(job, buildContext()), PermanentJobError);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fileTypeService from '../services/fileTypeService.js';
+
+const DOC = 'application/msword';
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// The leading bytes a sniffer looks at, padded out like a real file
+const oleFile = () => Buffer.concat([Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]), Buffer.alloc(512)]);
+const docxFile = () => Buffer.concat([
+  Buffer.from([0x50, 0x4b, 0x03, 0x04]),
+  Buffer.alloc(26),
+  Buffer.from('[Content_Types].xml word/document.xml', 'latin1')
+]);
+const executable = () => Buffer.concat([Buffer.from('MZ'), Buffer.alloc(64)]);
+
+test('files match the type they declare', () => {
+  assert.deepEqual(fileTypeService.verifyFileType(oleFile(), DOC), { matches: true, detected: DOC, mimeType: DOC });
+  assert.deepEqual(fileTypeService.verifyFileType(docxFile(), DOCX), { matches: true, detected: DOCX, mimeType: DOCX });
+  assert.equal(fileTypeService.verifyFileType(Buffer.from('Plain notes\n'), 'text/markdown').matches, true);
+});
+
+test('a .doc holding .docx content is read as .docx', () => {
+  const result = fileTypeService.verifyFileType(docxFile(), DOC);
+
+  assert.equal(result.matches, true);
+  assert.equal(result.mimeType, DOCX);
+});
+
+test('content of another type is rejected', () => {
+  assert.equal(fileTypeService.verifyFileType(executable(), DOC).matches, false);
+  assert.equal(fileTypeService.verifyFileType(oleFile(), DOCX).matches, false);
+  assert.equal(fileTypeService.verifyFileType(executable(), 'text/plain').matches, false);
+});
@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import createGeminiProvider from '../services/llm/geminiProvider.js';
+
+test('a temperature override keeps the rest of the generation settings', async (t) => {
+  const requests = [];
+  t.mock.method(GoogleGenerativeAI.prototype, 'getGenerativeModel', () => ({
+    generateContent: async (request) => {
+      requests.push(request);
+      return { response: Promise.resolve({ text: () => '{}' }) };
+    }
+  }));
+
+  const provider = createGeminiProvider({ apiKey: 'test-key' });
+  await provider.generate('Decide the case', { temperature: 0.3 });
+  await provider.generate('Decide the case');
+
+  assert.deepEqual(requests[0].generationConfig, { temperature: 0.3, topP: 0.8, maxOutputTokens: 8192 });
+  assert.equal(requests[1], 'Decide the case');
+});
@@ -0,0 +1,106 @@
+import retrievalService from '../../services/retrievalService.js';
+
+const PLAINTIFF_TEXT = `Supply agreement dated 3 March 2024 between ABC Corp and XYZ Inc.
+
+XYZ Inc agreed to pay each invoice within 30 days of delivery. ABC Corp delivered the goods on 1 April 2024 and invoiced 48,000 USD the same day.
+
+The invoice remains unpaid. ABC Corp sent reminders on 15 May and 2 June 2024.`;
+
+const DEFENDANT_TEXT = `XYZ Inc rejected the delivery of 1 April 2024 because 40% of the goods were damaged.
+
+Photographs of the damaged pallets were sent to ABC Corp on 3 April 2024, and no replacement was offered.`;
+
+function document(id, filename, text, overrides = {}) {
+  return {
+    id,
+    filename,
+    mimetype: 'text/plain',
+    size: text.length,
+    sha256: null,
+    extractedText: text,
+    scan: { status: 'clean' },
+    uploadedAt: new Date('2025-01-01T00:00:00Z'),
+    uploadedToCloud: false,
+    ...overrides
+  };
+}
+
+// A two-party contract dispute whose plaintiff and defendant have each filed
+// one document, ready for judgment
+function buildCase(overrides = {}) {
+  return {
+    caseId: 'case_test',
+    title: 'ABC Corp v XYZ Inc',
+    description: 'Unpaid invoice for delivered goods',
+    country: 'United States',
+    caseType: 'civil',
+    status: 'ready_for_judgment',
+    statusHistory: [],
+    createdBy: 'aaaaaaaaaaaaaaaaaaaaaaaa',
+    parties: [
+      {
+        id: 'A',
+        name: 'ABC Corp',
+        role: 'plaintiff',
+        description: null,
+        documents: [document('doc_a1', 'agreement.txt', PLAINTIFF_TEXT)],
+        uploadedAt: new Date('2025-01-01T00:00:00Z')
+      },
+      {
+        id: 'B',
+        name: 'XYZ Inc',
+        role: 'defendant',
+        description: null,
+        documents: [document('doc_b1', 'rejection.txt', DEFENDANT_TEXT)],
+        uploadedAt: new Date('2025-01-01T00:00:00Z')
+      }
+    ],
+    evidenceLeave: [],
+    verdict: null,
+    verdictHistory: [],
+    arguments: [],
+    appeal: null,
+    deletedAt: null,
+    metadata: { totalArguments: 0, partyArguments: {}, lastActivity: new Date('2025-01-01T00:00:00Z') },
+    ...overrides
+  };
+}
+
+// The stored layout and chunks of every document of the case
+function buildDetails(caseData) {
+  return caseData.parties.flatMap(party => party.documents.map(doc => ({
+    caseId: caseData.caseId,
+    documentId: doc.id,
+    party: party.id,
+    structure: null,
+    chunks: retrievalService.chunkDocument(doc.extractedText)
+  })));
+}
+
+// A job as the queue hands it to a handler, and a context that records the
+// socket events and progress the handler reports
+function buildJob(caseId, payload = {}, overrides = {}) {
+  return {
+    _id: { toString: () => 'job_test' },
+    caseId,
+    payload,
+    attempts: 1,
+    maxAttempts: 2,
+    createdBy: null,
+    ...overrides
+  };
+}
+
+function buildContext() {
+  const events = [];
+  const progress = [];
+
+  return {
+    events,
+    progress,
+    io: { to: room => ({ emit: (event, data) => events.push({ room, event, data }) }) },
+    reportProgress: async (update) => { progress.push(update); }
+  };
+}
+
+export { buildCase, buildDetails, buildJob, buildContext, document };
@@ -0,0 +1,293 @@
+// An in-memory stand-in for a Mongoose model, so services can be tested
+// without a database. It understands the queries and updates the services
+// use: equality and $ne/$in/$nin/$lt/$lte/$gt/$gte/$size/$elemMatch/$exists
+// on dotted paths, $or/$and, and $set/$unset/$push/$pull/$inc updates with
+// positional `$` and `$[name]` array filters. Projections, populate and
+// middleware are ignored.
+
+function isOperatorObject(value) {
+  return value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) &&
+    Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+}
+
+function comparable(value) {
+  if (value instanceof Date) return value.getTime();
+  if (value && typeof value === 'object' && typeof value.toHexString === 'function') return value.toHexString();
+  return value;
+}
+
+function equals(a, b) {
+  if ((a === null || a === undefined) && (b === null || b === undefined)) return true;
+  return comparable(a) === comparable(b);
+}
+
+// Every value at `path`, stepping into arrays along the way
+function valuesAt(value, path) {
+  if (path === '') return [value];
+
+  const [head, ...rest] = path.split('.');
+  if (Array.isArray(value) && !/^\d+$/.test(head)) {
+    return value.flatMap(item => valuesAt(item, path));
+  }
+  if (value === null || value === undefined) return [undefined];
+
+  const next = value instanceof Map ? value.get(head) : value[head];
+  if (rest.length === 0) {
+    return Array.isArray(next) ? [next, ...next] : [next];
+  }
+  return valuesAt(next, rest.join('.'));
+}
+
+function matchesCondition(values, condition) {
+  if (!isOperatorObject(condition)) {
+    return values.some(value => equals(value, condition));
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    const present = values.filter(value => value !== undefined);
+    switch (operator) {
+      case '$ne': return !values.some(value => equals(value, operand));
+      case '$in': return operand.some(item => values.some(value => equals(value, item)));
+      case '$nin': return !operand.some(item => values.some(value => equals(value, item)));
+      case '$lt': return present.some(value => value !== null && comparable(value) < comparable(operand));
+      case '$lte': return present.some(value => value !== null && comparable(value) <= comparable(operand));
+      case '$gt': return present.some(value => value !== null && comparable(value) > comparable(operand));
+      case '$gte': return present.some(value => value !== null && comparable(value) >= comparable(operand));
+      case '$exists': return operand ? present.length > 0 : present.length === 0;
+      case '$size': return values.some(value => Array.isArray(value) && value.length === operand);
+      case '$elemMatch': return values.some(value => Array.isArray(value) && value.some(item => matches(item, operand)));
+      default: throw new Error(`memoryModel does not support ${operator}`);
+    }
+  });
+}
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(part => matches(doc, part));
+    if (key === '$and') return condition.every(part => matches(doc, part));
+    return matchesCondition(valuesAt(doc, key), condition);
+  });
+}
+
+// The conditions of `filter` on the elements of the array at `prefix`
+function elementFilter(filter, prefix) {
+  const conditions = {};
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key === prefix && condition?.$elemMatch) {
+      Object.assign(conditions, condition.$elemMatch);
+    } else if (key.startsWith(`${prefix}.`)) {
+      conditions[key.slice(prefix.length + 1)] = condition;
+    }
+  }
+  return conditions;
+}
+
+function arrayFilterFor(arrayFilters, name) {
+  const conditions = {};
+  for (const filter of arrayFilters) {
+    for (const [key, condition] of Object.entries(filter)) {
+      if (key === name) Object.assign(conditions, { '': condition });
+      else if (key.startsWith(`${name}.`)) conditions[key.slice(name.length + 1)] = condition;
+    }
+  }
+  return conditions;
+}
+
+// Calls `apply(container, key)` for every place `path` resolves to
+function resolve(doc, path, { filter, arrayFilters }, apply, prefix = '') {
+  const [head, ...rest] = path.split('.');
+
+  if (rest.length === 0) {
+    apply(doc, head);
+    return;
+  }
+
+  const child = doc instanceof Map ? doc.get(head) : doc[head];
+  const childPrefix = prefix ? `${prefix}.${head}` : head;
+
+  if (Array.isArray(child)) {
+    const [selector, ...remaining] = rest;
+    let indexes;
+
+    if (selector === '$') {
+      const conditions = elementFilter(filter, childPrefix);
+      const index = child.findIndex(item => matches(item, conditions));
+      indexes = index === -1 ? [] : [index];
+    } else if (selector.startsWith('$[')) {
+      const conditions = arrayFilterFor(arrayFilters, selector.slice(2, -1));
+      indexes = child.map((item, index) => (matches(item, conditions) ? index : -1)).filter(index => index !== -1);
+    } else {
+      indexes = [parseInt(selector)];
+    }
+
+    for (const index of indexes) {
+      if (remaining.length === 0) {
+        apply(child, index);
+      } else {
+        resolve(child[index], remaining.join('.'), { filter: elementFilter(filter, childPrefix), arrayFilters }, apply, '');
+      }
+    }
+    return;
+  }
+
+  let next = child;
+  if (next === undefined || next === null) {
+    next = {};
+    if (doc instanceof Map) doc.set(head, next);
+    else doc[head] = next;
+  }
+  resolve(next, rest.join('.'), { filter, arrayFilters }, apply, childPrefix);
+}
+
+function setValue(container, key, value) {
+  if (container instanceof Map) container.set(key, value);
+  else container[key] = value;
+}
+
+function applyUpdate(doc, update, options) {
+  for (const [path, value] of Object.entries(update.$set || {})) {
+    resolve(doc, path, options, (container, key) => setValue(container, key, structuredClone(value)));
+  }
+  for (const path of Object.keys(update.$unset || {})) {
+    resolve(doc, path, options, (container, key) => { delete container[key]; });
+  }
+  for (const [path, amount] of Object.entries(update.$inc || {})) {
+    resolve(doc, path, options, (container, key) => setValue(container, key, (container[key] || 0) + amount));
+  }
+  for (const [path, value] of Object.entries(update.$push || {})) {
+    const items = value?.$each || [value];
+    resolve(doc, path, options, (container, key) => {
+      container[key] = [...(container[key] || []), ...structuredClone(items)];
+    });
+  }
+  for (const [path, condition] of Object.entries(update.$pull || {})) {
+    resolve(doc, path, options, (container, key) => {
+      container[key] = (container[key] || []).filter(item =>
+        !(isOperatorObject(condition) || typeof condition !== 'object' ? equals(item, condition) : matches(item, condition)));
+    });
+  }
+
+  // A plain object is a replacement of the top-level fields it names
+  if (!Object.keys(update).some(key => key.startsWith('$'))) {
+    Object.assign(doc, structuredClone(update));
+  }
+}
+
+function sortDocuments(docs, sort) {
+  const keys = Object.entries(sort || {});
+  return [...docs].sort((a, b) => {
+    for (const [key, direction] of keys) {
+      const [x] = valuesAt(a, key).map(comparable);
+      const [y] = valuesAt(b, key).map(comparable);
+      if (x === y) continue;
+      if (x === undefined || x === null) return -direction;
+      if (y === undefined || y === null) return direction;
+      return (x < y ? -1 : 1) * direction;
+    }
+    return 0;
+  });
+}
+
+// A chainable query resolving to clones of the matching documents
+function query(run) {
+  const state = { sort: null, limit: 0 };
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    sort: (sort) => { state.sort = sort; return chain; },
+    limit: (limit) => { state.limit = limit; return chain; },
+    lean: () => chain,
+    exec: () => chain.then(value => value),
+    then: (resolveResult, reject) => Promise.resolve()
+      .then(() => run(state))
+      .then(resolveResult, reject)
+  };
+  return chain;
+}
+
+let nextId = 1;
+
+function generateId() {
+  return (nextId++).toString(16).padStart(24, '0');
+}
+
+// Replaces the model's static query methods with in-memory ones for the
+// current test. Returns the backing array, which tests may inspect.
+function useMemoryModel(t, Model, documents = []) {
+  const store = documents.map(doc => ({ _id: generateId(), ...structuredClone(doc) }));
+  const clone = value => (value ? structuredClone(value) : null);
+  const findAll = filter => store.filter(doc => matches(doc, filter));
+
+  const updateFirst = (filter, update, options = {}) => {
+    let doc = findAll(filter)[0];
+    const previous = clone(doc);
+
+    if (!doc) {
+      if (!options.upsert) return null;
+      doc = { _id: generateId(), ...Object.fromEntries(Object.entries(filter).filter(([key, value]) => !key.startsWith('$') && !isOperatorObject(value))) };
+      store.push(doc);
+    }
+
+    applyUpdate(doc, update, { filter, arrayFilters: options.arrayFilters || [] });
+    return options.new ? clone(doc) : previous;
+  };
+
+  const methods = {
+    find: (filter) => query(({ sort, limit }) => {
+      const sorted = sortDocuments(findAll(filter), sort);
+      return (limit ? sorted.slice(0, limit) : sorted).map(clone);
+    }),
+    findOne: (filter) => query(({ sort }) => clone(sortDocuments(findAll(filter), sort)[0])),
+    findById: (id) => query(() => clone(store.find(doc => equals(doc._id, id)))),
+    exists: (filter) => query(() => (findAll(filter)[0] ? { _id: findAll(filter)[0]._id } : null)),
+    countDocuments: (filter) => query(() => findAll(filter).length),
+    findOneAndUpdate: (filter, update, options) => query(() => updateFirst(filter, update, options)),
+    updateOne: (filter, update, options) => query(() => {
+      const updated = updateFirst(filter, update, options);
+      return { matchedCount: updated ? 1 : 0, modifiedCount: updated ? 1 : 0 };
+    }),
+    updateMany: (filter, update, options = {}) => query(() => {
+      const docs = findAll(filter);
+      docs.forEach(doc => applyUpdate(doc, update, { filter, arrayFilters: options.arrayFilters || [] }));
+      return { matchedCount: docs.length, modifiedCount: docs.length };
+    }),
+    replaceOne: (filter, replacement) => query(() => {
+      const doc = findAll(filter)[0];
+      if (doc) store.splice(store.indexOf(doc), 1, { _id: doc._id, ...structuredClone(replacement) });
+      return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    }),
+    findOneAndDelete: (filter) => query(() => {
+      const doc = findAll(filter)[0];
+      if (doc) store.splice(store.indexOf(doc), 1);
+      return clone(doc);
+    }),
+    deleteOne: (filter) => query(() => {
+      const doc = findAll(filter)[0];
+      if (doc) store.splice(store.indexOf(doc), 1);
+      return { deletedCount: doc ? 1 : 0 };
+    }),
+    deleteMany: (filter) => query(() => {
+      const docs = findAll(filter);
+      docs.forEach(doc => store.splice(store.indexOf(doc), 1));
+      return { deletedCount: docs.length };
+    }),
+    create: async (doc) => {
+      const created = { _id: generateId(), timestamp: new Date(), ...structuredClone(doc) };
+      store.push(created);
+      return { ...clone(created), toObject: () => clone(created) };
+    },
+    insertMany: async (docs) => {
+      const created = docs.map(doc => ({ _id: generateId(), ...structuredClone(doc) }));
+      store.push(...created);
+      return created.map(clone);
+    }
+  };
+
+  for (const [name, implementation] of Object.entries(methods)) {
+    t.mock.method(Model, name, implementation);
+  }
+
+  return store;
+}
+
+export { useMemoryModel, matches, applyUpdate };
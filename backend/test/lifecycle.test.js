@@ -0,0 +1,203 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import Case from '../models/Case.js';
+import DocumentDetail from '../models/DocumentDetail.js';
+import caseService, { InvalidTransitionError } from '../services/caseService.js';
+import geminiService from '../services/geminiService.js';
+import { createProvider, setProvider } from '../services/llm/index.js';
+import { generateVerdict } from '../services/jobs/verdictJobs.js';
+import { reviewAppeal } from '../services/jobs/appealJobs.js';
+import { useMemoryModel } from './helpers/memoryModel.js';
+import { buildCase, buildDetails, buildJob, buildContext } from './helpers/fixtures.js';
+
+// The whole case lifecycle against the offline mock provider: verdict,
+// argument, reconsideration and appeal, through the same services and job
+// handlers the server uses
+
+before(() => {
+  setProvider(createProvider('mock'));
+});
+
+function useCase(t, caseData = buildCase()) {
+  useMemoryModel(t, DocumentDetail, buildDetails(caseData));
+  return useMemoryModel(t, Case, [caseData]);
+}
+
+test('a case runs from judgment through arguments to appeal', async (t) => {
+  const [stored] = useCase(t);
+
+  const verdictContext = buildContext();
+  const verdictResult = await generateVerdict.run(buildJob(stored.caseId), verdictContext);
+
+  assert.equal(verdictResult.decision, 'favor_parties');
+  assert.equal(verdictResult.revision, 1);
+  assert.equal(stored.status, 'verdict_rendered');
+  assert.deepEqual(stored.verdict.prevailingParties, ['A']);
+  assert.equal(stored.verdictHistory.length, 1);
+  assert.deepEqual(stored.statusHistory.map(entry => entry.to), ['verdict_rendered']);
+  assert.ok(verdictContext.events.some(({ event, data }) => event === 'verdictProgress' && data.stage === 'reasoning'));
+  assert.ok(verdictContext.events.some(({ event }) => event === 'verdictRendered'));
+
+  const caseData = await caseService.getCase(stored.caseId, { includeDocumentDetail: true });
+  const aiResponse = await geminiService.respondToArgument(caseData, 'B', 'The goods were damaged on delivery.');
+  assert.equal(aiResponse.party, 'B');
+  assert.equal(aiResponse.verdictChange, 'none');
+
+  const argued = await caseService.addArgument(stored.caseId, {
+    party: 'B',
+    argument: 'The goods were damaged on delivery.',
+    aiResponse,
+    argumentNumber: 1
+  });
+  assert.equal(argued.status, 'arguments_phase');
+  assert.equal(argued.metadata.totalArguments, 1);
+
+  const argument = argued.arguments[0];
+  const reconsidered = await geminiService.reconsiderVerdict(argued, argument);
+  const revised = await caseService.reviseVerdict(stored.caseId, reconsidered, {
+    argumentId: argument.id,
+    party: 'B',
+    verdictChange: 'partial'
+  });
+  assert.equal(revised.verdict.revision, 2);
+  assert.equal(revised.verdict.trigger.argumentId, argument.id);
+  assert.deepEqual(revised.verdictHistory.map(verdict => verdict.revision), [1, 2]);
+
+  await caseService.fileAppeal(stored.caseId, {
+    party: 'B',
+    grounds: 'The court overlooked the photographs of the damaged goods.',
+    filedBy: null,
+    verdictRevision: 2
+  });
+  assert.equal(stored.status, 'appealed');
+  assert.equal(stored.appeal.status, 'pending');
+
+  const appealContext = buildContext();
+  const appealResult = await reviewAppeal.run(buildJob(stored.caseId), appealContext);
+
+  assert.equal(appealResult.outcome, 'affirm');
+  assert.equal(stored.appeal.status, 'decided');
+  assert.equal(stored.status, 'closed');
+  assert.deepEqual(stored.statusHistory.at(-1), {
+    from: 'appealed',
+    to: 'closed',
+    by: null,
+    reason: 'Judgment affirmed on appeal',
+    at: stored.statusHistory.at(-1).at
+  });
+  assert.ok(appealContext.events.some(({ event }) => event === 'appealDecided'));
+  // The trial verdict is kept alongside the appellate decision
+  assert.equal(stored.verdict.revision, 2);
+});
+
+test('a panel renders a verdict with every judge\'s opinion', async (t) => {
+  const [stored] = useCase(t);
+
+  const result = await generateVerdict.run(buildJob(stored.caseId, { panelSize: 3 }), buildContext());
+
+  assert.equal(result.panel.size, 3);
+  assert.equal(stored.verdict.panel.opinions.length, 3);
+  assert.equal(stored.status, 'verdict_rendered');
+});
+
+test('a verdict is not rendered twice', async (t) => {
+  const [stored] = useCase(t);
+
+  await generateVerdict.run(buildJob(stored.caseId), buildContext());
+
+  await assert.rejects(
+    generateVerdict.run(buildJob(stored.caseId), buildContext()),
+    error => error.retryable === false && /verdict_rendered/.test(error.message)
+  );
+  assert.equal(stored.verdictHistory.length, 1);
+});
+
+test('judgment needs evidence from a plaintiff and a defendant', async (t) => {
+  const caseData = buildCase();
+  caseData.parties[1].documents = [];
+  const [stored] = useCase(t, caseData);
+
+  await assert.rejects(
+    generateVerdict.run(buildJob(stored.caseId), buildContext()),
+    error => error.retryable === false
+  );
+  assert.equal(stored.verdict, null);
+});
+
+test('arguments are only heard once the verdict is rendered', () => {
+  const caseData = buildCase();
+
+  assert.match(caseService.checkTransition(caseData, 'arguments_phase'), /Cannot move/);
+  assert.equal(caseService.checkTransition(caseData, 'verdict_rendered'), null);
+  assert.equal(caseService.checkTransition({ ...caseData, status: 'closed' }, 'appealed'), 'Cannot move the case from "closed" to "appealed"');
+});
+
+// A case with a rendered verdict, appealed from `from`
+async function appealFrom(t, from) {
+  const [stored] = useCase(t);
+  await generateVerdict.run(buildJob(stored.caseId), buildContext());
+  if (from === 'arguments_phase') {
+    stored.status = 'arguments_phase';
+  }
+  await caseService.fileAppeal(stored.caseId, { party: 'B', grounds: 'The damage was ignored.', filedBy: null, verdictRevision: 1 });
+  return stored;
+}
+
+function remandOnAppeal(t) {
+  const review = geminiService.reviewAppeal;
+  t.mock.method(geminiService, 'reviewAppeal', async (...args) => ({
+    ...await review(...args),
+    outcome: 'remand',
+    remandInstructions: 'Reassess the condition of the goods on delivery'
+  }));
+}
+
+test('a remand sends a judged case back for a fresh verdict', async (t) => {
+  const stored = await appealFrom(t, 'verdict_rendered');
+  remandOnAppeal(t);
+
+  const context = buildContext();
+  const result = await reviewAppeal.run(buildJob(stored.caseId), context);
+
+  assert.deepEqual(result, { outcome: 'remand', status: 'ready_for_judgment' });
+  assert.equal(stored.appeal.status, 'decided');
+  assert.deepEqual(context.events.filter(({ event }) => event === 'caseStatusChanged').map(({ data }) => data.status), ['ready_for_judgment']);
+
+  await generateVerdict.run(buildJob(stored.caseId), buildContext());
+  assert.equal(stored.status, 'verdict_rendered');
+  assert.equal(stored.verdict.revision, 2);
+  assert.equal(caseService.checkTransition(stored, 'appealed'), 'The case has already been appealed');
+});
+
+test('a remand during arguments lets the parties argue again', async (t) => {
+  const stored = await appealFrom(t, 'arguments_phase');
+  remandOnAppeal(t);
+
+  const result = await reviewAppeal.run(buildJob(stored.caseId), buildContext());
+
+  assert.equal(result.status, 'arguments_phase');
+  assert.equal(caseService.checkTransition(stored, 'arguments_phase'), null);
+});
+
+test('an appealed case is only closed by the appellate decision', async (t) => {
+  const stored = await appealFrom(t, 'verdict_rendered');
+
+  await assert.rejects(caseService.closeCase(stored.caseId, { by: null }), InvalidTransitionError);
+  assert.equal(stored.status, 'appealed');
+});
+
+test('granting leave again replaces the party\'s leave', async (t) => {
+  const [stored] = useCase(t, buildCase({
+    evidenceLeave: [{ party: 'A', reason: 'New invoice', grantedAt: new Date('2025-01-02T00:00:00Z') }]
+  }));
+
+  await Promise.all([
+    caseService.grantEvidenceLeave('case_test', 'B', { reason: 'Photographs', grantedBy: null }),
+    caseService.grantEvidenceLeave('case_test', 'B', { reason: 'Photographs', grantedBy: null })
+  ]);
+  const updated = await caseService.grantEvidenceLeave('case_test', 'A', { reason: 'Delivery note', grantedBy: null });
+
+  assert.deepEqual(stored.evidenceLeave.map(leave => [leave.party, leave.reason]), [['A', 'Delivery note'], ['B', 'Photographs']]);
+  assert.deepEqual(updated.evidenceLeave.map(leave => leave.party), ['A', 'B']);
+});
+
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import createLocalStorage from '../services/storage/localStorage.js';
+
+async function signedLink(storage, key, options) {
+  const url = new URL(await storage.getSignedUrl(key, options));
+  return Object.fromEntries(url.searchParams);
+}
+
+test('signed links cover the download name', async () => {
+  const storage = createLocalStorage({ root: os.tmpdir(), signingSecret: 'test-secret', baseUrl: 'http://files.test' });
+  const key = 'case_test/party-a/agreement.pdf';
+  const { expires, signature, filename } = await signedLink(storage, key, { filename: 'agreement.pdf' });
+
+  assert.equal(filename, 'agreement.pdf');
+  assert.ok(storage.verifySignature(key, expires, signature, filename));
+  assert.ok(!storage.verifySignature(key, expires, signature, 'agreement.exe'));
+  assert.ok(!storage.verifySignature(key, expires, signature));
+});
+
+test('links without a download name only verify without one', async () => {
+  const storage = createLocalStorage({ root: os.tmpdir(), signingSecret: 'test-secret', baseUrl: 'http://files.test' });
+  const key = 'case_test/party-a/agreement.pdf';
+  const { expires, signature } = await signedLink(storage, key);
+
+  assert.ok(storage.verifySignature(key, expires, signature));
+  assert.ok(!storage.verifySignature(key, expires, signature, 'agreement.exe'));
+  assert.ok(!storage.verifySignature('case_test/party-b/other.pdf', expires, signature));
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateRequest } from '../middleware/validate.js';
+import { authRequests } from '../services/requestSchemas.js';
+import { escapeRegex } from '../utils/regex.js';
+
+// Runs the middleware on a request body and reports the response it sent,
+// or the body the route would see
+function validate(schemas, body) {
+  const req = { body };
+  let sent = null;
+  const res = {
+    status: (code) => ({ json: (payload) => { sent = { status: code, ...payload }; } })
+  };
+
+  let passed = false;
+  validateRequest(schemas)(req, res, () => { passed = true; });
+  return passed ? { body: req.body } : sent;
+}
+
+test('registration needs text fields and a long enough password', () => {
+  const valid = validate(authRequests.register, { email: ' jane@example.com ', name: 'Jane', password: 'correct horse' });
+  assert.deepEqual(valid.body, { email: 'jane@example.com', name: 'Jane', password: 'correct horse' });
+
+  const invalid = validate(authRequests.register, { email: { $gt: '' }, name: '', password: 'short' });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.issues.map(issue => [issue.path, issue.message]), [
+    ['email', 'Must be text'],
+    ['name', 'Required'],
+    ['password', 'Must be at least 8 characters']
+  ]);
+});
+
+test('logging in with anything but text is rejected before the database is asked', () => {
+  assert.equal(validate(authRequests.login, { email: ['jane@example.com'], password: 'correct horse' }).status, 400);
+  assert.equal(validate(authRequests.login, { email: 'jane@example.com' }).issues[0].path, 'password');
+  assert.ok(validate(authRequests.login, { email: 'jane@example.com', password: 'x' }).body);
+});
+
+test('escaped text matches only itself', () => {
+  const pattern = new RegExp(`^${escapeRegex('a.b*(c)[d]$')}$`);
+
+  assert.ok(pattern.test('a.b*(c)[d]$'));
+  assert.ok(!pattern.test('axbbb(c)[d]'));
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Case from '../models/Case.js';
+import searchService from '../services/searchService.js';
+import { useMemoryModel } from './helpers/memoryModel.js';
+import { buildCase } from './helpers/fixtures.js';
+
+test('quarantined documents lose the text the search index would match', async (t) => {
+  const quarantined = buildCase();
+  quarantined.parties[1].documents[0].scan = { status: 'quarantined', signature: 'Eicar-Test' };
+  const clean = buildCase({ caseId: 'case_clean' });
+  const [stored, untouched] = useMemoryModel(t, Case, [quarantined, clean]);
+
+  const cleared = await searchService.clearQuarantinedText();
+  const again = await searchService.clearQuarantinedText();
+
+  assert.equal(cleared, 1);
+  assert.equal(again, 0);
+  assert.equal(stored.parties[1].documents[0].extractedText, '');
+  assert.equal(stored.parties[0].documents[0].extractedText, clean.parties[0].documents[0].extractedText);
+  assert.deepEqual(untouched.parties, clean.parties);
+});
@@ -0,0 +1,7 @@
+// Escapes the characters regular expressions give a meaning to, so user
+// input can be matched literally
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export { escapeRegex };
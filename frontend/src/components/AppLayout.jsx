@@ -5,19 +5,23 @@ import Header from './Header';
 import Dashboard from './Dashboard';
 import CaseView from './CaseView';
 import CreateCase from './CreateCase';
+import Login from './Login';
 
 function AppLayout() {
-  const { connectSocket, disconnectSocket, error, clearError } = useAIJudgeStore();
+  const { token, loadCurrentUser, connectSocket, disconnectSocket, error, clearError } = useAIJudgeStore();
 
   useEffect(() => {
-    // Connect to WebSocket on app start
+    if (!token) return;
+    
+    // Connect to WebSocket once signed in
+    loadCurrentUser();
     connectSocket();
     
-    // Cleanup on unmount
+    // Cleanup on sign out or unmount
     return () => {
       disconnectSocket();
     };
-  }, [connectSocket, disconnectSocket]);
+  }, [token, loadCurrentUser, connectSocket, disconnectSocket]);
 
   return (
     <Router>
@@ -37,12 +41,16 @@ function AppLayout() {
         )}
         
         <main className="pt-20 px-5 min-h-[calc(100vh-80px)]">
-          <Routes>
-            <Route path="/" element={<Navigate to="/dashboard" replace />} />
-            <Route path="/dashboard" element={<Dashboard />} />
-            <Route path="/create-case" element={<CreateCase />} />
-            <Route path="/case/:caseId" element={<CaseView />} />
-          </Routes>
+          {token ? (
+            <Routes>
+              <Route path="/" element={<Navigate to="/dashboard" replace />} />
+              <Route path="/dashboard" element={<Dashboard />} />
+              <Route path="/create-case" element={<CreateCase />} />
+              <Route path="/case/:caseId" element={<CaseView />} />
+            </Routes>
+          ) : (
+            <Login />
+          )}
         </main>
       </div>
     </Router>
@@ -0,0 +1,224 @@
+import { useState } from 'react';
+import { Landmark, RotateCcw } from 'lucide-react';
+import useAIJudgeStore from '../stores/useAIJudgeStore';
+import { findParty, partyClass, partyLabel } from '../utils/parties';
+
+const OUTCOME_LABELS = {
+  affirm: { label: 'Judgment Affirmed', className: 'bg-green-500/20 text-green-300' },
+  reverse: { label: 'Judgment Reversed', className: 'bg-red-500/20 text-red-300' },
+  remand: { label: 'Remanded to the Trial Judge', className: 'bg-yellow-500/20 text-yellow-300' }
+};
+
+const MAX_GROUNDS_LENGTH = 10000;
+
+// The appeal is its own stage after the trial: the grounds filed by the
+// appellant and the appellate court's decision, which sits alongside the
+// trial verdict rather than replacing it
+function AppealPanel({ caseData, parties = [] }) {
+  const { fileAppeal, retryAppealReview, appealStream } = useAIJudgeStore();
+
+  const [showForm, setShowForm] = useState(false);
+  const [grounds, setGrounds] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const { appeal, access } = caseData;
+  const canAppeal = !appeal &&
+    access?.role === 'party' &&
+    (caseData.allowedTransitions || []).includes('appealed');
+
+  if (!appeal && !canAppeal) return null;
+
+  const handleFile = async (e) => {
+    e.preventDefault();
+    if (!grounds.trim()) return;
+
+    setIsSaving(true);
+    try {
+      await fileAppeal(caseData.caseId, grounds.trim());
+      setGrounds('');
+      setShowForm(false);
+    } catch (error) {
+      console.error('Filing appeal failed:', error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRetry = async () => {
+    try {
+      await retryAppealReview(caseData.caseId);
+    } catch (error) {
+      console.error('Requesting appellate review failed:', error);
+    }
+  };
+
+  if (!appeal) {
+    return (
+      <div className="glass rounded-2xl p-6 mb-8">
+        <h3 className="text-lg font-semibold text-white mb-2 flex items-center gap-2">
+          <Landmark size={20} />
+          Appeal
+        </h3>
+        <p className="text-sm text-white/60 mb-4">
+          Either party may appeal the current verdict once. The appeal is decided by an appellate court applying the standard of review of {caseData.country}, and ends the trial stage: no further arguments or evidence can be submitted.
+        </p>
+        {showForm ? (
+          <form onSubmit={handleFile} className="space-y-4">
+            <div>
+              <label htmlFor="appeal-grounds" className="form-label">
+                Grounds of Appeal - {partyLabel(parties, access.partyId)}
+              </label>
+              <textarea
+                id="appeal-grounds"
+                value={grounds}
+                onChange={(e) => setGrounds(e.target.value)}
+                placeholder="Set out each error of law or fact you say the trial judge made..."
+                className="form-textarea min-h-32"
+                rows={6}
+                maxLength={MAX_GROUNDS_LENGTH}
+              />
+            </div>
+            <div className="flex gap-3 justify-end">
+              <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary">
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={!grounds.trim() || isSaving}>
+                <Landmark size={16} />
+                {isSaving ? 'Filing...' : 'File Appeal'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <button onClick={() => setShowForm(true)} className="btn btn-secondary">
+            <Landmark size={16} />
+            Appeal the Verdict
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  const { decision } = appeal;
+  const outcome = OUTCOME_LABELS[decision?.outcome];
+  const isStreaming = appealStream?.caseId === caseData.caseId;
+
+  return (
+    <div className="glass rounded-2xl p-6 mb-8">
+      <h3 className="text-xl font-semibold text-white mb-4 flex items-center gap-2">
+        <Landmark size={20} />
+        Appeal
+        {decision?.court && (
+          <span className="text-sm font-normal text-white/60">· {decision.court}</span>
+        )}
+      </h3>
+
+      <div className="space-y-4">
+        <div>
+          <div className="flex items-center gap-2 mb-1">
+            <span className={`px-3 py-1 rounded-full text-sm font-semibold ${partyClass(findParty(parties, appeal.party))}`}>
+              {partyLabel(parties, appeal.party)}
+            </span>
+            <span className="text-xs text-white/50">
+              Appellant · against verdict revision {appeal.verdictRevision || 1}
+              {appeal.filedAt && ` · filed ${new Date(appeal.filedAt).toLocaleDateString()}`}
+            </span>
+          </div>
+          <span className="text-sm text-white/60 font-medium">Grounds of Appeal:</span>
+          <p className="text-white/80 mt-1 whitespace-pre-wrap">{appeal.grounds}</p>
+        </div>
+
+        {appeal.status === 'pending' && (
+          <div>
+            <div className="flex items-center gap-2 mb-3">
+              <div className="spinner w-4 h-4"></div>
+              <span className="text-sm text-white/70">
+                The appellate court is reviewing the appeal...
+                {isStreaming && appealStream.attempt > 1 && ` (revising response, attempt ${appealStream.attempt})`}
+              </span>
+            </div>
+            {isStreaming && appealStream.reasoning && (
+              <p className="text-white/80 leading-relaxed whitespace-pre-wrap">
+                {appealStream.reasoning}
+              </p>
+            )}
+          </div>
+        )}
+
+        {appeal.status === 'failed' && (
+          <div className="flex flex-wrap items-center gap-3">
+            <p className="text-sm text-red-300">
+              The appellate review failed{appeal.error ? `: ${appeal.error}` : ''}
+            </p>
+            {(access?.role === 'party' || access?.isOwner) && (
+              <button onClick={handleRetry} className="btn btn-secondary">
+                <RotateCcw size={16} />
+                Retry Review
+              </button>
+            )}
+          </div>
+        )}
+
+        {appeal.status === 'decided' && decision && (
+          <>
+            <div>
+              <span className="text-sm text-white/60 font-medium">Outcome:</span>
+              <p className="mt-1">
+                <span className={`px-3 py-1 rounded-lg text-sm font-semibold ${outcome?.className || 'bg-white/10 text-white'}`}>
+                  {outcome?.label || decision.outcome}
+                </span>
+              </p>
+            </div>
+            {decision.outcome === 'reverse' && decision.prevailingParties?.length > 0 && (
+              <div>
+                <span className="text-sm text-white/60 font-medium">Prevailing on Appeal:</span>
+                <p className="text-white font-semibold">
+                  {decision.prevailingParties.map(partyId => partyLabel(parties, partyId)).join(', ')}
+                </p>
+              </div>
+            )}
+            <div>
+              <span className="text-sm text-white/60 font-medium">Standard of Review:</span>
+              <p className="text-white/80 mt-1">{decision.standardOfReview}</p>
+            </div>
+            <div>
+              <span className="text-sm text-white/60 font-medium">Reasoning:</span>
+              <p className="text-white/80 leading-relaxed mt-2">{decision.reasoning}</p>
+            </div>
+            {decision.groundsAssessment?.length > 0 && (
+              <div>
+                <span className="text-sm text-white/60 font-medium">Grounds:</span>
+                <ul className="mt-2 space-y-2">
+                  {decision.groundsAssessment.map((assessment, index) => (
+                    <li key={index} className="text-white/80">
+                      <span className={assessment.finding === 'upheld' ? 'text-green-300' : 'text-red-300'}>
+                        {assessment.finding === 'upheld' ? 'Upheld' : 'Rejected'}:
+                      </span>
+                      {' '}{assessment.ground}
+                      {assessment.reasoning && (
+                        <p className="text-sm text-white/60 ml-3 mt-1">{assessment.reasoning}</p>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            {decision.outcome === 'remand' && decision.remandInstructions && (
+              <div>
+                <span className="text-sm text-white/60 font-medium">Instructions on Remand:</span>
+                <p className="text-white/80 mt-1">{decision.remandInstructions}</p>
+              </div>
+            )}
+            {decision.confidence && (
+              <div>
+                <span className="text-sm text-white/60 font-medium">Confidence:</span>
+                <p className="text-white">{Math.round(decision.confidence * 100)}%</p>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AppealPanel;
@@ -0,0 +1,107 @@
+import { useEffect, useState } from 'react';
+import { Users, UserPlus, X } from 'lucide-react';
+import useAIJudgeStore from '../stores/useAIJudgeStore';
+import { partyLabel } from '../utils/parties';
+
+// Party counsel are stored as role 'party' with the party's id; the select
+// encodes them as "party:<id>"
+const describeRole = (member, parties) =>
+  member.role === 'party' ? `Counsel for ${partyLabel(parties, member.partyId)}` : 'Observer';
+
+function CaseMembers({ caseId, isOwner, parties = [] }) {
+  const { members, loadMembers, addMember, removeMember } = useAIJudgeStore();
+
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('party:B');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (caseId) {
+      loadMembers(caseId).catch(() => {});
+    }
+  }, [caseId, loadMembers]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+
+    const [memberRole, partyId] = role.split(':');
+
+    setIsSaving(true);
+    try {
+      await addMember(caseId, email.trim(), memberRole, partyId);
+      setEmail('');
+    } catch (error) {
+      console.error('Adding member failed:', error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="glass rounded-2xl p-6 mb-8">
+      <h3 className="text-xl font-semibold text-white mb-4 flex items-center gap-2">
+        <Users size={20} />
+        Case Members
+      </h3>
+
+      <div className="space-y-2 mb-4">
+        {members.map(member => (
+          <div key={member.userId} className="flex items-center gap-3 bg-white/5 rounded-lg p-3">
+            <div className="flex-1 min-w-0">
+              <p className="text-sm font-medium text-white truncate">{member.name}</p>
+              <p className="text-xs text-white/60 truncate">{member.email}</p>
+            </div>
+            <span className="text-xs px-2 py-1 rounded-lg bg-white/10 text-white/70">
+              {describeRole(member, parties)}
+            </span>
+            {isOwner && (
+              <button
+                onClick={() => removeMember(caseId, member.userId).catch(() => {})}
+                className="text-red-400 hover:text-red-300 transition-colors"
+                title="Remove member"
+              >
+                <X size={16} />
+              </button>
+            )}
+          </div>
+        ))}
+        {members.length === 0 && (
+          <p className="text-sm text-white/60">No members yet.</p>
+        )}
+      </div>
+
+      {isOwner && (
+        <form onSubmit={handleAdd} className="flex flex-col md:flex-row gap-3">
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="Email of a registered user"
+            className="form-input flex-1"
+            disabled={isSaving}
+          />
+          <select
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+            className="form-select md:w-64"
+            disabled={isSaving}
+          >
+            {parties.map(party => (
+              <option key={party.id} value={`party:${party.id}`} className="bg-slate-800">
+                Counsel for {partyLabel(parties, party.id)}
+              </option>
+            ))}
+            <option value="observer" className="bg-slate-800">Observer</option>
+          </select>
+          <button type="submit" className="btn btn-secondary" disabled={!email.trim() || isSaving}>
+            <UserPlus size={16} />
+            Add Member
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default CaseMembers;
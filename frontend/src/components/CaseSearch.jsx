@@ -0,0 +1,135 @@
+import { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Search, X } from 'lucide-react';
+import useAIJudgeStore from '../stores/useAIJudgeStore';
+
+const SEARCH_DELAY_MS = 300;
+
+// Splits a snippet into plain and highlighted parts using the server's
+// [start, end) offsets
+function highlightParts(snippet, highlights) {
+  const parts = [];
+  let position = 0;
+
+  highlights.forEach(([start, end]) => {
+    if (start > position) parts.push({ text: snippet.slice(position, start), match: false });
+    parts.push({ text: snippet.slice(start, end), match: true });
+    position = end;
+  });
+  if (position < snippet.length) parts.push({ text: snippet.slice(position), match: false });
+
+  return parts;
+}
+
+function CaseSearch() {
+  const navigate = useNavigate();
+  const { searchCaseText } = useAIJudgeStore();
+  const containerRef = useRef(null);
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [isOpen, setIsOpen] = useState(false);
+
+  // Searches once typing pauses; a newer query discards older results
+  useEffect(() => {
+    const trimmed = query.trim();
+    if (trimmed.length < 2) {
+      setResults(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setIsSearching(true);
+      try {
+        const data = await searchCaseText(trimmed);
+        if (!cancelled) setResults(data);
+      } catch {
+        if (!cancelled) setResults({ total: 0, results: [], failed: true });
+      } finally {
+        if (!cancelled) setIsSearching(false);
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, searchCaseText]);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const openCase = (caseId) => {
+    setIsOpen(false);
+    setQuery('');
+    navigate(`/case/${caseId}`);
+  };
+
+  return (
+    <div ref={containerRef} className="relative w-64">
+      <div className="flex items-center gap-2 border border-white/20 px-3 py-2 focus-within:border-white/60 transition-colors">
+        <Search size={16} className="text-white/50 shrink-0" />
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setIsOpen(true);
+          }}
+          onFocus={() => setIsOpen(true)}
+          onKeyDown={(e) => e.key === 'Escape' && setIsOpen(false)}
+          placeholder="Search cases"
+          className="bg-transparent text-sm text-white placeholder-white/40 outline-none w-full"
+          aria-label="Search cases"
+        />
+        {query && (
+          <button onClick={() => setQuery('')} className="text-white/50 hover:text-white" title="Clear search">
+            <X size={14} />
+          </button>
+        )}
+      </div>
+
+      {isOpen && results && (
+        <div className="absolute right-0 top-full mt-2 w-[28rem] max-h-[70vh] overflow-y-auto bg-black border border-white/20 shadow-lg z-50">
+          <div className="px-4 py-2 text-xs text-white/50 uppercase tracking-wide border-b border-white/10">
+            {isSearching ? 'Searching...' : results.failed ? 'Search failed' : `${results.total} ${results.total === 1 ? 'case' : 'cases'} found`}
+          </div>
+          {results.results.map(result => (
+            <button
+              key={result.caseId}
+              onClick={() => openCase(result.caseId)}
+              className="block w-full text-left px-4 py-3 border-b border-white/10 hover:bg-white/5 transition-colors"
+            >
+              <div className="flex justify-between items-center gap-3">
+                <span className="font-medium text-white text-sm truncate">{result.title}</span>
+                <span className="text-xs text-white/40 uppercase shrink-0">{result.status.replace(/_/g, ' ')}</span>
+              </div>
+              {result.matches.filter(match => match.field !== 'title').slice(0, 2).map((match, index) => (
+                <div key={index} className="mt-2">
+                  <div className="text-xs text-white/40 uppercase tracking-wide">{match.label}</div>
+                  <div className="text-xs text-white/70 leading-relaxed">
+                    {highlightParts(match.snippet, match.highlights).map((part, partIndex) => (
+                      part.match
+                        ? <mark key={partIndex} className="bg-white text-black px-0.5">{part.text}</mark>
+                        : <span key={partIndex}>{part.text}</span>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CaseSearch;
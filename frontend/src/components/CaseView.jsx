@@ -1,7 +1,30 @@
 import { useEffect, useState, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { ArrowLeft, Scale, MessageSquare, Gavel, Upload, File, CheckCircle, AlertCircle, X } from 'lucide-react';
+import { ArrowLeft, Scale, MessageSquare, Gavel, Upload, File, CheckCircle, AlertCircle, X, Eye, Download, Trash2, RefreshCw, Lock, ShieldCheck, ShieldAlert, UserPlus, FileDown, Archive } from 'lucide-react';
 import useAIJudgeStore from '../stores/useAIJudgeStore';
+import CaseMembers from './CaseMembers';
+import VerdictHistory from './VerdictHistory';
+import AppealPanel from './AppealPanel';
+import PanelOpinions from './PanelOpinions';
+import DocumentViewer from './DocumentViewer';
+import { formatLocation } from '../utils/documentLocation';
+import { PARTY_ROLE_LABELS, partyLabel, partyClass, findParty, formatDecision } from '../utils/parties';
+
+const isQuarantined = (doc) => doc.scan?.status === 'quarantined';
+
+const EXPORT_FORMATS = [
+  { value: 'pdf', label: 'PDF' },
+  { value: 'docx', label: 'Word' },
+  { value: 'md', label: 'Markdown' },
+  { value: 'json', label: 'JSON' }
+];
+
+const INTEGRITY_LABELS = {
+  verified: 'Integrity verified: stored file matches the uploaded hash',
+  mismatch: 'Integrity check failed: stored file differs from the upload',
+  missing: 'Integrity check failed: stored file is missing',
+  unhashed: 'No hash recorded at upload; integrity cannot be verified'
+};
 
 function CaseView() {
   const { caseId } = useParams();
@@ -10,52 +33,81 @@ function CaseView() {
     currentCase, 
     isLoading, 
     loadCase, 
+    loadJobs,
+    getUploadJob,
     uploadDocuments,
+    downloadDocument,
+    deleteDocument,
+    replaceDocument,
+    grantEvidenceLeave,
+    revokeEvidenceLeave,
+    hasEvidenceLeave,
+    isEvidenceLocked,
+    verifyIntegrity,
+    clearQuarantine,
+    integrityReport,
+    isVerifying,
     isUploading,
     uploadProgress,
     requestVerdict,
-    submitArgument
+    isJudging,
+    verdictStream,
+    submitArgument,
+    isArguing,
+    canActForParty,
+    canSubmitArgument,
+    hasOpposingEvidence,
+    addParty,
+    isCaseConcluded,
+    closeCase,
+    deleteCase,
+    exportCase,
+    downloadBundle
   } = useAIJudgeStore();
 
   const [showArgumentModal, setShowArgumentModal] = useState(false);
   const [argumentText, setArgumentText] = useState('');
-  const [argumentSide, setArgumentSide] = useState('A');
-  const [selectedFilesA, setSelectedFilesA] = useState([]);
-  const [selectedFilesB, setSelectedFilesB] = useState([]);
-  const [descriptionA, setDescriptionA] = useState('');
-  const [descriptionB, setDescriptionB] = useState('');
-  const [dragActiveA, setDragActiveA] = useState(false);
-  const [dragActiveB, setDragActiveB] = useState(false);
+  // Selected files, descriptions and drag state are kept per party id
+  const [selectedFiles, setSelectedFiles] = useState({});
+  const [descriptions, setDescriptions] = useState({});
+  const [dragActiveParty, setDragActiveParty] = useState(null);
+  const [viewedDocument, setViewedDocument] = useState(null);
+  const [newParty, setNewParty] = useState({ name: '', role: 'intervenor' });
+  const [isAddingParty, setIsAddingParty] = useState(false);
+  const [panelSize, setPanelSize] = useState(0);
+  const [exportFormat, setExportFormat] = useState('pdf');
+  const [isExporting, setIsExporting] = useState(false);
   
-  const fileInputARef = useRef(null);
-  const fileInputBRef = useRef(null);
+  const fileInputRefs = useRef({});
+  const replaceInputRef = useRef(null);
+  const [replaceTarget, setReplaceTarget] = useState(null);
 
-  const handleDrag = (e, side) => {
+  const handleDrag = (e, partyId) => {
     e.preventDefault();
     e.stopPropagation();
     if (e.type === 'dragenter' || e.type === 'dragover') {
-      if (side === 'A') setDragActiveA(true);
-      else setDragActiveB(true);
+      setDragActiveParty(partyId);
     } else if (e.type === 'dragleave') {
-      if (side === 'A') setDragActiveA(false);
-      else setDragActiveB(false);
+      setDragActiveParty(null);
     }
   };
 
-  const handleDrop = (e, side) => {
+  const handleDrop = (e, partyId) => {
     e.preventDefault();
     e.stopPropagation();
-    if (side === 'A') setDragActiveA(false);
-    else setDragActiveB(false);
+    setDragActiveParty(null);
 
     if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-      handleFileSelect(side, e.dataTransfer.files);
+      handleFileSelect(partyId, e.dataTransfer.files);
     }
   };
 
-  const handleFileSelect = (side, files) => {
+  const handleFileSelect = (partyId, files) => {
     const validFiles = Array.from(files).filter(file => {
-      const validTypes = ['.pdf', '.doc', '.docx', '.txt'];
+      const validTypes = [
+        '.pdf', '.doc', '.docx', '.odt', '.rtf', '.txt', '.md', '.markdown',
+        '.html', '.htm', '.eml', '.png', '.jpg', '.jpeg', '.tif', '.tiff'
+      ];
       const isValidType = validTypes.some(type => 
         file.name.toLowerCase().endsWith(type.toLowerCase())
       );
@@ -63,49 +115,155 @@ function CaseView() {
       return isValidType && isValidSize;
     });
 
-    if (side === 'A') {
-      setSelectedFilesA(prev => [...prev, ...validFiles]);
-    } else {
-      setSelectedFilesB(prev => [...prev, ...validFiles]);
-    }
+    setSelectedFiles(prev => ({ ...prev, [partyId]: [...(prev[partyId] || []), ...validFiles] }));
   };
 
-  const removeFile = (side, index) => {
-    if (side === 'A') {
-      setSelectedFilesA(prev => prev.filter((_, i) => i !== index));
-    } else {
-      setSelectedFilesB(prev => prev.filter((_, i) => i !== index));
-    }
+  const removeFile = (partyId, index) => {
+    setSelectedFiles(prev => ({ ...prev, [partyId]: (prev[partyId] || []).filter((_, i) => i !== index) }));
   };
 
-  const handleUpload = async (side) => {
-    const files = side === 'A' ? selectedFilesA : selectedFilesB;
-    const description = side === 'A' ? descriptionA : descriptionB;
+  const handleUpload = async (partyId) => {
+    const files = selectedFiles[partyId] || [];
     
     if (files.length === 0) return;
 
     try {
-      await uploadDocuments(caseId, side, files, description);
-      await loadCase(caseId);
+      await uploadDocuments(caseId, partyId, files, descriptions[partyId] || '');
       
       // Clear form
-      if (side === 'A') {
-        setSelectedFilesA([]);
-        setDescriptionA('');
+      setSelectedFiles(prev => ({ ...prev, [partyId]: [] }));
+      setDescriptions(prev => ({ ...prev, [partyId]: '' }));
+    } catch (error) {
+      console.error('Upload failed:', error);
+    }
+  };
+
+  const handleAddParty = async (e) => {
+    e.preventDefault();
+    if (!newParty.name.trim()) return;
+
+    setIsAddingParty(true);
+    try {
+      await addParty(caseId, { name: newParty.name.trim(), role: newParty.role });
+      setNewParty({ name: '', role: 'intervenor' });
+    } catch (error) {
+      console.error('Adding party failed:', error);
+    } finally {
+      setIsAddingParty(false);
+    }
+  };
+
+  const handleDownload = async (documentId) => {
+    try {
+      await downloadDocument(caseId, documentId);
+    } catch (error) {
+      console.error('Download failed:', error);
+    }
+  };
+
+  const handleVerifyIntegrity = async () => {
+    try {
+      await verifyIntegrity(caseId);
+    } catch (error) {
+      console.error('Integrity check failed:', error);
+    }
+  };
+
+  const handleClearQuarantine = async (doc) => {
+    const note = window.prompt(`Release ${doc.filename} from quarantine? It will be used as evidence again. Note (optional):`);
+    if (note === null) return;
+    try {
+      await clearQuarantine(caseId, doc.id, note);
+    } catch (error) {
+      console.error('Clearing quarantine failed:', error);
+    }
+  };
+
+  const handleDeleteDocument = async (doc) => {
+    if (!window.confirm(`Delete ${doc.filename}? It will be removed from the case and from storage.`)) return;
+    try {
+      await deleteDocument(caseId, doc.id);
+    } catch (error) {
+      console.error('Delete failed:', error);
+    }
+  };
+
+  const handleReplaceSelect = async (fileList) => {
+    const file = fileList?.[0];
+    const documentId = replaceTarget;
+    setReplaceTarget(null);
+    if (replaceInputRef.current) replaceInputRef.current.value = '';
+    if (!file || !documentId) return;
+
+    try {
+      await replaceDocument(caseId, documentId, file);
+    } catch (error) {
+      console.error('Replace failed:', error);
+    }
+  };
+
+  const handleToggleLeave = async (partyId) => {
+    try {
+      if (hasEvidenceLeave(partyId)) {
+        await revokeEvidenceLeave(caseId, partyId);
       } else {
-        setSelectedFilesB([]);
-        setDescriptionB('');
+        const reason = window.prompt(`Reason for granting Party ${partyId} leave to introduce new evidence (optional):`);
+        if (reason === null) return;
+        await grantEvidenceLeave(caseId, partyId, reason);
       }
     } catch (error) {
-      console.error('Upload failed:', error);
+      console.error('Leave update failed:', error);
+    }
+  };
+
+  const handleCloseCase = async () => {
+    const reason = window.prompt('Closing the case is final: evidence, arguments and the verdict can no longer change. Reason for closing (optional):');
+    if (reason === null) return;
+
+    try {
+      await closeCase(caseId, reason);
+    } catch (error) {
+      console.error('Closing case failed:', error);
+    }
+  };
+
+  const handleDeleteCase = async () => {
+    if (!window.confirm('Delete this case? You can restore it from the dashboard.')) return;
+
+    try {
+      await deleteCase(caseId);
+      navigate('/dashboard');
+    } catch (error) {
+      console.error('Deleting case failed:', error);
+    }
+  };
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      await exportCase(caseId, exportFormat);
+    } catch (error) {
+      console.error('Export failed:', error);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleDownloadBundle = async () => {
+    setIsExporting(true);
+    try {
+      await downloadBundle(caseId);
+    } catch (error) {
+      console.error('Bundle download failed:', error);
+    } finally {
+      setIsExporting(false);
     }
   };
 
   const handleRequestVerdict = async () => {
     if (!caseId) return;
     try {
-      await requestVerdict(caseId);
-      await loadCase(caseId);
+      await requestVerdict(caseId, panelSize || null);
     } catch (error) {
       console.error('Verdict request failed:', error);
     }
@@ -115,15 +273,18 @@ function CaseView() {
     if (!argumentText.trim() || !caseId) return;
     
     try {
-      await submitArgument(caseId, argumentSide, argumentText);
+      await submitArgument(caseId, currentCase.access.partyId, argumentText);
       setArgumentText('');
       setShowArgumentModal(false);
-      await loadCase(caseId);
     } catch (error) {
       console.error('Argument submission failed:', error);
     }
   };
 
+  const integrityStatus = (documentId) => {
+    return integrityReport?.documents.find(doc => doc.documentId === documentId)?.status;
+  };
+
   const formatFileSize = (bytes) => {
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
@@ -133,21 +294,23 @@ function CaseView() {
   };
 
   const canRequestVerdict = () => {
-    return currentCase?.sideA?.documents?.length > 0 && 
-           currentCase?.sideB?.documents?.length > 0 &&
-           !currentCase?.verdict;
+    return (currentCase?.access?.role === 'party' || currentCase?.access?.isOwner) &&
+           currentCase.status === 'ready_for_judgment' &&
+           hasOpposingEvidence() &&
+           // A remanded case is judged again
+           (!currentCase?.verdict || currentCase.appeal?.decision?.outcome === 'remand');
   };
 
   const canSubmitArguments = () => {
-    return currentCase?.verdict && 
-           currentCase?.arguments?.length < 10;
+    return currentCase?.access?.role === 'party' &&
+           canSubmitArgument(currentCase.access.partyId);
   };
 
   useEffect(() => {
     if (caseId) {
-      loadCase(caseId);
+      loadCase(caseId).then(() => loadJobs(caseId));
     }
-  }, [caseId, loadCase]);
+  }, [caseId, loadCase, loadJobs]);
 
   if (isLoading) {
     return (
@@ -178,74 +341,116 @@ function CaseView() {
     );
   }
 
-  const renderUploadSection = (side) => {
-    const files = side === 'A' ? selectedFilesA : selectedFilesB;
-    const description = side === 'A' ? descriptionA : descriptionB;
-    const setDescription = side === 'A' ? setDescriptionA : setDescriptionB;
-    const dragActive = side === 'A' ? dragActiveA : dragActiveB;
-    const fileInputRef = side === 'A' ? fileInputARef : fileInputBRef;
-    const documents = side === 'A' ? currentCase?.sideA?.documents || [] : currentCase?.sideB?.documents || [];
-    const progress = uploadProgress[side] || 0;
+  const parties = currentCase.parties || [];
+  const closingTransition = [...(currentCase.statusHistory || [])].reverse().find(transition => transition.to === currentCase.status);
+
+  // The party (other than `partyId`) that filed a document with this hash
+  const findCrossPartyFiler = (partyId, sha256) => {
+    return parties.find(party => party.id !== partyId && (party.documents || []).some(doc => doc.sha256 === sha256));
+  };
+
+  const renderUploadSection = (party) => {
+    const partyId = party.id;
+    const files = selectedFiles[partyId] || [];
+    const description = descriptions[partyId] || '';
+    const dragActive = dragActiveParty === partyId;
+    const documents = party.documents || [];
+    const progress = uploadProgress[partyId] || 0;
+    const locked = isEvidenceLocked(partyId);
+    const canUpload = canActForParty(partyId) && !locked;
+    const uploadJob = getUploadJob(partyId);
+    const isProcessing = uploadJob && ['queued', 'running'].includes(uploadJob.status);
 
     return (
-      <div className="glass rounded-2xl p-6">
+      <div key={partyId} className="glass rounded-2xl p-6">
         <div className="flex items-center gap-3 mb-6">
-          <span className={side === 'A' ? 'side-a' : 'side-b'}>
-            Side {side} - {side === 'A' ? 'Plaintiff' : 'Defendant'}
+          <span className={partyClass(party)}>
+            Party {partyId} - {party.name}
           </span>
+          <span className="text-xs text-white/60">{PARTY_ROLE_LABELS[party.role]}</span>
           {documents.length > 0 && (
             <CheckCircle size={16} className="text-green-400" />
           )}
+          {currentCase?.verdict && currentCase.access?.isOwner && !isCaseConcluded() && (
+            <button
+              onClick={() => handleToggleLeave(partyId)}
+              className="ml-auto text-xs text-white/60 hover:text-white transition-colors"
+            >
+              {hasEvidenceLeave(partyId) ? 'Revoke leave for new evidence' : 'Grant leave for new evidence'}
+            </button>
+          )}
         </div>
 
+        {canActForParty(partyId) && locked && (
+          <p className="text-sm text-white/60 mb-4 flex items-center gap-2">
+            <Lock size={14} className="shrink-0" />
+            {isCaseConcluded()
+              ? `Evidence is locked now that the case is ${currentCase.status}.`
+              : 'Evidence is locked now that the verdict is rendered. The judge can grant leave to introduce new evidence.'}
+          </p>
+        )}
+        {currentCase?.verdict && hasEvidenceLeave(partyId) && (
+          <p className="text-sm text-yellow-300 mb-4">
+            Party {partyId} has leave to introduce new evidence.
+          </p>
+        )}
+
+        {!canUpload && documents.length === 0 && (
+          <p className="text-sm text-white/60 mb-4">
+            Waiting for counsel for Party {partyId} to upload documents.
+          </p>
+        )}
+
         {/* Upload Area */}
-        <div
-          className={`relative border-2 border-dashed rounded-xl p-8 text-center transition-all duration-300 cursor-pointer mb-6 ${
-            dragActive
-              ? 'border-blue-400 bg-blue-500/10 scale-105'
-              : 'border-white/30 hover:border-white/50 hover:bg-white/5'
-          } ${isUploading ? 'pointer-events-none opacity-50' : ''}`}
-          onDragEnter={(e) => handleDrag(e, side)}
-          onDragLeave={(e) => handleDrag(e, side)}
-          onDragOver={(e) => handleDrag(e, side)}
-          onDrop={(e) => handleDrop(e, side)}
-          onClick={() => fileInputRef.current?.click()}
-        >
-          <input
-            ref={fileInputRef}
-            type="file"
-            multiple
-            accept=".pdf,.doc,.docx,.txt"
-            onChange={(e) => handleFileSelect(side, e.target.files)}
-            className="hidden"
-            disabled={isUploading}
-          />
+        {canUpload && (
+          <div
+            className={`relative border-2 border-dashed rounded-xl p-8 text-center transition-all duration-300 cursor-pointer mb-6 ${
+              dragActive
+                ? 'border-blue-400 bg-blue-500/10 scale-105'
+                : 'border-white/30 hover:border-white/50 hover:bg-white/5'
+            } ${isUploading ? 'pointer-events-none opacity-50' : ''}`}
+            onDragEnter={(e) => handleDrag(e, partyId)}
+            onDragLeave={(e) => handleDrag(e, partyId)}
+            onDragOver={(e) => handleDrag(e, partyId)}
+            onDrop={(e) => handleDrop(e, partyId)}
+            onClick={() => fileInputRefs.current[partyId]?.click()}
+          >
+            <input
+              ref={(el) => { fileInputRefs.current[partyId] = el; }}
+              type="file"
+              multiple
+              accept=".pdf,.doc,.docx,.odt,.rtf,.txt,.md,.markdown,.html,.htm,.eml,.png,.jpg,.jpeg,.tif,.tiff"
+              onChange={(e) => handleFileSelect(partyId, e.target.files)}
+              className="hidden"
+              disabled={isUploading}
+            />
           
-          <div className="flex flex-col items-center gap-3">
-            <div className="w-16 h-16 bg-white/10 rounded-full flex items-center justify-center">
-              <Upload size={24} className="text-white/60" />
-            </div>
-            <div>
-              <p className="text-white font-medium mb-1">
-                {dragActive ? 'Drop files here' : 'Click to upload or drag & drop'}
-              </p>
-              <p className="text-sm text-white/60">
-                PDF, DOC, DOCX, TXT files up to 10MB each
-              </p>
+            <div className="flex flex-col items-center gap-3">
+              <div className="w-16 h-16 bg-white/10 rounded-full flex items-center justify-center">
+                <Upload size={24} className="text-white/60" />
+              </div>
+              <div>
+                <p className="text-white font-medium mb-1">
+                  {dragActive ? 'Drop files here' : 'Click to upload or drag & drop'}
+                </p>
+                <p className="text-sm text-white/60">
+                  Documents (PDF, DOC, DOCX, ODT, RTF, TXT, MD, HTML), emails (EML) or scanned images (PNG, JPG, TIFF) up to 10MB each
+                </p>
+              </div>
             </div>
           </div>
-        </div>
+        )}
 
         {/* Description Input */}
         {files.length > 0 && (
           <div className="mb-4">
-            <label htmlFor={`description-${side}`} className="form-label">
+            <label htmlFor={`description-${partyId}`} className="form-label">
               Document Description (Optional)
             </label>
             <textarea
-              id={`description-${side}`}
+              id={`description-${partyId}`}
               value={description}
-              onChange={(e) => setDescription(e.target.value)}
+              onChange={(e) => setDescriptions(prev => ({ ...prev, [partyId]: e.target.value }))}
               placeholder="Provide a brief description of these documents..."
               className="form-textarea min-h-20"
               disabled={isUploading}
@@ -269,7 +474,7 @@ function CaseView() {
                     <button
                       onClick={(e) => {
                         e.stopPropagation();
-                        removeFile(side, index);
+                        removeFile(partyId, index);
                       }}
                       className="text-red-400 hover:text-red-300 transition-colors"
                     >
@@ -299,17 +504,39 @@ function CaseView() {
             {/* Upload Button */}
             {!isUploading && (
               <button
-                onClick={() => handleUpload(side)}
+                onClick={() => handleUpload(partyId)}
                 className="btn btn-primary w-full mt-4"
                 disabled={files.length === 0}
               >
                 <Upload size={16} />
-                Upload {files.length} file{files.length !== 1 ? 's' : ''} for Side {side}
+                Upload {files.length} file{files.length !== 1 ? 's' : ''} for Party {partyId}
               </button>
             )}
           </div>
         )}
 
+        {/* Document Processing */}
+        {isProcessing && (
+          <div className="mb-4 flex items-center gap-2 bg-blue-500/10 border border-blue-500/20 rounded-lg p-3">
+            <div className="spinner w-4 h-4 shrink-0"></div>
+            <span className="text-sm text-white/70 truncate">
+              {uploadJob.status === 'queued'
+                ? uploadJob.attempts > 0
+                  ? `Processing failed, retrying (attempt ${uploadJob.attempts + 1} of ${uploadJob.maxAttempts})...`
+                  : 'Queued for processing...'
+                : uploadJob.progress?.stage === 'parsing'
+                  ? `Processing ${uploadJob.progress.current} of ${uploadJob.progress.total}: ${uploadJob.progress.message}`
+                  : 'Saving documents...'}
+            </span>
+          </div>
+        )}
+        {uploadJob?.status === 'failed' && (
+          <div className="mb-4 flex items-start gap-2 bg-red-500/10 border border-red-500/20 rounded-lg p-3">
+            <AlertCircle size={16} className="text-red-400 shrink-0 mt-0.5" />
+            <span className="text-sm text-red-300">Document processing failed: {uploadJob.error}</span>
+          </div>
+        )}
+
         {/* Existing Documents */}
         {documents.length > 0 && (
           <div className="space-y-3">
@@ -319,14 +546,85 @@ function CaseView() {
             </h4>
             <div className="space-y-2">
               {documents.map((doc, index) => (
-                <div key={index} className="flex items-center gap-3 bg-green-500/10 border border-green-500/20 rounded-lg p-3">
+                <div key={doc.id || index} className="flex items-center gap-3 bg-green-500/10 border border-green-500/20 rounded-lg p-3">
                   <File size={20} className="text-green-400 shrink-0" />
                   <div className="flex-1 min-w-0">
                     <p className="text-sm font-medium text-white">{doc.filename}</p>
                     <p className="text-xs text-green-400">
-                      Uploaded • {formatFileSize(doc.size)}
+                      {doc.replacedAt ? 'Replaced' : 'Uploaded'} • {formatFileSize(doc.size)}
+                      {doc.ocr && ` • OCR ${doc.ocr.averageConfidence}% confidence`}
+                      {doc.sha256 && (
+                        <span title={`SHA-256 ${doc.sha256}`}> • SHA-256 {doc.sha256.slice(0, 12)}…</span>
+                      )}
                     </p>
+                    {isQuarantined(doc) && (
+                      <p className="text-xs text-red-300 flex items-center gap-1">
+                        <ShieldAlert size={12} className="shrink-0" />
+                        Quarantined: malware scan found {doc.scan.signature}. Excluded from the AI Judge until cleared.
+                      </p>
+                    )}
+                    {doc.scan?.status === 'cleared' && (
+                      <p className="text-xs text-yellow-300">Released from quarantine by the judge</p>
+                    )}
+                    {doc.sha256 && findCrossPartyFiler(partyId, doc.sha256) && (
+                      <p className="text-xs text-yellow-300">
+                        Same file also filed by Party {findCrossPartyFiler(partyId, doc.sha256).id}
+                      </p>
+                    )}
+                    {INTEGRITY_LABELS[integrityStatus(doc.id)] && (
+                      <p className={`text-xs ${integrityStatus(doc.id) === 'verified' ? 'text-green-300' : 'text-red-300'}`}>
+                        {INTEGRITY_LABELS[integrityStatus(doc.id)]}
+                      </p>
+                    )}
                   </div>
+                  {isQuarantined(doc) && currentCase.access?.isOwner && doc.id && (
+                    <button
+                      onClick={() => handleClearQuarantine(doc)}
+                      className="text-xs text-yellow-300 hover:text-yellow-200 transition-colors"
+                    >
+                      Release
+                    </button>
+                  )}
+                  {(!isQuarantined(doc) || currentCase.access?.isOwner) && (
+                    <button
+                      onClick={() => setViewedDocument({ party: partyId, documentIndex: index })}
+                      className="text-white/60 hover:text-white transition-colors"
+                      title="View document layout"
+                    >
+                      <Eye size={16} />
+                    </button>
+                  )}
+                  {doc.id && doc.uploadedToCloud && (!isQuarantined(doc) || currentCase.access?.isOwner) && (
+                    <button
+                      onClick={() => handleDownload(doc.id)}
+                      className="text-white/60 hover:text-white transition-colors"
+                      title="Download original file"
+                    >
+                      <Download size={16} />
+                    </button>
+                  )}
+                  {canUpload && doc.id && (
+                    <>
+                      <button
+                        onClick={() => {
+                          setReplaceTarget(doc.id);
+                          replaceInputRef.current?.click();
+                        }}
+                        className="text-white/60 hover:text-white transition-colors"
+                        title="Replace with a new file"
+                        disabled={isProcessing}
+                      >
+                        <RefreshCw size={16} />
+                      </button>
+                      <button
+                        onClick={() => handleDeleteDocument(doc)}
+                        className="text-red-400 hover:text-red-300 transition-colors"
+                        title="Delete document"
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </>
+                  )}
                   <CheckCircle size={16} className="text-green-400" />
                 </div>
               ))}
@@ -368,22 +666,126 @@ function CaseView() {
                 currentCase.status === 'ready_for_judgment' ? 'status-ready-for-judgment' :
                 currentCase.status === 'verdict_rendered' ? 'status-verdict-rendered' :
                 currentCase.status === 'arguments_phase' ? 'status-arguments-phase' :
+                currentCase.status === 'closed' ? 'status-closed' :
+                currentCase.status === 'appealed' ? 'status-appealed' :
                 'status-created'
               }`}>
                 {currentCase.status.replace(/_/g, ' ').toUpperCase()}
               </span>
             </div>
             <p className="text-white/80 leading-relaxed">{currentCase.description}</p>
+            {isCaseConcluded() && closingTransition && (
+              <p className="text-sm text-white/60 mt-3">
+                Case {closingTransition.to} on {new Date(closingTransition.at).toLocaleDateString()}
+                {closingTransition.reason ? `: ${closingTransition.reason}` : ''}
+              </p>
+            )}
+          </div>
+          <div className="flex flex-col gap-2 shrink-0">
+            <div className="flex gap-2">
+              <select
+                value={exportFormat}
+                onChange={(e) => setExportFormat(e.target.value)}
+                className="form-select w-auto"
+                aria-label="Export format"
+              >
+                {EXPORT_FORMATS.map(format => (
+                  <option key={format.value} value={format.value}>{format.label}</option>
+                ))}
+              </select>
+              <button onClick={handleExport} className="btn btn-secondary" disabled={isExporting}>
+                <FileDown size={16} />
+                {isExporting ? 'Exporting...' : 'Export'}
+              </button>
+            </div>
+            {currentCase.access?.isOwner && (
+              <>
+                <button onClick={handleDownloadBundle} className="btn btn-secondary" disabled={isExporting}>
+                  <Archive size={16} />
+                  Download Bundle
+                </button>
+                {!isCaseConcluded() && (
+                  <button onClick={handleCloseCase} className="btn btn-secondary">
+                    <Lock size={16} />
+                    Close Case
+                  </button>
+                )}
+                <button onClick={handleDeleteCase} className="btn btn-secondary">
+                  <Trash2 size={16} />
+                  Delete Case
+                </button>
+              </>
+            )}
           </div>
         </div>
       </div>
 
-      {/* Document Upload Sections */}
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
-        {renderUploadSection('A')}
-        {renderUploadSection('B')}
+      <CaseMembers caseId={caseId} isOwner={!!currentCase.access?.isOwner} parties={parties} />
+
+      <input
+        ref={replaceInputRef}
+        type="file"
+        accept=".pdf,.doc,.docx,.odt,.rtf,.txt,.md,.markdown,.html,.htm,.eml,.png,.jpg,.jpeg,.tif,.tiff"
+        onChange={(e) => handleReplaceSelect(e.target.files)}
+        className="hidden"
+      />
+
+      {/* Document Upload Sections, one per party */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+        {parties.map(party => renderUploadSection(party))}
       </div>
 
+      {/* Adding Parties */}
+      {currentCase.access?.isOwner && (
+        <form onSubmit={handleAddParty} className="glass rounded-2xl p-6 mb-8 flex flex-col md:flex-row gap-3">
+          <input
+            type="text"
+            value={newParty.name}
+            onChange={(e) => setNewParty({ ...newParty, name: e.target.value })}
+            placeholder="Name of a co-party, intervenor or amicus"
+            className="form-input flex-1"
+            disabled={isAddingParty}
+          />
+          <select
+            value={newParty.role}
+            onChange={(e) => setNewParty({ ...newParty, role: e.target.value })}
+            className="form-select md:w-48"
+            disabled={isAddingParty}
+          >
+            {Object.entries(PARTY_ROLE_LABELS).map(([value, label]) => (
+              <option key={value} value={value} className="bg-slate-800">
+                {label}
+              </option>
+            ))}
+          </select>
+          <button type="submit" className="btn btn-secondary" disabled={!newParty.name.trim() || isAddingParty}>
+            <UserPlus size={16} />
+            Add Party
+          </button>
+        </form>
+      )}
+
+      {/* Evidence Integrity */}
+      {parties.some(party => party.documents?.length > 0) && (
+        <div className="flex flex-wrap items-center justify-end gap-3 mb-8">
+          {integrityReport && (
+            <span className={`text-sm ${integrityReport.intact ? 'text-green-300' : 'text-red-300'}`}>
+              {integrityReport.intact
+                ? `All stored exhibits intact as of ${new Date(integrityReport.verifiedAt).toLocaleTimeString()}`
+                : 'Some stored exhibits failed the integrity check'}
+            </span>
+          )}
+          <button
+            onClick={handleVerifyIntegrity}
+            className="btn btn-secondary"
+            disabled={isVerifying}
+          >
+            <ShieldCheck size={16} />
+            {isVerifying ? 'Verifying...' : 'Verify integrity'}
+          </button>
+        </div>
+      )}
+
       {/* AI Judge Analysis Button */}
       {canRequestVerdict() && (
         <div className="text-center mb-8">
@@ -392,17 +794,51 @@ function CaseView() {
               <Gavel size={32} className="text-white" />
               Ready for AI Judge Analysis
             </h3>
-            <p className="text-white/70 mb-6">
-              Both sides have uploaded their documents. The AI Judge can now analyze all evidence and render a verdict.
-            </p>
-            <button
-              onClick={handleRequestVerdict}
-              className="btn btn-accent text-lg px-8 py-4"
-              disabled={isLoading}
-            >
-              
-                Analyze Case & Render Verdict
-            </button>
+            {isJudging ? (
+              <div className="text-left">
+                <div className="flex items-center gap-2 mb-3">
+                  <div className="spinner w-4 h-4"></div>
+                  <span className="text-sm text-white/70">
+                    {verdictStream?.panelSize
+                      ? `Judge ${verdictStream.judge || 1} of ${verdictStream.panelSize} is deliberating...`
+                      : 'The AI Judge is deliberating...'}
+                    {verdictStream?.attempt > 1 && ` (revising response, attempt ${verdictStream.attempt})`}
+                  </span>
+                </div>
+                {verdictStream?.reasoning && (
+                  <p className="text-white/80 leading-relaxed whitespace-pre-wrap">
+                    {verdictStream.reasoning}
+                  </p>
+                )}
+              </div>
+            ) : (
+              <>
+                <p className="text-white/70 mb-6">
+                  A plaintiff and a defendant have uploaded their documents. The AI Judge can now analyze the evidence of every party and render a verdict.
+                </p>
+                <div className="flex items-center justify-center gap-3 mb-6">
+                  <label htmlFor="panel-size" className="text-sm text-white/70">Decided by</label>
+                  <select
+                    id="panel-size"
+                    value={panelSize}
+                    onChange={(e) => setPanelSize(Number(e.target.value))}
+                    className="form-select w-auto"
+                  >
+                    <option value={0}>A single judge</option>
+                    <option value={3}>A panel of 3 judges</option>
+                    <option value={5}>A panel of 5 judges</option>
+                  </select>
+                </div>
+                <button
+                  onClick={handleRequestVerdict}
+                  className="btn btn-accent text-lg px-8 py-4"
+                  disabled={isLoading}
+                >
+                  
+                    Analyze Case & Render Verdict
+                </button>
+              </>
+            )}
           </div>
         </div>
       )}
@@ -413,12 +849,22 @@ function CaseView() {
           <h3 className="text-xl font-semibold text-white mb-4 flex items-center gap-2">
             <Scale size={20} />
             AI Judge Verdict
+            {currentCase.verdict.revision > 1 && (
+              <span className="text-xs px-2 py-1 rounded-lg bg-white/10 text-white/70 font-medium">
+                Revision {currentCase.verdict.revision}
+              </span>
+            )}
+            {currentCase.verdict.panel && (
+              <span className="text-xs px-2 py-1 rounded-lg bg-white/10 text-white/70 font-medium">
+                Panel of {currentCase.verdict.panel.size}
+              </span>
+            )}
           </h3>
           <div className="space-y-4">
             <div>
               <span className="text-sm text-white/60 font-medium">Decision:</span>
               <p className="text-white font-semibold capitalize text-lg">
-                {currentCase.verdict.decision?.replace(/_/g, ' ')}
+                {formatDecision(currentCase.verdict, parties)}
               </p>
             </div>
             <div>
@@ -427,16 +873,55 @@ function CaseView() {
                 {currentCase.verdict.reasoning}
               </p>
             </div>
+            {currentCase.verdict.keyFindings?.length > 0 && (
+              <div>
+                <span className="text-sm text-white/60 font-medium">Key Findings:</span>
+                <ul className="mt-2 space-y-2">
+                  {currentCase.verdict.keyFindings.map((finding, index) => {
+                    const citation = currentCase.verdict.citations?.find(c => c.finding === finding);
+                    return (
+                      <li key={index} className="text-white/80">
+                        • {finding}
+                        {citation?.sources?.length > 0 && (
+                          <span className="flex flex-wrap gap-2 mt-1 ml-3">
+                            {citation.sources.map(source => {
+                              const location = formatLocation(source);
+                              return (
+                                <button
+                                  key={source.ref}
+                                  onClick={() => setViewedDocument({ party: source.party, documentIndex: source.documentIndex, highlight: source })}
+                                  className="text-xs px-2 py-0.5 rounded-lg bg-white/10 text-white/60 hover:bg-white/20 hover:text-white transition-colors"
+                                  title={`${partyLabel(parties, source.party)}, document ${source.documentIndex + 1}, excerpt ${source.chunkIndex + 1}`}
+                                >
+                                  Exhibit {source.party}{source.documentIndex + 1} · {source.filename}{location ? ` · ${location}` : ` · excerpt ${source.chunkIndex + 1}`}
+                                </button>
+                              );
+                            })}
+                          </span>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            )}
             {currentCase.verdict.confidence && (
               <div>
                 <span className="text-sm text-white/60 font-medium">Confidence:</span>
                 <p className="text-white">{Math.round(currentCase.verdict.confidence * 100)}%</p>
               </div>
             )}
+            <PanelOpinions panel={currentCase.verdict.panel} parties={parties} />
           </div>
         </div>
       )}
 
+      <VerdictHistory
+        history={currentCase.verdictHistory}
+        argumentsList={currentCase.arguments}
+        parties={parties}
+      />
+
       {/* Arguments Section */}
       {currentCase.arguments && currentCase.arguments.length > 0 && (
         <div className="mb-8">
@@ -445,10 +930,8 @@ function CaseView() {
             {currentCase.arguments.map((argument, index) => (
               <div key={index} className="glass rounded-xl p-6">
                 <div className="flex items-center gap-2 mb-3">
-                  <span className={`px-3 py-1 rounded-full text-sm font-semibold ${
-                    argument.side === 'A' ? 'side-a' : 'side-b'
-                  }`}>
-                    Side {argument.side}
+                  <span className={`px-3 py-1 rounded-full text-sm font-semibold ${partyClass(findParty(parties, argument.party))}`}>
+                    {partyLabel(parties, argument.party)}
                   </span>
                   <span className="text-xs text-white/50">Argument #{argument.argumentNumber}</span>
                 </div>
@@ -477,41 +960,43 @@ function CaseView() {
             <h3 className="text-lg font-semibold text-white mb-4">Submit Follow-up Arguments</h3>
             <div className="flex gap-4 justify-center">
               <button
-                onClick={() => {
-                  setArgumentSide('A');
-                  setShowArgumentModal(true);
-                }}
-                className="btn btn-secondary"
-              >
-                <MessageSquare size={16} />
-                Submit Argument (Side A)
-              </button>
-              <button
-                onClick={() => {
-                  setArgumentSide('B');
-                  setShowArgumentModal(true);
-                }}
+                onClick={() => setShowArgumentModal(true)}
                 className="btn btn-secondary"
+                disabled={isArguing}
               >
                 <MessageSquare size={16} />
-                Submit Argument (Side B)
+                Submit Argument ({partyLabel(parties, currentCase.access.partyId)})
               </button>
             </div>
             <p className="text-sm text-white/60 mt-2">
-              Submit follow-up arguments based on the AI verdict. Maximum 5 arguments per side.
+              {isArguing
+                ? 'The court is considering the argument…'
+                : `Submit follow-up arguments based on the AI verdict. Maximum ${currentCase.argumentLimit} arguments per party.`}
             </p>
           </div>
         </div>
       )}
 
+      <AppealPanel caseData={currentCase} parties={parties} />
+
       {/* Argument Modal */}
+      {viewedDocument && (
+        <DocumentViewer
+          caseId={caseId}
+          party={viewedDocument.party}
+          documentIndex={viewedDocument.documentIndex}
+          highlight={viewedDocument.highlight}
+          onClose={() => setViewedDocument(null)}
+        />
+      )}
+
       {showArgumentModal && (
         <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50">
           <div className="glass rounded-2xl p-6 max-w-2xl w-full max-h-[80vh] overflow-y-auto">
             <div className="flex items-center justify-between mb-6">
               <h3 className="text-xl font-semibold text-white flex items-center gap-2">
                 <MessageSquare size={20} />
-                Submit Argument - Side {argumentSide}
+                Submit Argument - {partyLabel(parties, currentCase.access.partyId)}
               </h3>
               <button
                 onClick={() => setShowArgumentModal(false)}
@@ -546,7 +1031,7 @@ function CaseView() {
                 <button
                   onClick={handleSubmitArgument}
                   className="btn btn-primary"
-                  disabled={!argumentText.trim() || isLoading}
+                  disabled={!argumentText.trim() || isArguing}
                 >
                   <MessageSquare size={16} />
                   Submit Argument
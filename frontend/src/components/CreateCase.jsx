@@ -1,7 +1,10 @@
 import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { ArrowLeft, Scale, Globe, FileText } from 'lucide-react';
+import { ArrowLeft, Scale, Globe, FileText, Plus, X } from 'lucide-react';
 import useAIJudgeStore from '../stores/useAIJudgeStore';
+import { PARTY_ROLE_LABELS } from '../utils/parties';
+
+const partyIdAt = (index) => String.fromCharCode(65 + index);
 
 function CreateCase() {
   const navigate = useNavigate();
@@ -14,6 +17,11 @@ function CreateCase() {
     caseType: 'civil'
   });
 
+  const [parties, setParties] = useState([
+    { name: 'Plaintiff', role: 'plaintiff', description: '' },
+    { name: 'Defendant', role: 'defendant', description: '' }
+  ]);
+
   const countries = [
     'United States',
     'United Kingdom',
@@ -30,14 +38,26 @@ function CreateCase() {
   const caseTypes = [
     { value: 'civil', label: 'Civil Case', description: 'Disputes between private parties' },
     { value: 'criminal', label: 'Criminal Case', description: 'Prosecution of illegal activities' },
-    { value: 'commercial', label: 'Commercial Case', description: 'Business and trade disputes' },
-    { value: 'employment', label: 'Employment Case', description: 'Workplace and labor disputes' },
+    { value: 'corporate', label: 'Corporate Case', description: 'Business and trade disputes' },
+    { value: 'labor', label: 'Labor Case', description: 'Workplace and employment disputes' },
     { value: 'family', label: 'Family Case', description: 'Divorce, custody, and family matters' },
     { value: 'intellectual_property', label: 'IP Case', description: 'Patents, copyrights, and trademarks' },
     { value: 'constitutional', label: 'Constitutional Case', description: 'Constitutional rights and law' },
     { value: 'administrative', label: 'Administrative Case', description: 'Government agency decisions' }
   ];
 
+  const updateParty = (index, field, value) => {
+    setParties(prev => prev.map((party, i) => i === index ? { ...party, [field]: value } : party));
+  };
+
+  const addPartyRow = () => {
+    setParties(prev => [...prev, { name: '', role: 'intervenor', description: '' }]);
+  };
+
+  const removePartyRow = (index) => {
+    setParties(prev => prev.filter((_, i) => i !== index));
+  };
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -54,14 +74,22 @@ function CreateCase() {
     }
 
     try {
-      const newCase = await createCase(formData);
+      const newCase = await createCase({
+        ...formData,
+        parties: parties.map(party => ({ ...party, name: party.name.trim() }))
+      });
       navigate(`/case/${newCase.caseId}`);
     } catch (error) {
       console.error('Failed to create case:', error);
     }
   };
 
-  const isFormValid = formData.title.trim() && formData.description.trim();
+  const isFormValid = formData.title.trim() &&
+    formData.description.trim() &&
+    parties.length >= 2 &&
+    parties.every(party => party.name.trim()) &&
+    parties.some(party => party.role === 'plaintiff') &&
+    parties.some(party => party.role === 'defendant');
 
   return (
     <div className="max-w-6xl mx-auto py-8">
@@ -198,6 +226,64 @@ function CreateCase() {
                   </small>
                 </div>
               </div>
+
+            </div>
+
+            {/* Parties Section */}
+            <div>
+              <h3 className="text-xl font-semibold text-white mb-5 pb-2 border-b border-white/10">
+                Parties
+              </h3>
+
+              <div className="space-y-4">
+                {parties.map((party, index) => (
+                  <div key={index} className="flex flex-col md:flex-row gap-3 md:items-center">
+                    <span className="text-white/60 font-semibold w-16">
+                      Party {partyIdAt(index)}
+                    </span>
+                    <input
+                      type="text"
+                      value={party.name}
+                      onChange={(e) => updateParty(index, 'name', e.target.value)}
+                      className="form-input flex-1"
+                      placeholder="Name of the party"
+                      maxLength={200}
+                    />
+                    <select
+                      value={party.role}
+                      onChange={(e) => updateParty(index, 'role', e.target.value)}
+                      className="form-select md:w-48"
+                    >
+                      {Object.entries(PARTY_ROLE_LABELS).map(([value, label]) => (
+                        <option key={value} value={value} className="bg-slate-800">
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      onClick={() => removePartyRow(index)}
+                      className="text-white/40 hover:text-red-400 transition-colors disabled:opacity-30"
+                      disabled={parties.length <= 2}
+                      title="Remove party"
+                    >
+                      <X size={18} />
+                    </button>
+                  </div>
+                ))}
+              </div>
+
+              <button type="button" onClick={addPartyRow} className="btn btn-secondary mt-4">
+                <Plus size={16} />
+                Add Party
+              </button>
+              <small className="text-xs text-white/60 mt-2 block">
+                A case needs at least one plaintiff and one defendant. Co-parties, intervenors and amici can also be added later from the case page.
+              </small>
+
+              <p className="text-sm text-white/70 mt-6">
+                You preside over this case as its judge, so you cannot also act as counsel. Invite counsel for each party from the case page.
+              </p>
             </div>
 
             {/* Form Actions */}
@@ -245,7 +331,7 @@ function CreateCase() {
                 <div>
                   <h4 className="text-white font-semibold mb-1">Upload Documents</h4>
                   <p className="text-sm text-white/70 leading-relaxed">
-                    Both sides submit legal documents, evidence, and case materials
+                    Every party submits legal documents, evidence, and case materials
                   </p>
                 </div>
               </div>
@@ -269,7 +355,7 @@ function CreateCase() {
                 <div>
                   <h4 className="text-white font-semibold mb-1">Arguments Phase</h4>
                   <p className="text-sm text-white/70 leading-relaxed">
-                    Each side can submit up to 5 follow-up arguments for reconsideration
+                    Each party can submit up to 5 follow-up arguments for reconsideration
                   </p>
                 </div>
               </div>
@@ -1,23 +1,97 @@
-import { useEffect } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
-import { Plus, Calendar, Users, TrendingUp, Scale, Clock, FileText } from 'lucide-react';
+import { Plus, Calendar, Users, TrendingUp, Scale, Clock, FileText, RotateCcw, Upload } from 'lucide-react';
 import useAIJudgeStore from '../stores/useAIJudgeStore';
 
+const CASE_STATUSES = ['created', 'awaiting_documents', 'ready_for_judgment', 'verdict_rendered', 'arguments_phase', 'closed', 'appealed'];
+const CASE_TYPES = [
+  { value: 'civil', label: 'Civil' },
+  { value: 'criminal', label: 'Criminal' },
+  { value: 'constitutional', label: 'Constitutional' },
+  { value: 'intellectual_property', label: 'Intellectual Property' },
+  { value: 'family', label: 'Family' },
+  { value: 'corporate', label: 'Corporate' },
+  { value: 'labor', label: 'Labor' },
+  { value: 'administrative', label: 'Administrative' }
+];
+const CASE_SORTS = [
+  { value: 'lastActivity:desc', label: 'Latest activity' },
+  { value: 'createdAt:desc', label: 'Newest first' },
+  { value: 'createdAt:asc', label: 'Oldest first' },
+  { value: 'title:asc', label: 'Title A-Z' },
+  { value: 'title:desc', label: 'Title Z-A' }
+];
+
 function Dashboard() {
   const navigate = useNavigate();
   const { 
     cases, 
+    casesTotal,
+    casesCursor,
+    caseQuery,
+    isLoadingMore,
     stats, 
     isLoading, 
     loadAllCases, 
+    loadMoreCases,
     loadStats, 
-    loadCase 
+    deletedCases,
+    loadDeletedCases,
+    restoreCase,
+    importBundle
   } = useAIJudgeStore();
+  const bundleInputRef = useRef(null);
+  const [conflictMode, setConflictMode] = useState('skip');
+  const [isImporting, setIsImporting] = useState(false);
+  const [importNotice, setImportNotice] = useState(null);
 
   useEffect(() => {
     loadAllCases();
     loadStats();
-  }, [loadAllCases, loadStats]);
+    loadDeletedCases().catch(() => {});
+  }, [loadAllCases, loadStats, loadDeletedCases]);
+
+  const handleRestore = async (caseId) => {
+    try {
+      await restoreCase(caseId);
+      loadStats();
+    } catch (error) {
+      console.error('Restore failed:', error);
+    }
+  };
+
+  const handleImport = async (file) => {
+    if (!file) return;
+    setIsImporting(true);
+    setImportNotice(null);
+    try {
+      const result = await importBundle(file, conflictMode);
+      if (result.status === 'skipped') {
+        setImportNotice(`Case ${result.sourceCaseId} already exists and was skipped. Choose "Overwrite" or "Import as new" to import it anyway.`);
+      } else {
+        loadStats();
+        navigate(`/case/${result.caseId}`);
+      }
+    } catch (error) {
+      console.error('Import failed:', error);
+    } finally {
+      setIsImporting(false);
+      bundleInputRef.current.value = '';
+    }
+  };
+
+  // Empty filters are left out of the query
+  const updateQuery = (changes) => {
+    const query = Object.fromEntries(
+      Object.entries({ ...caseQuery, ...changes }).filter(([, value]) => value)
+    );
+    loadAllCases(query).catch(() => {});
+  };
+
+  const handleSortChange = (value) => {
+    const [sort, order] = value.split(':');
+    updateQuery({ sort, order });
+  };
 
   const handleCaseClick = (caseId) => {
     navigate(`/case/${caseId}`);
@@ -44,7 +118,7 @@ function Dashboard() {
     });
   };
 
-  if (isLoading && (!cases.length || !stats)) {
+  if (isLoading && !stats) {
     return (
       <div className="flex flex-col items-center justify-center h-96 gap-5">
         <div className="spinner w-10 h-10 border-4"></div>
@@ -67,10 +141,42 @@ function Dashboard() {
             Digital Court System
           </p>
         </div>
-        <Link to="/create-case" className="btn btn-primary uppercase tracking-wide">
-          <Plus size={18} />
-          Create Case
-        </Link>
+        <div className="flex flex-col items-end gap-2">
+          <Link to="/create-case" className="btn btn-primary uppercase tracking-wide">
+            <Plus size={18} />
+            Create Case
+          </Link>
+          <div className="flex gap-2">
+            <select
+              value={conflictMode}
+              onChange={(e) => setConflictMode(e.target.value)}
+              className="form-select w-auto"
+              aria-label="If the case already exists"
+            >
+              <option value="skip">Skip existing</option>
+              <option value="overwrite">Overwrite</option>
+              <option value="rekey">Import as new</option>
+            </select>
+            <button
+              onClick={() => bundleInputRef.current.click()}
+              className="btn btn-secondary"
+              disabled={isImporting}
+            >
+              <Upload size={16} />
+              {isImporting ? 'Importing...' : 'Import Case'}
+            </button>
+            <input
+              ref={bundleInputRef}
+              type="file"
+              accept=".zip"
+              onChange={(e) => handleImport(e.target.files[0])}
+              className="hidden"
+            />
+          </div>
+          {importNotice && (
+            <p className="text-sm text-white/60 max-w-xs text-right">{importNotice}</p>
+          )}
+        </div>
       </div>
 
       {/* Dashboard Grid Layout */}
@@ -117,7 +223,7 @@ function Dashboard() {
             <p className="text-white/50 text-sm">Latest activity</p>
           </div>
           <div className="space-y-4 overflow-y-auto max-h-64 scrollbar-hide">
-            {cases.slice(0, 5).map((case_, index) => (
+            {(stats?.recentActivity || []).map(case_ => (
               <div 
                 key={case_.caseId}
                 className="border-b border-white/10 pb-3 cursor-pointer hover:opacity-70 transition-opacity"
@@ -138,7 +244,7 @@ function Dashboard() {
                 </div>
               </div>
             ))}
-            {cases.length === 0 && (
+            {stats?.recentActivity?.length === 0 && (
               <div className="text-center py-8">
                 <div className="text-white/40 text-sm">No cases yet</div>
                 <Link to="/create-case" className="btn btn-primary mt-4 text-sm py-2 px-4">
@@ -205,8 +311,35 @@ function Dashboard() {
           </div>
         </div>
 
+        {/* Deleted Cases Card - cases the user deleted can be restored */}
+        {deletedCases.length > 0 && (
+          <div className="glass rounded-lg p-8 border border-white/20 hover:border-white/40 transition-colors duration-300 row-span-1">
+            <div className="mb-6">
+              <h3 className="text-lg font-bold text-white uppercase tracking-wide mb-2">Deleted</h3>
+              <p className="text-white/50 text-sm">Restore deleted cases</p>
+            </div>
+            <div className="space-y-3 overflow-y-auto max-h-40 scrollbar-hide">
+              {deletedCases.map(case_ => (
+                <div key={case_.caseId} className="flex justify-between items-center gap-3">
+                  <div className="min-w-0">
+                    <div className="text-white text-sm truncate">{case_.title}</div>
+                    <div className="text-white/40 text-xs">{formatDate(case_.deletedAt).split(',')[0]}</div>
+                  </div>
+                  <button
+                    onClick={() => handleRestore(case_.caseId)}
+                    className="text-white/60 hover:text-white transition-colors shrink-0"
+                    title="Restore case"
+                  >
+                    <RotateCcw size={16} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Insights Card - if there are many cases */}
-        {cases.length > 0 && (
+        {stats?.totalCases > 0 && (
           <div className="glass rounded-lg p-8 border border-white/20 hover:border-white/40 transition-colors duration-300 row-span-1">
             <div className="mb-6">
               <h3 className="text-lg font-bold text-white uppercase tracking-wide mb-2">Insights</h3>
@@ -214,11 +347,11 @@ function Dashboard() {
             </div>
             <div className="space-y-4">
               <div>
-                <div className="text-xl font-black text-white">{cases.filter(c => c.status === 'verdict_rendered').length}</div>
+                <div className="text-xl font-black text-white">{stats.statusBreakdown?.verdict_rendered || 0}</div>
                 <div className="text-white/50 text-xs uppercase tracking-wide">Verdicts Rendered</div>
               </div>
               <div>
-                <div className="text-xl font-black text-white">{cases.filter(c => c.totalArguments > 0).length}</div>
+                <div className="text-xl font-black text-white">{stats.casesWithArguments || 0}</div>
                 <div className="text-white/50 text-xs uppercase tracking-wide">Active Discussions</div>
               </div>
             </div>
@@ -226,6 +359,112 @@ function Dashboard() {
         )}
 
       </div>
+
+      {/* All Cases - filtered, sorted and loaded a page at a time */}
+      <div className="glass rounded-lg p-8 border border-white/20 mt-6">
+        <div className="flex flex-wrap justify-between items-start gap-4 mb-6">
+          <div>
+            <h3 className="text-lg font-bold text-white uppercase tracking-wide mb-2">All Cases</h3>
+            <p className="text-white/50 text-sm">
+              {casesTotal === 1 ? '1 case' : `${casesTotal} cases`}
+            </p>
+          </div>
+          <select
+            value={`${caseQuery.sort || 'lastActivity'}:${caseQuery.order || (caseQuery.sort === 'title' ? 'asc' : 'desc')}`}
+            onChange={(e) => handleSortChange(e.target.value)}
+            className="form-select w-auto"
+            aria-label="Sort cases"
+          >
+            {CASE_SORTS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-3 mb-6">
+          <select
+            value={caseQuery.status || ''}
+            onChange={(e) => updateQuery({ status: e.target.value })}
+            className="form-select"
+            aria-label="Filter by status"
+          >
+            <option value="">All statuses</option>
+            {CASE_STATUSES.map(status => (
+              <option key={status} value={status}>{status.replace(/_/g, ' ')}</option>
+            ))}
+          </select>
+          <select
+            value={caseQuery.caseType || ''}
+            onChange={(e) => updateQuery({ caseType: e.target.value })}
+            className="form-select"
+            aria-label="Filter by case type"
+          >
+            <option value="">All types</option>
+            {CASE_TYPES.map(type => (
+              <option key={type.value} value={type.value}>{type.label}</option>
+            ))}
+          </select>
+          <select
+            value={caseQuery.hasVerdict || ''}
+            onChange={(e) => updateQuery({ hasVerdict: e.target.value })}
+            className="form-select"
+            aria-label="Filter by verdict"
+          >
+            <option value="">With or without verdict</option>
+            <option value="true">With verdict</option>
+            <option value="false">Without verdict</option>
+          </select>
+          <input
+            type="date"
+            value={caseQuery.createdFrom || ''}
+            onChange={(e) => updateQuery({ createdFrom: e.target.value })}
+            className="form-input"
+            aria-label="Created from"
+          />
+          <input
+            type="date"
+            value={caseQuery.createdTo || ''}
+            onChange={(e) => updateQuery({ createdTo: e.target.value })}
+            className="form-input"
+            aria-label="Created to"
+          />
+        </div>
+
+        <div className="divide-y divide-white/10">
+          {cases.map(case_ => (
+            <div
+              key={case_.caseId}
+              className="flex items-center justify-between gap-4 py-3 cursor-pointer hover:opacity-70 transition-opacity"
+              onClick={() => handleCaseClick(case_.caseId)}
+            >
+              <div className="flex items-center gap-3 min-w-0">
+                <span className="text-white/60 shrink-0">{getStatusIcon(case_.status)}</span>
+                <div className="min-w-0">
+                  <div className="font-medium text-white text-sm truncate">{case_.title}</div>
+                  <div className="text-white/40 text-xs">
+                    {case_.country} · {case_.caseType?.replace(/_/g, ' ')} · {case_.status.replace(/_/g, ' ')}
+                  </div>
+                </div>
+              </div>
+              <div className="text-right shrink-0">
+                <div className="text-white/60 text-xs">{formatDate(case_.lastActivity)}</div>
+                {case_.hasVerdict && <div className="text-white/40 text-xs">Verdict rendered</div>}
+              </div>
+            </div>
+          ))}
+          {cases.length === 0 && !isLoading && (
+            <div className="text-center py-8 text-white/40 text-sm">No cases match these filters</div>
+          )}
+        </div>
+
+        {casesCursor && (
+          <div className="flex justify-center mt-6">
+            <button onClick={() => loadMoreCases().catch(() => {})} className="btn btn-secondary" disabled={isLoadingMore}>
+              {isLoadingMore ? 'Loading...' : `Load More (${cases.length} of ${casesTotal})`}
+            </button>
+          </div>
+        )}
+      </div>
     </div>
   );
 }
@@ -0,0 +1,134 @@
+import { useEffect, useRef, useState } from 'react';
+import { FileText } from 'lucide-react';
+import useAIJudgeStore from '../stores/useAIJudgeStore';
+import { formatLocation, isBlockInRange } from '../utils/documentLocation';
+
+const HEADING_CLASSES = {
+  1: 'text-lg font-semibold',
+  2: 'text-base font-semibold',
+  3: 'text-sm font-semibold'
+};
+
+function Block({ block, highlighted, blockRef }) {
+  const highlightClass = highlighted ? 'bg-yellow-400/15 ring-1 ring-yellow-400/40 rounded-lg' : '';
+
+  if (block.type === 'heading') {
+    return (
+      <h4 ref={blockRef} className={`text-white px-2 py-1 ${HEADING_CLASSES[block.level] || HEADING_CLASSES[3]} ${highlightClass}`}>
+        {block.text}
+      </h4>
+    );
+  }
+
+  return (
+    <div ref={blockRef} className={`flex gap-3 px-2 py-1 ${highlightClass}`}>
+      <span className="text-xs text-white/40 w-8 shrink-0 text-right pt-0.5">¶{block.paragraph}</span>
+      {block.type === 'table' ? (
+        <div className="overflow-x-auto flex-1">
+          <table className="text-sm text-white/80 border-collapse">
+            <tbody>
+              {block.rows.map((row, rowIndex) => (
+                <tr key={rowIndex}>
+                  {row.map((cell, cellIndex) => (
+                    <td key={cellIndex} className="border border-white/10 px-2 py-1 align-top">{cell}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-sm text-white/80 leading-relaxed flex-1">{block.text}</p>
+      )}
+    </div>
+  );
+}
+
+function DocumentViewer({ caseId, party, documentIndex, highlight, onClose }) {
+  const { loadDocument } = useAIJudgeStore();
+
+  const [doc, setDoc] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const highlightRef = useRef(null);
+
+  useEffect(() => {
+    setIsLoading(true);
+    loadDocument(caseId, party, documentIndex)
+      .then(setDoc)
+      .catch(() => setDoc(null))
+      .finally(() => setIsLoading(false));
+  }, [caseId, party, documentIndex, loadDocument]);
+
+  useEffect(() => {
+    highlightRef.current?.scrollIntoView({ block: 'center' });
+  }, [doc]);
+
+  const firstHighlight = doc?.structure?.pages
+    .flatMap(page => page.blocks.map((block, index) => ({ page: page.number, index, block })))
+    .find(({ page, block }) => isBlockInRange(page, block, highlight));
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50">
+      <div className="glass rounded-2xl p-6 max-w-3xl w-full max-h-[85vh] flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <div className="min-w-0">
+            <h3 className="text-xl font-semibold text-white flex items-center gap-2">
+              <FileText size={20} />
+              <span className="truncate">Exhibit {party}{documentIndex + 1}{doc ? ` · ${doc.filename}` : ''}</span>
+            </h3>
+            {highlight?.page && (
+              <p className="text-sm text-white/60 mt-1">Cited at {formatLocation(highlight)}</p>
+            )}
+          </div>
+          <button
+            onClick={onClose}
+            className="text-white/60 hover:text-white text-2xl"
+          >
+            ×
+          </button>
+        </div>
+
+        <div className="overflow-y-auto flex-1 space-y-6 pr-2">
+          {isLoading && <p className="text-white/60">Loading document...</p>}
+
+          {!isLoading && !doc && (
+            <p className="text-red-300">The document could not be loaded.</p>
+          )}
+
+          {!isLoading && doc && !doc.structure && (
+            <p className="text-sm text-white/80 whitespace-pre-wrap">{doc.extractedText}</p>
+          )}
+
+          {!isLoading && doc?.structure?.pages.map(page => (
+            <div key={page.number}>
+              {doc.structure.pageCount > 1 && (
+                <div className="text-xs uppercase tracking-wide text-white/40 border-b border-white/10 pb-1 mb-2">
+                  Page {page.number}
+                </div>
+              )}
+              {page.blocks.length === 0 ? (
+                <p className="text-sm text-white/40 italic px-2">No text on this page</p>
+              ) : (
+                <div className="space-y-1">
+                  {page.blocks.map((block, index) => {
+                    const highlighted = isBlockInRange(page.number, block, highlight);
+                    return (
+                      <Block
+                        key={index}
+                        block={block}
+                        highlighted={highlighted}
+                        blockRef={firstHighlight?.page === page.number && firstHighlight.index === index ? highlightRef : undefined}
+                      />
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DocumentViewer;
@@ -1,12 +1,13 @@
 import { Link, useNavigate, useLocation } from 'react-router-dom';
-import { Scale } from 'lucide-react';
+import { Scale, LogOut } from 'lucide-react';
 import useAIJudgeStore from '../stores/useAIJudgeStore';
 import GooeyNav from './GooeyNav';
+import CaseSearch from './CaseSearch';
 
 function Header() {
   const navigate = useNavigate();
   const location = useLocation();
-  const { currentCase } = useAIJudgeStore();
+  const { currentCase, token, user, logout } = useAIJudgeStore();
 
   // Determine the initial active index based on current route
   const getInitialActiveIndex = () => {
@@ -46,18 +47,23 @@ function Header() {
         </Link>
 
         {/* Navigation with GooeyNav */}
-        <div className="flex-1 justify-center flex">
-          <GooeyNav
-            items={navItems}
-            particleCount={12}
-            particleDistances={[80, 8]}
-            particleR={80}
-            initialActiveIndex={getInitialActiveIndex()}
-            animationTime={500}
-            timeVariance={250}
-            colors={[1, 2, 3, 4]}
-          />
-        </div>
+        {token && (
+          <div className="flex-1 justify-center flex">
+            <GooeyNav
+              items={navItems}
+              particleCount={12}
+              particleDistances={[80, 8]}
+              particleR={80}
+              initialActiveIndex={getInitialActiveIndex()}
+              animationTime={500}
+              timeVariance={250}
+              colors={[1, 2, 3, 4]}
+            />
+          </div>
+        )}
+
+        {/* Search across every case the user can see */}
+        {token && <CaseSearch />}
 
         {/* Current Case Info */}
         {currentCase && (
@@ -72,12 +78,33 @@ function Header() {
               currentCase.status === 'ready_for_judgment' ? 'status-ready-for-judgment' :
               currentCase.status === 'verdict_rendered' ? 'status-verdict-rendered' :
               currentCase.status === 'arguments_phase' ? 'status-arguments-phase' :
+              currentCase.status === 'closed' ? 'status-closed' :
+              currentCase.status === 'appealed' ? 'status-appealed' :
               'status-created'
             }`}>
               {currentCase.status.replace(/_/g, ' ').toUpperCase()}
             </span>
           </div>
         )}
+
+        {/* Signed-in User */}
+        {token && (
+          <div className="flex items-center gap-3">
+            {user && (
+              <span className="text-sm text-white/70 max-w-40 truncate">{user.name}</span>
+            )}
+            <button
+              onClick={() => {
+                logout();
+                navigate('/dashboard');
+              }}
+              className="text-white/60 hover:text-white transition-colors"
+              title="Sign out"
+            >
+              <LogOut size={18} />
+            </button>
+          </div>
+        )}
       </div>
     </header>
   );
@@ -0,0 +1,148 @@
+import { useState } from 'react';
+import { Scale, Mail, Lock, User } from 'lucide-react';
+import useAIJudgeStore from '../stores/useAIJudgeStore';
+
+function Login() {
+  const { login, register, isLoading } = useAIJudgeStore();
+
+  const [mode, setMode] = useState('login');
+  const [formData, setFormData] = useState({
+    name: '',
+    email: '',
+    password: ''
+  });
+
+  const isRegister = mode === 'register';
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      if (isRegister) {
+        await register(formData.name, formData.email, formData.password);
+      } else {
+        await login(formData.email, formData.password);
+      }
+    } catch (error) {
+      console.error('Authentication failed:', error);
+    }
+  };
+
+  const isFormValid = formData.email.trim() &&
+    formData.password &&
+    (!isRegister || (formData.name.trim() && formData.password.length >= 8));
+
+  return (
+    <div className="max-w-md mx-auto py-16">
+      <div className="flex items-center gap-6 mb-10">
+        <div className="w-16 h-16 bg-white rounded-none flex items-center justify-center">
+          <Scale size={32} className="text-black" />
+        </div>
+        <div>
+          <h1 className="text-4xl font-black text-white uppercase tracking-tighter leading-none mb-2">
+            {isRegister ? 'Create Account' : 'Sign In'}
+          </h1>
+          <p className="text-sm text-white/50 uppercase tracking-widest">
+            Digital Court System
+          </p>
+        </div>
+      </div>
+
+      <form onSubmit={handleSubmit} className="glass rounded-2xl p-8 space-y-6">
+        {isRegister && (
+          <div>
+            <label htmlFor="name" className="form-label flex items-center gap-2">
+              <User size={16} />
+              Full Name
+            </label>
+            <input
+              type="text"
+              id="name"
+              name="name"
+              value={formData.name}
+              onChange={handleInputChange}
+              className="form-input"
+              autoComplete="name"
+              required
+            />
+          </div>
+        )}
+
+        <div>
+          <label htmlFor="email" className="form-label flex items-center gap-2">
+            <Mail size={16} />
+            Email
+          </label>
+          <input
+            type="email"
+            id="email"
+            name="email"
+            value={formData.email}
+            onChange={handleInputChange}
+            className="form-input"
+            autoComplete="email"
+            required
+          />
+        </div>
+
+        <div>
+          <label htmlFor="password" className="form-label flex items-center gap-2">
+            <Lock size={16} />
+            Password
+          </label>
+          <input
+            type="password"
+            id="password"
+            name="password"
+            value={formData.password}
+            onChange={handleInputChange}
+            className="form-input"
+            autoComplete={isRegister ? 'new-password' : 'current-password'}
+            required
+          />
+          {isRegister && (
+            <small className="text-xs text-white/60 mt-1 block">
+              At least 8 characters
+            </small>
+          )}
+        </div>
+
+        <button
+          type="submit"
+          className="btn btn-primary w-full"
+          disabled={!isFormValid || isLoading}
+        >
+          {isLoading ? (
+            <>
+              <div className="spinner"></div>
+              {isRegister ? 'Creating Account...' : 'Signing In...'}
+            </>
+          ) : (
+            isRegister ? 'Create Account' : 'Sign In'
+          )}
+        </button>
+
+        <p className="text-sm text-white/60 text-center">
+          {isRegister ? 'Already have an account?' : "Don't have an account?"}{' '}
+          <button
+            type="button"
+            onClick={() => setMode(isRegister ? 'login' : 'register')}
+            className="text-white underline hover:opacity-80"
+          >
+            {isRegister ? 'Sign in' : 'Create one'}
+          </button>
+        </p>
+      </form>
+    </div>
+  );
+}
+
+export default Login;
@@ -0,0 +1,83 @@
+import { useState } from 'react';
+import { Users, ChevronDown, ChevronUp } from 'lucide-react';
+import { formatDecision } from '../utils/parties';
+
+const ROLE_LABELS = {
+  majority: { label: 'Opinion of the Court', className: 'bg-white/20 text-white' },
+  concurring: { label: 'Concurring', className: 'bg-green-500/20 text-green-300' },
+  dissenting: { label: 'Dissenting', className: 'bg-red-500/20 text-red-300' }
+};
+
+// "2–1", or "Unanimous" when every judge voted the same way
+function formatSplit(panel) {
+  if (panel.unanimous) return 'Unanimous';
+  return panel.votes.map(vote => vote.judges.length).join('–');
+}
+
+function Opinion({ opinion, parties }) {
+  const [expanded, setExpanded] = useState(opinion.role === 'dissenting');
+  const role = ROLE_LABELS[opinion.role];
+
+  return (
+    <div className="border-t border-white/10 pt-3">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center justify-between gap-3 text-left"
+      >
+        <span className="flex flex-wrap items-center gap-2">
+          <span className="text-white font-medium">Judge {opinion.judge}</span>
+          {opinion.persona && <span className="text-xs text-white/50">{opinion.persona}</span>}
+          <span className={`text-xs px-2 py-0.5 rounded-lg font-medium ${role?.className || 'bg-white/10 text-white/70'}`}>
+            {role?.label || opinion.role}
+          </span>
+          <span className="text-sm text-white/70 capitalize">{formatDecision(opinion, parties)}</span>
+          {opinion.confidence != null && (
+            <span className="text-xs text-white/50">{Math.round(opinion.confidence * 100)}%</span>
+          )}
+        </span>
+        {expanded ? <ChevronUp size={16} className="text-white/60" /> : <ChevronDown size={16} className="text-white/60" />}
+      </button>
+      {expanded && (
+        <div className="mt-2 space-y-2">
+          <p className="text-sm text-white/80 leading-relaxed">{opinion.reasoning}</p>
+          {opinion.keyFindings?.length > 0 && (
+            <ul className="text-sm text-white/70 space-y-1">
+              {opinion.keyFindings.map((finding, index) => (
+                <li key={index}>• {finding}</li>
+              ))}
+            </ul>
+          )}
+          {opinion.damages && (
+            <p className="text-sm text-white/70">
+              <span className="text-white/60 font-medium">Damages: </span>
+              {opinion.damages}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// The individual opinions of a panel verdict. Dissents start expanded since
+// they show how contestable the outcome is.
+function PanelOpinions({ panel, parties = [] }) {
+  if (!panel?.opinions?.length) return null;
+
+  return (
+    <div>
+      <span className="text-sm text-white/60 font-medium flex items-center gap-2">
+        <Users size={14} />
+        Panel of {panel.size} · {formatSplit(panel)}
+        {!panel.unanimous && !panel.majority && ' (plurality, no majority)'}
+      </span>
+      <div className="mt-2 space-y-3">
+        {panel.opinions.map(opinion => (
+          <Opinion key={opinion.judge} opinion={opinion} parties={parties} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default PanelOpinions;
@@ -0,0 +1,144 @@
+import { useState } from 'react';
+import { History, ChevronDown, ChevronUp } from 'lucide-react';
+import { diffVerdicts } from '../utils/verdictDiff';
+import { formatDecision, partyLabel } from '../utils/parties';
+
+function ListChanges({ label, changes }) {
+  if (changes.added.length === 0 && changes.removed.length === 0) return null;
+
+  return (
+    <div>
+      <span className="text-sm text-white/60 font-medium">{label}:</span>
+      <ul className="mt-1 space-y-1 text-sm">
+        {changes.removed.map(item => (
+          <li key={`removed-${item}`} className="text-red-300 line-through">− {item}</li>
+        ))}
+        {changes.added.map(item => (
+          <li key={`added-${item}`} className="text-green-300">+ {item}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function RevisionDiff({ previous, revision, parties }) {
+  const diff = diffVerdicts(previous, revision);
+
+  return (
+    <div className="mt-4 space-y-3 border-t border-white/10 pt-4">
+      {diff.decisionChanged && (
+        <p className="text-sm">
+          <span className="text-white/60 font-medium">Decision: </span>
+          <span className="text-red-300 line-through capitalize">{formatDecision(previous, parties)}</span>
+          {' → '}
+          <span className="text-green-300 capitalize">{formatDecision(revision, parties)}</span>
+        </p>
+      )}
+      {diff.confidenceDelta !== 0 && (
+        <p className="text-sm">
+          <span className="text-white/60 font-medium">Confidence: </span>
+          <span className="text-white">
+            {Math.round((previous.confidence || 0) * 100)}% → {Math.round((revision.confidence || 0) * 100)}%
+          </span>
+        </p>
+      )}
+      {diff.damagesChanged && (
+        <p className="text-sm">
+          <span className="text-white/60 font-medium">Damages: </span>
+          <span className="text-red-300 line-through">{previous.damages || 'none'}</span>
+          {' → '}
+          <span className="text-green-300">{revision.damages || 'none'}</span>
+        </p>
+      )}
+      <ListChanges label="Key findings" changes={diff.keyFindings} />
+      <ListChanges label="Legal principles" changes={diff.legalPrinciples} />
+      <div>
+        <span className="text-sm text-white/60 font-medium">Reasoning:</span>
+        <p className="text-sm text-white/70 leading-relaxed mt-1">
+          {diff.reasoning.map((part, index) => (
+            <span
+              key={index}
+              className={
+                part.type === 'added' ? 'bg-green-500/20 text-green-200' :
+                part.type === 'removed' ? 'bg-red-500/20 text-red-200 line-through' :
+                ''
+              }
+            >
+              {part.text}{' '}
+            </span>
+          ))}
+        </p>
+      </div>
+    </div>
+  );
+}
+
+function VerdictHistory({ history, argumentsList = [], parties = [] }) {
+  const [expandedRevision, setExpandedRevision] = useState(null);
+
+  if (!history || history.length < 2) return null;
+
+  const describeTrigger = (revision) => {
+    if (revision.trigger?.type !== 'argument') return 'Initial verdict';
+
+    const argument = argumentsList.find(arg => arg.id === revision.trigger.argumentId);
+    const change = revision.trigger.verdictChange?.replace(/_/g, ' ');
+    const argumentLabel = argument
+      ? `${partyLabel(parties, argument.party)} argument #${argument.argumentNumber}`
+      : `${partyLabel(parties, revision.trigger.party)} argument`;
+
+    return `After ${argumentLabel}${change ? ` (${change})` : ''}`;
+  };
+
+  return (
+    <div className="glass rounded-2xl p-6 mb-8">
+      <h3 className="text-xl font-semibold text-white mb-4 flex items-center gap-2">
+        <History size={20} />
+        Verdict History
+      </h3>
+      <ol className="relative border-l border-white/20 ml-2 space-y-6">
+        {history.map((revision, index) => {
+          const previous = history[index - 1];
+          const isExpanded = expandedRevision === revision.revision;
+          const isCurrent = index === history.length - 1;
+
+          return (
+            <li key={revision.revision ?? index} className="relative ml-6">
+              <span className={`absolute -left-[31px] top-1 w-3 h-3 rounded-full ${isCurrent ? 'bg-white' : 'bg-white/40'}`}></span>
+              <div className="flex flex-wrap items-center gap-3">
+                <span className="text-sm font-semibold text-white">Revision {revision.revision ?? index + 1}</span>
+                {isCurrent && (
+                  <span className="text-xs px-2 py-1 rounded-lg bg-white text-black">Current</span>
+                )}
+                <span className="text-xs text-white/50">{describeTrigger(revision)}</span>
+                {revision.timestamp && (
+                  <span className="text-xs text-white/40">{new Date(revision.timestamp).toLocaleString()}</span>
+                )}
+              </div>
+              <p className="text-white capitalize mt-1">
+                {formatDecision(revision, parties)}
+                {revision.confidence !== undefined && (
+                  <span className="text-white/50 normal-case"> · {Math.round(revision.confidence * 100)}% confidence</span>
+                )}
+              </p>
+              {previous && (
+                <button
+                  onClick={() => setExpandedRevision(isExpanded ? null : revision.revision)}
+                  className="text-xs text-white/60 hover:text-white mt-2 flex items-center gap-1"
+                >
+                  {isExpanded ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+                  {isExpanded ? 'Hide changes' : `Show changes from revision ${previous.revision ?? index}`}
+                </button>
+              )}
+              {previous && isExpanded && (
+                <RevisionDiff previous={previous} revision={revision} parties={parties} />
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
+
+export default VerdictHistory;
@@ -5,16 +5,57 @@ import axios from 'axios';
 
 // API base URL
 const API_BASE_URL = 'http://localhost:3001/api';
+const TOKEN_STORAGE_KEY = 'ai-judge-token';
 
 // Create axios instance
 const api = axios.create({
   baseURL: API_BASE_URL,
 });
 
+// Duplicate uploads (409) and files whose contents do not match their type
+// (400) are rejected with a list of the offending files
+function uploadErrorMessage(error, fallback) {
+  const data = error.response?.data;
+  if (data?.duplicates?.length > 0) {
+    return `${data.error}: ${data.duplicates.map(duplicate => `${duplicate.filename} (${duplicate.reason})`).join('; ')}`;
+  }
+  if (data?.files?.length > 0) {
+    return `${data.error}: ${data.files.map(file => `${file.filename} (detected ${file.detectedType || 'unknown content'})`).join('; ')}`;
+  }
+  return data?.error || fallback;
+}
+
+function saveBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Error bodies arrive as a Blob when the request used the blob response type
+async function blobErrorMessage(error, fallback) {
+  const body = error.response?.data instanceof Blob
+    ? await error.response.data.text().then(JSON.parse).catch(() => null)
+    : error.response?.data;
+  return body?.error || fallback;
+}
+
 const useAIJudgeStore = create(devtools((set, get) => ({
+  // Auth state
+  token: localStorage.getItem(TOKEN_STORAGE_KEY),
+  user: null,
+  
   // State
   currentCase: null,
+  members: [],
   cases: [],
+  casesTotal: 0,
+  casesCursor: null,
+  caseQuery: {},
+  isLoadingMore: false,
+  deletedCases: [],
   isLoading: false,
   error: null,
   socket: null,
@@ -23,8 +64,23 @@ const useAIJudgeStore = create(devtools((set, get) => ({
   uploadProgress: {},
   isUploading: false,
   
+  // Verdict streaming state
+  isJudging: false,
+  verdictStream: null, // { caseId, attempt, reasoning, judge, panelSize }
+  appealStream: null, // { caseId, attempt, reasoning }
+  
+  // Set while the court considers a submitted argument
+  isArguing: false,
+  
+  // Background jobs of the current case, keyed by jobId
+  jobs: {},
+  
+  // Latest integrity check of the current case's documents
+  integrityReport: null,
+  isVerifying: false,
+  
   // UI state
-  selectedSide: 'A', // A or B
+  selectedParty: 'A',
   showArgumentModal: false,
   argumentText: '',
   
@@ -36,13 +92,102 @@ const useAIJudgeStore = create(devtools((set, get) => ({
   clearError: () => set({ error: null }),
   setLoading: (loading) => set({ isLoading: loading }),
   
+  // Auth actions
+  register: async (name, email, password) => {
+    set({ isLoading: true, error: null });
+    try {
+      const response = await api.post('/auth/register', { name, email, password });
+      get().setSession(response.data.token, response.data.user);
+      set({ isLoading: false });
+      return response.data.user;
+    } catch (error) {
+      set({
+        error: error.response?.data?.error || 'Failed to create account',
+        isLoading: false
+      });
+      throw error;
+    }
+  },
+  
+  login: async (email, password) => {
+    set({ isLoading: true, error: null });
+    try {
+      const response = await api.post('/auth/login', { email, password });
+      get().setSession(response.data.token, response.data.user);
+      set({ isLoading: false });
+      return response.data.user;
+    } catch (error) {
+      set({
+        error: error.response?.data?.error || 'Failed to log in',
+        isLoading: false
+      });
+      throw error;
+    }
+  },
+  
+  logout: () => {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+    get().disconnectSocket();
+    set({
+      token: null,
+      user: null,
+      currentCase: null,
+      cases: [],
+      casesTotal: 0,
+      casesCursor: null,
+      caseQuery: {},
+      members: [],
+      jobs: {},
+      stats: null
+    });
+  },
+  
+  setSession: (token, user) => {
+    localStorage.setItem(TOKEN_STORAGE_KEY, token);
+    set({ token, user });
+  },
+  
+  loadCurrentUser: async () => {
+    try {
+      const response = await api.get('/auth/me');
+      set({ user: response.data.user });
+      return response.data.user;
+    } catch (error) {
+      console.error('Error loading current user:', error);
+      return null;
+    }
+  },
+  
   // WebSocket actions
   connectSocket: () => {
-    const socket = io('http://localhost:3001');
+    const socket = io('http://localhost:3001', {
+      auth: { token: get().token }
+    });
     set({ socket });
     
     socket.on('connect', () => {});
     
+    socket.on('verdictProgress', (data) => {
+      const { currentCase, verdictStream } = get();
+      if (!currentCase || currentCase.caseId !== data.caseId) return;
+      
+      if (data.stage === 'started') {
+        set({ verdictStream: { caseId: data.caseId, attempt: 1, reasoning: '', panelSize: data.panelSize } });
+      } else if (data.stage === 'reasoning') {
+        set({
+          verdictStream: {
+            caseId: data.caseId,
+            attempt: data.attempt,
+            reasoning: data.reasoning,
+            judge: data.judge,
+            panelSize: data.panelSize
+          }
+        });
+      } else if (data.stage === 'failed' && verdictStream?.caseId === data.caseId) {
+        set({ verdictStream: null });
+      }
+    });
+    
     socket.on('verdictRendered', (data) => {
       const { currentCase } = get();
       if (currentCase && currentCase.caseId === data.caseId) {
@@ -51,16 +196,109 @@ const useAIJudgeStore = create(devtools((set, get) => ({
             ...currentCase,
             verdict: data.verdict,
             status: 'verdict_rendered'
+          },
+          isJudging: false,
+          verdictStream: null
+        });
+      }
+    });
+    
+    socket.on('appealProgress', (data) => {
+      const { currentCase } = get();
+      if (!currentCase || currentCase.caseId !== data.caseId) return;
+      
+      if (data.stage === 'started') {
+        set({ appealStream: { caseId: data.caseId, attempt: 1, reasoning: '' } });
+      } else if (data.stage === 'reasoning') {
+        set({
+          appealStream: {
+            caseId: data.caseId,
+            attempt: data.attempt,
+            reasoning: data.reasoning
+          }
+        });
+      } else if (data.stage === 'failed') {
+        set({ appealStream: null });
+        get().loadCase(data.caseId, { silent: true }).catch(() => {});
+      }
+    });
+    
+    socket.on('appealDecided', (data) => {
+      const { currentCase } = get();
+      if (currentCase && currentCase.caseId === data.caseId) {
+        set({
+          currentCase: { ...currentCase, appeal: data.appeal },
+          appealStream: null
+        });
+      }
+    });
+    
+    socket.on('jobUpdated', (job) => {
+      const { currentCase } = get();
+      if (!currentCase || currentCase.caseId !== job.caseId) return;
+      
+      set({ jobs: { ...get().jobs, [job.jobId]: job } });
+      
+      if (job.type === 'parse_documents' && job.status === 'completed') {
+        get().loadCase(job.caseId, { silent: true }).catch(() => {});
+      } else if (['parse_documents', 'parse_cleared_document'].includes(job.type) && job.status === 'failed') {
+        set({ error: `Document processing failed: ${job.error}` });
+      } else if (job.type === 'generate_verdict' && job.status === 'failed') {
+        set({
+          error: `Verdict generation failed: ${job.error}`,
+          isJudging: false,
+          verdictStream: null
+        });
+      } else if (job.type === 'respond_to_argument' && job.status === 'completed') {
+        set({ isArguing: false });
+        get().loadCase(job.caseId, { silent: true }).catch(() => {});
+      } else if (job.type === 'respond_to_argument' && job.status === 'failed') {
+        set({ error: `Argument response failed: ${job.error}`, isArguing: false });
+      } else if (job.type === 'review_appeal' && job.status === 'failed') {
+        set({ error: `Appellate review failed: ${job.error}`, appealStream: null });
+      }
+    });
+    
+    socket.on('verdictRevised', (data) => {
+      const { currentCase } = get();
+      if (currentCase && currentCase.caseId === data.caseId) {
+        set({
+          currentCase: {
+            ...currentCase,
+            verdict: data.verdict,
+            verdictHistory: data.verdictHistory
           }
         });
       }
     });
     
+    socket.on('documentsUpdated', (data) => {
+      const { currentCase } = get();
+      if (currentCase && currentCase.caseId === data.caseId) {
+        get().loadCase(data.caseId, { silent: true }).catch(() => {});
+      }
+    });
+    
+    socket.on('caseStatusChanged', (data) => {
+      const { currentCase } = get();
+      if (currentCase && currentCase.caseId === data.caseId) {
+        get().loadCase(data.caseId, { silent: true }).catch(() => {});
+      }
+    });
+    
+    socket.on('partiesUpdated', (data) => {
+      const { currentCase } = get();
+      if (currentCase && currentCase.caseId === data.caseId) {
+        get().loadCase(data.caseId, { silent: true }).catch(() => {});
+      }
+    });
+    
     socket.on('newArgument', (data) => {
       const { currentCase } = get();
       if (currentCase && currentCase.caseId === data.caseId) {
         const newArgument = {
-          side: data.side,
+          id: data.argumentId,
+          party: data.party,
           argument: data.argument,
           aiResponse: data.aiResponse,
           argumentNumber: data.argumentNumber,
@@ -74,7 +312,10 @@ const useAIJudgeStore = create(devtools((set, get) => ({
             metadata: {
               ...currentCase.metadata,
               totalArguments: (currentCase.metadata?.totalArguments || 0) + 1,
-              [`side${data.side}Arguments`]: (currentCase.metadata?.[`side${data.side}Arguments`] || 0) + 1
+              partyArguments: {
+                ...currentCase.metadata?.partyArguments,
+                [data.party]: (currentCase.metadata?.partyArguments?.[data.party] || 0) + 1
+              }
             }
           }
         });
@@ -131,14 +372,19 @@ const useAIJudgeStore = create(devtools((set, get) => ({
     }
   },
   
-  loadCase: async (caseId) => {
-    set({ isLoading: true, error: null });
+  // { silent: true } refreshes the case without the full-page loading state
+  loadCase: async (caseId, options = {}) => {
+    if (!options.silent) {
+      set({ isLoading: true, error: null });
+    }
     try {
       const response = await api.get(`/case/${caseId}`);
       const caseData = response.data;
       
       set({
         currentCase: caseData,
+        jobs: get().currentCase?.caseId === caseId ? get().jobs : {},
+        integrityReport: get().currentCase?.caseId === caseId ? get().integrityReport : null,
         isLoading: false
       });
       
@@ -154,12 +400,16 @@ const useAIJudgeStore = create(devtools((set, get) => ({
     }
   },
   
-  loadAllCases: async () => {
-    set({ isLoading: true, error: null });
+  // Loads the first page of cases for `query` (filters, sort and order);
+  // without one the current query is reloaded
+  loadAllCases: async (query = get().caseQuery) => {
+    set({ isLoading: true, error: null, caseQuery: query });
     try {
-      const response = await api.get('/cases');
+      const response = await api.get('/cases', { params: query });
       set({
-        cases: response.data,
+        cases: response.data.cases,
+        casesTotal: response.data.total,
+        casesCursor: response.data.nextCursor,
         isLoading: false
       });
       return response.data;
@@ -173,6 +423,40 @@ const useAIJudgeStore = create(devtools((set, get) => ({
     }
   },
   
+  loadMoreCases: async () => {
+    const { casesCursor, caseQuery, isLoadingMore } = get();
+    if (!casesCursor || isLoadingMore) return;
+
+    set({ isLoadingMore: true });
+    try {
+      const response = await api.get('/cases', { params: { ...caseQuery, cursor: casesCursor } });
+      set({
+        cases: [...get().cases, ...response.data.cases],
+        casesTotal: response.data.total,
+        casesCursor: response.data.nextCursor,
+        isLoadingMore: false
+      });
+    } catch (error) {
+      console.error('Error loading more cases:', error);
+      set({
+        error: error.response?.data?.error || 'Failed to load cases',
+        isLoadingMore: false
+      });
+      throw error;
+    }
+  },
+
+  // Ranked full-text search; results are not kept in the store
+  searchCaseText: async (query) => {
+    try {
+      const response = await api.get('/cases/fulltext', { params: { q: query, limit: 8 } });
+      return response.data;
+    } catch (error) {
+      console.error('Error searching cases:', error);
+      throw error;
+    }
+  },
+
   deleteCase: async (caseId) => {
     set({ isLoading: true, error: null });
     try {
@@ -180,6 +464,7 @@ const useAIJudgeStore = create(devtools((set, get) => ({
       
       set({
         cases: get().cases.filter(c => c.caseId !== caseId),
+        casesTotal: Math.max(get().casesTotal - 1, 0),
         currentCase: get().currentCase?.caseId === caseId ? null : get().currentCase,
         isLoading: false
       });
@@ -195,9 +480,309 @@ const useAIJudgeStore = create(devtools((set, get) => ({
       throw error;
     }
   },
+  
+  // Deleted cases are kept on the server and can be restored by their owner
+  loadDeletedCases: async () => {
+    try {
+      const response = await api.get('/cases/deleted');
+      set({ deletedCases: response.data });
+      return response.data;
+    } catch (error) {
+      console.error('Error loading deleted cases:', error);
+      throw error;
+    }
+  },
+  
+  restoreCase: async (caseId) => {
+    try {
+      await api.post(`/case/${caseId}/restore`);
+      set({ deletedCases: get().deletedCases.filter(c => c.caseId !== caseId) });
+      await get().loadAllCases();
+    } catch (error) {
+      console.error('Error restoring case:', error);
+      set({ error: error.response?.data?.error || 'Failed to restore case' });
+      throw error;
+    }
+  },
+
+  // Case membership actions
+  loadMembers: async (caseId) => {
+    try {
+      const response = await api.get(`/case/${caseId}/members`);
+      set({ members: response.data });
+      return response.data;
+    } catch (error) {
+      console.error('Error loading members:', error);
+      set({ error: error.response?.data?.error || 'Failed to load case members' });
+      throw error;
+    }
+  },
+  
+  addMember: async (caseId, email, role, partyId) => {
+    try {
+      const response = await api.post(`/case/${caseId}/members`, { email, role, partyId });
+      set({ members: response.data.members });
+      return response.data.members;
+    } catch (error) {
+      set({ error: error.response?.data?.error || 'Failed to add case member' });
+      throw error;
+    }
+  },
+  
+  removeMember: async (caseId, userId) => {
+    try {
+      await api.delete(`/case/${caseId}/members/${userId}`);
+      set({ members: get().members.filter(m => m.userId !== userId) });
+    } catch (error) {
+      set({ error: error.response?.data?.error || 'Failed to remove case member' });
+      throw error;
+    }
+  },
+
+  // Background job actions
+  loadJobs: async (caseId) => {
+    try {
+      const response = await api.get(`/case/${caseId}/jobs`);
+      const jobs = Object.fromEntries(response.data.map(job => [job.jobId, job]));
+      const isActive = (type) => response.data.some(job =>
+        job.type === type && ['queued', 'running'].includes(job.status)
+      );
+      
+      set({
+        jobs,
+        isJudging: isActive('generate_verdict') || get().isJudging,
+        isArguing: isActive('respond_to_argument') || get().isArguing
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error loading jobs:', error);
+      return [];
+    }
+  },
+  
+  trackJob: (job) => {
+    set({ jobs: { ...get().jobs, [job.jobId]: job } });
+  },
+  
+  // Latest document processing job for a party of the current case
+  getUploadJob: (partyId) => {
+    const { currentCase, jobs } = get();
+    return Object.values(jobs)
+      .filter(job => job.caseId === currentCase?.caseId && job.type === 'parse_documents' && job.party === partyId)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0] || null;
+  },
 
   // Document upload actions
-  uploadDocuments: async (caseId, side, files, description) => {
+  loadDocument: async (caseId, partyId, documentIndex) => {
+    try {
+      const response = await api.get(`/case/${caseId}/documents/${partyId}/${documentIndex}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error loading document:', error);
+      set({ error: error.response?.data?.error || 'Failed to load document' });
+      throw error;
+    }
+  },
+
+  // Signed links expire within minutes, so one is requested per download
+  downloadDocument: async (caseId, documentId) => {
+    try {
+      const response = await api.get(`/case/${caseId}/documents/${documentId}/download`);
+      window.location.assign(response.data.url);
+      return response.data;
+    } catch (error) {
+      console.error('Error downloading document:', error);
+      set({ error: error.response?.data?.error || 'Failed to download document' });
+      throw error;
+    }
+  },
+
+  // Downloads the case as a written judgment; format is pdf, docx, md or json
+  exportCase: async (caseId, format) => {
+    try {
+      const response = await api.get(`/case/${caseId}/export`, {
+        params: { format },
+        responseType: 'blob'
+      });
+      saveBlob(response.data, `judgment-${caseId}.${format}`);
+    } catch (error) {
+      console.error('Error exporting case:', error);
+      set({ error: await blobErrorMessage(error, 'Failed to export case') });
+      throw error;
+    }
+  },
+
+  // Bundles carry the whole case, its files and audit trail to another
+  // environment
+  downloadBundle: async (caseId) => {
+    try {
+      const response = await api.get(`/case/${caseId}/bundle`, { responseType: 'blob' });
+      saveBlob(response.data, `case-${caseId}.zip`);
+    } catch (error) {
+      console.error('Error downloading case bundle:', error);
+      set({ error: await blobErrorMessage(error, 'Failed to download case bundle') });
+      throw error;
+    }
+  },
+
+  importBundle: async (file, conflict = 'skip') => {
+    try {
+      const formData = new FormData();
+      formData.append('conflict', conflict);
+      formData.append('bundle', file);
+
+      const response = await api.post('/cases/import', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        }
+      });
+
+      await get().loadAllCases();
+      return response.data;
+    } catch (error) {
+      console.error('Error importing case bundle:', error);
+      const data = error.response?.data;
+      set({
+        error: data?.details?.length > 0
+          ? `${data.error}: ${data.details.join('; ')}`
+          : data?.error || 'Failed to import case bundle'
+      });
+      throw error;
+    }
+  },
+
+  verifyIntegrity: async (caseId) => {
+    set({ isVerifying: true, error: null });
+    try {
+      const response = await api.get(`/case/${caseId}/documents/integrity`);
+      set({ integrityReport: response.data, isVerifying: false });
+      return response.data;
+    } catch (error) {
+      console.error('Error verifying documents:', error);
+      set({
+        error: error.response?.data?.error || 'Failed to verify documents',
+        isVerifying: false
+      });
+      throw error;
+    }
+  },
+  
+  deleteDocument: async (caseId, documentId) => {
+    try {
+      await api.delete(`/case/${caseId}/documents/${documentId}`);
+      await get().loadCase(caseId, { silent: true });
+    } catch (error) {
+      console.error('Error deleting document:', error);
+      set({ error: error.response?.data?.error || 'Failed to delete document' });
+      throw error;
+    }
+  },
+  
+  // The replacement is parsed by a background job that keeps the exhibit number
+  replaceDocument: async (caseId, documentId, file) => {
+    try {
+      const formData = new FormData();
+      formData.append('document', file);
+      
+      const response = await api.put(`/case/${caseId}/documents/${documentId}`, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        }
+      });
+      
+      get().trackJob(response.data.job);
+      return response.data.job;
+    } catch (error) {
+      console.error('Error replacing document:', error);
+      set({ error: uploadErrorMessage(error, 'Failed to replace document') });
+      throw error;
+    }
+  },
+  
+  clearQuarantine: async (caseId, documentId, note) => {
+    try {
+      const response = await api.post(`/case/${caseId}/documents/${documentId}/clear-quarantine`, { note });
+      get().trackJob(response.data.job);
+      await get().loadCase(caseId, { silent: true });
+    } catch (error) {
+      console.error('Error clearing quarantine:', error);
+      set({ error: error.response?.data?.error || 'Failed to release document from quarantine' });
+      throw error;
+    }
+  },
+  
+  grantEvidenceLeave: async (caseId, partyId, reason) => {
+    try {
+      const response = await api.post(`/case/${caseId}/evidence-leave`, { party: partyId, reason });
+      set({ currentCase: { ...get().currentCase, evidenceLeave: response.data.evidenceLeave } });
+    } catch (error) {
+      console.error('Error granting leave:', error);
+      set({ error: error.response?.data?.error || 'Failed to grant leave' });
+      throw error;
+    }
+  },
+  
+  revokeEvidenceLeave: async (caseId, partyId) => {
+    try {
+      const response = await api.delete(`/case/${caseId}/evidence-leave/${partyId}`);
+      set({ currentCase: { ...get().currentCase, evidenceLeave: response.data.evidenceLeave } });
+    } catch (error) {
+      console.error('Error revoking leave:', error);
+      set({ error: error.response?.data?.error || 'Failed to revoke leave' });
+      throw error;
+    }
+  },
+
+  // Closing is final: evidence, arguments and the verdict can no longer change
+  closeCase: async (caseId, reason) => {
+    try {
+      const response = await api.post(`/case/${caseId}/close`, { reason });
+      const { currentCase } = get();
+      
+      if (currentCase?.caseId === caseId) {
+        set({
+          currentCase: {
+            ...currentCase,
+            status: response.data.status,
+            statusHistory: [...(currentCase.statusHistory || []), response.data.transition],
+            allowedTransitions: []
+          }
+        });
+      }
+    } catch (error) {
+      console.error('Error closing case:', error);
+      set({ error: error.response?.data?.error || 'Failed to close case' });
+      throw error;
+    }
+  },
+
+  // The case owner adds co-parties, intervenors and amici; parties are
+  // lettered by the server
+  addParty: async (caseId, party) => {
+    try {
+      const response = await api.post(`/case/${caseId}/parties`, party);
+      await get().loadCase(caseId, { silent: true });
+      return response.data.party;
+    } catch (error) {
+      console.error('Error adding party:', error);
+      set({ error: error.response?.data?.error || 'Failed to add party' });
+      throw error;
+    }
+  },
+  
+  updateParty: async (caseId, partyId, updates) => {
+    try {
+      const response = await api.patch(`/case/${caseId}/parties/${partyId}`, updates);
+      await get().loadCase(caseId, { silent: true });
+      return response.data.party;
+    } catch (error) {
+      console.error('Error updating party:', error);
+      set({ error: error.response?.data?.error || 'Failed to update party' });
+      throw error;
+    }
+  },
+
+  uploadDocuments: async (caseId, partyId, files, description) => {
     set({ isUploading: true, uploadProgress: {}, error: null });
     
     try {
@@ -209,9 +794,7 @@ const useAIJudgeStore = create(devtools((set, get) => ({
         formData.append('documents', file);
       });
       
-      const endpoint = side === 'A' ? '/upload/side-a' : '/upload/side-b';
-      
-      const response = await api.post(endpoint, formData, {
+      const response = await api.post(`/upload/${partyId}`, formData, {
         headers: {
           'Content-Type': 'multipart/form-data'
         },
@@ -219,13 +802,13 @@ const useAIJudgeStore = create(devtools((set, get) => ({
           const progress = Math.round(
             (progressEvent.loaded * 100) / progressEvent.total
           );
-          set({ uploadProgress: { [side]: progress } });
+          set({ uploadProgress: { [partyId]: progress } });
         }
       });
       
-      if (get().currentCase?.caseId === caseId) {
-        await get().loadCase(caseId);
-      }
+      // Parsing continues in a background job; the case is reloaded when its
+      // jobUpdated event reports completion
+      get().trackJob(response.data.job);
       
       set({
         isUploading: false,
@@ -235,7 +818,7 @@ const useAIJudgeStore = create(devtools((set, get) => ({
       return response.data;
     } catch (error) {
       set({
-        error: error.response?.data?.error || 'Failed to upload documents',
+        error: uploadErrorMessage(error, 'Failed to upload documents'),
         isUploading: false,
         uploadProgress: {}
       });
@@ -244,56 +827,94 @@ const useAIJudgeStore = create(devtools((set, get) => ({
   },
 
   // AI Judge actions
-  requestVerdict: async (caseId) => {
-    set({ isLoading: true, error: null });
+  // Uses its own flag rather than isLoading so the case view stays mounted
+  // and can render the reasoning streamed over verdictProgress events. The
+  // verdict is generated by a background job, so the flag is cleared by the
+  // verdictRendered event or a failed jobUpdated event. A panelSize has a
+  // panel of judges decide instead of one.
+  requestVerdict: async (caseId, panelSize = null) => {
+    set({ isJudging: true, verdictStream: null, error: null });
     try {
-      const response = await api.post(`/case/${caseId}/judge`);
-      const verdict = response.data.verdict;
-      
-      // Update current case
-      if (get().currentCase?.caseId === caseId) {
-        set({
-          currentCase: {
-            ...get().currentCase,
-            verdict: verdict,
-            status: 'verdict_rendered'
-          }
-        });
-      }
-      
-      set({ isLoading: false });
-      return verdict;
+      const response = await api.post(`/case/${caseId}/judge`, panelSize ? { panelSize } : {});
+      get().trackJob(response.data.job);
+      return response.data.job;
     } catch (error) {
+      if (error.response?.status === 409 && error.response.data?.jobType !== 'parse_documents') {
+        // A verdict is already being generated; keep following it
+        return null;
+      }
       console.error('Error requesting verdict:', error);
       set({
         error: error.response?.data?.error || 'Failed to request verdict',
-        isLoading: false
+        isJudging: false,
+        verdictStream: null
       });
       throw error;
     }
   },
   
-  submitArgument: async (caseId, side, argument) => {
-    set({ isLoading: true, error: null });
+  // The court responds in a background job; the response arrives over the
+  // newArgument event and isArguing is cleared once the job finishes
+  submitArgument: async (caseId, partyId, argument) => {
+    set({ isArguing: true, error: null });
     try {
       const response = await api.post(`/case/${caseId}/argue`, {
-        side,
+        party: partyId,
         argument
       });
       
-      // The response will come via WebSocket, so we don't need to manually update
-      set({ isLoading: false });
+      get().trackJob(response.data.job);
       return response.data;
     } catch (error) {
       console.error('Error submitting argument:', error);
       set({
         error: error.response?.data?.error || 'Failed to submit argument',
-        isLoading: false
+        // An earlier argument is still being considered
+        isArguing: error.response?.status === 409
       });
       throw error;
     }
   },
 
+  // Appeals go against the current verdict; the appellate decision arrives
+  // over the appealDecided event once the review job finishes
+  fileAppeal: async (caseId, grounds) => {
+    set({ error: null });
+    try {
+      const response = await api.post(`/case/${caseId}/appeal`, { grounds });
+      get().trackJob(response.data.job);
+      await get().loadCase(caseId, { silent: true });
+      return response.data.appeal;
+    } catch (error) {
+      console.error('Error filing appeal:', error);
+      set({ error: error.response?.data?.error || 'Failed to file appeal' });
+      throw error;
+    }
+  },
+
+  retryAppealReview: async (caseId) => {
+    set({ error: null });
+    try {
+      const response = await api.post(`/case/${caseId}/appeal/review`);
+      get().trackJob(response.data.job);
+      const { currentCase } = get();
+      
+      if (currentCase?.caseId === caseId && currentCase.appeal) {
+        set({
+          currentCase: {
+            ...currentCase,
+            appeal: { ...currentCase.appeal, status: 'pending', error: null }
+          }
+        });
+      }
+      return response.data.job;
+    } catch (error) {
+      console.error('Error requesting appellate review:', error);
+      set({ error: error.response?.data?.error || 'Failed to request appellate review' });
+      throw error;
+    }
+  },
+
   // Statistics
   loadStats: async () => {
     try {
@@ -308,38 +929,88 @@ const useAIJudgeStore = create(devtools((set, get) => ({
   },
 
   // UI actions
-  setSelectedSide: (side) => set({ selectedSide: side }),
+  setSelectedParty: (partyId) => set({ selectedParty: partyId }),
   setShowArgumentModal: (show) => set({ showArgumentModal: show }),
   setArgumentText: (text) => set({ argumentText: text }),
   
   // Utility functions
-  canSubmitArgument: (side) => {
+  canSubmitArgument: (partyId) => {
     const { currentCase } = get();
-    if (!currentCase || !currentCase.verdict) return false;
+    if (!currentCase || !currentCase.verdict || get().isCaseConcluded()) return false;
+    // A case remanded for a fresh verdict hears no arguments until it is judged
+    if (currentCase.status === 'ready_for_judgment') return false;
     
-    const sideArguments = (currentCase.arguments || []).filter(arg => arg.side === side);
-    return sideArguments.length < 5;
+    // The server's per-party limit, sent with the case
+    const partyArguments = (currentCase.arguments || []).filter(arg => arg.party === partyId);
+    return partyArguments.length < (currentCase.argumentLimit || 0);
   },
   
-  getRemainingArguments: (side) => {
+  getRemainingArguments: (partyId) => {
     const { currentCase } = get();
     if (!currentCase) return 0;
     
-    const sideArguments = (currentCase.arguments || []).filter(arg => arg.side === side);
-    return 5 - sideArguments.length;
+    const partyArguments = (currentCase.arguments || []).filter(arg => arg.party === partyId);
+    return Math.max((currentCase.argumentLimit || 0) - partyArguments.length, 0);
+  },
+  
+  // Party members act for exactly one party of the case
+  canActForParty: (partyId) => {
+    const { currentCase } = get();
+    return currentCase?.access?.role === 'party' && currentCase.access.partyId === partyId;
+  },
+  
+  // Evidence locks once the verdict is rendered unless the judge grants leave
+  hasEvidenceLeave: (partyId) => {
+    const { currentCase } = get();
+    return (currentCase?.evidenceLeave || []).some(leave => leave.party === partyId);
+  },
+  
+  isEvidenceLocked: (partyId) => {
+    const { currentCase } = get();
+    if (get().isCaseConcluded()) return true;
+    return !!currentCase?.verdict && !get().hasEvidenceLeave(partyId);
   },
   
-  getBothSidesUploaded: () => {
+  // Closed cases are final, and appealed ones wait for the appellate decision
+  isCaseConcluded: () => {
+    const { currentCase } = get();
+    return ['closed', 'appealed'].includes(currentCase?.status);
+  },
+  
+  // Judgment needs evidence from a plaintiff and a defendant; quarantined
+  // documents do not count
+  hasOpposingEvidence: () => {
     const { currentCase } = get();
     if (!currentCase) return false;
     
-    return (
-      currentCase.sideA?.documents?.length > 0 &&
-      currentCase.sideB?.documents?.length > 0
+    return ['plaintiff', 'defendant'].every(role =>
+      (currentCase.parties || [])
+        .filter(party => party.role === role)
+        .some(party => (party.documents || []).some(doc => doc.scan?.status !== 'quarantined'))
     );
   }
 }), {
   name: 'ai-judge-store'
 }));
 
+// Attach the session token to every request
+api.interceptors.request.use((config) => {
+  const { token } = useAIJudgeStore.getState();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// Drop the session when the server no longer accepts it
+api.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    if (error.response?.status === 401 && useAIJudgeStore.getState().token) {
+      useAIJudgeStore.getState().logout();
+    }
+    return Promise.reject(error);
+  }
+);
+
 export default useAIJudgeStore;
\ No newline at end of file
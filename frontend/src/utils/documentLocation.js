@@ -0,0 +1,28 @@
+// Mirrors the backend's formatting of page/paragraph anchors ("p. 12, ¶4")
+export function formatLocation({ page, paragraph, endPage, endParagraph } = {}) {
+  if (!page) return '';
+
+  if (endPage && endPage !== page) {
+    return `pp. ${page}–${endPage}`;
+  }
+
+  if (!paragraph) return `p. ${page}`;
+
+  return endParagraph && endParagraph !== paragraph
+    ? `p. ${page}, ¶${paragraph}–${endParagraph}`
+    : `p. ${page}, ¶${paragraph}`;
+}
+
+// Whether a block falls inside a cited page/paragraph range
+export function isBlockInRange(pageNumber, block, range) {
+  if (!range?.page) return false;
+
+  const endPage = range.endPage || range.page;
+  if (pageNumber < range.page || pageNumber > endPage) return false;
+  if (!range.paragraph) return true;
+  if (!block.paragraph) return false;
+
+  const afterStart = pageNumber > range.page || block.paragraph >= range.paragraph;
+  const beforeEnd = pageNumber < endPage || block.paragraph <= (range.endParagraph || range.paragraph);
+  return afterStart && beforeEnd;
+}
@@ -0,0 +1,31 @@
+// Display helpers for case parties, which are lettered A, B, C, ... in the
+// order they join the case
+
+export const PARTY_ROLE_LABELS = {
+  plaintiff: 'Plaintiff',
+  defendant: 'Defendant',
+  intervenor: 'Intervenor',
+  amicus: 'Amicus Curiae'
+};
+
+export function findParty(parties, partyId) {
+  return (parties || []).find(party => party.id === partyId) || null;
+}
+
+// "Party C - Acme Ltd" or just "Party C" when the party is unknown
+export function partyLabel(parties, partyId) {
+  const party = findParty(parties, partyId);
+  return party ? `Party ${party.id} - ${party.name}` : `Party ${partyId}`;
+}
+
+export function partyClass(party) {
+  return `party-${party?.role || 'plaintiff'}`;
+}
+
+export function formatDecision(verdict, parties) {
+  if (!verdict?.decision) return 'unknown';
+  if (verdict.decision !== 'favor_parties') return verdict.decision.replace(/_/g, ' ');
+
+  const prevailing = (verdict.prevailingParties || []).map(partyId => partyLabel(parties, partyId));
+  return `In favour of ${prevailing.join(', ')}`;
+}
@@ -0,0 +1,81 @@
+// Field-by-field comparison of two verdict revisions for the history timeline
+
+const MAX_DIFF_WORDS = 1500;
+
+function diffLists(before = [], after = []) {
+  const previous = new Set(before);
+  const next = new Set(after);
+
+  return {
+    added: after.filter(item => !previous.has(item)),
+    removed: before.filter(item => !next.has(item))
+  };
+}
+
+// Word-level LCS diff returning [{ type: 'same' | 'added' | 'removed', text }]
+function diffWords(before = '', after = '') {
+  const a = before ? before.split(/\s+/) : [];
+  const b = after ? after.split(/\s+/) : [];
+
+  if (a.length > MAX_DIFF_WORDS || b.length > MAX_DIFF_WORDS) {
+    return [
+      { type: 'removed', text: before },
+      { type: 'added', text: after }
+    ];
+  }
+
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, word) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += ` ${word}`;
+    } else {
+      parts.push({ type, text: word });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('removed', a[i]);
+      i++;
+    } else {
+      push('added', b[j]);
+      j++;
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  return parts;
+}
+
+function diffVerdicts(before, after) {
+  if (!before || !after) return null;
+
+  return {
+    decisionChanged: before.decision !== after.decision ||
+      (before.prevailingParties || []).join() !== (after.prevailingParties || []).join(),
+    confidenceDelta: (after.confidence ?? 0) - (before.confidence ?? 0),
+    damagesChanged: (before.damages || '') !== (after.damages || ''),
+    keyFindings: diffLists(before.keyFindings, after.keyFindings),
+    legalPrinciples: diffLists(before.legalPrinciples, after.legalPrinciples),
+    reasoning: diffWords(before.reasoning, after.reasoning)
+  };
+}
+
+export { diffVerdicts, diffWords, diffLists };